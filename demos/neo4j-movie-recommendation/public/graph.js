@@ -0,0 +1,243 @@
+// Interactive neighborhood graph on the dashboard. Draws the nodes and
+// relationships from GET /api/graph/neighborhood with a d3 force layout;
+// clicking a node shows its details and merges in its own neighborhood.
+(function () {
+  const COLORS = { Movie: '#0d6efd', Person: '#198754', Genre: '#dc3545' };
+  // Property that identifies a node of each label in the API
+  const KEYS = { Movie: 'title', Person: 'name', Genre: 'name' };
+  const svg = d3.select('#graph');
+  if (svg.empty()) {
+    return;
+  }
+  // Path prefix of the catalogue the dashboard shows, e.g. /t/acme
+  const base = svg.attr('data-base') || '';
+
+  // Dashboard-friendly detail links for nodes that have one
+  const DETAIL_LINKS = {
+    Movie: title => ({ href: `${base}/api/movies/${encodeURIComponent(title)}`, text: 'Movie details' }),
+    Person: name => ({ href: `${base}/api/people/${encodeURIComponent(name)}`, text: 'Filmography' }),
+    Genre: name => ({ href: `${base}/api/movies/by-genre/${encodeURIComponent(name)}`, text: 'Movies in this genre' })
+  };
+  const form = document.getElementById('graph-form');
+  const input = document.getElementById('graph-node');
+  const depthSelect = document.getElementById('graph-depth');
+  const labelBoxes = Array.from(document.querySelectorAll('.graph-label'));
+  const details = document.getElementById('graph-details');
+  const status = document.getElementById('graph-status');
+
+  // Everything fetched so far, by id; label filtering only hides nodes
+  const nodes = new Map();
+  const links = new Map();
+  let selected = null;
+
+  const layer = svg.append('g');
+  const linkGroup = layer.append('g').attr('stroke', '#adb5bd').attr('stroke-width', 1.5);
+  const nodeGroup = layer.append('g');
+  svg.call(d3.zoom().scaleExtent([0.2, 4]).on('zoom', event => layer.attr('transform', event.transform)));
+
+  const simulation = d3.forceSimulation()
+    .force('link', d3.forceLink().id(node => node.id).distance(80))
+    .force('charge', d3.forceManyBody().strength(-300))
+    .force('collide', d3.forceCollide(24))
+    .force('x', d3.forceX())
+    .force('y', d3.forceY())
+    .on('tick', () => {
+      linkGroup.selectAll('line')
+        .attr('x1', link => link.source.x)
+        .attr('y1', link => link.source.y)
+        .attr('x2', link => link.target.x)
+        .attr('y2', link => link.target.y);
+      nodeGroup.selectAll('g').attr('transform', node => `translate(${node.x},${node.y})`);
+    });
+
+  function resize() {
+    const { width, height } = svg.node().getBoundingClientRect();
+    svg.attr('viewBox', [-width / 2, -height / 2, width, height]);
+  }
+
+  function displayName(node) {
+    return node.properties.title || node.properties.name || node.properties.id || node.id;
+  }
+
+  function visibleLabels() {
+    return labelBoxes.filter(box => box.checked).map(box => box.value);
+  }
+
+  function endId(end) {
+    return typeof end === 'object' ? end.id : end;
+  }
+
+  function drag() {
+    return d3.drag()
+      .on('start', (event, node) => {
+        if (!event.active) simulation.alphaTarget(0.3).restart();
+        node.fx = node.x;
+        node.fy = node.y;
+      })
+      .on('drag', (event, node) => {
+        node.fx = event.x;
+        node.fy = event.y;
+      })
+      .on('end', (event, node) => {
+        if (!event.active) simulation.alphaTarget(0);
+        node.fx = null;
+        node.fy = null;
+      });
+  }
+
+  async function fetchNeighborhood(name, label, depth) {
+    const params = new URLSearchParams({ node: name, depth: String(depth) });
+    if (label) params.set('label', label);
+    if (visibleLabels().length > 0) params.set('labels', visibleLabels().join(','));
+
+    const response = await fetch(`${base}/api/graph/neighborhood?${params}`);
+    const body = await response.json();
+    if (!response.ok) {
+      throw new Error(body.error || response.statusText);
+    }
+    return body;
+  }
+
+  // Add fetched nodes and relationships, placing new nodes where the node
+  // they were found from is so they spread out from it
+  function merge(data, origin) {
+    for (const node of data.nodes) {
+      if (!nodes.has(node.id)) {
+        const label = node.labels.find(name => COLORS[name]) || node.labels[0];
+        nodes.set(node.id, { ...node, label, x: origin ? origin.x : 0, y: origin ? origin.y : 0 });
+      }
+    }
+    for (const relationship of data.relationships) {
+      if (!links.has(relationship.id)) {
+        links.set(relationship.id, { id: relationship.id, type: relationship.type, source: relationship.start, target: relationship.end });
+      }
+    }
+  }
+
+  function render() {
+    const labels = new Set(visibleLabels());
+    const shownNodes = Array.from(nodes.values()).filter(node => labels.has(node.label));
+    const shownIds = new Set(shownNodes.map(node => node.id));
+    const shownLinks = Array.from(links.values())
+      .filter(link => shownIds.has(endId(link.source)) && shownIds.has(endId(link.target)));
+
+    linkGroup.selectAll('line')
+      .data(shownLinks, link => link.id)
+      .join(enter => enter.append('line').call(line => line.append('title').text(link => link.type)));
+
+    nodeGroup.selectAll('g')
+      .data(shownNodes, node => node.id)
+      .join(enter => {
+        const group = enter.append('g').attr('class', 'graph-node').call(drag()).on('click', (event, node) => expand(node));
+        group.append('circle').attr('r', 10).attr('fill', node => COLORS[node.label] || '#6c757d');
+        group.append('text').attr('x', 14).attr('dy', '0.35em').text(displayName);
+        group.append('title').text(node => `${node.label}: ${displayName(node)}`);
+        return group;
+      })
+      .classed('expanded', node => Boolean(node.expanded))
+      .classed('selected', node => node === selected);
+
+    simulation.nodes(shownNodes);
+    simulation.force('link').links(shownLinks);
+    simulation.alpha(0.8).restart();
+  }
+
+  function showDetails(node) {
+    details.replaceChildren();
+
+    const heading = document.createElement('h6');
+    heading.textContent = displayName(node);
+    const badge = document.createElement('span');
+    badge.className = 'badge ms-2';
+    badge.style.backgroundColor = COLORS[node.label] || '#6c757d';
+    badge.textContent = node.label;
+    heading.append(badge);
+    details.append(heading);
+
+    const list = document.createElement('dl');
+    list.className = 'mb-2';
+    for (const [key, value] of Object.entries(node.properties)) {
+      const term = document.createElement('dt');
+      term.textContent = key;
+      const description = document.createElement('dd');
+      description.className = 'text-break';
+      description.textContent = Array.isArray(value) ? value.join(', ') : String(value);
+      list.append(term, description);
+    }
+    details.append(list);
+
+    const link = DETAIL_LINKS[node.label];
+    if (link) {
+      const { href, text } = link(node.properties[KEYS[node.label]]);
+      const anchor = document.createElement('a');
+      anchor.className = 'btn btn-sm btn-outline-primary';
+      anchor.href = href;
+      anchor.textContent = text;
+      details.append(anchor);
+    }
+  }
+
+  function report(message, isError) {
+    status.textContent = message;
+    status.classList.toggle('text-danger', Boolean(isError));
+    status.classList.toggle('text-muted', !isError);
+  }
+
+  function describe(data) {
+    const more = data.truncated ? ' (more are in reach; click nodes to explore further)' : '';
+    return `Showing ${nodes.size} nodes and ${links.size} relationships${more}. ` +
+      'Click a node to add its neighbors; drag to rearrange, scroll to zoom.';
+  }
+
+  async function expand(node) {
+    selected = node;
+    showDetails(node);
+    render();
+    if (node.expanded) {
+      return;
+    }
+
+    try {
+      const data = await fetchNeighborhood(node.properties[KEYS[node.label]], node.label, 1);
+      node.expanded = true;
+      merge(data, node);
+      render();
+      report(describe(data));
+    } catch (error) {
+      report(`Could not expand ${displayName(node)}: ${error.message}`, true);
+    }
+  }
+
+  async function load() {
+    const name = input.value.trim();
+    if (!name) {
+      return;
+    }
+
+    try {
+      const data = await fetchNeighborhood(name, null, depthSelect.value);
+      nodes.clear();
+      links.clear();
+      merge(data);
+      const center = nodes.get(data.center);
+      // The center's neighbors are already on show, so clicking it fetches nothing
+      center.expanded = true;
+      selected = center;
+      showDetails(center);
+      render();
+      report(describe(data));
+    } catch (error) {
+      report(error.message, true);
+    }
+  }
+
+  form.addEventListener('submit', event => {
+    event.preventDefault();
+    load();
+  });
+  labelBoxes.forEach(box => box.addEventListener('change', render));
+  window.addEventListener('resize', resize);
+
+  resize();
+  load();
+})();
@@ -0,0 +1,16 @@
+// Administer a catalogue from the command line:
+//   npm run admin -- migrate                 apply pending migrations
+//   npm run admin -- status                  counts, constraints, indexes, migrations and driver info
+//   npm run admin -- seed                    migrate, then load the sample catalogue, keeping existing data
+//   npm run admin -- reset --confirm         DELETE ALL DATA, then migrate and load the sample catalogue
+//   npm run admin -- import [directory] [--batch-size=1000]
+//   npm run admin -- export [--format=json|graphml|cypher] [--labels=Movie,Genre] [--output=file]
+//   npm run admin -- verify                  check the schema, the data and tenant isolation
+// Add --json to print the result as JSON, and --tenant <id> to work on that
+// tenant's catalogue rather than the default one. Exits 0 on success, 1 when
+// the command fails or verify finds a problem, and 2 on a usage error.
+import { main } from './admin.js';
+
+main(process.argv.slice(2)).then(code => {
+  process.exitCode = code;
+});
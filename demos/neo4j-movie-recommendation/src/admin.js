@@ -0,0 +1,197 @@
+// The commands of the admin CLI (admin-cli.js), which runs main() on its
+// arguments. They are kept apart from it so that tests can run them.
+import fs from 'fs';
+import { finished } from 'stream/promises';
+import { closeDriver } from './neo4j.js';
+import { closeCache, warnIfCacheIsLocal } from './cache/index.js';
+import { config } from './config.js';
+import { catalogueCounts, catalogueStatus, verifyCatalogue } from './diagnostics.js';
+import { EXPORT_FORMATS, exportGraph, parseLabels } from './exporter.js';
+import { importCatalogue } from './importer.js';
+import { reseedDatabase, runMigrations } from './migrate.js';
+import { DEFAULT_TENANT, getTenant, listTenants, withTenant } from './tenants.js';
+import { logger, logToStderr } from './utils/logger.js';
+import { seedDatabase } from './utils/seed.js';
+
+/**
+ * Value of a --name=value option
+ */
+function option(args, name, fallback) {
+  const arg = args.find(value => value.startsWith(`--${name}=`));
+  return arg ? arg.slice(name.length + 3) : fallback;
+}
+
+function positional(args) {
+  return args.find(arg => !arg.startsWith('--'));
+}
+
+/**
+ * Print a command's result: the report as JSON with --json, else the lines
+ * @param {object} output - {json: boolean}
+ * @param {object} report
+ * @param {string[]} lines
+ */
+function print(output, report, lines) {
+  process.stdout.write(output.json ? `${JSON.stringify(report, null, 2)}\n` : `${lines.join('\n')}\n`);
+}
+
+function countLines({ movies, people, genres, users, relationships }) {
+  return [
+    `Nodes: ${movies} movie(s), ${people} person(s), ${genres} genre(s), ${users} user(s)`,
+    `Relationships: ${Object.entries(relationships).map(([type, count]) => `${count} ${type}`).join(', ') || 'none'}`
+  ];
+}
+
+const commands = {
+  async migrate(args, output) {
+    warnIfCacheIsLocal('Migrating');
+    const applied = await runMigrations();
+    print(output, { migrationsApplied: applied },
+      [`Applied ${applied.length} migration(s)${applied.length ? `: ${applied.join(', ')}` : ''}`]);
+    return 0;
+  },
+
+  async status(args, output) {
+    const status = await catalogueStatus();
+    const { connection, migrations } = status;
+    print(output, status, [
+      `Tenant ${status.tenant}, database ${connection.database}`,
+      `Connected to ${connection.server.agent} at ${connection.server.address} (${connection.uri} as ${connection.user}), ` +
+        `Bolt ${connection.server.protocolVersion}, driver ${connection.driverVersion}`,
+      ...countLines(status.counts),
+      `Migrations: ${migrations.applied.length} applied, ${migrations.pending.length} pending`,
+      'Constraints:',
+      ...status.constraints.map(({ name, type, labelsOrTypes, properties }) =>
+        `  ${name}  ${type}  ${labelsOrTypes.join('|')}(${properties.join(', ')})`),
+      'Indexes:',
+      ...status.indexes.map(({ name, type, state, labelsOrTypes, properties }) =>
+        `  ${name}  ${type}  ${state}${labelsOrTypes ? `  ${labelsOrTypes.join('|')}(${(properties || []).join(', ')})` : ''}`)
+    ]);
+    return 0;
+  },
+
+  async seed(args, output) {
+    warnIfCacheIsLocal('Seeding');
+    const applied = await runMigrations();
+    await seedDatabase();
+    const counts = await catalogueCounts();
+    print(output, { migrationsApplied: applied, counts }, [
+      `Applied ${applied.length} migration(s) and loaded the sample catalogue`,
+      ...countLines(counts)
+    ]);
+    return 0;
+  },
+
+  async reset(args, output) {
+    if (!args.includes('--confirm')) {
+      logger.error('reset deletes every node and relationship of the catalogue; pass --confirm to proceed');
+      return 2;
+    }
+    warnIfCacheIsLocal('Resetting');
+    await reseedDatabase();
+    const counts = await catalogueCounts();
+    print(output, { counts }, ['Deleted the catalogue and loaded the sample catalogue', ...countLines(counts)]);
+    return 0;
+  },
+
+  async import(args, output) {
+    const directory = positional(args) || config.importer.directory;
+    const batchSize = Number(option(args, 'batch-size', config.importer.batchSize));
+    if (!Number.isInteger(batchSize) || batchSize < 1) {
+      logger.error('--batch-size must be a positive integer');
+      return 2;
+    }
+
+    warnIfCacheIsLocal('Import');
+    const report = await importCatalogue(directory, {
+      batchSize,
+      onProgress: ({ name, processed, imported, rejected }) =>
+        logger.info(`${name}: ${processed} rows read, ${imported} imported, ${rejected} rejected`)
+    });
+    print(output, report, [
+      `Imported ${directory} in ${report.durationMs} ms`,
+      ...Object.entries(report.files).map(([name, { processed, imported, rejected }]) =>
+        `  ${name}: ${processed} read, ${imported} imported, ${rejected} rejected`),
+      ...report.rejections.map(({ file, line, reason }) => `  ${file}:${line} ${reason}`)
+    ]);
+    return 0;
+  },
+
+  async export(args, output) {
+    const format = option(args, 'format', 'json');
+    const labels = parseLabels(option(args, 'labels'));
+    const file = option(args, 'output');
+    if (!EXPORT_FORMATS[format]) {
+      logger.error(`Unknown format '${format}', expected one of ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+      return 2;
+    }
+    if (!labels) {
+      logger.error(`Invalid labels '${option(args, 'labels')}'`);
+      return 2;
+    }
+    if (output.json && !file) {
+      logger.error('--json needs --output, as the export itself is written to stdout otherwise');
+      return 2;
+    }
+
+    const out = file ? fs.createWriteStream(file) : process.stdout;
+    const counts = await exportGraph(format, out, { labels });
+    if (file) {
+      out.end();
+      await finished(out);
+      print(output, { format, output: file, ...counts },
+        [`Exported ${counts.nodes} nodes and ${counts.relationships} relationships to ${file}`]);
+    } else {
+      logger.info(`Exported ${counts.nodes} nodes and ${counts.relationships} relationships`);
+    }
+    return 0;
+  },
+
+  async verify(args, output) {
+    const report = await verifyCatalogue();
+    print(output, report, [
+      ...report.checks.map(({ name, ok, detail }) => `${ok ? 'ok  ' : 'FAIL'}  ${name}: ${detail}`),
+      report.ok ? `Tenant ${report.tenant} passed every check` : `Tenant ${report.tenant} failed verification`
+    ]);
+    return report.ok ? 0 : 1;
+  }
+};
+
+/**
+ * Run an admin command
+ * @param {string[]} argv - The command and its arguments, e.g. ['verify', '--json']
+ * @returns {Promise<number>} - Exit code: 0 on success, 1 on failure, 2 on a usage error
+ */
+export async function main(argv) {
+  logToStderr();
+
+  const [command, ...rest] = argv;
+  if (!commands[command]) {
+    logger.error(`Unknown command '${command}', expected one of ${Object.keys(commands).join(', ')}`);
+    return 2;
+  }
+
+  // --json and --tenant <id> apply to every command; the rest is the command's own
+  const output = { json: rest.includes('--json') };
+  const tenantFlag = rest.indexOf('--tenant');
+  const tenantId = tenantFlag === -1 ? DEFAULT_TENANT.id : rest[tenantFlag + 1];
+  const args = rest.filter((arg, index) => arg !== '--json' && (tenantFlag === -1 || (index !== tenantFlag && index !== tenantFlag + 1)));
+
+  try {
+    const tenant = getTenant(tenantId);
+    if (!tenant) {
+      logger.error(`Unknown tenant '${tenantId}', expected one of ${listTenants().map(({ id }) => id).join(', ')}`);
+      return 2;
+    }
+    return await withTenant(tenant, () => commands[command](args, output));
+  } catch (error) {
+    logger.error(`admin ${command} failed:`, error);
+    if (output.json) {
+      process.stdout.write(`${JSON.stringify({ error: error.message })}\n`);
+    }
+    return 1;
+  } finally {
+    await closeDriver();
+    await closeCache();
+  }
+}
@@ -0,0 +1,643 @@
+// The Express application: middleware, the dashboard, health checks, the
+// API and GraphQL routes and error handling. index.js starts it; tests
+// drive it through supertest.
+import express from 'express';
+import cors from 'cors';
+import helmet from 'helmet';
+import morgan from 'morgan';
+import { isTransactionTimeout } from './neo4j.js';
+import routes from './routes.js';
+import graphqlRoutes from './routes/graphql.js';
+import { logger } from './utils/logger.js';
+import { cacheResponse } from './cache/index.js';
+import { authenticate, requireReader } from './auth/index.js';
+import { limitRequests } from './rate-limit.js';
+import { recordRequests, serveMetrics } from './metrics.js';
+import { assignRequestId } from './request-context.js';
+import { DEFAULT_TENANT, listTenants, selectTenant } from './tenants.js';
+import { getRepository } from './repository/index.js';
+import { config } from './config.js';
+
+// Initialize Express app
+const app = express();
+
+// Behind a reverse proxy, req.ip is the client's address only if the proxy is trusted
+app.set('trust proxy', config.rateLimit.trustProxy);
+
+// Read the tenants file now, so that a broken one stops the server from starting
+const tenants = listTenants();
+
+// Access log lines start with the request's correlation ID
+morgan.token('request-id', req => req.id);
+const accessLogFormat = '[:request-id] :remote-addr - :remote-user [:date[clf]] ":method :url HTTP/:http-version" ' +
+  ':status :res[content-length] ":referrer" ":user-agent"';
+
+// Middleware
+app.use(assignRequestId());
+app.use(selectTenant());
+app.use(recordRequests());
+app.use(helmet());
+app.use(cors());
+app.use(express.json());
+app.use(morgan(accessLogFormat, { stream: { write: message => logger.info(message.trim()) } }));
+
+// Health and readiness checks
+app.get('/health', (req, res) => {
+  res.status(200).json({ status: 'UP' });
+});
+
+// Prometheus scrape endpoint; METRICS_ENABLED=false leaves it out
+if (config.metrics.enabled) {
+  app.get('/metrics', serveMetrics);
+}
+
+function escapeHtml(text) {
+  return String(text).replace(/[<>&"']/g, char => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&#39;' })[char]);
+}
+
+// The dashboard loads Bootstrap and d3 from the CDN and the Neo4j logo from
+// neo4j.com, which the app-wide policy blocks
+const dashboardPolicy = helmet.contentSecurityPolicy({
+  directives: {
+    scriptSrc: ["'self'", 'https://cdn.jsdelivr.net'],
+    imgSrc: ["'self'", 'data:', 'https://dist.neo4j.com']
+  }
+});
+
+// The dashboard shows the catalogue, so it is as open as the read API: behind
+// a viewer's credentials when AUTH_PUBLIC_READS=false. /t/:tenant/ is routed
+// here by selectTenant.
+app.get('/', dashboardPolicy, authenticate, requireReader, cacheResponse('dashboard'), async (req, res) => {
+  // Links stay within the catalogue the page was opened for
+  const base = req.tenantPrefix || '';
+  
+  let movieData;
+  try {
+    // An empty database is reported on the page rather than seeded from
+    // here, so a failed count can never touch the data
+    movieData = await getRepository().getDashboard();
+    if (movieData.counts.movies === 0) {
+      logger.warn('No movies found in database; seed it with `npm run admin -- seed`');
+    }
+  } catch (error) {
+    logger.error('Error fetching dashboard data:', error);
+    
+    // For development, show error details
+    if (process.env.NODE_ENV !== 'production') {
+      res.status(500).send(`
+        <h1>Database Error</h1>
+        <p>There was an error connecting to the Neo4j database:</p>
+        <pre>${escapeHtml(error.message)}</pre>
+        <p>Please check your Neo4j connection or server logs for more details.</p>
+        <p><a href="/db-status">Check Database Status</a></p>
+      `);
+      return;
+    }
+    
+    // For production, show generic error
+    res.status(500).send(`
+      <h1>Service Temporarily Unavailable</h1>
+      <p>We're experiencing technical difficulties. Please try again later.</p>
+    `);
+    return;
+  }
+  
+  // Render the dashboard HTML
+  res.send(`
+    <!DOCTYPE html>
+    <html lang="en">
+    <head>
+      <meta charset="UTF-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <title>Neo4j Movie Recommendation Dashboard</title>
+      <link href="https://cdn.jsdelivr.net/npm/bootstrap@5.3.0/dist/css/bootstrap.min.css" rel="stylesheet">
+      <link rel="stylesheet" href="https://cdn.jsdelivr.net/npm/bootstrap-icons@1.10.0/font/bootstrap-icons.css">
+      <style>
+        :root {
+          --neo4j-green: #018BFF;
+          --neo4j-dark: #2A2C34;
+        }
+        body {
+          font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
+          background-color: #f8f9fa;
+          color: #333;
+          padding-bottom: 2rem;
+        }
+        .navbar {
+          background-color: var(--neo4j-dark);
+        }
+        .logo {
+          font-size: 1.8rem;
+          font-weight: bold;
+          color: white;
+        }
+        .logo span {
+          color: var(--neo4j-green);
+        }
+        .header-container {
+          background-color: var(--neo4j-dark);
+          color: white;
+          padding: 2rem 0;
+          margin-bottom: 2rem;
+        }
+        .stat-card {
+          border-radius: 10px;
+          box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1);
+          transition: transform 0.3s ease;
+          height: 100%;
+        }
+        .stat-card:hover {
+          transform: translateY(-5px);
+        }
+        .card-header {
+          border-radius: 10px 10px 0 0 !important;
+          font-weight: bold;
+        }
+        .genre-badge {
+          background-color: var(--neo4j-green);
+          font-size: 0.9em;
+          margin-right: 0.5rem;
+          margin-bottom: 0.5rem;
+        }
+        .movie-card, .actor-card {
+          box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1);
+          transition: transform 0.3s ease;
+          height: 100%;
+        }
+        .movie-card:hover, .actor-card:hover {
+          transform: translateY(-5px);
+        }
+        .movie-poster {
+          height: 250px;
+          object-fit: cover;
+          border-radius: 10px 10px 0 0;
+        }
+        .api-section {
+          background-color: #f0f0f0;
+          border-radius: 10px;
+          padding: 1.5rem;
+          margin-top: 2rem;
+        }
+        .stat-icon {
+          font-size: 2.5rem;
+          color: var(--neo4j-green);
+        }
+        .profile-image {
+          width: 70px;
+          height: 70px;
+          object-fit: cover;
+          border-radius: 50%;
+        }
+        .debug-info {
+          background-color: #f8f9fa;
+          border: 1px solid #ddd;
+          border-radius: 5px;
+          padding: 15px;
+          font-family: monospace;
+          font-size: 12px;
+          margin-top: 20px;
+        }
+        .graph-canvas {
+          width: 100%;
+          height: 500px;
+          background-color: #fff;
+          border: 1px solid #dee2e6;
+          border-radius: 8px;
+          cursor: grab;
+        }
+        .graph-node {
+          cursor: pointer;
+        }
+        .graph-node text {
+          font-size: 11px;
+          pointer-events: none;
+        }
+        .graph-node.expanded circle {
+          stroke: var(--neo4j-dark);
+          stroke-width: 2px;
+        }
+        .graph-node.selected circle {
+          stroke: #ffc107;
+          stroke-width: 3px;
+        }
+      </style>
+    </head>
+    <body>
+      <!-- Navbar with Neo4j branding -->
+      <nav class="navbar navbar-expand-lg navbar-dark">
+        <div class="container">
+          <span class="logo"><span>Neo4j</span> Movie Graph</span>
+          <span class="navbar-text text-white">
+            Catalogue: <span class="badge bg-primary" id="tenant">${escapeHtml(req.tenant.name)}</span>
+            ${tenants.length > 1 ? tenants.filter(tenant => tenant.id !== req.tenant.id).map(tenant => `
+              <a href="${tenant.id === DEFAULT_TENANT.id ? '/' : `/t/${tenant.id}/`}" class="link-light ms-2">${escapeHtml(tenant.name)}</a>
+            `).join('') : ''}
+          </span>
+        </div>
+      </nav>
+      
+      <!-- Header with dashboard overview -->
+      <div class="header-container">
+        <div class="container">
+          <div class="row align-items-center">
+            <div class="col-md-8">
+              <h1>Movie Recommendation Engine</h1>
+              <p class="lead">Powered by Neo4j Graph Database</p>
+              <p>Explore relationships between movies, actors, and genres with graph-based recommendations</p>
+              
+              <!-- Search Form -->
+              <div class="mt-4">
+                <form action="${base}/api/search" method="GET" class="d-flex">
+                  <input type="text" name="q" class="form-control" placeholder="Search movies and people..." required>
+                  <button type="submit" class="btn btn-light ms-2">
+                    <i class="bi bi-search"></i> Search
+                  </button>
+                </form>
+              </div>
+            </div>
+            <div class="col-md-4 text-center">
+              <img src="https://dist.neo4j.com/wp-content/uploads/20210423072633/neo4j-logo-2020-1.svg" alt="Neo4j Logo" style="max-width: 200px;">
+            </div>
+          </div>
+        </div>
+      </div>
+      
+      <!-- Database Debug Information (only shown if there are issues) -->
+      ${movieData.counts.movies === 0 ? `
+      <div class="container mb-3">
+        <div class="alert alert-warning">
+          <h4><i class="bi bi-exclamation-triangle-fill"></i> Database Issue Detected</h4>
+          <p>The dashboard found no movies in Neo4j. Check your database connection, or load the sample catalogue with <code>npm run admin -- seed</code>.</p>
+          <p><a href="/db-status" class="btn btn-sm btn-primary">Check Database Status</a></p>
+        </div>
+      </div>
+      ` : ''}
+      
+      <!-- Dashboard Stats -->
+      <div class="container mb-5">
+        <h2 class="mb-4">Database Overview</h2>
+        <div class="row">
+          <div class="col-md-4 mb-4">
+            <div class="card stat-card">
+              <div class="card-body text-center">
+                <i class="bi bi-film stat-icon mb-3"></i>
+                <h3>${movieData.counts.movies}</h3>
+                <h5>Movies</h5>
+              </div>
+            </div>
+          </div>
+          <div class="col-md-4 mb-4">
+            <div class="card stat-card">
+              <div class="card-body text-center">
+                <i class="bi bi-people stat-icon mb-3"></i>
+                <h3>${movieData.counts.people}</h3>
+                <h5>People</h5>
+              </div>
+            </div>
+          </div>
+          <div class="col-md-4 mb-4">
+            <div class="card stat-card">
+              <div class="card-body text-center">
+                <i class="bi bi-tags stat-icon mb-3"></i>
+                <h3>${movieData.counts.genres}</h3>
+                <h5>Genres</h5>
+              </div>
+            </div>
+          </div>
+        </div>
+      </div>
+      
+      <!-- Latest Movies -->
+      <div class="container mb-5">
+        <h2 class="mb-4">Latest Movies</h2>
+        <div class="row">
+          ${movieData.latestMovies.map(movie => `
+            <div class="col-md-4 mb-4">
+              <div class="card movie-card">
+                <img src="${escapeHtml(movie.posterImage || 'https://via.placeholder.com/350x250?text=No+Image')}" 
+                     class="movie-poster" alt="${escapeHtml(movie.title)}">
+                <div class="card-body">
+                  <h5 class="card-title">${escapeHtml(movie.title)}</h5>
+                  <h6 class="card-subtitle mb-2 text-muted">${escapeHtml(movie.released)}</h6>
+                  <p class="card-text">${escapeHtml(movie.tagline || 'No tagline available')}</p>
+                </div>
+              </div>
+            </div>
+          `).join('')}
+        </div>
+      </div>
+      
+      <!-- Popular Genres -->
+      <div class="container mb-5">
+        <h2 class="mb-4">Popular Genres</h2>
+        <div class="row">
+          ${movieData.genres.map(genre => `
+            <div class="col-md-4 mb-4">
+              <div class="card stat-card">
+                <div class="card-header bg-light">
+                  ${escapeHtml(genre.name)}
+                </div>
+                <div class="card-body text-center">
+                  <h4 class="card-title">${genre.count}</h4>
+                  <p class="card-text">Movies in this genre</p>
+                  <a href="${base}/api/movies/by-genre/${encodeURIComponent(genre.name)}" class="btn btn-sm btn-outline-primary">View Movies</a>
+                </div>
+              </div>
+            </div>
+          `).join('')}
+        </div>
+      </div>
+      
+      <!-- Top Actors -->
+      <div class="container mb-5">
+        <h2 class="mb-4">Featured Actors</h2>
+        <div class="row">
+          ${movieData.topActors.map(actor => `
+            <div class="col-md-4 mb-4">
+              <div class="card actor-card">
+                <div class="card-body d-flex align-items-center">
+                  <div class="me-3">
+                    <img src="${escapeHtml(actor.profileImage || 'https://via.placeholder.com/70x70?text=No+Image')}" 
+                         class="profile-image" alt="${escapeHtml(actor.name)}">
+                  </div>
+                  <div>
+                    <h5 class="card-title">${escapeHtml(actor.name)}</h5>
+                    <p class="card-text">${actor.movieCount} ${actor.movieCount === 1 ? 'movie' : 'movies'} in database</p>
+                    <a href="${base}/api/people/${encodeURIComponent(actor.name)}" class="btn btn-sm btn-outline-primary">Filmography</a>
+                    <a href="${base}/api/people/${encodeURIComponent(actor.name)}/costars" class="btn btn-sm btn-outline-secondary">Co-stars</a>
+                  </div>
+                </div>
+              </div>
+            </div>
+          `).join('')}
+        </div>
+      </div>
+      
+      <!-- Graph Visualization -->
+      <div class="container mb-5">
+        <h2 class="mb-4">Graph Visualization</h2>
+        <div class="card">
+          <div class="card-body">
+            <form id="graph-form" class="row g-2 align-items-end mb-3">
+              <div class="col-md-5">
+                <label for="graph-node" class="form-label small mb-1">Movie, person or genre</label>
+                <input id="graph-node" class="form-control" value="The Matrix" required>
+              </div>
+              <div class="col-md-2">
+                <label for="graph-depth" class="form-label small mb-1">Depth</label>
+                <select id="graph-depth" class="form-select">
+                  ${Array.from({ length: config.graph.maxDepth }, (value, index) => `
+                    <option value="${index + 1}"${index + 1 === config.graph.defaultDepth ? ' selected' : ''}>${index + 1}</option>
+                  `).join('')}
+                </select>
+              </div>
+              <div class="col-md-3">
+                ${['Movie', 'Person', 'Genre'].map(label => `
+                  <div class="form-check form-check-inline">
+                    <input class="form-check-input graph-label" type="checkbox" id="graph-label-${label}" value="${label}" checked>
+                    <label class="form-check-label small" for="graph-label-${label}">${label}</label>
+                  </div>
+                `).join('')}
+              </div>
+              <div class="col-md-2">
+                <button type="submit" class="btn btn-primary w-100">Show</button>
+              </div>
+            </form>
+            <div class="row">
+              <div class="col-lg-9">
+                <svg id="graph" class="graph-canvas" data-base="${base}" role="img" aria-label="Neighborhood graph"></svg>
+                <p id="graph-status" class="small text-muted mt-2 mb-0">
+                  Click a node to show its details and add its neighbors; drag to rearrange, scroll to zoom.
+                </p>
+              </div>
+              <div class="col-lg-3">
+                <div id="graph-details" class="small"></div>
+              </div>
+            </div>
+            <div class="row mt-3">
+              <div class="col-md-4">
+                <div class="card bg-light">
+                  <div class="card-body text-center">
+                    <i class="bi bi-film text-primary mb-2" style="font-size: 1.5rem;"></i>
+                    <h6>Movie Nodes</h6>
+                    <p class="small mb-0">Contain title, release year, and tagline</p>
+                  </div>
+                </div>
+              </div>
+              <div class="col-md-4">
+                <div class="card bg-light">
+                  <div class="card-body text-center">
+                    <i class="bi bi-people text-success mb-2" style="font-size: 1.5rem;"></i>
+                    <h6>Person Nodes</h6>
+                    <p class="small mb-0">Actors who starred in movies</p>
+                  </div>
+                </div>
+              </div>
+              <div class="col-md-4">
+                <div class="card bg-light">
+                  <div class="card-body text-center">
+                    <i class="bi bi-tags text-danger mb-2" style="font-size: 1.5rem;"></i>
+                    <h6>Genre Nodes</h6>
+                    <p class="small mb-0">Categories that classify movies</p>
+                  </div>
+                </div>
+              </div>
+            </div>
+          </div>
+        </div>
+      </div>
+      
+      <!-- API Links with Examples -->
+      <div class="container">
+        <div class="api-section">
+          <h2 class="mb-4">API Reference</h2>
+          <p>
+            The full reference, with every parameter and response shape, is in the
+            <a href="${base}/api/docs">interactive API docs</a> (<a href="${base}/api/openapi.json">OpenAPI document</a>).
+            Writes need an editor key and import/export an admin key, sent as <code>X-API-Key</code>;
+            create one with <code>npm run keys -- create &lt;name&gt; --role=editor</code>.
+          </p>
+          <div class="row">
+            <div class="col-md-6">
+              <div class="card mb-3">
+                <div class="card-body">
+                  <h5><code>GET /api/genres</code></h5>
+                  <p class="mb-0">Get all movie genres</p>
+                  <a href="${base}/api/genres" class="btn btn-sm btn-outline-primary mt-2">Try it</a>
+                </div>
+              </div>
+              <div class="card mb-3">
+                <div class="card-body">
+                  <h5><code>GET /api/people</code></h5>
+                  <p class="mb-0">List people, with profiles, filmographies and frequent co-stars</p>
+                  <div class="mt-2">
+                    <a href="${base}/api/people" class="btn btn-sm btn-outline-primary">All people</a>
+                    <a href="${base}/api/people/Keanu%20Reeves" class="btn btn-sm btn-outline-primary">Keanu Reeves</a>
+                    <a href="${base}/api/people/Keanu%20Reeves/costars" class="btn btn-sm btn-outline-primary">Co-stars</a>
+                  </div>
+                </div>
+              </div>
+              <div class="card mb-3">
+                <div class="card-body">
+                  <h5><code>GET /api/users/:id/profile</code></h5>
+                  <p class="mb-0">A user's top genres and favourite actors; users rate movies and keep a watchlist and watch history with <code>PUT /api/users/:id/ratings/:title</code>, <code>/watchlist/:title</code> and <code>/watched/:title</code></p>
+                  <div class="mt-2">
+                    <a href="${base}/api/users/u1/profile" class="btn btn-sm btn-outline-primary">Alice's profile</a>
+                    <a href="${base}/api/users/u1" class="btn btn-sm btn-outline-primary">Alice</a>
+                  </div>
+                </div>
+              </div>
+              <div class="card mb-3">
+                <div class="card-body">
+                  <h5><code>GET /api/paths?from=...&to=...</code></h5>
+                  <p class="mb-0">Shortest connections between two people or movies</p>
+                  <div class="mt-2">
+                    <a href="${base}/api/paths?from=Keanu%20Reeves&to=Heath%20Ledger&genres=true" class="btn btn-sm btn-outline-primary">Keanu Reeves to Heath Ledger</a>
+                  </div>
+                </div>
+              </div>
+              <div class="card mb-3">
+                <div class="card-body">
+                  <h5><code>GET /api/graph/neighborhood?node=...&depth=n</code></h5>
+                  <p class="mb-0">Nodes and relationships around a movie, person or genre, as drawn in the graph above</p>
+                  <div class="mt-2">
+                    <a href="${base}/api/graph/neighborhood?node=The%20Matrix" class="btn btn-sm btn-outline-primary">The Matrix</a>
+                    <a href="${base}/api/graph/neighborhood?node=Science%20Fiction&depth=2&labels=Movie,Genre" class="btn btn-sm btn-outline-primary">Sci-Fi, 2 hops</a>
+                  </div>
+                </div>
+              </div>
+              <div class="card mb-3">
+                <div class="card-body">
+                  <h5><code>GET /api/movies</code></h5>
+                  <p class="mb-0">Browse movies by genres, years, cast and tagline, with facet counts</p>
+                  <div class="mt-2">
+                    <a href="${base}/api/movies?genres=Action,Science%20Fiction&genreMode=all&sort=year" class="btn btn-sm btn-outline-primary">Action + Sci-Fi</a>
+                    <a href="${base}/api/movies?yearFrom=2005&yearTo=2015&sort=popularity" class="btn btn-sm btn-outline-primary">2005-2015 by popularity</a>
+                  </div>
+                </div>
+              </div>
+              <div class="card mb-3">
+                <div class="card-body">
+                  <h5><code>GET /api/movies/by-genre/:genre</code></h5>
+                  <p class="mb-0">Get movies by genre</p>
+                  <div class="mt-2">
+                    <a href="${base}/api/movies/by-genre/Action" class="btn btn-sm btn-outline-primary">Action</a>
+                    <a href="${base}/api/movies/by-genre/Science%20Fiction" class="btn btn-sm btn-outline-primary">Sci-Fi</a>
+                  </div>
+                </div>
+              </div>
+            </div>
+            <div class="col-md-6">
+              <div class="card mb-3">
+                <div class="card-body">
+                  <h5><code>GET /api/movies/:title</code></h5>
+                  <p class="mb-0">Get movie details including cast</p>
+                  <div class="mt-2">
+                    <a href="${base}/api/movies/The%20Matrix" class="btn btn-sm btn-outline-primary">The Matrix</a>
+                    <a href="${base}/api/movies/Inception" class="btn btn-sm btn-outline-primary">Inception</a>
+                  </div>
+                </div>
+              </div>
+              <div class="card mb-3">
+                <div class="card-body">
+                  <h5><code>GET /api/movies/:title/recommendations</code></h5>
+                  <p class="mb-0">Get recommended movies</p>
+                  <div class="mt-2">
+                    <a href="${base}/api/movies/The%20Matrix/recommendations" class="btn btn-sm btn-outline-primary">Matrix Recs</a>
+                    <a href="${base}/api/movies/Interstellar/recommendations" class="btn btn-sm btn-outline-primary">Interstellar Recs</a>
+                    <a href="${base}/api/movies/Inception/recommendations?strategy=collaborative" class="btn btn-sm btn-outline-primary">Inception (collaborative)</a>
+                    <a href="${base}/api/movies/The%20Matrix/recommendations?strategy=hybrid&weights=genre:0.4,cast:0.2,year:0.4" class="btn btn-sm btn-outline-primary">Matrix (hybrid)</a>
+                    <a href="${base}/api/movies/Inception/recommendations?explain=true" class="btn btn-sm btn-outline-primary">Inception (explained)</a>
+                  </div>
+                </div>
+              </div>
+              <div class="card mb-3">
+                <div class="card-body">
+                  <h5><code>POST / PATCH / DELETE /api/movies, /api/people, /api/genres</code></h5>
+                  <p class="mb-0">Maintain the catalogue; link cast with <code>PUT /api/movies/:title/cast/:name</code> and genres with <code>PUT /api/movies/:title/genres/:genre</code></p>
+                </div>
+              </div>
+              <div class="card mb-3">
+                <div class="card-body">
+                  <h5><code>GET /api/search?q=query</code></h5>
+                  <p class="mb-0">Full-text search of movies and people</p>
+                  <div class="mt-2">
+                    <a href="${base}/api/search?q=dark" class="btn btn-sm btn-outline-primary">Search "dark"</a>
+                    <a href="${base}/api/search?q=inter" class="btn btn-sm btn-outline-primary">Search "inter"</a>
+                    <a href="${base}/api/search?q=keanu%20reevs" class="btn btn-sm btn-outline-primary">Search "keanu reevs"</a>
+                  </div>
+                </div>
+              </div>
+              <div class="card mb-3">
+                <div class="card-body">
+                  <h5><code>POST /graphql</code></h5>
+                  <p class="mb-0">Query movies, cast and genres to any depth in one request</p>
+                  <div class="mt-2">
+                    <a href="${base}/graphql?query=%7Bmovie(title%3A%22The%20Matrix%22)%7Btitle%20cast%7Broles%20person%7Bname%20filmography%7Bmovie%7Btitle%7D%7D%7D%7D%7D%7D" class="btn btn-sm btn-outline-primary">The Matrix, cast and their movies</a>
+                  </div>
+                </div>
+              </div>
+            </div>
+          </div>
+        </div>
+      </div>
+      
+      <!-- Debug links -->
+      ${process.env.NODE_ENV !== 'production' ? `
+      <div class="container mt-5">
+        <div class="d-flex justify-content-center">
+          <a href="/db-status" class="btn btn-outline-secondary me-2">Database Status</a>
+          <a href="/ready" class="btn btn-outline-secondary me-2">Check Readiness</a>
+          <a href="/health" class="btn btn-outline-secondary me-2">Health Check</a>
+          <a href="/metrics" class="btn btn-outline-secondary">Metrics</a>
+        </div>
+      </div>
+      ` : ''}
+      
+      <script src="https://cdn.jsdelivr.net/npm/bootstrap@5.3.0/dist/js/bootstrap.bundle.min.js"></script>
+      <script src="https://cdn.jsdelivr.net/npm/d3@7/dist/d3.min.js"></script>
+      <script src="${base}/graph.js"></script>
+    </body>
+    </html>
+  `);
+});
+
+app.get('/ready', async (req, res) => {
+  try {
+    await getRepository().ping();
+    res.status(200).json({ status: 'READY', database: 'CONNECTED' });
+  } catch (error) {
+    logger.error('Readiness check failed:', error);
+    res.status(503).json({ status: 'NOT READY', reason: 'Database connection failed' });
+  }
+});
+
+// API routes. Credentials and quotas are checked here rather than app-wide
+// so that /health, /ready and /metrics keep answering load balancers and
+// scrapers without them.
+app.use('/api', authenticate, limitRequests(), requireReader, routes);
+app.use('/graphql', authenticate, limitRequests(), requireReader, graphqlRoutes);
+
+// Serve static frontend files
+app.use(express.static('public'));
+
+// Error handling middleware
+app.use((err, req, res, next) => {
+  // Client errors raised by middleware, such as malformed JSON bodies
+  if (err.status >= 400 && err.status < 500) {
+    return res.status(err.status).json({ error: err.message });
+  }
+  
+  // Queries the server aborted after config.neo4j.transactionTimeout
+  if (isTransactionTimeout(err)) {
+    return res.status(503).json({ error: 'The query took too long and was cancelled' });
+  }
+  
+  logger.error(`Request ${req.id} failed: ${err.stack}`);
+  res.status(500).json({
+    error: 'Internal Server Error',
+    message: process.env.NODE_ENV === 'production' ? 'Something went wrong' : err.message
+  });
+});
+
+export default app;
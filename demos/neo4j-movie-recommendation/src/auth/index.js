@@ -0,0 +1,141 @@
+// Authentication by API key or JWT, and role checks for routes.
+// Roles are ordered: an editor can do everything a viewer can, and an admin
+// everything an editor can.
+import jwt from 'jsonwebtoken';
+import { config } from '../config.js';
+import { logger } from '../utils/logger.js';
+import { verifyApiKey } from './keys.js';
+
+export const ROLES = ['viewer', 'editor', 'admin'];
+
+/**
+ * Sign a bearer token with JWT_SECRET
+ * @param {string} subject - Who the token is for
+ * @param {string} role - One of ROLES
+ * @param {string} [expiresIn] - e.g. "1h" or "7d"
+ * @returns {string}
+ */
+export function signToken(subject, role, expiresIn = '1h') {
+  if (!config.auth.jwtSecret) {
+    throw new Error('JWT_SECRET is not set');
+  }
+  return jwt.sign({ role }, config.auth.jwtSecret, {
+    subject,
+    expiresIn,
+    algorithm: 'HS256',
+    ...(config.auth.jwtIssuer ? { issuer: config.auth.jwtIssuer } : {})
+  });
+}
+
+/**
+ * Identify the caller from an X-API-Key header or an Authorization: Bearer
+ * token, setting req.auth to {subject, role, method}. Requests without
+ * credentials continue anonymously; bad credentials are refused outright.
+ */
+export async function authenticate(req, res, next) {
+  req.auth = null;
+
+  if (!config.auth.enabled) {
+    req.auth = { subject: 'anonymous', role: 'admin', method: 'none' };
+    return next();
+  }
+
+  try {
+    const apiKey = req.get('X-API-Key');
+    const [scheme, token] = (req.get('Authorization') || '').split(' ');
+
+    if (apiKey) {
+      const record = await verifyApiKey(apiKey);
+      if (!record) {
+        return res.status(401).json({ error: 'Invalid API key' });
+      }
+      req.auth = { subject: record.name, role: record.role, method: 'api-key' };
+    } else if (scheme === 'Bearer' && token) {
+      if (!config.auth.jwtSecret) {
+        return res.status(401).json({ error: 'Bearer tokens are not accepted by this server' });
+      }
+      let claims;
+      try {
+        claims = jwt.verify(token, config.auth.jwtSecret, {
+          algorithms: ['HS256'],
+          ...(config.auth.jwtIssuer ? { issuer: config.auth.jwtIssuer } : {})
+        });
+      } catch (error) {
+        return res.status(401).json({ error: `Invalid token: ${error.message}` });
+      }
+      // jwt.verify accepts tokens without an expiry, which would work forever
+      if (claims.exp === undefined) {
+        return res.status(401).json({ error: 'Token has no expiry' });
+      }
+      if (!ROLES.includes(claims.role)) {
+        return res.status(401).json({ error: 'Token has no valid role claim' });
+      }
+      req.auth = { subject: claims.sub, role: claims.role, method: 'jwt' };
+    }
+
+    next();
+  } catch (error) {
+    logger.error('Error authenticating request:', error);
+    next(error);
+  }
+}
+
+/**
+ * Middleware that lets a request through only if its caller has at least
+ * the given role
+ * @param {string} role - One of ROLES
+ * @returns {Function}
+ */
+export function requireRole(role) {
+  const required = ROLES.indexOf(role);
+
+  return (req, res, next) => {
+    if (!req.auth) {
+      res.set('WWW-Authenticate', 'Bearer, ApiKey');
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+    if (ROLES.indexOf(req.auth.role) < required) {
+      logger.warn(`${req.auth.subject} (${req.auth.role}) denied ${req.method} ${req.originalUrl}`);
+      return res.status(403).json({ error: `Requires the ${role} role` });
+    }
+    next();
+  };
+}
+
+/**
+ * Middleware for a user's own data: lets the request through if the caller
+ * is the user in the :id route parameter (a token whose subject is the user
+ * id), or has at least the given role. API keys never count as the user, as
+ * their names are free-form and could be anyone's id.
+ * @param {string} role - One of ROLES
+ * @returns {Function}
+ */
+export function requireSelfOrRole(role) {
+  const required = ROLES.indexOf(role);
+
+  return (req, res, next) => {
+    if (!req.auth) {
+      res.set('WWW-Authenticate', 'Bearer, ApiKey');
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+    const self = req.auth.method === 'jwt' && req.auth.subject === req.params.id;
+    if (!self && ROLES.indexOf(req.auth.role) < required) {
+      logger.warn(`${req.auth.subject} (${req.auth.role}) denied ${req.method} ${req.originalUrl}`);
+      return res.status(403).json({ error: `Only the user or the ${role} role may do this` });
+    }
+    next();
+  };
+}
+
+const requireViewer = requireRole('viewer');
+
+/**
+ * Middleware for read endpoints: open unless AUTH_PUBLIC_READS=false, in
+ * which case the caller must be at least a viewer
+ */
+export function requireReader(req, res, next) {
+  if (config.auth.publicReads) {
+    return next();
+  }
+  requireViewer(req, res, next);
+}
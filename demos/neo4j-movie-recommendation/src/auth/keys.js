@@ -0,0 +1,98 @@
+// API keys kept in a local JSON file. Only a SHA-256 hash of each key's
+// secret is stored; the full key is shown once, when it is created.
+import crypto from 'crypto';
+import fs from 'fs';
+import { config } from '../config.js';
+
+// Parsed key file and the modification time it was read at
+let loaded = { mtimeMs: null, keys: [] };
+
+/**
+ * Read the key file, reusing the last read while the file is unchanged
+ * @returns {Promise<object[]>}
+ */
+async function readKeys() {
+  let stats;
+  try {
+    stats = await fs.promises.stat(config.auth.keysFile);
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  if (stats.mtimeMs !== loaded.mtimeMs) {
+    const keys = JSON.parse(await fs.promises.readFile(config.auth.keysFile, 'utf8'));
+    loaded = { mtimeMs: stats.mtimeMs, keys };
+  }
+  return loaded.keys;
+}
+
+async function writeKeys(keys) {
+  await fs.promises.writeFile(config.auth.keysFile, JSON.stringify(keys, null, 2) + '\n', { mode: 0o600 });
+  // Two writes within the file system's timestamp resolution would otherwise look unchanged
+  const stats = await fs.promises.stat(config.auth.keysFile);
+  loaded = { mtimeMs: stats.mtimeMs, keys };
+}
+
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+/**
+ * Create an API key
+ * @param {string} name - Who or what the key is for
+ * @param {string} role - One of ROLES
+ * @returns {Promise<{key: string, record: object}>} - The key, to hand over, and its stored record
+ */
+export async function createApiKey(name, role) {
+  const id = crypto.randomBytes(6).toString('hex');
+  const secret = crypto.randomBytes(24).toString('base64url');
+  const record = { id, name, role, hash: hashSecret(secret), createdAt: new Date().toISOString() };
+
+  await writeKeys([...await readKeys(), record]);
+  return { key: `${id}.${secret}`, record };
+}
+
+/**
+ * Stored keys, without their hashes
+ * @returns {Promise<object[]>}
+ */
+export async function listApiKeys() {
+  return (await readKeys()).map(({ hash, ...record }) => record);
+}
+
+/**
+ * Delete a key so it stops working
+ * @param {string} id
+ * @returns {Promise<boolean>} - Whether the key existed
+ */
+export async function revokeApiKey(id) {
+  const keys = await readKeys();
+  const remaining = keys.filter(record => record.id !== id);
+  if (remaining.length === keys.length) {
+    return false;
+  }
+  await writeKeys(remaining);
+  return true;
+}
+
+/**
+ * Look up the record of a presented key
+ * @param {string} key - "<id>.<secret>"
+ * @returns {Promise<object|null>} - The key's record, or null if the key is unknown or wrong
+ */
+export async function verifyApiKey(key) {
+  const [id, secret] = String(key).split('.');
+  if (!id || !secret) {
+    return null;
+  }
+
+  const record = (await readKeys()).find(stored => stored.id === id);
+  if (!record) {
+    return null;
+  }
+
+  const expected = Buffer.from(record.hash, 'hex');
+  const actual = Buffer.from(hashSecret(secret), 'hex');
+  return crypto.timingSafeEqual(expected, actual) ? record : null;
+}
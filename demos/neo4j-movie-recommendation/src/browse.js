@@ -0,0 +1,142 @@
+// Faceted movie browsing: combined filters, sorting and facet counts
+import neo4j from 'neo4j-driver';
+import { readTransaction, safeInt } from './neo4j.js';
+
+// Sort keys and the expression each one orders by
+export const SORT_FIELDS = {
+  title: 'm.title',
+  year: 'm.released',
+  popularity: 'popularity'
+};
+
+/**
+ * Turn browse query-string parameters into filters
+ * @param {object} query - req.query
+ * @returns {{filters?: object, error?: string}}
+ */
+export function parseBrowseFilters(query) {
+  const {
+    genres, genreMode = 'any', yearFrom, yearTo, actor, tagline,
+    sort = 'year', order = sort === 'title' ? 'asc' : 'desc'
+  } = query;
+
+  const years = {};
+  for (const [name, value] of Object.entries({ yearFrom, yearTo })) {
+    if (value === undefined || value === '') {
+      years[name] = null;
+      continue;
+    }
+    const year = Number(value);
+    if (!Number.isInteger(year)) {
+      return { error: `${name} must be a year` };
+    }
+    years[name] = year;
+  }
+
+  if (!['any', 'all'].includes(genreMode)) {
+    return { error: "genreMode must be 'any' or 'all'" };
+  }
+  if (!SORT_FIELDS[sort]) {
+    return { error: `sort must be one of ${Object.keys(SORT_FIELDS).join(', ')}` };
+  }
+  if (!['asc', 'desc'].includes(order)) {
+    return { error: "order must be 'asc' or 'desc'" };
+  }
+
+  return {
+    filters: {
+      genres: genres ? String(genres).split(',').map(genre => genre.trim()).filter(Boolean) : [],
+      genreMode,
+      ...years,
+      actor: actor || null,
+      tagline: tagline || null,
+      sort,
+      order
+    }
+  };
+}
+
+const FILTER_CLAUSE = `MATCH (m:Movie)
+  WHERE ($yearFrom IS NULL OR m.released >= $yearFrom)
+    AND ($yearTo IS NULL OR m.released <= $yearTo)
+    AND ($tagline IS NULL OR toLower(m.tagline) CONTAINS toLower($tagline))
+    AND ($actor IS NULL OR EXISTS { (m)<-[:ACTED_IN]-(:Person {name: $actor}) })
+    AND (size($genres) = 0
+      OR ($genreMode = 'all' AND all(genre IN $genres WHERE EXISTS { (m)-[:IN_GENRE]->(:Genre {name: genre}) }))
+      OR ($genreMode = 'any' AND any(genre IN $genres WHERE EXISTS { (m)-[:IN_GENRE]->(:Genre {name: genre}) })))`;
+
+/**
+ * Find movies matching the filters, with counts per genre and per decade
+ * across every match (not just the returned page)
+ * @param {object} filters - From parseBrowseFilters
+ * @param {object} page
+ * @param {number} page.skip
+ * @param {number} page.limit
+ * @returns {Promise<{movies: object[], total: number, facets: object}>}
+ */
+export async function browseMovies(filters, { skip, limit }) {
+  const params = {
+    genres: filters.genres,
+    genreMode: filters.genreMode,
+    yearFrom: filters.yearFrom,
+    yearTo: filters.yearTo,
+    actor: filters.actor,
+    tagline: filters.tagline
+  };
+
+  // Sort field and direction come from whitelists, so they can be inlined.
+  // The page and the facets come from one transaction, so they agree.
+  const [moviesResult, facetsResult] = await readTransaction(async tx => [
+    await tx.run(
+      `${FILTER_CLAUSE}
+       WITH m, COUNT { (m)<-[:RATED]-(:User) } AS popularity
+       RETURN m.title AS title, m.released AS released, m.tagline AS tagline,
+              m.poster_image AS posterImage, popularity,
+              [(m)-[:IN_GENRE]->(g:Genre) | g.name] AS genres
+       ORDER BY ${SORT_FIELDS[filters.sort]} ${filters.order.toUpperCase()}, m.title
+       SKIP $skip LIMIT $limit`,
+      { ...params, skip: neo4j.int(skip), limit: neo4j.int(limit) }
+    ),
+    await tx.run(
+      `${FILTER_CLAUSE}
+       WITH collect(m) AS movies
+       CALL {
+         WITH movies
+         UNWIND movies AS m
+         MATCH (m)-[:IN_GENRE]->(g:Genre)
+         WITH g.name AS name, count(*) AS count
+         ORDER BY count DESC, name
+         RETURN collect({name: name, count: count}) AS genreFacets
+       }
+       CALL {
+         WITH movies
+         UNWIND movies AS m
+         WITH m WHERE m.released IS NOT NULL
+         WITH toInteger(m.released) / 10 * 10 AS decade, count(*) AS count
+         ORDER BY decade
+         RETURN collect({decade: decade, count: count}) AS decadeFacets
+       }
+       RETURN size(movies) AS total, genreFacets, decadeFacets`,
+      params
+    )
+  ], { name: 'browse.movies' });
+
+  const movies = moviesResult.records.map(record => ({
+    title: record.get('title'),
+    released: safeInt(record.get('released')),
+    tagline: record.get('tagline'),
+    posterImage: record.get('posterImage'),
+    genres: record.get('genres'),
+    popularity: safeInt(record.get('popularity'))
+  }));
+
+  const facets = facetsResult.records[0];
+  return {
+    movies,
+    total: safeInt(facets.get('total')),
+    facets: {
+      genres: facets.get('genreFacets').map(({ name, count }) => ({ name, count: safeInt(count) })),
+      decades: facets.get('decadeFacets').map(({ decade, count }) => ({ decade: safeInt(decade), count: safeInt(count) }))
+    }
+  };
+}
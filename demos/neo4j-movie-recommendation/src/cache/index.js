@@ -0,0 +1,157 @@
+// Response cache shared by the dashboard and read API routes. Any write to
+// the graph (write APIs, seeding, import, migrations) clears it. The memory
+// backend lives in one process, so only the Redis backend lets a write from
+// the command-line tools clear what a running server has cached.
+import crypto from 'crypto';
+import { config } from '../config.js';
+import { logger } from '../utils/logger.js';
+import { createMemoryCache } from './memory.js';
+import { createRedisCache } from './redis.js';
+import { currentTenant } from '../tenants.js';
+
+let cachePromise;
+
+// Bumped on every invalidation, so a response built from data read before
+// a write is not stored after the write has cleared the cache
+let generation = 0;
+
+/**
+ * Create the configured backend. A Redis server that can't be reached turns
+ * caching off rather than failing requests.
+ * @returns {Promise<object|null>}
+ */
+async function createCache() {
+  const { backend } = config.cache;
+  if (backend === 'none') {
+    return null;
+  }
+  if (backend === 'redis') {
+    try {
+      const cache = await createRedisCache({ url: config.cache.redisUrl, keyPrefix: config.cache.keyPrefix });
+      logger.info(`Caching responses in Redis at ${config.cache.redisUrl}`);
+      return cache;
+    } catch (error) {
+      logger.error(`Could not connect to Redis at ${config.cache.redisUrl}, caching is disabled:`, error);
+      return null;
+    }
+  }
+  if (backend !== 'memory') {
+    logger.warn(`Unknown CACHE_BACKEND '${backend}', using memory`);
+  }
+  return createMemoryCache({ maxEntries: config.cache.maxEntries });
+}
+
+/**
+ * Get the cache backend, or null when caching is off
+ * @returns {Promise<object|null>}
+ */
+export function getCache() {
+  if (!cachePromise) {
+    cachePromise = createCache();
+  }
+  return cachePromise;
+}
+
+/**
+ * Drop every cached response. Call after writing to the graph.
+ */
+export async function invalidateCache() {
+  generation++;
+  const cache = await getCache();
+  if (!cache) {
+    return;
+  }
+  try {
+    await cache.clear();
+    logger.debug('Response cache cleared');
+  } catch (error) {
+    logger.error('Failed to clear the response cache:', error);
+  }
+}
+
+/**
+ * Warn when a write from a command-line tool can't reach a running server's
+ * cache: the memory backend is cleared in this process only, and the server
+ * goes on answering from its own until the responses' TTLs run out
+ * @param {string} action - What is writing, e.g. 'Import'
+ */
+export function warnIfCacheIsLocal(action) {
+  const { backend } = config.cache;
+  if (backend !== 'redis' && backend !== 'none') {
+    logger.warn(`${action} only clears this process's memory cache, so a running server serves cached ` +
+      'responses until they expire; set CACHE_BACKEND=redis to share the cache, or restart the server');
+  }
+}
+
+/**
+ * Close the cache backend's connection, if it has one
+ */
+export async function closeCache() {
+  if (cachePromise) {
+    const cache = await cachePromise;
+    cachePromise = null;
+    if (cache) {
+      await cache.close();
+    }
+  }
+}
+
+/**
+ * Middleware that serves successful GET responses from the cache for the
+ * route group's TTL (config.cache.ttls). Responses carry an ETag, and a
+ * request whose If-None-Match matches it gets 304 Not Modified.
+ * @param {string} group - Key of config.cache.ttls
+ * @returns {Function}
+ */
+export function cacheResponse(group) {
+  return async (req, res, next) => {
+    const ttl = config.cache.ttls[group];
+    const cache = await getCache();
+    if (req.method !== 'GET' || !cache || !ttl) {
+      return next();
+    }
+
+    // Header-selected tenants share URLs, so responses are kept per tenant
+    const key = `response:${currentTenant().id}:${req.originalUrl}`;
+    let entry = null;
+    try {
+      entry = await cache.get(key);
+    } catch (error) {
+      logger.warn(`Response cache read failed for ${key}:`, error);
+    }
+
+    // Let clients keep a copy, but have them check the ETag before reusing it
+    res.set('Cache-Control', 'no-cache');
+    res.vary(config.tenants.header);
+
+    if (entry) {
+      res.set('X-Cache', 'HIT');
+      res.set('ETag', entry.etag);
+      res.type(entry.contentType);
+      // res.send answers 304 itself when If-None-Match matches the ETag
+      return res.send(entry.body);
+    }
+
+    res.set('X-Cache', 'MISS');
+    const started = generation;
+    const send = res.send.bind(res);
+
+    res.send = body => {
+      // Objects come back through here as a string once res.json serializes them
+      if (typeof body !== 'string' || res.statusCode !== 200) {
+        return send(body);
+      }
+
+      const etag = `"${crypto.createHash('sha1').update(body).digest('base64url')}"`;
+      res.set('ETag', etag);
+      if (started === generation) {
+        const contentType = res.get('Content-Type') || 'text/html; charset=utf-8';
+        cache.set(key, { body, etag, contentType }, ttl)
+          .catch(error => logger.warn(`Response cache write failed for ${key}:`, error));
+      }
+      return send(body);
+    };
+
+    next();
+  };
+}
@@ -0,0 +1,45 @@
+// In-process cache backend. Entries are dropped when they expire or, once
+// the cache is full, least recently used first.
+
+/**
+ * Create an in-memory cache
+ * @param {object} options
+ * @param {number} options.maxEntries - Entries kept before evicting
+ * @returns {object} - Cache backend
+ */
+export function createMemoryCache({ maxEntries }) {
+  // Map iteration order is insertion order, so re-inserting on read keeps
+  // the least recently used entry first
+  const entries = new Map();
+
+  return {
+    name: 'memory',
+
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) {
+        return null;
+      }
+      entries.delete(key);
+      if (entry.expires <= Date.now()) {
+        return null;
+      }
+      entries.set(key, entry);
+      return entry.value;
+    },
+
+    async set(key, value, ttlSeconds) {
+      entries.delete(key);
+      entries.set(key, { value, expires: Date.now() + ttlSeconds * 1000 });
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+
+    async clear() {
+      entries.clear();
+    },
+
+    async close() {}
+  };
+}
@@ -0,0 +1,43 @@
+// Cache backend for Redis or any server speaking its protocol, so several
+// app instances share one cache and see each other's invalidations.
+// The redis package is an optional dependency, loaded only when this backend is used.
+
+/**
+ * Create a Redis-backed cache
+ * @param {object} options
+ * @param {string} options.url - e.g. redis://localhost:6379
+ * @param {string} options.keyPrefix - Prefix for every key this cache writes
+ * @returns {Promise<object>} - Cache backend
+ */
+export async function createRedisCache({ url, keyPrefix }) {
+  const { createClient } = await import('redis');
+  const client = createClient({ url });
+  await client.connect();
+
+  return {
+    name: 'redis',
+
+    async get(key) {
+      const value = await client.get(keyPrefix + key);
+      return value === null ? null : JSON.parse(value);
+    },
+
+    async set(key, value, ttlSeconds) {
+      await client.set(keyPrefix + key, JSON.stringify(value), { EX: ttlSeconds });
+    },
+
+    async clear() {
+      const keys = [];
+      for await (const key of client.scanIterator({ MATCH: `${keyPrefix}*`, COUNT: 500 })) {
+        keys.push(key);
+      }
+      if (keys.length > 0) {
+        await client.unlink(keys);
+      }
+    },
+
+    async close() {
+      await client.quit();
+    }
+  };
+}
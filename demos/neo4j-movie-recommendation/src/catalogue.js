@@ -0,0 +1,267 @@
+// Create, update and delete operations for movies, people, genres and their links
+import { runQuery, safeInt } from './neo4j.js';
+import { invalidateCache } from './cache/index.js';
+
+export const movieSchema = {
+  title: { type: 'string', required: true, maxLength: 200 },
+  released: { type: 'integer', min: 1888, max: 2100 },
+  tagline: { type: 'string', maxLength: 500 },
+  posterImage: { type: 'string', maxLength: 2000 }
+};
+
+export const personSchema = {
+  name: { type: 'string', required: true, maxLength: 200 },
+  profileImage: { type: 'string', maxLength: 2000 }
+};
+
+export const genreSchema = {
+  name: { type: 'string', required: true, maxLength: 100 }
+};
+
+export const castSchema = {
+  roles: { type: 'array', required: true, items: { type: 'string', maxLength: 200 } }
+};
+
+// API field name to node property name
+const movieProperties = { title: 'title', released: 'released', tagline: 'tagline', posterImage: 'poster_image' };
+const personProperties = { name: 'name', profileImage: 'profile_image' };
+
+/**
+ * Rename validated API fields to node properties
+ * @param {object} body - Validated request body
+ * @param {object} mapping - API field name to property name
+ * @returns {object}
+ */
+function toProperties(body, mapping) {
+  return Object.fromEntries(Object.entries(body)
+    .filter(([field]) => Object.hasOwn(mapping, field))
+    .map(([field, value]) => [mapping[field], value]));
+}
+
+/**
+ * Run a write query, then drop cached responses that may show the old data
+ * @param {string} query - Cypher query
+ * @param {object} params - Parameters for the query
+ * @param {object} [options] - Passed on to runQuery
+ * @returns {Promise<object>} - Query results
+ */
+export async function runWrite(query, params, options) {
+  const result = await runQuery(query, params, options);
+  await invalidateCache();
+  return result;
+}
+
+function formatMovie(node) {
+  return {
+    title: node.properties.title,
+    released: safeInt(node.properties.released),
+    tagline: node.properties.tagline,
+    posterImage: node.properties.poster_image
+  };
+}
+
+function formatPerson(node) {
+  return {
+    name: node.properties.name,
+    profileImage: node.properties.profile_image
+  };
+}
+
+/**
+ * Create a movie. Throws a constraint violation if the title is taken.
+ * @param {object} body - Validated against movieSchema
+ * @returns {Promise<object>}
+ */
+export async function createMovie(body) {
+  const result = await runWrite(
+    'CREATE (m:Movie) SET m = $props RETURN m',
+    { props: toProperties(body, movieProperties) },
+    { name: 'catalogue.createMovie' }
+  );
+  return formatMovie(result.records[0].get('m'));
+}
+
+/**
+ * Update some properties of a movie
+ * @param {string} title - Current title
+ * @param {object} body - Validated against movieSchema, partially
+ * @returns {Promise<object|null>} - Updated movie, or null if it doesn't exist
+ */
+export async function updateMovie(title, body) {
+  const result = await runWrite(
+    'MATCH (m:Movie {title: $title}) SET m += $props RETURN m',
+    { title, props: toProperties(body, movieProperties) },
+    { name: 'catalogue.updateMovie' }
+  );
+  return result.records.length > 0 ? formatMovie(result.records[0].get('m')) : null;
+}
+
+/**
+ * Delete a movie and its relationships
+ * @param {string} title
+ * @returns {Promise<boolean>} - Whether the movie existed
+ */
+export async function deleteMovie(title) {
+  const result = await runWrite(
+    'MATCH (m:Movie {title: $title}) DETACH DELETE m RETURN count(*) AS deleted',
+    { title },
+    { name: 'catalogue.deleteMovie' }
+  );
+  return safeInt(result.records[0].get('deleted')) > 0;
+}
+
+/**
+ * Create a person. Throws a constraint violation if the name is taken.
+ * @param {object} body - Validated against personSchema
+ * @returns {Promise<object>}
+ */
+export async function createPerson(body) {
+  const result = await runWrite(
+    'CREATE (p:Person) SET p = $props RETURN p',
+    { props: toProperties(body, personProperties) },
+    { name: 'catalogue.createPerson' }
+  );
+  return formatPerson(result.records[0].get('p'));
+}
+
+/**
+ * Update some properties of a person
+ * @param {string} name - Current name
+ * @param {object} body - Validated against personSchema, partially
+ * @returns {Promise<object|null>} - Updated person, or null if they don't exist
+ */
+export async function updatePerson(name, body) {
+  const result = await runWrite(
+    'MATCH (p:Person {name: $name}) SET p += $props RETURN p',
+    { name, props: toProperties(body, personProperties) },
+    { name: 'catalogue.updatePerson' }
+  );
+  return result.records.length > 0 ? formatPerson(result.records[0].get('p')) : null;
+}
+
+/**
+ * Delete a person and their relationships
+ * @param {string} name
+ * @returns {Promise<boolean>} - Whether the person existed
+ */
+export async function deletePerson(name) {
+  const result = await runWrite(
+    'MATCH (p:Person {name: $name}) DETACH DELETE p RETURN count(*) AS deleted',
+    { name },
+    { name: 'catalogue.deletePerson' }
+  );
+  return safeInt(result.records[0].get('deleted')) > 0;
+}
+
+/**
+ * Create a genre. Throws a constraint violation if the name is taken.
+ * @param {object} body - Validated against genreSchema
+ * @returns {Promise<{name: string}>}
+ */
+export async function createGenre(body) {
+  const result = await runWrite(
+    'CREATE (g:Genre {name: $name}) RETURN g.name AS name',
+    { name: body.name },
+    { name: 'catalogue.createGenre' }
+  );
+  return { name: result.records[0].get('name') };
+}
+
+/**
+ * Rename a genre
+ * @param {string} name - Current name
+ * @param {object} body - Validated against genreSchema
+ * @returns {Promise<{name: string}|null>} - Renamed genre, or null if it doesn't exist
+ */
+export async function updateGenre(name, body) {
+  const result = await runWrite(
+    'MATCH (g:Genre {name: $name}) SET g.name = $newName RETURN g.name AS name',
+    { name, newName: body.name },
+    { name: 'catalogue.renameGenre' }
+  );
+  return result.records.length > 0 ? { name: result.records[0].get('name') } : null;
+}
+
+/**
+ * Delete a genre and its relationships
+ * @param {string} name
+ * @returns {Promise<boolean>} - Whether the genre existed
+ */
+export async function deleteGenre(name) {
+  const result = await runWrite(
+    'MATCH (g:Genre {name: $name}) DETACH DELETE g RETURN count(*) AS deleted',
+    { name },
+    { name: 'catalogue.deleteGenre' }
+  );
+  return safeInt(result.records[0].get('deleted')) > 0;
+}
+
+/**
+ * Create or update the ACTED_IN link between a person and a movie
+ * @param {string} title - Movie title
+ * @param {string} name - Person name
+ * @param {object} body - Validated against castSchema
+ * @returns {Promise<object|null>} - The link, or null if the movie or person doesn't exist
+ */
+export async function setCastMember(title, name, body) {
+  const result = await runWrite(
+    `MATCH (m:Movie {title: $title}), (p:Person {name: $name})
+     MERGE (p)-[r:ACTED_IN]->(m)
+     SET r.roles = $roles
+     RETURN r.roles AS roles`,
+    { title, name, roles: body.roles },
+    { name: 'catalogue.setCastMember' }
+  );
+  return result.records.length > 0 ? { title, name, roles: result.records[0].get('roles') } : null;
+}
+
+/**
+ * Remove the ACTED_IN link between a person and a movie
+ * @param {string} title - Movie title
+ * @param {string} name - Person name
+ * @returns {Promise<boolean>} - Whether the link existed
+ */
+export async function removeCastMember(title, name) {
+  const result = await runWrite(
+    `MATCH (:Person {name: $name})-[r:ACTED_IN]->(:Movie {title: $title})
+     DELETE r
+     RETURN count(*) AS deleted`,
+    { title, name },
+    { name: 'catalogue.removeCastMember' }
+  );
+  return safeInt(result.records[0].get('deleted')) > 0;
+}
+
+/**
+ * Put a movie in a genre
+ * @param {string} title - Movie title
+ * @param {string} genre - Genre name
+ * @returns {Promise<object|null>} - The link, or null if the movie or genre doesn't exist
+ */
+export async function addMovieGenre(title, genre) {
+  const result = await runWrite(
+    `MATCH (m:Movie {title: $title}), (g:Genre {name: $genre})
+     MERGE (m)-[:IN_GENRE]->(g)
+     RETURN g.name AS genre`,
+    { title, genre },
+    { name: 'catalogue.addMovieGenre' }
+  );
+  return result.records.length > 0 ? { title, genre } : null;
+}
+
+/**
+ * Take a movie out of a genre
+ * @param {string} title - Movie title
+ * @param {string} genre - Genre name
+ * @returns {Promise<boolean>} - Whether the link existed
+ */
+export async function removeMovieGenre(title, genre) {
+  const result = await runWrite(
+    `MATCH (:Movie {title: $title})-[r:IN_GENRE]->(:Genre {name: $genre})
+     DELETE r
+     RETURN count(*) AS deleted`,
+    { title, genre },
+    { name: 'catalogue.removeMovieGenre' }
+  );
+  return safeInt(result.records[0].get('deleted')) > 0;
+}
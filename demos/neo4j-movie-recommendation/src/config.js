@@ -0,0 +1,162 @@
+// Application settings read from environment variables, with demo-friendly defaults
+
+/**
+ * Parse a numeric environment variable
+ * @param {string} name - Environment variable name
+ * @param {number} fallback - Value used when the variable is unset or invalid
+ * @returns {number}
+ */
+function numberFromEnv(name, fallback) {
+  const value = Number(process.env[name]);
+  return process.env[name] === undefined || Number.isNaN(value) ? fallback : value;
+}
+
+export const config = {
+  neo4j: {
+    // Connections shared by every request and script
+    maxConnectionPoolSize: numberFromEnv('NEO4J_MAX_POOL_SIZE', 50),
+    // Milliseconds a query waits for a free connection before failing
+    connectionAcquisitionTimeout: numberFromEnv('NEO4J_CONNECTION_ACQUISITION_TIMEOUT_MS', 2 * 60 * 1000),
+    // Milliseconds during which a transaction failing with a transient error,
+    // such as a deadlock or a cluster leader switch, is retried
+    maxTransactionRetryTime: numberFromEnv('NEO4J_MAX_TRANSACTION_RETRY_TIME_MS', 15 * 1000),
+    // Milliseconds after which the server aborts a query's transaction, so a
+    // runaway query gives its connection back to the pool
+    transactionTimeout: numberFromEnv('NEO4J_TRANSACTION_TIMEOUT_MS', 15 * 1000),
+    // The same for streamed reads, which export whole graphs
+    streamTransactionTimeout: numberFromEnv('NEO4J_STREAM_TRANSACTION_TIMEOUT_MS', 10 * 60 * 1000),
+    // Queries taking at least this many milliseconds are logged as slow
+    slowQueryThreshold: numberFromEnv('NEO4J_SLOW_QUERY_MS', 1000),
+    // Whether a slow query's log entry includes its plan, fetched with EXPLAIN
+    // when the query didn't ask for one. EXPLAIN doesn't run the query.
+    explainSlowQueries: process.env.NEO4J_EXPLAIN_SLOW_QUERIES !== 'false'
+  },
+  pagination: {
+    // Largest page any list endpoint returns; bigger limits are clamped
+    maxLimit: numberFromEnv('PAGINATION_MAX_LIMIT', 100)
+  },
+  recommendations: {
+    // Strategy used when the request does not ask for one
+    defaultStrategy: process.env.RECOMMENDATION_STRATEGY || 'genre',
+    // Users who must have rated both movies before a co-rating similarity counts
+    minCoRaters: numberFromEnv('RECOMMENDATION_MIN_CO_RATERS', 2),
+    // Default weights of the hybrid score components, overridable per request
+    weights: {
+      genre: numberFromEnv('RECOMMENDATION_WEIGHT_GENRE', 0.5),
+      cast: numberFromEnv('RECOMMENDATION_WEIGHT_CAST', 0.3),
+      year: numberFromEnv('RECOMMENDATION_WEIGHT_YEAR', 0.2)
+    },
+    // Release years this far apart or more score zero for closeness
+    yearWindow: numberFromEnv('RECOMMENDATION_YEAR_WINDOW', 20),
+    // Paths returned per recommended movie when explanations are requested
+    maxExplanationPaths: numberFromEnv('RECOMMENDATION_MAX_EXPLANATION_PATHS', 5)
+  },
+  paths: {
+    // Hops searched when the request does not set maxDepth
+    defaultDepth: numberFromEnv('PATHS_DEFAULT_DEPTH', 6),
+    // Upper bound on maxDepth, as deep searches get expensive quickly
+    maxDepth: numberFromEnv('PATHS_MAX_DEPTH', 10),
+    // Equally short paths returned in addition to the first
+    maxAlternatives: numberFromEnv('PATHS_MAX_ALTERNATIVES', 5)
+  },
+  graph: {
+    // Hops around the chosen node when the request does not set depth
+    defaultDepth: numberFromEnv('GRAPH_DEFAULT_DEPTH', 1),
+    // Upper bound on depth; each hop can multiply the nodes found
+    maxDepth: numberFromEnv('GRAPH_MAX_DEPTH', 3),
+    // Nodes returned besides the chosen one, nearest first
+    maxNodes: numberFromEnv('GRAPH_MAX_NODES', 150)
+  },
+  users: {
+    // Genres and actors shown in a taste profile
+    profileSize: numberFromEnv('USER_PROFILE_SIZE', 5),
+    // Ratings above this count towards liking a movie's genres and cast, ratings below against
+    neutralScore: numberFromEnv('USER_PROFILE_NEUTRAL_SCORE', 2.5),
+    // Weight of a movie the user watched without rating it
+    watchedWeight: numberFromEnv('USER_PROFILE_WATCHED_WEIGHT', 0.5)
+  },
+  importer: {
+    // The admin endpoint only reads catalogues from inside this directory
+    directory: process.env.IMPORT_DIR || 'import',
+    // Rows written per UNWIND transaction
+    batchSize: numberFromEnv('IMPORT_BATCH_SIZE', 1000),
+    // Rejected rows kept in the report; the rest are only counted
+    maxReportedRejections: numberFromEnv('IMPORT_MAX_REPORTED_REJECTIONS', 100)
+  },
+  graphql: {
+    // Deepest field nesting a query may select, e.g. movie { cast { person { name } } } is 4
+    maxDepth: numberFromEnv('GRAPHQL_MAX_DEPTH', 8),
+    // Upper bound on the estimated number of values a query resolves
+    maxComplexity: numberFromEnv('GRAPHQL_MAX_COMPLEXITY', 5000),
+    // Items assumed per list without a limit argument when estimating complexity
+    assumedListSize: numberFromEnv('GRAPHQL_ASSUMED_LIST_SIZE', 10)
+  },
+  cache: {
+    // memory, redis (any Redis-compatible server) or none. Writes from the
+    // command-line tools only clear a running server's cache through redis.
+    backend: process.env.CACHE_BACKEND || 'memory',
+    redisUrl: process.env.REDIS_URL || 'redis://localhost:6379',
+    // Namespaces this app's keys in a shared Redis
+    keyPrefix: process.env.CACHE_KEY_PREFIX || 'movie-api:',
+    // Responses the memory backend holds before evicting the least recently used
+    maxEntries: numberFromEnv('CACHE_MAX_ENTRIES', 1000),
+    // Seconds a cached response is served before it is rebuilt, by route group
+    ttls: {
+      dashboard: numberFromEnv('CACHE_TTL_DASHBOARD', 30),
+      genres: numberFromEnv('CACHE_TTL_GENRES', 300),
+      movies: numberFromEnv('CACHE_TTL_MOVIES', 120),
+      recommendations: numberFromEnv('CACHE_TTL_RECOMMENDATIONS', 300),
+      search: numberFromEnv('CACHE_TTL_SEARCH', 60),
+      people: numberFromEnv('CACHE_TTL_PEOPLE', 120),
+      users: numberFromEnv('CACHE_TTL_USERS', 60),
+      paths: numberFromEnv('CACHE_TTL_PATHS', 300),
+      graph: numberFromEnv('CACHE_TTL_GRAPH', 300)
+    }
+  },
+  auth: {
+    // AUTH_ENABLED=false opens every route to everyone; only for local development
+    enabled: process.env.AUTH_ENABLED !== 'false',
+    // Whether read endpoints and the dashboard answer without credentials. Writes always need an editor, admin routes an admin.
+    publicReads: process.env.AUTH_PUBLIC_READS !== 'false',
+    // Hashed API keys managed with `npm run keys`
+    keysFile: process.env.API_KEYS_FILE || 'api-keys.json',
+    // Secret for HS256 bearer tokens; tokens are refused while it is unset
+    jwtSecret: process.env.JWT_SECRET || null,
+    // Required iss claim of bearer tokens, if set
+    jwtIssuer: process.env.JWT_ISSUER || null
+  },
+  rateLimit: {
+    // RATE_LIMIT_ENABLED=false turns every quota off
+    enabled: process.env.RATE_LIMIT_ENABLED !== 'false',
+    // Quotas are counted per client over this many milliseconds
+    windowMs: numberFromEnv('RATE_LIMIT_WINDOW_MS', 60 * 1000),
+    // Proxies in front of the app whose X-Forwarded-For is trusted, so
+    // anonymous clients are told apart by their own address
+    trustProxy: numberFromEnv('TRUST_PROXY', 0),
+    // Requests a client may make per window, by route group. Every API and
+    // GraphQL request counts against reads or writes; the expensive routes
+    // also count against their own, smaller quota.
+    quotas: {
+      reads: numberFromEnv('RATE_LIMIT_READS', 300),
+      writes: numberFromEnv('RATE_LIMIT_WRITES', 60),
+      search: numberFromEnv('RATE_LIMIT_SEARCH', 60),
+      recommendations: numberFromEnv('RATE_LIMIT_RECOMMENDATIONS', 60),
+      paths: numberFromEnv('RATE_LIMIT_PATHS', 30),
+      graph: numberFromEnv('RATE_LIMIT_GRAPH', 60),
+      graphql: numberFromEnv('RATE_LIMIT_GRAPHQL', 60),
+      admin: numberFromEnv('RATE_LIMIT_ADMIN', 10)
+    }
+  },
+  tenants: {
+    // Catalogues hosted besides the default one, each in a database of its own
+    // or a label namespace of the default database, e.g.
+    // {"acme": {"name": "Acme Films", "database": "acme"}, "demo": {"namespace": "Demo", "seed": false}}
+    file: process.env.TENANTS_FILE || 'tenants.json',
+    // Request header naming the catalogue to use; a /t/<tenant> path prefix does the same
+    header: process.env.TENANT_HEADER || 'X-Tenant'
+  },
+  metrics: {
+    // METRICS_ENABLED=false removes /metrics, e.g. where it would be reachable from outside
+    enabled: process.env.METRICS_ENABLED !== 'false'
+  }
+};
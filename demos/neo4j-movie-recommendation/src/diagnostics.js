@@ -0,0 +1,150 @@
+// What the current tenant's catalogue holds and whether it is fit to serve,
+// for `npm run admin -- status` and `npm run admin -- verify`
+import { connectionInfo, runQuery, safeInt } from './neo4j.js';
+import { checkIsolation, migrationStatus } from './migrate.js';
+import { SEARCH_INDEX } from './search.js';
+import { currentTenant, foreignLabels, qualifyName, tenantLabels } from './tenants.js';
+
+// Constraints the migrations create, and the catalogue's queries rely on
+const REQUIRED_CONSTRAINTS = ['migration_version', 'movie_title', 'person_name', 'genre_name', 'user_id'];
+
+/**
+ * Nodes of each catalogue label, and relationships by type
+ * @returns {Promise<object>}
+ */
+export async function catalogueCounts() {
+  const nodesResult = await runQuery(
+    `RETURN COUNT { (:Movie) } AS movies, COUNT { (:Person) } AS people,
+            COUNT { (:Genre) } AS genres, COUNT { (:User) } AS users`,
+    {},
+    { name: 'diagnostics.countNodes', mode: 'read' }
+  );
+  const relationshipsResult = await runQuery(
+    `MATCH (n)-[r]->()
+     WHERE any(label IN labels(n) WHERE label IN $labels)
+     RETURN type(r) AS type, count(r) AS count
+     ORDER BY type`,
+    { labels: tenantLabels() },
+    { name: 'diagnostics.countRelationships', mode: 'read' }
+  );
+
+  const nodes = nodesResult.records[0];
+  return {
+    movies: safeInt(nodes.get('movies')),
+    people: safeInt(nodes.get('people')),
+    genres: safeInt(nodes.get('genres')),
+    users: safeInt(nodes.get('users')),
+    relationships: Object.fromEntries(relationshipsResult.records.map(record => [record.get('type'), safeInt(record.get('count'))]))
+  };
+}
+
+/**
+ * Whether a constraint or index on these labels belongs to the current
+ * tenant rather than to another one sharing the database
+ * @param {string[]|null} labelsOrTypes - As listed by SHOW CONSTRAINTS or SHOW INDEXES
+ * @returns {boolean}
+ */
+function ownsSchemaEntry(labelsOrTypes) {
+  const labels = labelsOrTypes || [];
+  const foreign = foreignLabels();
+  if (labels.some(label => foreign.includes(label))) {
+    return false;
+  }
+  return !currentTenant().namespace || labels.some(label => tenantLabels().includes(label));
+}
+
+/**
+ * The tenant's constraints and indexes
+ * @returns {Promise<{constraints: object[], indexes: object[]}>}
+ */
+export async function catalogueSchema() {
+  const constraintsResult = await runQuery(
+    'SHOW CONSTRAINTS YIELD name, type, labelsOrTypes, properties',
+    {},
+    { name: 'diagnostics.constraints', mode: 'read' }
+  );
+  const indexesResult = await runQuery(
+    'SHOW INDEXES YIELD name, type, state, labelsOrTypes, properties, populationPercent',
+    {},
+    { name: 'diagnostics.indexes', mode: 'read' }
+  );
+
+  const entries = result => result.records
+    .map(record => Object.fromEntries(record.keys.map(key => [key, record.get(key)])))
+    .filter(entry => ownsSchemaEntry(entry.labelsOrTypes));
+
+  return { constraints: entries(constraintsResult), indexes: entries(indexesResult) };
+}
+
+/**
+ * Everything `admin status` shows: connection, counts, schema and migrations
+ * @returns {Promise<object>}
+ */
+export async function catalogueStatus() {
+  const connection = await connectionInfo();
+  const migrations = await migrationStatus();
+  return {
+    tenant: currentTenant().id,
+    connection,
+    counts: await catalogueCounts(),
+    ...await catalogueSchema(),
+    migrations: {
+      applied: migrations.filter(migration => migration.applied).map(migration => migration.version),
+      pending: migrations.filter(migration => !migration.applied).map(migration => migration.version)
+    }
+  };
+}
+
+/**
+ * Check that the catalogue can serve the API: the database answers, the
+ * schema is complete, the data is sound and the tenant is isolated
+ * @returns {Promise<{tenant: string, checks: object[], ok: boolean}>} - Each check has a name, ok and detail
+ */
+export async function verifyCatalogue() {
+  const checks = [];
+  const check = (name, ok, detail) => checks.push({ name, ok, detail });
+  const report = () => ({ tenant: currentTenant().id, checks, ok: checks.every(({ ok }) => ok) });
+
+  try {
+    const { server } = await connectionInfo();
+    check('connection', true, `${server.agent} at ${server.address}`);
+  } catch (error) {
+    check('connection', false, error.message);
+    return report();
+  }
+
+  const pending = (await migrationStatus()).filter(migration => !migration.applied);
+  check('migrations', pending.length === 0, pending.length === 0
+    ? 'All migrations applied'
+    : `Pending: ${pending.map(({ version }) => version).join(', ')}; run npm run admin -- migrate`);
+
+  const { constraints, indexes } = await catalogueSchema();
+  const missing = REQUIRED_CONSTRAINTS
+    .map(name => qualifyName(name))
+    .filter(name => !constraints.some(constraint => constraint.name === name));
+  check('constraints', missing.length === 0, missing.length === 0 ? 'All present' : `Missing: ${missing.join(', ')}`);
+
+  const searchIndex = indexes.find(index => index.name === qualifyName(SEARCH_INDEX));
+  check('search index', searchIndex?.state === 'ONLINE', searchIndex ? `${searchIndex.name} is ${searchIndex.state}` : 'Missing');
+
+  const counts = await catalogueCounts();
+  check('movies', counts.movies > 0, counts.movies > 0
+    ? `${counts.movies} movie(s)`
+    : 'The catalogue is empty; run npm run admin -- seed or import');
+
+  const dataResult = await runQuery(
+    `RETURN COUNT { (m:Movie) WHERE NOT (m)-[:IN_GENRE]->(:Genre) } AS moviesWithoutGenre,
+            COUNT { (:User)-[r:RATED]->(:Movie) WHERE r.score IS NULL OR r.score < 0.5 OR r.score > 5 } AS invalidRatings`,
+    {},
+    { name: 'diagnostics.checkData', mode: 'read' }
+  );
+  const moviesWithoutGenre = safeInt(dataResult.records[0].get('moviesWithoutGenre'));
+  check('genres', moviesWithoutGenre === 0, `${moviesWithoutGenre} movie(s) without a genre`);
+  const invalidRatings = safeInt(dataResult.records[0].get('invalidRatings'));
+  check('ratings', invalidRatings === 0, `${invalidRatings} rating(s) without a score from 0.5 to 5`);
+
+  const isolation = await checkIsolation();
+  check('isolation', isolation.isolated, isolation.isolated ? 'Isolated from other tenants' : isolation.problems.join('; '));
+
+  return report();
+}
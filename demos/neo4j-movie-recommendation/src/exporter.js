@@ -0,0 +1,261 @@
+// Export the movie graph, or a subgraph of some labels, as JSON, GraphML or a Cypher script
+import neo4j from 'neo4j-driver';
+import { runQuery, streamQuery } from './neo4j.js';
+import { serializeNode, serializeRelationship } from './utils/graph.js';
+import { localizeSchemaStatement, qualifyLabel, unqualifyLabel } from './tenants.js';
+
+export const EXPORT_FORMATS = {
+  json: { contentType: 'application/json', extension: 'json' },
+  graphml: { contentType: 'application/xml', extension: 'graphml' },
+  cypher: { contentType: 'text/plain', extension: 'cypher' }
+};
+
+// Exportable labels and the unique property that identifies their nodes on replay
+export const NODE_KEYS = {
+  Movie: 'title',
+  Person: 'name',
+  Genre: 'name',
+  User: 'id'
+};
+
+/**
+ * Write a chunk to a stream, waiting for it to drain when its buffer is full.
+ * Rejects once the stream is closed or fails, e.g. when an HTTP client goes
+ * away mid-export, so the export stops and its query sessions are closed.
+ * @param {stream.Writable} out
+ * @param {string} chunk
+ */
+async function write(out, chunk) {
+  if (out.destroyed) {
+    throw new Error('Export destination closed');
+  }
+  if (!out.write(chunk)) {
+    await new Promise((resolve, reject) => {
+      const settle = error => {
+        out.off('drain', settle);
+        out.off('close', onClose);
+        out.off('error', settle);
+        return error ? reject(error) : resolve();
+      };
+      const onClose = () => settle(new Error('Export destination closed'));
+      out.once('drain', settle);
+      out.once('close', onClose);
+      out.once('error', settle);
+    });
+  }
+}
+
+const NODES_QUERY = `MATCH (n)
+  WHERE any(label IN labels(n) WHERE label IN $labels)
+  RETURN n`;
+
+const RELATIONSHIPS_QUERY = `MATCH (a)-[r]->(b)
+  WHERE any(label IN labels(a) WHERE label IN $labels)
+    AND any(label IN labels(b) WHERE label IN $labels)
+  RETURN a, r, b`;
+
+/**
+ * Format a value as a Cypher literal
+ * @param {*} value - Property value as returned by the driver
+ * @returns {string}
+ */
+export function cypherLiteral(value) {
+  if (value === null || value === undefined) return 'null';
+  if (neo4j.isInt(value)) return value.toString();
+  if (typeof value === 'number') {
+    // Keep floats as floats on replay, e.g. 1999.0 rather than 1999
+    return Number.isInteger(value) ? `${value}.0` : String(value);
+  }
+  if (typeof value === 'boolean') return String(value);
+  if (Array.isArray(value)) return `[${value.map(cypherLiteral).join(', ')}]`;
+  if (typeof value === 'object') {
+    const entries = Object.entries(value).map(([key, item]) => `\`${key.replace(/`/g, '``')}\`: ${cypherLiteral(item)}`);
+    return `{${entries.join(', ')}}`;
+  }
+  const escaped = String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/'/g, "\\'")
+    .replace(/\n/g, '\\n')
+    .replace(/\r/g, '\\r');
+  return `'${escaped}'`;
+}
+
+/**
+ * Cypher pattern that matches a node by its label's unique key
+ * @param {neo4j.Node} node
+ * @param {string} variable
+ * @returns {string}
+ */
+function keyPattern(node, variable) {
+  const label = node.labels.map(name => unqualifyLabel(name)).find(name => NODE_KEYS[name]);
+  const key = NODE_KEYS[label];
+  return `(${variable}:\`${label}\` {\`${key}\`: ${cypherLiteral(node.properties[key])}})`;
+}
+
+function escapeXml(text) {
+  return String(text).replace(/[<>&"']/g, char => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&apos;' })[char]);
+}
+
+/**
+ * GraphML <data> elements for a set of properties. Lists are written as JSON.
+ */
+function graphmlData(properties) {
+  return Object.entries(properties)
+    .map(([key, value]) => `<data key="${escapeXml(key)}">${escapeXml(Array.isArray(value) ? JSON.stringify(value) : value)}</data>`)
+    .join('');
+}
+
+const writers = {
+  json: {
+    async start(out) {
+      await write(out, '{"nodes":[');
+    },
+    async node(out, node, index) {
+      await write(out, (index > 0 ? ',' : '') + JSON.stringify(serializeNode(node)));
+    },
+    async between(out) {
+      await write(out, '],"relationships":[');
+    },
+    async relationship(out, { r }, index) {
+      await write(out, (index > 0 ? ',' : '') + JSON.stringify(serializeRelationship(r)));
+    },
+    async end(out) {
+      await write(out, ']}\n');
+    }
+  },
+
+  graphml: {
+    async start(out, { propertyKeys }) {
+      await write(out, '<?xml version="1.0" encoding="UTF-8"?>\n');
+      await write(out, '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">\n');
+      await write(out, '<key id="labels" for="node" attr.name="labels" attr.type="string"/>\n');
+      await write(out, '<key id="label" for="edge" attr.name="label" attr.type="string"/>\n');
+      for (const key of propertyKeys) {
+        await write(out, `<key id="${escapeXml(key)}" for="all" attr.name="${escapeXml(key)}" attr.type="string"/>\n`);
+      }
+      await write(out, '<graph id="G" edgedefault="directed">\n');
+    },
+    async node(out, node) {
+      const { id, labels, properties } = serializeNode(node);
+      const labelList = labels.map(label => `:${label}`).join('');
+      await write(out, `<node id="${escapeXml(id)}" labels="${escapeXml(labelList)}"><data key="labels">${escapeXml(labelList)}</data>${graphmlData(properties)}</node>\n`);
+    },
+    async between() {},
+    async relationship(out, { r }) {
+      const { id, type, start, end, properties } = serializeRelationship(r);
+      await write(out, `<edge id="${escapeXml(id)}" source="${escapeXml(start)}" target="${escapeXml(end)}" label="${escapeXml(type)}"><data key="label">${escapeXml(type)}</data>${graphmlData(properties)}</edge>\n`);
+    },
+    async end(out) {
+      await write(out, '</graph>\n</graphml>\n');
+    }
+  },
+
+  cypher: {
+    async start(out, { schemaStatements }) {
+      await write(out, `// Movie graph export, ${new Date().toISOString()}\n`);
+      for (const statement of schemaStatements) {
+        await write(out, `${statement};\n`);
+      }
+    },
+    async node(out, node) {
+      await write(out, `MERGE ${keyPattern(node, 'n')} SET n += ${cypherLiteral(node.properties)};\n`);
+    },
+    async between() {},
+    async relationship(out, { a, r, b }) {
+      await write(out, `MATCH ${keyPattern(a, 'a')}, ${keyPattern(b, 'b')} MERGE (a)-[r:\`${r.type}\`]->(b) SET r += ${cypherLiteral(r.properties)};\n`);
+    },
+    async end() {}
+  }
+};
+
+/**
+ * Statements that recreate the tenant's constraints and indexes, made safe
+ * to replay onto a database that already has some of them
+ * @returns {Promise<string[]>}
+ */
+async function getSchemaStatements() {
+  const constraints = await runQuery('SHOW CONSTRAINTS YIELD createStatement RETURN createStatement', {}, { name: 'export.constraints', mode: 'read' });
+  const indexes = await runQuery(
+    `SHOW INDEXES YIELD createStatement, owningConstraint, type
+     WHERE owningConstraint IS NULL AND type <> 'LOOKUP'
+     RETURN createStatement`,
+    {},
+    { name: 'export.indexes', mode: 'read' }
+  );
+  return [...constraints.records, ...indexes.records]
+    .map(record => localizeSchemaStatement(record.get('createStatement')))
+    .filter(Boolean)
+    .map(statement => statement.replace(/^(CREATE .*?(?:CONSTRAINT|INDEX) `(?:[^`]|``)+`)/, '$1 IF NOT EXISTS'));
+}
+
+// Reads the graph from Neo4j. Nodes are matched on the labels they are
+// stored with, and written with the labels the API uses.
+const neo4jSource = {
+  async propertyKeys() {
+    const result = await runQuery('CALL db.propertyKeys() YIELD propertyKey RETURN propertyKey ORDER BY propertyKey', {}, { name: 'export.propertyKeys', mode: 'read' });
+    return result.records.map(record => record.get('propertyKey'));
+  },
+
+  schemaStatements: getSchemaStatements,
+
+  async* nodes(labels) {
+    const storedLabels = labels.map(label => qualifyLabel(label));
+    for await (const record of streamQuery(NODES_QUERY, { labels: storedLabels }, { name: 'export.nodes' })) {
+      yield record.get('n');
+    }
+  },
+
+  async* relationships(labels) {
+    const storedLabels = labels.map(label => qualifyLabel(label));
+    for await (const record of streamQuery(RELATIONSHIPS_QUERY, { labels: storedLabels }, { name: 'export.relationships' })) {
+      yield { a: record.get('a'), r: record.get('r'), b: record.get('b') };
+    }
+  }
+};
+
+/**
+ * Stream the graph to a writable stream. Only nodes with one of the given
+ * labels are exported, and only relationships between exported nodes.
+ * @param {string} format - Key of EXPORT_FORMATS
+ * @param {stream.Writable} out - Destination, such as an HTTP response or file
+ * @param {object} [options]
+ * @param {string[]} [options.labels] - Labels to export, defaults to every key of NODE_KEYS
+ * @param {object} [options.source] - Where the graph is read from, Neo4j unless given an object
+ *   with the methods of neo4jSource that yields driver-shaped nodes and relationships
+ * @returns {Promise<{nodes: number, relationships: number}>}
+ */
+export async function exportGraph(format, out, { labels = Object.keys(NODE_KEYS), source = neo4jSource } = {}) {
+  const writer = writers[format];
+  if (!writer) {
+    throw new Error(`Unknown export format '${format}'`);
+  }
+
+  const propertyKeys = await source.propertyKeys();
+  const schemaStatements = format === 'cypher' ? await source.schemaStatements() : [];
+  const counts = { nodes: 0, relationships: 0 };
+
+  await writer.start(out, { propertyKeys, schemaStatements });
+  for await (const node of source.nodes(labels)) {
+    await writer.node(out, node, counts.nodes++);
+  }
+  await writer.between(out);
+  for await (const { a, r, b } of source.relationships(labels)) {
+    await writer.relationship(out, { a, r, b }, counts.relationships++);
+  }
+  await writer.end(out);
+
+  return counts;
+}
+
+/**
+ * Parse a comma-separated label filter
+ * @param {string} [value] - e.g. "Movie,Genre"
+ * @returns {string[]|null} - Labels, or null when one isn't exportable
+ */
+export function parseLabels(value) {
+  if (!value) {
+    return Object.keys(NODE_KEYS);
+  }
+  const labels = String(value).split(',').map(label => label.trim()).filter(Boolean);
+  return labels.length > 0 && labels.every(label => NODE_KEYS[label]) ? labels : null;
+}
@@ -0,0 +1,244 @@
+// Resolve each top-level GraphQL field with a single Cypher query. The whole
+// nested selection is translated into one projection, so movie → cast →
+// filmography costs one round trip rather than a query per movie and person.
+import neo4j from 'neo4j-driver';
+import {
+  getArgumentValues, getDirectiveValues, getNamedType, GraphQLError,
+  GraphQLIncludeDirective, GraphQLSkipDirective, Kind
+} from 'graphql';
+import { runQuery } from '../neo4j.js';
+import { config } from '../config.js';
+
+/**
+ * Whether @skip and @include leave a selection in the query
+ */
+function isIncluded(selection, variables) {
+  const skip = getDirectiveValues(GraphQLSkipDirective, selection, variables);
+  const include = getDirectiveValues(GraphQLIncludeDirective, selection, variables);
+  return !(skip && skip.if) && !(include && !include.if);
+}
+
+/**
+ * Group the fields of some selection sets by response key, expanding fragments
+ * @param {object[]} selectionSets - SelectionSet AST nodes
+ * @param {object} fragments - Fragment definitions by name
+ * @param {object} variables - Coerced variable values
+ * @param {Map} [fields] - Accumulator
+ * @returns {Map<string, object[]>} - Field AST nodes by alias or name
+ */
+export function collectFields(selectionSets, fragments, variables, fields = new Map()) {
+  for (const selectionSet of selectionSets) {
+    if (!selectionSet) continue;
+    for (const selection of selectionSet.selections) {
+      if (!isIncluded(selection, variables)) continue;
+      if (selection.kind === Kind.FIELD) {
+        const key = selection.alias ? selection.alias.value : selection.name.value;
+        fields.set(key, [...(fields.get(key) || []), selection]);
+      } else if (selection.kind === Kind.INLINE_FRAGMENT) {
+        collectFields([selection.selectionSet], fragments, variables, fields);
+      } else if (fragments[selection.name.value]) {
+        collectFields([fragments[selection.name.value].selectionSet], fragments, variables, fields);
+      }
+    }
+  }
+  return fields;
+}
+
+/**
+ * Clamp a list limit argument to the configured maximum page size
+ * @param {number|null} limit
+ * @returns {number|null}
+ */
+function clampLimit(limit) {
+  if (limit === null || limit === undefined) {
+    return null;
+  }
+  if (limit < 0) {
+    throw new GraphQLError('limit must not be negative');
+  }
+  return Math.min(limit, config.pagination.maxLimit);
+}
+
+// Cypher for each field, given the variable (or, for Role, the variables)
+// bound to the parent, the field's arguments and the query being built.
+// nested() projects the field's own selection onto the variable passed to it.
+const FIELDS = {
+  Movie: {
+    title: m => `${m}.title`,
+    released: m => `${m}.released`,
+    tagline: m => `${m}.tagline`,
+    posterImage: m => `${m}.poster_image`,
+    popularity: m => `COUNT { (${m})<-[:RATED]-(:User) }`,
+    genres: (m, args, { variable, nested }) => {
+      const g = variable('g');
+      return `COLLECT { MATCH (${m})-[:IN_GENRE]->(${g}:Genre) RETURN ${nested(g)} ORDER BY ${g}.name }`;
+    },
+    cast: (m, args, { variable, nested }) => {
+      const [p, r] = [variable('p'), variable('r')];
+      return `COLLECT { MATCH (${p}:Person)-[${r}:ACTED_IN]->(${m}) RETURN ${nested({ person: p, role: r, movie: m })} ORDER BY ${p}.name }`;
+    }
+  },
+  Person: {
+    name: p => `${p}.name`,
+    profileImage: p => `${p}.profile_image`,
+    filmography: (p, args, { variable, nested }) => {
+      const [r, m] = [variable('r'), variable('m')];
+      return `COLLECT { MATCH (${p})-[${r}:ACTED_IN]->(${m}:Movie) RETURN ${nested({ person: p, role: r, movie: m })} ORDER BY ${m}.released DESC, ${m}.title }`;
+    }
+  },
+  Genre: {
+    name: g => `${g}.name`,
+    movies: (g, { limit }, { variable, param, nested }) => {
+      const m = variable('m');
+      const clamped = clampLimit(limit);
+      const limitClause = clamped === null ? '' : ` LIMIT ${param(neo4j.int(clamped))}`;
+      return `COLLECT { MATCH (${g})<-[:IN_GENRE]-(${m}:Movie) RETURN ${nested(m)} ORDER BY ${m}.released DESC, ${m}.title${limitClause} }`;
+    }
+  },
+  Role: {
+    roles: ({ role }) => `coalesce(${role}.roles, [])`,
+    person: ({ person }, args, { nested }) => nested(person),
+    movie: ({ movie }, args, { nested }) => nested(movie)
+  }
+};
+
+/**
+ * Build a Cypher map expression holding the selected fields of a type
+ * @param {GraphQLObjectType} type
+ * @param {string|object} binding - Variable(s) bound to the node being projected
+ * @param {object[]} selectionSets
+ * @param {object} query - From createQuery
+ * @returns {string}
+ */
+function project(type, binding, selectionSets, query) {
+  const entries = [];
+  for (const [key, nodes] of collectFields(selectionSets, query.fragments, query.variables)) {
+    const fieldName = nodes[0].name.value;
+    // __typename is answered by graphql-js itself
+    if (fieldName.startsWith('__')) continue;
+
+    const field = type.getFields()[fieldName];
+    const args = getArgumentValues(field, nodes[0], query.variables);
+    const nested = childBinding => project(
+      getNamedType(field.type), childBinding, nodes.map(node => node.selectionSet), query
+    );
+    entries.push(`\`${key}\`: ${FIELDS[type.name][fieldName](binding, args, { ...query, nested })}`);
+  }
+  return `{${entries.join(', ')}}`;
+}
+
+/**
+ * State for building one Cypher query: unique variable and parameter names
+ * @param {object} info - GraphQL resolve info of a top-level field
+ */
+function createQuery(info) {
+  let counter = 0;
+  const params = {};
+  return {
+    fragments: info.fragments,
+    variables: info.variableValues,
+    params,
+    variable: prefix => `${prefix}_${++counter}`,
+    param: value => {
+      const name = `arg_${++counter}`;
+      params[name] = value;
+      return `$${name}`;
+    }
+  };
+}
+
+/**
+ * Convert driver integers anywhere in a value to JavaScript numbers
+ * @param {*} value
+ * @returns {*}
+ */
+function toNative(value) {
+  if (neo4j.isInt(value)) return value.toNumber();
+  if (Array.isArray(value)) return value.map(toNative);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, toNative(item)]));
+  }
+  return value;
+}
+
+/**
+ * Run the query for a top-level field, projecting its selection onto the
+ * nodes matched as `variable`
+ * @param {object} info - GraphQL resolve info
+ * @param {object} options
+ * @param {string} options.match - MATCH (and WHERE) clauses binding `variable`
+ * @param {string} options.variable
+ * @param {object} [options.params]
+ * @param {string} [options.orderBy]
+ * @param {boolean} [options.paged] - Apply $skip and $limit from params
+ * @returns {Promise<object[]>}
+ */
+async function resolveRoot(info, { match, variable, params = {}, orderBy, paged = false }) {
+  const query = createQuery(info);
+  const projection = project(
+    getNamedType(info.returnType), variable, info.fieldNodes.map(node => node.selectionSet), query
+  );
+
+  const result = await runQuery(
+    `${match}
+     RETURN ${projection} AS result
+     ${orderBy ? `ORDER BY ${orderBy}` : ''}
+     ${paged ? 'SKIP $skip LIMIT $limit' : ''}`,
+    { ...params, ...query.params },
+    { name: `graphql.${info.fieldName}`, mode: 'read' }
+  );
+  return result.records.map(record => toNative(record.get('result')));
+}
+
+/**
+ * Skip and limit parameters for a paged top-level list
+ */
+function pageParams({ limit, offset }) {
+  if (offset < 0) {
+    throw new GraphQLError('offset must not be negative');
+  }
+  return { skip: neo4j.int(offset), limit: neo4j.int(clampLimit(limit)) };
+}
+
+// Resolvers for the fields of Query
+export const rootResolvers = {
+  async movie({ title }, info) {
+    const [movie] = await resolveRoot(info, { match: 'MATCH (m:Movie {title: $title})', variable: 'm', params: { title } });
+    return movie || null;
+  },
+
+  movies({ genre = null, ...page }, info) {
+    return resolveRoot(info, {
+      match: `MATCH (m:Movie)
+              WHERE $genre IS NULL OR EXISTS { (m)-[:IN_GENRE]->(:Genre {name: $genre}) }`,
+      variable: 'm',
+      params: { genre, ...pageParams(page) },
+      orderBy: 'm.title',
+      paged: true
+    });
+  },
+
+  async person({ name }, info) {
+    const [person] = await resolveRoot(info, { match: 'MATCH (p:Person {name: $name})', variable: 'p', params: { name } });
+    return person || null;
+  },
+
+  people(page, info) {
+    return resolveRoot(info, {
+      match: 'MATCH (p:Person)',
+      variable: 'p',
+      params: pageParams(page),
+      orderBy: 'p.name',
+      paged: true
+    });
+  },
+
+  async genre({ name }, info) {
+    const [genre] = await resolveRoot(info, { match: 'MATCH (g:Genre {name: $name})', variable: 'g', params: { name } });
+    return genre || null;
+  },
+
+  genres(args, info) {
+    return resolveRoot(info, { match: 'MATCH (g:Genre)', variable: 'g', orderBy: 'g.name' });
+  }
+};
@@ -0,0 +1,67 @@
+// Execute GraphQL queries over the movie graph
+import { execute, GraphQLError, parse, validate } from 'graphql';
+import { logger } from '../utils/logger.js';
+import { schema } from './schema.js';
+import { rootResolvers } from './cypher.js';
+import { checkQueryLimits } from './limits.js';
+
+/**
+ * Top-level fields run their Cypher query. Every other field reads the value
+ * the projection stored under its response key, so aliased fields with
+ * different arguments don't overwrite each other.
+ */
+function fieldResolver(source, args, context, info) {
+  if (info.parentType === schema.getQueryType()) {
+    return rootResolvers[info.fieldName](args, info);
+  }
+  return source[info.path.key];
+}
+
+/**
+ * Parse, validate, limit-check and execute a GraphQL request
+ * @param {object} request
+ * @param {string} request.query
+ * @param {object} [request.variables]
+ * @param {string} [request.operationName]
+ * @returns {Promise<{status: number, body: object}>} - HTTP status and GraphQL response
+ */
+export async function executeGraphQL({ query, variables, operationName }) {
+  if (typeof query !== 'string' || query.trim() === '') {
+    return { status: 400, body: { errors: [{ message: 'query is required' }] } };
+  }
+
+  let document;
+  try {
+    document = parse(query);
+  } catch (error) {
+    if (error instanceof GraphQLError) {
+      return { status: 400, body: { errors: [error] } };
+    }
+    throw error;
+  }
+
+  const validationErrors = validate(schema, document);
+  if (validationErrors.length > 0) {
+    return { status: 400, body: { errors: validationErrors } };
+  }
+
+  const limitErrors = checkQueryLimits(schema, document, { operationName, variables });
+  if (limitErrors.length > 0) {
+    logger.warn(`Rejected GraphQL query: ${limitErrors.map(error => error.message).join('; ')}`);
+    return { status: 400, body: { errors: limitErrors } };
+  }
+
+  const result = await execute({
+    schema,
+    document,
+    variableValues: variables,
+    operationName,
+    fieldResolver
+  });
+
+  for (const error of result.errors || []) {
+    logger.error(`GraphQL error at ${(error.path || []).join('.')}:`, error.originalError || error);
+  }
+
+  return { status: 200, body: result };
+}
@@ -0,0 +1,89 @@
+// Depth and complexity limits, checked before a GraphQL query is executed
+import {
+  getArgumentValues, getNamedType, getNullableType, GraphQLError, isListType, Kind
+} from 'graphql';
+import { config } from '../config.js';
+import { collectFields } from './cypher.js';
+
+/**
+ * Arguments of a field, or none when the variables don't coerce; execution
+ * reports that error properly later
+ */
+function argumentsOf(field, node, variables) {
+  try {
+    return getArgumentValues(field, node, variables);
+  } catch (error) {
+    return {};
+  }
+}
+
+/**
+ * Depth and estimated cost of a selection. Each resolved value costs one, and
+ * a list multiplies the cost of its items by its limit argument, or by the
+ * assumed list size when it has none. Introspection fields are free.
+ * @returns {{depth: number, complexity: number}}
+ */
+function measure(type, selectionSets, fragments, variables) {
+  let depth = 0;
+  let complexity = 0;
+
+  for (const nodes of collectFields(selectionSets, fragments, variables).values()) {
+    const fieldName = nodes[0].name.value;
+    if (fieldName.startsWith('__')) continue;
+
+    const field = type.getFields()[fieldName];
+    const childType = getNamedType(field.type);
+    const child = childType.getFields
+      ? measure(childType, nodes.map(node => node.selectionSet), fragments, variables)
+      : { depth: 0, complexity: 0 };
+
+    const { limit } = argumentsOf(field, nodes[0], variables);
+    const items = isListType(getNullableType(field.type))
+      ? Math.min(limit ?? config.graphql.assumedListSize, config.pagination.maxLimit)
+      : 1;
+
+    depth = Math.max(depth, child.depth + 1);
+    complexity += items * (1 + child.complexity);
+  }
+
+  return { depth, complexity };
+}
+
+/**
+ * Check an operation against config.graphql.maxDepth and maxComplexity
+ * @param {GraphQLSchema} schema
+ * @param {DocumentNode} document - Parsed and validated query
+ * @param {object} options
+ * @param {string} [options.operationName]
+ * @param {object} [options.variables]
+ * @returns {GraphQLError[]} - Empty when the operation is within limits
+ */
+export function checkQueryLimits(schema, document, { operationName, variables = {} } = {}) {
+  const fragments = {};
+  const operations = [];
+  for (const definition of document.definitions) {
+    if (definition.kind === Kind.FRAGMENT_DEFINITION) {
+      fragments[definition.name.value] = definition;
+    } else if (definition.kind === Kind.OPERATION_DEFINITION) {
+      operations.push(definition);
+    }
+  }
+
+  const operation = operationName
+    ? operations.find(definition => definition.name && definition.name.value === operationName)
+    : operations[0];
+  if (!operation) {
+    return [];
+  }
+
+  const rootType = schema.getRootType(operation.operation);
+  const { depth, complexity } = measure(rootType, [operation.selectionSet], fragments, variables || {});
+  const errors = [];
+  if (depth > config.graphql.maxDepth) {
+    errors.push(new GraphQLError(`Query depth ${depth} exceeds the limit of ${config.graphql.maxDepth}`));
+  }
+  if (complexity > config.graphql.maxComplexity) {
+    errors.push(new GraphQLError(`Query complexity ${complexity} exceeds the limit of ${config.graphql.maxComplexity}`));
+  }
+  return errors;
+}
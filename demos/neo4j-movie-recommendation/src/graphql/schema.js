@@ -0,0 +1,44 @@
+// GraphQL types for the movie graph. Queries are resolved by cypher.js.
+import { buildSchema } from 'graphql';
+
+export const typeDefs = `
+  type Movie {
+    title: String!
+    released: Int
+    tagline: String
+    posterImage: String
+    genres: [Genre!]!
+    cast: [Role!]!
+    "Number of user ratings"
+    popularity: Int!
+  }
+
+  type Person {
+    name: String!
+    profileImage: String
+    filmography: [Role!]!
+  }
+
+  type Genre {
+    name: String!
+    movies(limit: Int): [Movie!]!
+  }
+
+  "A person acting in a movie"
+  type Role {
+    roles: [String!]!
+    person: Person!
+    movie: Movie!
+  }
+
+  type Query {
+    movie(title: String!): Movie
+    movies(genre: String, limit: Int = 20, offset: Int = 0): [Movie!]!
+    person(name: String!): Person
+    people(limit: Int = 20, offset: Int = 0): [Person!]!
+    genre(name: String!): Genre
+    genres: [Genre!]!
+  }
+`;
+
+export const schema = buildSchema(typeDefs);
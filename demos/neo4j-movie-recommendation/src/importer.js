@@ -0,0 +1,276 @@
+// Bulk import of movies, genres, people and ratings from MovieLens-style CSV or JSON files
+import fs from 'fs';
+import path from 'path';
+import { parse } from 'csv-parse';
+import { runQuery } from './neo4j.js';
+import { config } from './config.js';
+import { logger } from './utils/logger.js';
+import { runMigrations } from './migrate.js';
+import { invalidateCache } from './cache/index.js';
+import { startLoadTimer } from './metrics.js';
+
+/**
+ * Parse a MovieLens title such as "Toy Story (1995)" into title and year
+ * @param {string} title
+ * @returns {{title: string, released: number|null}}
+ */
+export function parseMovieLensTitle(title) {
+  const match = /^(.*\S)\s+\((\d{4})\)\s*$/.exec(title);
+  return match ? { title: match[1], released: Number(match[2]) } : { title, released: null };
+}
+
+/**
+ * Turn a pipe-separated list, or an array from a JSON file, into a clean array
+ * @param {string|string[]} value
+ * @returns {string[]}
+ */
+function listField(value) {
+  const items = Array.isArray(value) ? value : String(value || '').split('|');
+  return items.map(item => String(item).trim()).filter(item => item && item !== '(no genres listed)');
+}
+
+/**
+ * Create the row normalizers for one import run. Each returns either
+ * { row } ready to write or { reason } explaining why the row is rejected.
+ * Movie titles are stored without the MovieLens year suffix unless that
+ * would merge two different movies into one node.
+ */
+function createNormalizers() {
+  const titles = new Map();
+
+  return {
+    movies(raw) {
+      if (!raw.movieId || !raw.title) {
+        return { reason: 'movieId and title are required' };
+      }
+      const movieId = String(raw.movieId);
+      const parsed = parseMovieLensTitle(String(raw.title).trim());
+      const released = raw.released !== undefined && raw.released !== '' ? Number(raw.released) : parsed.released;
+      if (released !== null && !Number.isInteger(released)) {
+        return { reason: `invalid release year '${raw.released}'` };
+      }
+
+      let title = parsed.title;
+      if (titles.has(title) && titles.get(title) !== movieId) {
+        title = String(raw.title).trim();
+      }
+      titles.set(title, movieId);
+
+      return {
+        row: {
+          movieId,
+          title,
+          released,
+          tagline: raw.tagline || null,
+          posterImage: raw.posterImage || raw.poster_image || null,
+          genres: listField(raw.genres)
+        }
+      };
+    },
+
+    people(raw) {
+      if (!raw.movieId || !raw.name) {
+        return { reason: 'movieId and name are required' };
+      }
+      return { row: { movieId: String(raw.movieId), name: String(raw.name).trim(), roles: listField(raw.roles) } };
+    },
+
+    ratings(raw) {
+      if (!raw.userId || !raw.movieId) {
+        return { reason: 'userId and movieId are required' };
+      }
+      const score = Number(raw.rating);
+      if (Number.isNaN(score) || score < 0.5 || score > 5) {
+        return { reason: `rating '${raw.rating}' is not between 0.5 and 5` };
+      }
+      const timestamp = raw.timestamp !== undefined && raw.timestamp !== '' ? Number(raw.timestamp) : null;
+      return { row: { userId: String(raw.userId), movieId: String(raw.movieId), score, timestamp } };
+    }
+  };
+}
+
+// Batched upserts per file. Each returns the line numbers it wrote so rows
+// that reference an unknown movie can be reported as rejected.
+const IMPORT_QUERIES = {
+  movies: `UNWIND $rows AS row
+    MERGE (m:Movie {title: row.title})
+    SET m.movieId = row.movieId,
+        m.released = coalesce(row.released, m.released),
+        m.tagline = coalesce(row.tagline, m.tagline),
+        m.poster_image = coalesce(row.posterImage, m.poster_image)
+    FOREACH (name IN row.genres |
+      MERGE (g:Genre {name: name})
+      MERGE (m)-[:IN_GENRE]->(g))
+    RETURN collect(row.line) AS written`,
+  people: `UNWIND $rows AS row
+    MATCH (m:Movie {movieId: row.movieId})
+    MERGE (p:Person {name: row.name})
+    MERGE (p)-[r:ACTED_IN]->(m)
+    SET r.roles = row.roles
+    RETURN collect(row.line) AS written`,
+  ratings: `UNWIND $rows AS row
+    MATCH (m:Movie {movieId: row.movieId})
+    MERGE (u:User {id: row.userId})
+    MERGE (u)-[r:RATED]->(m)
+    SET r.score = row.score, r.timestamp = row.timestamp
+    RETURN collect(row.line) AS written`
+};
+
+/**
+ * Write batches to Neo4j, once the migrations the upserts rely on are applied
+ * @returns {Promise<Function>} - async (name, rows) => line numbers written
+ */
+async function neo4jBatchWriter() {
+  await runMigrations();
+  return async (name, rows) => {
+    const result = await runQuery(IMPORT_QUERIES[name], { rows }, { name: `import.${name}` });
+    return result.records[0].get('written').map(Number);
+  };
+}
+
+// Movies go first because people and ratings refer to them by movieId
+export const IMPORT_FILES = ['movies', 'people', 'ratings'];
+
+/**
+ * Find movies.csv or movies.json (and so on) in a directory
+ * @param {string} directory
+ * @param {string} name - One of IMPORT_FILES
+ * @returns {string|null}
+ */
+function findFile(directory, name) {
+  for (const extension of ['.csv', '.json']) {
+    const file = path.join(directory, name + extension);
+    if (fs.existsSync(file)) {
+      return file;
+    }
+  }
+  return null;
+}
+
+/**
+ * Read the rows of a CSV file with a header line, or of a JSON array
+ * @param {string} file
+ * @returns {AsyncGenerator<{line: number, raw: object}>}
+ */
+async function* readRows(file) {
+  if (file.endsWith('.json')) {
+    const rows = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+    if (!Array.isArray(rows)) {
+      throw new Error(`${file} must contain a JSON array`);
+    }
+    for (const [index, raw] of rows.entries()) {
+      yield { line: index + 1, raw };
+    }
+    return;
+  }
+
+  const parser = fs.createReadStream(file).pipe(parse({
+    columns: true,
+    skip_empty_lines: true,
+    trim: true,
+    relax_column_count: true,
+    info: true
+  }));
+  for await (const { record, info } of parser) {
+    yield { line: info.lines, raw: record };
+  }
+}
+
+/**
+ * Resolve a directory given to the admin endpoint, refusing anything outside
+ * the configured import directory
+ * @param {string} requested - Path relative to the import directory
+ * @returns {string|null}
+ */
+export function resolveImportDirectory(requested = '.') {
+  const root = path.resolve(config.importer.directory);
+  const directory = path.resolve(root, requested);
+  const relative = path.relative(root, directory);
+  return relative.startsWith('..') || path.isAbsolute(relative) ? null : directory;
+}
+
+/**
+ * Import a catalogue from a directory holding movies, people and ratings
+ * files in the MovieLens layout. Missing files are skipped.
+ * @param {string} directory
+ * @param {object} [options]
+ * @param {number} [options.batchSize] - Rows per transaction
+ * @param {Function} [options.onProgress] - Called after each batch with the file's running totals
+ * @param {Function} [options.writeBatch] - async (name, rows) => line numbers written, for
+ *   a store other than Neo4j; each row is shaped like the parameters of IMPORT_QUERIES[name]
+ * @returns {Promise<object>} - Per-file counts and a sample of rejected rows
+ */
+export async function importCatalogue(directory, { batchSize = config.importer.batchSize, onProgress = () => {}, writeBatch } = {}) {
+  const started = Date.now();
+  const normalizers = createNormalizers();
+  const report = { directory, files: {}, rejections: [] };
+
+  const reject = (file, line, reason) => {
+    if (report.rejections.length < config.importer.maxReportedRejections) {
+      report.rejections.push({ file: path.basename(file), line, reason });
+    }
+  };
+
+  if (!fs.existsSync(directory)) {
+    throw new Error(`Import directory ${directory} does not exist`);
+  }
+
+  const write = writeBatch || await neo4jBatchWriter();
+
+  const endTimer = startLoadTimer('import');
+  let outcome = 'failure';
+  try {
+    for (const name of IMPORT_FILES) {
+      const file = findFile(directory, name);
+      if (!file) {
+        logger.debug(`No ${name} file in ${directory}, skipping`);
+        continue;
+      }
+
+      logger.info(`Importing ${name} from ${file}`);
+      const totals = { file: path.basename(file), processed: 0, imported: 0, rejected: 0 };
+      report.files[name] = totals;
+      let batch = [];
+
+      const flush = async () => {
+        if (batch.length === 0) return;
+        const written = new Set(await write(name, batch));
+        for (const row of batch) {
+          if (written.has(row.line)) {
+            totals.imported++;
+          } else {
+            totals.rejected++;
+            reject(file, row.line, `movieId ${row.movieId} does not match an imported movie`);
+          }
+        }
+        batch = [];
+        onProgress({ name, ...totals });
+      };
+
+      for await (const { line, raw } of readRows(file)) {
+        totals.processed++;
+        const { row, reason } = normalizers[name](raw);
+        if (reason) {
+          totals.rejected++;
+          reject(file, line, reason);
+          continue;
+        }
+        batch.push({ ...row, line });
+        if (batch.length >= batchSize) {
+          await flush();
+        }
+      }
+      await flush();
+
+      logger.info(`Imported ${totals.imported} of ${totals.processed} ${name} rows, rejected ${totals.rejected}`);
+    }
+    outcome = 'success';
+  } finally {
+    endTimer({ outcome });
+    // Batches already written stay written even when a later one fails
+    await invalidateCache();
+  }
+
+  report.durationMs = Date.now() - started;
+  return report;
+}
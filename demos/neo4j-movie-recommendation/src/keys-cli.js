@@ -0,0 +1,101 @@
+// Manage API credentials from the command line:
+//   npm run keys -- create <name> [--role=viewer|editor|admin]   create an API key and print it once
+//   npm run keys -- list                                         list keys (never their secrets)
+//   npm run keys -- revoke <id>                                  delete a key
+//   npm run keys -- token <subject> [--role=...] [--expires=1h]  sign a bearer token with JWT_SECRET
+import { ROLES, signToken } from './auth/index.js';
+import { createApiKey, listApiKeys, revokeApiKey } from './auth/keys.js';
+import { config } from './config.js';
+import { logger, logToStderr } from './utils/logger.js';
+
+/**
+ * Value of a --name=value option
+ */
+function option(args, name, fallback) {
+  const arg = args.find(value => value.startsWith(`--${name}=`));
+  return arg ? arg.slice(name.length + 3) : fallback;
+}
+
+function positional(args) {
+  return args.find(arg => !arg.startsWith('--'));
+}
+
+/**
+ * The --role option, or null (after logging why) when it isn't a role
+ */
+function roleOption(args) {
+  const role = option(args, 'role', 'viewer');
+  if (!ROLES.includes(role)) {
+    logger.error(`--role must be one of ${ROLES.join(', ')}`);
+    return null;
+  }
+  return role;
+}
+
+const commands = {
+  async create(args) {
+    const name = positional(args);
+    const role = roleOption(args);
+    if (!name || !role) {
+      logger.error('Usage: npm run keys -- create <name> [--role=viewer|editor|admin]');
+      return 2;
+    }
+    const { key, record } = await createApiKey(name, role);
+    logger.info(`Created ${record.role} key ${record.id} for ${record.name} in ${config.auth.keysFile}; it is not shown again`);
+    process.stdout.write(`${key}\n`);
+    return 0;
+  },
+
+  async list() {
+    for (const { id, name, role, createdAt } of await listApiKeys()) {
+      process.stdout.write(`${id}  ${role.padEnd(6)}  ${createdAt}  ${name}\n`);
+    }
+    return 0;
+  },
+
+  async revoke(args) {
+    const id = positional(args);
+    if (!id) {
+      logger.error('Usage: npm run keys -- revoke <id>');
+      return 2;
+    }
+    if (!await revokeApiKey(id)) {
+      logger.error(`No key with id ${id}`);
+      return 1;
+    }
+    logger.info(`Revoked key ${id}`);
+    return 0;
+  },
+
+  async token(args) {
+    const subject = positional(args);
+    const role = roleOption(args);
+    if (!subject || !role) {
+      logger.error('Usage: npm run keys -- token <subject> [--role=viewer|editor|admin] [--expires=1h]');
+      return 2;
+    }
+    process.stdout.write(`${signToken(subject, role, option(args, 'expires', '1h'))}\n`);
+    return 0;
+  }
+};
+
+async function main() {
+  logToStderr();
+
+  const [command, ...args] = process.argv.slice(2);
+  if (!commands[command]) {
+    logger.error(`Unknown command '${command}', expected one of ${Object.keys(commands).join(', ')}`);
+    return 2;
+  }
+
+  try {
+    return await commands[command](args);
+  } catch (error) {
+    logger.error(`keys ${command} failed:`, error);
+    return 1;
+  }
+}
+
+main().then(code => {
+  process.exitCode = code;
+});
@@ -0,0 +1,141 @@
+// Prometheus metrics, served in the text exposition format from /metrics:
+// HTTP requests by route and status, database queries by name, connections
+// held from the driver's pool, and how long seeding and imports take, on top
+// of the process metrics prom-client collects itself.
+import client from 'prom-client';
+import { config } from './config.js';
+
+export const registry = new client.Registry();
+
+client.collectDefaultMetrics({ register: registry });
+
+const httpRequests = new client.Counter({
+  name: 'http_requests_total',
+  help: 'HTTP requests answered, by method, route and status',
+  labelNames: ['method', 'route', 'status'],
+  registers: [registry]
+});
+
+const httpDuration = new client.Histogram({
+  name: 'http_request_duration_seconds',
+  help: 'Time from receiving an HTTP request to finishing the response, by method, route and status',
+  labelNames: ['method', 'route', 'status'],
+  buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+  registers: [registry]
+});
+
+const queryDuration = new client.Histogram({
+  name: 'neo4j_query_duration_seconds',
+  help: 'Time taken by database queries, by query name and outcome',
+  labelNames: ['query', 'outcome'],
+  buckets: [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 15],
+  registers: [registry]
+});
+
+const queryErrors = new client.Counter({
+  name: 'neo4j_query_errors_total',
+  help: 'Database queries that failed, by query name and Neo4j error code',
+  labelNames: ['query', 'code'],
+  registers: [registry]
+});
+
+// The driver keeps no public pool statistics, so connections are counted
+// as this app's queries take and give them back
+const connectionsInUse = new client.Gauge({
+  name: 'neo4j_pool_connections_in_use',
+  help: 'Connections taken from the driver pool by running queries',
+  registers: [registry]
+});
+
+new client.Gauge({
+  name: 'neo4j_pool_connections_max',
+  help: 'Most connections the driver pool will open',
+  registers: [registry],
+  collect() {
+    this.set(config.neo4j.maxConnectionPoolSize);
+  }
+});
+
+const transactionRetries = new client.Counter({
+  name: 'neo4j_transaction_retries_total',
+  help: 'Transactions run again after a transient error, by name',
+  labelNames: ['query'],
+  registers: [registry]
+});
+
+const loadDuration = new client.Histogram({
+  name: 'data_load_duration_seconds',
+  help: 'Time taken to seed the sample data or import a catalogue, by job and outcome',
+  labelNames: ['job', 'outcome'],
+  buckets: [1, 5, 10, 30, 60, 120, 300, 600, 1800, 3600],
+  registers: [registry]
+});
+
+// Routes are labelled by their pattern, e.g. /api/movies/:title, so that
+// every title doesn't get a series of its own
+function routeLabel(req) {
+  return req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+}
+
+/**
+ * Middleware that counts each request and times its response. Mount it
+ * before the routes so that every request is seen.
+ * @returns {Function}
+ */
+export function recordRequests() {
+  return (req, res, next) => {
+    const stopTimer = httpDuration.startTimer();
+    res.on('finish', () => {
+      const labels = { method: req.method, route: routeLabel(req), status: res.statusCode };
+      stopTimer(labels);
+      httpRequests.inc(labels);
+    });
+    next();
+  };
+}
+
+/**
+ * Start timing a database query and count its connection as in use
+ * @param {string} name - Query name, e.g. movies.get
+ * @returns {Function} - Call with the error, if the query failed, once its session is closed
+ */
+export function startQueryTimer(name) {
+  const stopTimer = queryDuration.startTimer({ query: name });
+  connectionsInUse.inc();
+  return error => {
+    connectionsInUse.dec();
+    stopTimer({ outcome: error ? 'error' : 'success' });
+    if (error) {
+      queryErrors.inc({ query: name, code: error.code || 'unknown' });
+    }
+  };
+}
+
+/**
+ * Count a transaction being retried
+ * @param {string} name - Transaction name
+ */
+export function countRetry(name) {
+  transactionRetries.inc({ query: name });
+}
+
+/**
+ * Start timing a seed or import run
+ * @param {string} job - seed or import
+ * @returns {Function} - Call with {outcome: 'success'} or {outcome: 'failure'} when the run ends
+ */
+export function startLoadTimer(job) {
+  return loadDuration.startTimer({ job });
+}
+
+/**
+ * Handler for GET /metrics
+ */
+export async function serveMetrics(req, res, next) {
+  try {
+    res.set('Content-Type', registry.contentType);
+    res.send(await registry.metrics());
+  } catch (error) {
+    next(error);
+  }
+}
@@ -0,0 +1,156 @@
+// Versioned schema migrations, tracked as :Migration nodes in the database
+import { runQuery, safeInt } from './neo4j.js';
+import { MIGRATIONS } from './migrations/index.js';
+import { logger } from './utils/logger.js';
+import { invalidateCache } from './cache/index.js';
+import { clearDatabase, seedDatabase } from './utils/seed.js';
+import { currentTenant, foreignLabels, tenantLabels } from './tenants.js';
+
+/**
+ * Versions already applied to the database, with when they were applied
+ * @returns {Promise<Map<number, string>>} - Version to ISO timestamp
+ */
+async function getAppliedVersions() {
+  const result = await runQuery(
+    'MATCH (m:Migration) RETURN m.version AS version, toString(m.appliedAt) AS appliedAt',
+    {},
+    { name: 'migrations.applied', mode: 'read' }
+  );
+  return new Map(result.records.map(record => [safeInt(record.get('version')), record.get('appliedAt')]));
+}
+
+/**
+ * List every known migration and whether it has been applied
+ * @returns {Promise<object[]>}
+ */
+export async function migrationStatus() {
+  const applied = await getAppliedVersions();
+  return MIGRATIONS.map(({ version, description }) => ({
+    version,
+    description,
+    applied: applied.has(version),
+    appliedAt: applied.get(version) || null
+  }));
+}
+
+/**
+ * Apply pending migrations in version order, recording each as it succeeds.
+ * A failed migration stops the run so later ones never see a half-built schema.
+ * @returns {Promise<number[]>} - Versions applied by this run
+ */
+export async function runMigrations() {
+  await runQuery('CREATE CONSTRAINT migration_version IF NOT EXISTS FOR (m:Migration) REQUIRE m.version IS UNIQUE', {}, { name: 'migrations.createConstraint' });
+
+  const applied = await getAppliedVersions();
+  const pending = MIGRATIONS
+    .filter(({ version }) => !applied.has(version))
+    .sort((a, b) => a.version - b.version);
+
+  if (pending.length === 0) {
+    logger.info('Database schema is up to date');
+    return [];
+  }
+
+  const ran = [];
+  for (const migration of pending) {
+    logger.info(`Applying migration ${migration.version}: ${migration.description}`);
+    await migration.up();
+    await runQuery(
+      `MERGE (m:Migration {version: $version})
+       SET m.description = $description, m.appliedAt = datetime()`,
+      { version: migration.version, description: migration.description },
+      { name: 'migrations.record' }
+    );
+    ran.push(migration.version);
+  }
+
+  logger.info(`Applied ${ran.length} migration(s)`);
+  // Migrations may reshape data that cached responses were built from
+  await invalidateCache();
+  return ran;
+}
+
+/**
+ * Seed the sample catalogue if the database has no movies yet. Existing
+ * data is never touched.
+ * @returns {Promise<boolean>} - Whether sample data was loaded
+ */
+export async function seedIfEmpty() {
+  const result = await runQuery('MATCH (m:Movie) RETURN count(m) AS count', {}, { name: 'migrations.countMovies', mode: 'read' });
+  if (safeInt(result.records[0].get('count')) > 0) {
+    logger.info('Database already contains movies, skipping sample data');
+    return false;
+  }
+  await seedDatabase();
+  return true;
+}
+
+/**
+ * Destroy the current tenant's data, including its migration history, then
+ * rebuild the schema and load the sample catalogue. Callers must have
+ * explicit confirmation.
+ */
+export async function reseedDatabase() {
+  await clearDatabase();
+  await runMigrations();
+  await seedDatabase();
+}
+
+/**
+ * Check that the current tenant's catalogue is walled off from the others:
+ * its database exists, and where it shares a database none of its nodes
+ * carry another tenant's labels or are related to another tenant's nodes
+ * @returns {Promise<object>} - What was checked, with a problems list that is empty when isolated
+ */
+export async function checkIsolation() {
+  const tenant = currentTenant();
+  const report = {
+    tenant: tenant.id,
+    database: tenant.database,
+    namespace: tenant.namespace,
+    nodes: 0,
+    problems: []
+  };
+
+  let record;
+  try {
+    const result = await runQuery(
+      `CALL db.info() YIELD name
+       RETURN name AS database,
+              COUNT { MATCH (n) WHERE any(label IN labels(n) WHERE label IN $own) } AS nodes,
+              COUNT {
+                MATCH (n)
+                WHERE any(label IN labels(n) WHERE label IN $own)
+                  AND any(label IN labels(n) WHERE label IN $foreign)
+              } AS mixedNodes,
+              COUNT {
+                MATCH (a)-[r]-(b)
+                WHERE any(label IN labels(a) WHERE label IN $own)
+                  AND any(label IN labels(b) WHERE label IN $foreign)
+              } AS crossingRelationships`,
+      { own: tenantLabels(tenant), foreign: foreignLabels(tenant) },
+      { name: 'migrations.checkIsolation', mode: 'read' }
+    );
+    record = result.records[0];
+  } catch (error) {
+    if (error.code === 'Neo.ClientError.Database.DatabaseNotFound') {
+      report.problems.push(`Database '${tenant.database}' does not exist`);
+      return { ...report, isolated: false };
+    }
+    throw error;
+  }
+
+  report.nodes = safeInt(record.get('nodes'));
+  if (tenant.database && record.get('database') !== tenant.database) {
+    report.problems.push(`Queries reached database '${record.get('database')}' instead of '${tenant.database}'`);
+  }
+  const mixedNodes = safeInt(record.get('mixedNodes'));
+  if (mixedNodes > 0) {
+    report.problems.push(`${mixedNodes} node(s) also carry another tenant's labels`);
+  }
+  const crossingRelationships = safeInt(record.get('crossingRelationships'));
+  if (crossingRelationships > 0) {
+    report.problems.push(`${crossingRelationships} relationship(s) connect to another tenant's nodes`);
+  }
+  return { ...report, isolated: report.problems.length === 0 };
+}
@@ -0,0 +1,14 @@
+import { runQuery } from '../neo4j.js';
+import { CREATE_SEARCH_INDEX } from '../search.js';
+
+export const version = 1;
+export const description = 'Create uniqueness constraints, the movieId index and the full-text search index';
+
+export async function up() {
+  await runQuery('CREATE CONSTRAINT movie_title IF NOT EXISTS FOR (m:Movie) REQUIRE m.title IS UNIQUE');
+  await runQuery('CREATE CONSTRAINT person_name IF NOT EXISTS FOR (p:Person) REQUIRE p.name IS UNIQUE');
+  await runQuery('CREATE CONSTRAINT genre_name IF NOT EXISTS FOR (g:Genre) REQUIRE g.name IS UNIQUE');
+  await runQuery('CREATE CONSTRAINT user_id IF NOT EXISTS FOR (u:User) REQUIRE u.id IS UNIQUE');
+  await runQuery('CREATE INDEX movie_movie_id IF NOT EXISTS FOR (m:Movie) ON (m.movieId)');
+  await runQuery(CREATE_SEARCH_INDEX);
+}
@@ -0,0 +1,8 @@
+// Every migration, in the order it must be applied. Add new migrations to
+// the end with the next version number; never edit or reorder applied ones.
+// Each module exports a numeric version, a description and an idempotent up().
+import * as createSchema from './001-create-schema.js';
+
+export const MIGRATIONS = [
+  createSchema
+];
@@ -1,6 +1,11 @@
 // Updated version of neo4j.js with improved error handling and debugging
 import neo4j from 'neo4j-driver';
+import { version as driverVersion } from 'neo4j-driver/package.json';
 import { logger } from './utils/logger.js';
+import { config } from './config.js';
+import { startQueryTimer, countRetry } from './metrics.js';
+import { currentRequestId } from './request-context.js';
+import { currentTenant, scopeQuery } from './tenants.js';
 
 // Neo4j connection details from environment variables
 const uri = process.env.NEO4J_URI || 'bolt://neo4j:7687';
@@ -9,6 +14,11 @@ const password = process.env.NEO4J_PASSWORD || 'password';
 
 let driver;
 
+// Bookmarks of the transactions this process commits. Every session is given
+// them, so a read sees the writes made before it even when a cluster routes
+// it to a server that hasn't caught up yet.
+const bookmarkManager = neo4j.bookmarkManager();
+
 /**
  * Get Neo4j driver instance
  * @returns {neo4j.Driver}
@@ -20,8 +30,9 @@ export function getDriver() {
       
       driver = neo4j.driver(uri, neo4j.auth.basic(user, password), {
         maxConnectionLifetime: 3 * 60 * 60 * 1000, // 3 hours
-        maxConnectionPoolSize: 50,
-        connectionAcquisitionTimeout: 2 * 60 * 1000, // 2 minutes
+        maxConnectionPoolSize: config.neo4j.maxConnectionPoolSize,
+        maxTransactionRetryTime: config.neo4j.maxTransactionRetryTime,
+        connectionAcquisitionTimeout: config.neo4j.connectionAcquisitionTimeout,
         // Changed to false to better handle integers
         disableLosslessIntegers: false, 
         logging: neo4j.logging.console('warn')
@@ -44,22 +55,205 @@ export function getDriver() {
 }
 
 /**
- * Run a Cypher query and return the results
+ * Where the driver connects and what answers there, for diagnostics
+ * @returns {Promise<object>} - URI, user, database, driver version and the server's address, agent and Bolt version
+ */
+export async function connectionInfo() {
+  const { database } = currentTenant();
+  const server = await getDriver().getServerInfo(database ? { database } : {});
+  return {
+    uri,
+    user,
+    database: database || 'default',
+    driverVersion,
+    server: { address: server.address, agent: server.agent, protocolVersion: server.protocolVersion }
+  };
+}
+
+/**
+ * Open a session on the current tenant's database that shares the process's
+ * bookmarks
+ * @param {string} mode - read or write
+ * @returns {neo4j.Session}
+ */
+function openSession(mode) {
+  const { database } = currentTenant();
+  return getDriver().session({
+    defaultAccessMode: mode === 'read' ? neo4j.session.READ : neo4j.session.WRITE,
+    bookmarkManager,
+    ...(database && { database })
+  });
+}
+
+/**
+ * Transaction metadata for a query, shown by SHOW TRANSACTIONS and written
+ * to the server's query log, so a query can be traced back to its request
+ * @param {string} name - Query name
+ * @returns {object}
+ */
+function transactionMetadata(name) {
+  const requestId = currentRequestId();
+  return { app: 'neo4j-movie-recommendation', query: name, tenant: currentTenant().id, ...(requestId && { requestId }) };
+}
+
+/**
+ * The operators of a query plan, depth first, with the planner's estimate of
+ * the rows each produces
+ * @param {object} plan - summary.plan or summary.profile from the driver
+ * @returns {object[]}
+ */
+function summarizePlan(plan) {
+  const operators = [];
+  const visit = (step, depth) => {
+    operators.push({
+      depth,
+      operator: step.operatorType.replace(/@.*$/, ''),
+      estimatedRows: Math.round(Number(step.arguments.EstimatedRows) || 0),
+      ...(step.arguments.Details && { details: step.arguments.Details })
+    });
+    step.children.forEach(child => visit(child, depth + 1));
+  };
+  visit(plan, 0);
+  return operators;
+}
+
+/**
+ * Plan a query without running it
+ */
+async function explainQuery(query, params) {
+  const session = openSession('read');
+  try {
+    const result = await session.executeRead(tx => tx.run(`EXPLAIN ${scopeQuery(query)}`, params));
+    return result.summary.plan;
+  } finally {
+    await session.close();
+  }
+}
+
+/**
+ * Write a structured log entry for a query that took longer than
+ * config.neo4j.slowQueryThreshold, with the driver's timings, the changes the
+ * query made and a summary of its plan
+ */
+async function logSlowQuery(name, requestId, query, params, result, durationMs) {
+  const { summary } = result;
+  const counters = Object.fromEntries(
+    Object.entries(summary.counters.updates()).filter(([, count]) => count > 0)
+  );
+  let plan = summary.profile || summary.plan || null;
+  if (!plan && config.neo4j.explainSlowQueries) {
+    plan = await explainQuery(query, params).catch(error => {
+      logger.debug(`Could not explain slow query ${name}:`, error);
+      return null;
+    });
+  }
+
+  logger.warn(`Slow query ${name} took ${durationMs} ms`, {
+    slowQuery: {
+      name,
+      requestId,
+      durationMs,
+      resultAvailableAfterMs: safeInt(summary.resultAvailableAfter),
+      resultConsumedAfterMs: safeInt(summary.resultConsumedAfter),
+      records: result.records.length,
+      counters,
+      plan: plan ? summarizePlan(plan) : null,
+      query
+    }
+  });
+}
+
+/**
+ * Run a unit of work in a managed transaction. The driver retries the work
+ * on transient errors, such as a deadlock or a cluster leader switch, for up
+ * to config.neo4j.maxTransactionRetryTime, so the work must not have side
+ * effects outside the transaction. Nothing is committed unless it succeeds.
+ */
+async function runTransaction(mode, work, { name = 'unnamed', timeout = config.neo4j.transactionTimeout } = {}) {
+  const session = openSession(mode);
+  const requestId = currentRequestId();
+  const endTimer = startQueryTimer(name);
+  let attempts = 0;
+  let failure;
+  
+  try {
+    const execute = mode === 'read' ? session.executeRead : session.executeWrite;
+    return await execute.call(session, tx => {
+      attempts++;
+      if (attempts > 1) {
+        countRetry(name);
+        logger.warn(`Retrying transaction ${name} for request ${requestId || '-'}, attempt ${attempts}`);
+      }
+      // Statements are rewritten for the tenant's label namespace, if it has one
+      return work({ run: (query, params) => tx.run(scopeQuery(query), params) });
+    }, { timeout, metadata: transactionMetadata(name) });
+  } catch (error) {
+    failure = error;
+    throw error;
+  } finally {
+    await session.close();
+    endTimer(failure);
+  }
+}
+
+/**
+ * Run a unit of work in a read transaction, which a cluster may route to any
+ * server. The work gets the transaction and returns what the call resolves to.
+ * @param {Function} work - async tx => result; may be called more than once
+ * @param {object} [options]
+ * @param {string} [options.name] - Name the transaction is reported under in metrics, logs and transaction metadata
+ * @param {number} [options.timeout] - Milliseconds before the server aborts the transaction
+ * @returns {Promise<*>} - What work resolved to
+ * @example
+ * const [count, page] = await readTransaction(async tx => [
+ *   await tx.run('MATCH (m:Movie) RETURN count(m) AS count'),
+ *   await tx.run('MATCH (m:Movie) RETURN m LIMIT 10')
+ * ], { name: 'movies.page' });
+ */
+export function readTransaction(work, options) {
+  return runTransaction('read', work, options);
+}
+
+/**
+ * Run a unit of work in a write transaction, so that all of its statements
+ * are committed together or not at all
+ * @param {Function} work - async tx => result; may be called more than once
+ * @param {object} [options] - As for readTransaction
+ * @returns {Promise<*>} - What work resolved to
+ */
+export function writeTransaction(work, options) {
+  return runTransaction('write', work, options);
+}
+
+/**
+ * Run a Cypher query in a transaction of its own and return the results
  * @param {string} query - Cypher query
  * @param {object} params - Parameters for the query
+ * @param {object} [options]
+ * @param {string} [options.name] - Name the query is reported under in metrics, logs and transaction metadata
+ * @param {string} [options.mode] - read for queries that don't write, which a cluster may route to any server
+ * @param {number} [options.timeout] - Milliseconds before the server aborts the transaction
  * @returns {Promise<object>} - Query results
  */
-export async function runQuery(query, params = {}) {
-  const driver = getDriver();
-  const session = driver.session();
+export async function runQuery(query, params = {}, { name = 'unnamed', mode = 'write', timeout } = {}) {
+  const requestId = currentRequestId();
+  const started = performance.now();
   
   try {
     // Log query for debugging (remove in production)
     if (process.env.NODE_ENV !== 'production') {
-      logger.debug(`Running query: ${query} with params:`, params);
+      logger.debug(`Running query ${name} for request ${requestId || '-'}: ${query} with params:`, params);
     }
     
-    const result = await session.run(query, params);
+    const result = await runTransaction(mode, tx => tx.run(query, params), { name, timeout });
+    const durationMs = Math.round(performance.now() - started);
+    logger.debug(`Query ${name} for request ${requestId || '-'} took ${durationMs} ms`);
+    
+    // Logged in the background so that explaining the query doesn't hold up the response
+    if (durationMs >= config.neo4j.slowQueryThreshold) {
+      logSlowQuery(name, requestId, query, params, result, durationMs)
+        .catch(error => logger.error(`Could not log slow query ${name}:`, error));
+    }
     
     // Debug the result shape if needed
     if (process.env.NODE_ENV === 'development' && query.includes('MATCH (g:Genre)')) {
@@ -71,10 +265,41 @@ export async function runQuery(query, params = {}) {
     
     return result;
   } catch (error) {
-    logger.error(`Error running query: ${query}`, error);
+    logger.error(`Error running query ${name} for request ${requestId || '-'}: ${query}`, error);
+    throw error;
+  }
+}
+
+/**
+ * Run a Cypher query and yield its records as they arrive, without holding
+ * the whole result in memory. Use for exports and other large reads.
+ * @param {string} query - Cypher query
+ * @param {object} params - Parameters for the query
+ * @param {object} [options]
+ * @param {string} [options.name] - Name the query is reported under in metrics, logs and transaction metadata
+ * @param {number} [options.timeout] - Milliseconds before the server aborts the transaction
+ * @returns {AsyncGenerator<neo4j.Record>}
+ */
+export async function* streamQuery(query, params = {}, { name = 'unnamed', timeout = config.neo4j.streamTransactionTimeout } = {}) {
+  const session = openSession('read');
+  const endTimer = startQueryTimer(name);
+  let failure;
+  
+  // Records are handed on as they arrive, so a stream can't be retried like a
+  // managed transaction and runs as a read in an auto-commit transaction.
+  // Streams are expected to take a while, so they are timed in metrics but
+  // never logged as slow.
+  try {
+    for await (const record of session.run(scopeQuery(query), params, { timeout, metadata: transactionMetadata(name) })) {
+      yield record;
+    }
+  } catch (error) {
+    failure = error;
+    logger.error(`Error streaming query: ${query}`, error);
     throw error;
   } finally {
     await session.close();
+    endTimer(failure);
   }
 }
 
@@ -116,4 +341,22 @@ export async function testConnection() {
   } finally {
     await session.close();
   }
-}
\ No newline at end of file
+}
+/**
+ * Check whether an error is a uniqueness or other schema constraint violation
+ * @param {Error} error - Error thrown by the driver
+ * @returns {boolean}
+ */
+export function isConstraintViolation(error) {
+  return error?.code === 'Neo.ClientError.Schema.ConstraintValidationFailed';
+}
+
+/**
+ * Check whether an error is the server aborting a transaction that ran past
+ * its timeout
+ * @param {Error} error - Error thrown by the driver
+ * @returns {boolean}
+ */
+export function isTransactionTimeout(error) {
+  return typeof error?.code === 'string' && error.code.startsWith('Neo.ClientError.Transaction.TransactionTimedOut');
+}
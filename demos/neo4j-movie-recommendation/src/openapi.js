@@ -0,0 +1,1080 @@
+// OpenAPI 3.1 description of the HTTP API, served at /api/openapi.json.
+// Keep it in step with routes.js and routes/: the tests fail when a route is missing here.
+import { EXPORT_FORMATS, NODE_KEYS } from './exporter.js';
+import { SORT_FIELDS } from './browse.js';
+import { STRATEGIES } from './recommendations.js';
+import { USER_LISTS } from './users.js';
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+const nullable = type => ({ type: [type, 'null'] });
+
+/**
+ * A JSON response with the given schema
+ */
+function json(description, schema) {
+  return { description, content: { 'application/json': { schema } } };
+}
+
+const errorResponse = description => ({ $ref: `#/components/responses/${description}` });
+
+/**
+ * Mark an operation as needing an API key or bearer token for at least the given role
+ */
+function secured(role, operation) {
+  return {
+    ...operation,
+    description: `Requires the ${role} role.`,
+    security: [{ apiKey: [] }, { bearerAuth: [] }],
+    responses: { ...operation.responses, 401: errorResponse('Unauthorized'), 403: errorResponse('Forbidden') }
+  };
+}
+
+/**
+ * Mark an operation on a user's own data, open to that user and to editors
+ */
+function selfOrEditor(operation) {
+  return {
+    ...secured('editor', operation),
+    description: 'Requires being the user, with a token whose subject is their id, or the editor role.'
+  };
+}
+
+// Cached GET responses carry an ETag; sending it back in If-None-Match gets a 304
+const notModified = { $ref: '#/components/responses/NotModified' };
+
+const pathParam = (name, description) => ({
+  name, in: 'path', required: true, description, schema: { type: 'string' }
+});
+
+const queryParam = (name, description, schema = { type: 'string' }, required = false) => ({
+  name, in: 'query', required, description, schema
+});
+
+const pageParams = [
+  queryParam('limit', 'Page size, clamped to the maximum page size', { type: 'integer', minimum: 1 }),
+  queryParam('cursor', 'Opaque cursor from the previous page\'s pagination.nextCursor')
+];
+
+const body = (schema, required = true) => ({
+  required,
+  content: { 'application/json': { schema } }
+});
+
+const schemas = {
+  Error: {
+    type: 'object',
+    required: ['error'],
+    properties: {
+      error: { type: 'string' },
+      message: { type: 'string' },
+      details: { type: 'array', items: { type: 'string' } }
+    }
+  },
+  Pagination: {
+    type: 'object',
+    required: ['total', 'limit', 'hasMore', 'nextCursor', 'next'],
+    properties: {
+      total: { type: 'integer', minimum: 0 },
+      limit: { type: 'integer', minimum: 1 },
+      hasMore: { type: 'boolean' },
+      nextCursor: nullable('string'),
+      next: nullable('string')
+    }
+  },
+  MovieSummary: {
+    type: 'object',
+    required: ['title'],
+    properties: {
+      title: { type: 'string' },
+      released: nullable('integer'),
+      tagline: nullable('string'),
+      posterImage: nullable('string')
+    }
+  },
+  CastMember: {
+    type: 'object',
+    required: ['name'],
+    properties: {
+      name: { type: 'string' },
+      role: { type: ['array', 'null'], items: { type: 'string' } },
+      profile_image: nullable('string')
+    }
+  },
+  MovieDetail: {
+    allOf: [ref('MovieSummary')],
+    type: 'object',
+    required: ['genres', 'cast'],
+    properties: {
+      genres: { type: 'array', items: { type: 'string' } },
+      cast: { type: 'array', items: ref('CastMember') }
+    }
+  },
+  BrowsedMovie: {
+    allOf: [ref('MovieSummary')],
+    type: 'object',
+    required: ['genres', 'popularity'],
+    properties: {
+      genres: { type: 'array', items: { type: 'string' } },
+      popularity: { type: 'integer', description: 'Number of user ratings' }
+    }
+  },
+  MovieInput: {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+      title: { type: 'string', maxLength: 200 },
+      released: { type: 'integer', minimum: 1888, maximum: 2100 },
+      tagline: { type: 'string', maxLength: 500 },
+      posterImage: { type: 'string', maxLength: 2000 }
+    }
+  },
+  GraphNode: {
+    type: 'object',
+    required: ['id', 'labels', 'properties'],
+    properties: {
+      id: { type: 'string' },
+      labels: { type: 'array', items: { type: 'string' } },
+      properties: { type: 'object' }
+    }
+  },
+  GraphRelationship: {
+    type: 'object',
+    required: ['id', 'type', 'start', 'end', 'properties'],
+    properties: {
+      id: { type: 'string' },
+      type: { type: 'string' },
+      start: { type: 'string' },
+      end: { type: 'string' },
+      properties: { type: 'object' }
+    }
+  },
+  GraphPath: {
+    type: 'object',
+    required: ['nodes', 'relationships', 'length', 'text'],
+    properties: {
+      nodes: { type: 'array', items: ref('GraphNode') },
+      relationships: { type: 'array', items: ref('GraphRelationship') },
+      length: { type: 'integer' },
+      text: { type: 'string', description: 'Arrow notation, e.g. Inception → IN_GENRE → Drama ← IN_GENRE ← Interstellar' },
+      sentence: { type: 'string', description: 'Plain-language reason, on recommendation explanations' }
+    }
+  },
+  ScoreComponent: {
+    type: 'object',
+    required: ['score', 'weighted'],
+    properties: {
+      shared: { type: 'array', items: { type: 'string' } },
+      gap: nullable('integer'),
+      score: { type: 'number' },
+      weighted: { type: 'number' }
+    }
+  },
+  Recommendation: {
+    allOf: [ref('MovieSummary')],
+    type: 'object',
+    required: ['actors'],
+    properties: {
+      actors: { type: 'array', items: { type: 'string' } },
+      commonGenres: { type: 'integer', description: 'genre strategy' },
+      coRaters: { type: 'integer', description: 'collaborative strategy' },
+      similarity: { type: 'number', description: 'collaborative strategy' },
+      score: { type: 'number', description: 'hybrid strategy' },
+      components: {
+        type: 'object',
+        description: 'hybrid strategy',
+        properties: {
+          genre: ref('ScoreComponent'),
+          cast: ref('ScoreComponent'),
+          year: ref('ScoreComponent')
+        }
+      },
+      explanation: {
+        type: 'object',
+        description: 'Present when explain=true',
+        required: ['paths', 'sentences'],
+        properties: {
+          paths: { type: 'array', items: ref('GraphPath') },
+          sentences: { type: 'array', items: { type: 'string' } }
+        }
+      }
+    }
+  },
+  Person: {
+    type: 'object',
+    required: ['name'],
+    properties: {
+      name: { type: 'string' },
+      profileImage: nullable('string')
+    }
+  },
+  PersonInput: {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+      name: { type: 'string', maxLength: 200 },
+      profileImage: { type: 'string', maxLength: 2000 }
+    }
+  },
+  Genre: {
+    type: 'object',
+    required: ['name'],
+    additionalProperties: false,
+    properties: { name: { type: 'string', maxLength: 100 } }
+  },
+  GraphQLRequest: {
+    type: 'object',
+    required: ['query'],
+    properties: {
+      query: { type: 'string' },
+      variables: { type: ['object', 'null'] },
+      operationName: nullable('string')
+    }
+  },
+  GraphQLResponse: {
+    type: 'object',
+    properties: {
+      data: { type: ['object', 'null'] },
+      errors: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['message'],
+          properties: { message: { type: 'string' }, path: { type: 'array' }, locations: { type: 'array' } }
+        }
+      }
+    }
+  },
+  Readiness: {
+    type: 'object',
+    required: ['status'],
+    properties: {
+      status: { type: 'string', enum: ['READY', 'NOT READY'] },
+      database: { type: 'string' },
+      reason: { type: 'string' }
+    }
+  },
+  ImportReport: {
+    type: 'object',
+    required: ['directory', 'files', 'rejections', 'durationMs'],
+    properties: {
+      directory: { type: 'string' },
+      files: {
+        type: 'object',
+        additionalProperties: {
+          type: 'object',
+          properties: {
+            file: { type: 'string' },
+            processed: { type: 'integer' },
+            imported: { type: 'integer' },
+            rejected: { type: 'integer' }
+          }
+        }
+      },
+      rejections: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: { file: { type: 'string' }, line: { type: 'integer' }, reason: { type: 'string' } }
+        }
+      },
+      durationMs: { type: 'integer' }
+    }
+  },
+  IsolationReport: {
+    type: 'object',
+    required: ['tenant', 'database', 'namespace', 'nodes', 'problems', 'isolated'],
+    properties: {
+      tenant: { type: 'string' },
+      database: { ...nullable('string'), description: 'Database of its own, for tenants kept in one' },
+      namespace: { ...nullable('string'), description: 'Label prefix, for tenants sharing the default database' },
+      nodes: { type: 'integer', description: 'Nodes in the catalogue' },
+      problems: { type: 'array', items: { type: 'string' } },
+      isolated: { type: 'boolean' }
+    }
+  },
+  User: {
+    type: 'object',
+    required: ['id', 'name'],
+    properties: {
+      id: { type: 'string' },
+      name: nullable('string')
+    }
+  },
+  UserSummary: {
+    allOf: [ref('User')],
+    type: 'object',
+    required: ['counts'],
+    properties: {
+      counts: {
+        type: 'object',
+        required: ['ratings', 'watchlist', 'watched'],
+        properties: {
+          ratings: { type: 'integer' },
+          watchlist: { type: 'integer' },
+          watched: { type: 'integer' }
+        }
+      }
+    }
+  },
+  UserInput: {
+    type: 'object',
+    additionalProperties: false,
+    required: ['name'],
+    properties: { name: { type: 'string', maxLength: 200 } }
+  },
+  UserMovie: {
+    type: 'object',
+    required: ['movie'],
+    description: 'A movie on one of a user\'s lists, with when it was put there as ratedAt, addedAt or watchedAt',
+    properties: {
+      movie: ref('MovieSummary'),
+      score: { type: 'number', description: 'ratings only' },
+      ratedAt: nullable('string'),
+      addedAt: nullable('string'),
+      watchedAt: nullable('string')
+    }
+  },
+  Affinity: {
+    type: 'object',
+    required: ['name', 'movies', 'averageRating', 'affinity'],
+    properties: {
+      name: { type: 'string' },
+      movies: { type: 'integer', description: 'Rated or watched movies with this genre or actor' },
+      averageRating: nullable('number'),
+      affinity: { type: 'number', description: 'Summed liking of those movies; higher ranks first' }
+    }
+  },
+  UserProfile: {
+    type: 'object',
+    required: ['user', 'topGenres', 'favouriteActors'],
+    properties: {
+      user: ref('UserSummary'),
+      topGenres: { type: 'array', items: ref('Affinity') },
+      favouriteActors: { type: 'array', items: ref('Affinity') }
+    }
+  }
+};
+
+const titleParam = pathParam('title', 'Movie title');
+const nameParam = pathParam('name', 'Person name');
+const userParam = pathParam('id', 'User id');
+
+const LIST_DESCRIPTIONS = {
+  ratings: 'ratings',
+  watchlist: 'watchlist',
+  watched: 'watch history'
+};
+
+// The ratings, watchlist and watched lists have the same three endpoints
+const userListPaths = Object.fromEntries(Object.keys(USER_LISTS).flatMap(list => [
+  [`/users/{id}/${list}`, {
+    get: selfOrEditor({
+      tags: ['Users'],
+      summary: `A user's ${LIST_DESCRIPTIONS[list]}, most recent first`,
+      parameters: [userParam, ...pageParams],
+      responses: {
+        200: json(`A page of the ${LIST_DESCRIPTIONS[list]}`, {
+          type: 'object',
+          required: [list, 'pagination'],
+          properties: { [list]: { type: 'array', items: ref('UserMovie') }, pagination: ref('Pagination') }
+        }),
+        400: errorResponse('BadRequest'),
+        404: errorResponse('NotFound')
+      }
+    })
+  }],
+  [`/users/{id}/${list}/{title}`, {
+    parameters: [userParam, titleParam],
+    put: selfOrEditor({
+      tags: ['Users'],
+      summary: list === 'ratings'
+        ? 'Rate a movie, replacing any earlier rating'
+        : list === 'watchlist' ? 'Add a movie to the watchlist' : 'Mark a movie watched, taking it off the watchlist',
+      ...(list === 'ratings' ? {
+        requestBody: body({
+          type: 'object',
+          additionalProperties: false,
+          required: ['score'],
+          properties: { score: { type: 'number', minimum: 0.5, maximum: 5 } }
+        })
+      } : {}),
+      responses: {
+        200: json('The list entry', { type: 'object', required: ['entry'], properties: { entry: ref('UserMovie') } }),
+        ...(list === 'ratings' ? { 400: errorResponse('BadRequest') } : {}),
+        404: errorResponse('NotFound')
+      }
+    }),
+    delete: selfOrEditor({
+      tags: ['Users'],
+      summary: `Take a movie off the ${LIST_DESCRIPTIONS[list]}`,
+      responses: { 204: { description: 'Removed' }, 404: errorResponse('NotFound') }
+    })
+  }]
+]));
+
+export const openApiDocument = {
+  openapi: '3.1.0',
+  info: {
+    title: 'Neo4j Movie Recommendation API',
+    version: '1.0.0',
+    description: 'Movies, people and genres stored in Neo4j, with graph-based recommendations. ' +
+      'Writes need an editor and admin routes an admin, identified by an X-API-Key header or a bearer token. ' +
+      'Each client has per-minute quotas, reported in RateLimit-Limit, RateLimit-Remaining and RateLimit-Reset headers. ' +
+      'Every response carries an X-Request-Id header, taken from the request if it sent one, that identifies it in the server logs. ' +
+      'Other catalogues hosted by the server are reached with an X-Tenant header or a /t/{tenant} path prefix, e.g. /t/acme/api/movies.'
+  },
+  servers: [{ url: '/api' }],
+  tags: [
+    { name: 'Movies' }, { name: 'Genres' }, { name: 'People' }, { name: 'Users' },
+    { name: 'Graph' }, { name: 'Admin' }
+  ],
+  paths: {
+    '/genres': {
+      get: {
+        tags: ['Genres'],
+        summary: 'List genres alphabetically',
+        parameters: pageParams,
+        responses: {
+          304: notModified,
+          200: json('A page of genre names', {
+            type: 'object',
+            required: ['genres', 'pagination'],
+            properties: { genres: { type: 'array', items: { type: 'string' } }, pagination: ref('Pagination') }
+          }),
+          400: errorResponse('BadRequest')
+        }
+      },
+      post: secured('editor', {
+        tags: ['Genres'],
+        summary: 'Create a genre',
+        requestBody: body(ref('Genre')),
+        responses: {
+          201: json('Created', { type: 'object', required: ['genre'], properties: { genre: ref('Genre') } }),
+          400: errorResponse('BadRequest'),
+          409: errorResponse('Conflict')
+        }
+      })
+    },
+    '/genres/{name}': {
+      parameters: [pathParam('name', 'Genre name')],
+      patch: secured('editor', {
+        tags: ['Genres'],
+        summary: 'Rename a genre',
+        requestBody: body(ref('Genre')),
+        responses: {
+          200: json('Renamed', { type: 'object', required: ['genre'], properties: { genre: ref('Genre') } }),
+          400: errorResponse('BadRequest'),
+          404: errorResponse('NotFound'),
+          409: errorResponse('Conflict')
+        }
+      }),
+      delete: secured('editor', {
+        tags: ['Genres'],
+        summary: 'Delete a genre and its links',
+        responses: { 204: { description: 'Deleted' }, 404: errorResponse('NotFound') }
+      })
+    },
+    '/movies': {
+      get: {
+        tags: ['Movies'],
+        summary: 'Browse movies with filters, sorting and facet counts',
+        parameters: [
+          queryParam('genres', 'Comma-separated genre names'),
+          queryParam('genreMode', 'Match any or all of the genres', { type: 'string', enum: ['any', 'all'] }),
+          queryParam('yearFrom', 'Earliest release year', { type: 'integer' }),
+          queryParam('yearTo', 'Latest release year', { type: 'integer' }),
+          queryParam('actor', 'Name of a cast member'),
+          queryParam('tagline', 'Text the tagline must contain, case-insensitive'),
+          queryParam('sort', 'Sort field', { type: 'string', enum: Object.keys(SORT_FIELDS) }),
+          queryParam('order', 'Sort direction', { type: 'string', enum: ['asc', 'desc'] }),
+          ...pageParams
+        ],
+        responses: {
+          304: notModified,
+          200: json('A page of matching movies with facets over all matches', {
+            type: 'object',
+            required: ['movies', 'facets', 'pagination'],
+            properties: {
+              movies: { type: 'array', items: ref('BrowsedMovie') },
+              facets: {
+                type: 'object',
+                required: ['genres', 'decades'],
+                properties: {
+                  genres: {
+                    type: 'array',
+                    items: { type: 'object', properties: { name: { type: 'string' }, count: { type: 'integer' } } }
+                  },
+                  decades: {
+                    type: 'array',
+                    items: { type: 'object', properties: { decade: { type: 'integer' }, count: { type: 'integer' } } }
+                  }
+                }
+              },
+              pagination: ref('Pagination')
+            }
+          }),
+          400: errorResponse('BadRequest')
+        }
+      },
+      post: secured('editor', {
+        tags: ['Movies'],
+        summary: 'Create a movie',
+        requestBody: body({ allOf: [ref('MovieInput')], required: ['title'] }),
+        responses: {
+          201: json('Created', { type: 'object', required: ['movie'], properties: { movie: ref('MovieSummary') } }),
+          400: errorResponse('BadRequest'),
+          409: errorResponse('Conflict')
+        }
+      })
+    },
+    '/movies/by-genre/{genre}': {
+      get: {
+        tags: ['Movies'],
+        summary: 'List the movies in a genre, newest first',
+        parameters: [pathParam('genre', 'Genre name'), ...pageParams],
+        responses: {
+          304: notModified,
+          200: json('A page of movies', {
+            type: 'object',
+            required: ['movies', 'pagination'],
+            properties: { movies: { type: 'array', items: ref('MovieSummary') }, pagination: ref('Pagination') }
+          }),
+          400: errorResponse('BadRequest'),
+          404: errorResponse('NotFound')
+        }
+      }
+    },
+    '/movies/{title}': {
+      parameters: [titleParam],
+      get: {
+        tags: ['Movies'],
+        summary: 'Get a movie with its genres and cast',
+        responses: {
+          304: notModified,
+          200: json('The movie', { type: 'object', required: ['movie'], properties: { movie: ref('MovieDetail') } }),
+          404: errorResponse('NotFound')
+        }
+      },
+      patch: secured('editor', {
+        tags: ['Movies'],
+        summary: 'Update some properties of a movie',
+        requestBody: body({ allOf: [ref('MovieInput')], minProperties: 1 }),
+        responses: {
+          200: json('Updated', { type: 'object', required: ['movie'], properties: { movie: ref('MovieSummary') } }),
+          400: errorResponse('BadRequest'),
+          404: errorResponse('NotFound'),
+          409: errorResponse('Conflict')
+        }
+      }),
+      delete: secured('editor', {
+        tags: ['Movies'],
+        summary: 'Delete a movie and its links',
+        responses: { 204: { description: 'Deleted' }, 404: errorResponse('NotFound') }
+      })
+    },
+    '/movies/{title}/recommendations': {
+      get: {
+        tags: ['Movies'],
+        summary: 'Recommend movies similar to a movie',
+        parameters: [
+          titleParam,
+          queryParam('strategy', 'Recommendation strategy', { type: 'string', enum: STRATEGIES }),
+          queryParam('weights', 'Hybrid weights, e.g. genre:0.5,cast:0.3,year:0.2'),
+          queryParam('explain', 'Include the graph paths behind each recommendation', { type: 'string', enum: ['true', 'false'] }),
+          queryParam('limit', 'Maximum recommendations', { type: 'integer', minimum: 1 })
+        ],
+        responses: {
+          304: notModified,
+          200: json('Recommendations', {
+            type: 'object',
+            required: ['strategy', 'fallback', 'recommendations'],
+            properties: {
+              strategy: { type: 'string', enum: STRATEGIES, description: 'Strategy actually used' },
+              fallback: { type: 'boolean', description: 'Whether collaborative fell back to genre for lack of ratings' },
+              weights: { type: 'object', additionalProperties: { type: 'number' } },
+              recommendations: { type: 'array', items: ref('Recommendation') }
+            }
+          }),
+          400: errorResponse('BadRequest'),
+          404: errorResponse('NotFound')
+        }
+      }
+    },
+    '/movies/{title}/cast/{name}': {
+      parameters: [titleParam, nameParam],
+      put: secured('editor', {
+        tags: ['Movies'],
+        summary: 'Add a person to the cast, or change their roles',
+        requestBody: body({
+          type: 'object',
+          required: ['roles'],
+          additionalProperties: false,
+          properties: { roles: { type: 'array', items: { type: 'string' } } }
+        }),
+        responses: {
+          200: json('The cast link', {
+            type: 'object',
+            required: ['castMember'],
+            properties: {
+              castMember: {
+                type: 'object',
+                properties: { title: { type: 'string' }, name: { type: 'string' }, roles: { type: 'array', items: { type: 'string' } } }
+              }
+            }
+          }),
+          400: errorResponse('BadRequest'),
+          404: errorResponse('NotFound')
+        }
+      }),
+      delete: secured('editor', {
+        tags: ['Movies'],
+        summary: 'Remove a person from the cast',
+        responses: { 204: { description: 'Removed' }, 404: errorResponse('NotFound') }
+      })
+    },
+    '/movies/{title}/genres/{genre}': {
+      parameters: [titleParam, pathParam('genre', 'Genre name')],
+      put: secured('editor', {
+        tags: ['Movies'],
+        summary: 'Put a movie in a genre',
+        responses: {
+          200: json('The genre link', {
+            type: 'object',
+            required: ['title', 'genre'],
+            properties: { title: { type: 'string' }, genre: { type: 'string' } }
+          }),
+          404: errorResponse('NotFound')
+        }
+      }),
+      delete: secured('editor', {
+        tags: ['Movies'],
+        summary: 'Take a movie out of a genre',
+        responses: { 204: { description: 'Removed' }, 404: errorResponse('NotFound') }
+      })
+    },
+    '/search': {
+      get: {
+        tags: ['Movies', 'People'],
+        summary: 'Full-text search of titles, taglines and person names',
+        parameters: [queryParam('q', 'Search text; misspellings are tolerated', { type: 'string' }, true), ...pageParams],
+        responses: {
+          304: notModified,
+          200: json('Matches ranked by relevance', {
+            type: 'object',
+            required: ['movies', 'people', 'pagination'],
+            properties: {
+              movies: {
+                type: 'array',
+                items: {
+                  allOf: [ref('MovieSummary')],
+                  type: 'object',
+                  required: ['score', 'highlights'],
+                  properties: {
+                    score: { type: 'number' },
+                    highlights: {
+                      type: 'object',
+                      properties: { title: nullable('string'), tagline: nullable('string') }
+                    }
+                  }
+                }
+              },
+              people: {
+                type: 'array',
+                items: {
+                  allOf: [ref('Person')],
+                  type: 'object',
+                  required: ['score', 'highlights'],
+                  properties: {
+                    score: { type: 'number' },
+                    highlights: { type: 'object', properties: { name: nullable('string') } }
+                  }
+                }
+              },
+              pagination: ref('Pagination')
+            }
+          }),
+          400: errorResponse('BadRequest')
+        }
+      }
+    },
+    '/people': {
+      get: {
+        tags: ['People'],
+        summary: 'List people alphabetically',
+        parameters: pageParams,
+        responses: {
+          304: notModified,
+          200: json('A page of people', {
+            type: 'object',
+            required: ['people', 'pagination'],
+            properties: {
+              people: {
+                type: 'array',
+                items: {
+                  allOf: [ref('Person')],
+                  type: 'object',
+                  required: ['movieCount'],
+                  properties: { movieCount: { type: 'integer' } }
+                }
+              },
+              pagination: ref('Pagination')
+            }
+          }),
+          400: errorResponse('BadRequest')
+        }
+      },
+      post: secured('editor', {
+        tags: ['People'],
+        summary: 'Create a person',
+        requestBody: body({ allOf: [ref('PersonInput')], required: ['name'] }),
+        responses: {
+          201: json('Created', { type: 'object', required: ['person'], properties: { person: ref('Person') } }),
+          400: errorResponse('BadRequest'),
+          409: errorResponse('Conflict')
+        }
+      })
+    },
+    '/people/{name}': {
+      parameters: [nameParam],
+      get: {
+        tags: ['People'],
+        summary: 'Get a person with their filmography',
+        responses: {
+          304: notModified,
+          200: json('The person', {
+            type: 'object',
+            required: ['person'],
+            properties: {
+              person: {
+                allOf: [ref('Person')],
+                type: 'object',
+                required: ['filmography'],
+                properties: {
+                  filmography: {
+                    type: 'array',
+                    items: {
+                      type: 'object',
+                      required: ['title'],
+                      properties: {
+                        title: { type: 'string' },
+                        released: nullable('integer'),
+                        posterImage: nullable('string'),
+                        roles: { type: ['array', 'null'], items: { type: 'string' } }
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          }),
+          404: errorResponse('NotFound')
+        }
+      },
+      patch: secured('editor', {
+        tags: ['People'],
+        summary: 'Update some properties of a person',
+        requestBody: body({ allOf: [ref('PersonInput')], minProperties: 1 }),
+        responses: {
+          200: json('Updated', { type: 'object', required: ['person'], properties: { person: ref('Person') } }),
+          400: errorResponse('BadRequest'),
+          404: errorResponse('NotFound'),
+          409: errorResponse('Conflict')
+        }
+      }),
+      delete: secured('editor', {
+        tags: ['People'],
+        summary: 'Delete a person and their links',
+        responses: { 204: { description: 'Deleted' }, 404: errorResponse('NotFound') }
+      })
+    },
+    '/people/{name}/costars': {
+      get: {
+        tags: ['People'],
+        summary: 'People who most often acted alongside a person',
+        parameters: [nameParam, ...pageParams],
+        responses: {
+          304: notModified,
+          200: json('A page of co-stars, most shared movies first', {
+            type: 'object',
+            required: ['costars', 'pagination'],
+            properties: {
+              costars: {
+                type: 'array',
+                items: {
+                  allOf: [ref('Person')],
+                  type: 'object',
+                  required: ['sharedMovies', 'movies'],
+                  properties: {
+                    sharedMovies: { type: 'integer' },
+                    movies: { type: 'array', items: { type: 'string' } }
+                  }
+                }
+              },
+              pagination: ref('Pagination')
+            }
+          }),
+          400: errorResponse('BadRequest'),
+          404: errorResponse('NotFound')
+        }
+      }
+    },
+    '/users/{id}': {
+      parameters: [userParam],
+      get: {
+        tags: ['Users'],
+        summary: 'Get a user with the number of movies on each of their lists',
+        responses: {
+          304: notModified,
+          200: json('The user', { type: 'object', required: ['user'], properties: { user: ref('UserSummary') } }),
+          404: errorResponse('NotFound')
+        }
+      },
+      put: selfOrEditor({
+        tags: ['Users'],
+        summary: 'Create a user, or rename an existing one',
+        requestBody: body(ref('UserInput')),
+        responses: {
+          200: json('Renamed', { type: 'object', required: ['user'], properties: { user: ref('User') } }),
+          201: json('Created', { type: 'object', required: ['user'], properties: { user: ref('User') } }),
+          400: errorResponse('BadRequest')
+        }
+      }),
+      delete: selfOrEditor({
+        tags: ['Users'],
+        summary: 'Delete a user with their ratings, watchlist and watch history',
+        responses: { 204: { description: 'Deleted' }, 404: errorResponse('NotFound') }
+      })
+    },
+    '/users/{id}/profile': {
+      get: {
+        tags: ['Users'],
+        summary: 'A user\'s taste profile: top genres and favourite actors from the movies they rated and watched',
+        parameters: [userParam],
+        responses: {
+          304: notModified,
+          200: json('The profile', ref('UserProfile')),
+          404: errorResponse('NotFound')
+        }
+      }
+    },
+    ...userListPaths,
+    '/graph/neighborhood': {
+      get: {
+        tags: ['Graph'],
+        summary: 'Nodes within a few hops of a movie, person or genre and the relationships between them',
+        parameters: [
+          queryParam('node', 'Movie title, or person or genre name', { type: 'string' }, true),
+          queryParam('label', 'Label of the node, when a name is shared', { type: 'string', enum: ['Movie', 'Person', 'Genre'] }),
+          queryParam('depth', 'Hops to follow', { type: 'integer', minimum: 1 }),
+          queryParam('labels', 'Comma-separated labels of the nodes to follow; Movie,Person,Genre by default')
+        ],
+        responses: {
+          304: notModified,
+          200: json('The neighborhood, nearest nodes first', {
+            type: 'object',
+            required: ['center', 'depth', 'labels', 'nodes', 'relationships', 'truncated'],
+            properties: {
+              center: { type: 'string', description: 'id of the chosen node' },
+              depth: { type: 'integer' },
+              labels: { type: 'array', items: { type: 'string' } },
+              nodes: {
+                type: 'array',
+                items: {
+                  allOf: [ref('GraphNode')],
+                  type: 'object',
+                  required: ['distance'],
+                  properties: { distance: { type: 'integer', minimum: 0 } }
+                }
+              },
+              relationships: { type: 'array', items: ref('GraphRelationship') },
+              truncated: { type: 'boolean', description: 'Whether more nodes were in reach than returned' }
+            }
+          }),
+          400: errorResponse('BadRequest'),
+          404: errorResponse('NotFound')
+        }
+      }
+    },
+    '/paths': {
+      get: {
+        tags: ['Graph'],
+        summary: 'Shortest connections between two people or movies',
+        parameters: [
+          queryParam('from', 'Person name or movie title', { type: 'string' }, true),
+          queryParam('to', 'Person name or movie title', { type: 'string' }, true),
+          queryParam('maxDepth', 'Maximum hops', { type: 'integer', minimum: 1 }),
+          queryParam('genres', 'Also walk through shared genres', { type: 'string', enum: ['true', 'false'] })
+        ],
+        responses: {
+          304: notModified,
+          200: json('The shortest path and any others of the same length', {
+            type: 'object',
+            required: ['from', 'to', 'length', 'path', 'alternatives'],
+            properties: {
+              from: ref('GraphNode'),
+              to: ref('GraphNode'),
+              length: { type: 'integer' },
+              path: ref('GraphPath'),
+              alternatives: { type: 'array', items: ref('GraphPath') }
+            }
+          }),
+          400: errorResponse('BadRequest'),
+          404: errorResponse('NotFound')
+        }
+      }
+    },
+    '/admin/import': {
+      post: secured('admin', {
+        tags: ['Admin'],
+        summary: 'Import a MovieLens-style catalogue from the server\'s import directory',
+        requestBody: body({
+          type: 'object',
+          properties: {
+            directory: { type: 'string', description: 'Relative to the import directory' },
+            batchSize: { type: 'integer', minimum: 1 }
+          }
+        }, false),
+        responses: {
+          200: json('Import report', { type: 'object', required: ['report'], properties: { report: ref('ImportReport') } }),
+          400: errorResponse('BadRequest')
+        }
+      })
+    },
+    '/admin/export': {
+      get: secured('admin', {
+        tags: ['Admin'],
+        summary: 'Stream the graph as JSON, GraphML or a replayable Cypher script',
+        parameters: [
+          queryParam('format', 'Export format', { type: 'string', enum: Object.keys(EXPORT_FORMATS) }),
+          queryParam('labels', `Comma-separated labels to export, from ${Object.keys(NODE_KEYS).join(', ')}`)
+        ],
+        responses: {
+          200: {
+            description: 'The export file',
+            content: Object.fromEntries(
+              Object.values(EXPORT_FORMATS).map(({ contentType }) => [contentType, { schema: { type: 'string' } }])
+            )
+          },
+          400: errorResponse('BadRequest')
+        }
+      })
+    },
+    '/admin/isolation': {
+      get: secured('admin', {
+        tags: ['Admin'],
+        summary: 'Check that the catalogue is isolated from other tenants\' data',
+        responses: {
+          200: json('Isolation report', { type: 'object', required: ['report'], properties: { report: ref('IsolationReport') } })
+        }
+      })
+    },
+    '/graphql': {
+      servers: [{ url: '/' }],
+      get: {
+        tags: ['Graph'],
+        summary: 'Run a GraphQL query given in the query string',
+        parameters: [
+          queryParam('query', 'GraphQL query', { type: 'string' }, true),
+          queryParam('variables', 'Variables as a JSON object'),
+          queryParam('operationName', 'Operation to run when the query has several')
+        ],
+        responses: {
+          200: json('Query result', ref('GraphQLResponse')),
+          400: json('Unparseable or invalid query, or over the depth or complexity limit', ref('GraphQLResponse'))
+        }
+      },
+      post: {
+        tags: ['Graph'],
+        summary: 'Run a GraphQL query over movies, people and genres',
+        requestBody: body(ref('GraphQLRequest')),
+        responses: {
+          200: json('Query result', ref('GraphQLResponse')),
+          400: json('Unparseable or invalid query, or over the depth or complexity limit', ref('GraphQLResponse'))
+        }
+      }
+    },
+    '/health': {
+      servers: [{ url: '/' }],
+      get: {
+        tags: ['Admin'],
+        summary: 'Liveness check',
+        responses: {
+          200: json('The server is up', { type: 'object', required: ['status'], properties: { status: { const: 'UP' } } })
+        }
+      }
+    },
+    '/metrics': {
+      servers: [{ url: '/' }],
+      get: {
+        tags: ['Admin'],
+        summary: 'Prometheus metrics: requests, query latency and errors, pool usage, seed and import durations',
+        responses: {
+          200: {
+            description: 'Metrics in the Prometheus text exposition format',
+            content: { 'text/plain': { schema: { type: 'string' } } }
+          }
+        }
+      }
+    },
+    '/ready': {
+      servers: [{ url: '/' }],
+      get: {
+        tags: ['Admin'],
+        summary: 'Readiness check, including the database connection',
+        responses: {
+          200: json('Ready to serve requests', ref('Readiness')),
+          503: json('The database is unreachable', ref('Readiness'))
+        }
+      }
+    },
+    '/openapi.json': {
+      get: {
+        tags: ['Admin'],
+        summary: 'This document',
+        responses: { 200: json('OpenAPI document', { type: 'object' }) }
+      }
+    }
+  },
+  components: {
+    schemas,
+    securitySchemes: {
+      apiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key', description: 'Created with npm run keys -- create' },
+      bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT', description: 'HS256 token with a role claim' }
+    },
+    responses: {
+      Unauthorized: json('Missing or invalid credentials', ref('Error')),
+      Forbidden: json('The caller\'s role may not do this', ref('Error')),
+      NotModified: { description: 'Unchanged since the response whose ETag was sent in If-None-Match' },
+      BadRequest: json('Invalid parameters or body', ref('Error')),
+      NotFound: json('Not found', ref('Error')),
+      Conflict: json('Violates a uniqueness constraint', ref('Error')),
+      TooManyRequests: {
+        ...json('The caller is over its quota for this route', ref('Error')),
+        headers: {
+          'Retry-After': { description: 'Seconds until the quota resets', schema: { type: 'integer' } }
+        }
+      },
+      QueryTimeout: json('The query took too long and was cancelled', ref('Error')),
+      ServerError: json('An unexpected failure, such as the database being unreachable; ' +
+        'message holds the cause outside production', ref('Error'))
+    }
+  }
+};
+
+// Every API and GraphQL request counts against the caller's quotas, and any
+// that queries the database can run into the transaction timeout or fail
+const UNLIMITED_PATHS = ['/health', '/ready', '/metrics'];
+const METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+for (const [path, pathItem] of Object.entries(openApiDocument.paths)) {
+  if (UNLIMITED_PATHS.includes(path)) {
+    continue;
+  }
+  for (const operation of METHODS.map(method => pathItem[method]).filter(Boolean)) {
+    operation.responses[429] = errorResponse('TooManyRequests');
+    if (path !== '/openapi.json') {
+      operation.responses[500] = errorResponse('ServerError');
+      operation.responses[503] = errorResponse('QueryTimeout');
+    }
+  }
+}
@@ -0,0 +1,58 @@
+// Per-client request quotas. Clients are told apart by their credentials
+// when they present any, and by IP address otherwise. Responses carry
+// RateLimit-Limit, RateLimit-Remaining and RateLimit-Reset headers, and a
+// client over its quota gets 429 with Retry-After until the window resets.
+import { rateLimit as createLimiter } from 'express-rate-limit';
+import { config } from './config.js';
+import { logger } from './utils/logger.js';
+
+// One limiter per route group, so every route in a group shares its counts
+const limiters = new Map();
+
+function clientKey(req) {
+  if (req.auth && req.auth.method !== 'none') {
+    return `${req.auth.method}:${req.auth.subject}`;
+  }
+  return `ip:${req.ip}`;
+}
+
+/**
+ * Middleware that counts requests against a route group's quota
+ * (config.rateLimit.quotas). Mount it after authenticate so that clients
+ * with credentials are counted by who they are.
+ * @param {string} group - Key of config.rateLimit.quotas
+ * @returns {Function}
+ */
+export function rateLimit(group) {
+  if (!limiters.has(group)) {
+    const limit = config.rateLimit.quotas[group];
+    if (!config.rateLimit.enabled || !limit) {
+      limiters.set(group, (req, res, next) => next());
+    } else {
+      limiters.set(group, createLimiter({
+        windowMs: config.rateLimit.windowMs,
+        limit,
+        standardHeaders: 'draft-6',
+        legacyHeaders: false,
+        keyGenerator: clientKey,
+        handler: (req, res) => {
+          const retryAfter = res.get('Retry-After');
+          logger.warn(`${clientKey(req)} is over the ${group} quota of ${limit} requests, refused ${req.method} ${req.originalUrl}`);
+          res.status(429).json({ error: `Too many requests, try again in ${retryAfter} seconds` });
+        }
+      }));
+    }
+  }
+  return limiters.get(group);
+}
+
+/**
+ * Middleware that counts every request against the reads or writes quota,
+ * depending on its method
+ * @returns {Function}
+ */
+export function limitRequests() {
+  const reads = rateLimit('reads');
+  const writes = rateLimit('writes');
+  return (req, res, next) => (req.method === 'GET' || req.method === 'HEAD' ? reads : writes)(req, res, next);
+}
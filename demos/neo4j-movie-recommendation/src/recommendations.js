@@ -0,0 +1,286 @@
+// Recommendation strategies for the movie graph
+import neo4j from 'neo4j-driver';
+import { runQuery, safeInt } from './neo4j.js';
+import { config } from './config.js';
+import { logger } from './utils/logger.js';
+import { displayName, serializePath } from './utils/graph.js';
+
+export const STRATEGIES = ['genre', 'collaborative', 'hybrid'];
+
+export const WEIGHT_COMPONENTS = ['genre', 'cast', 'year'];
+
+/**
+ * Recommend movies that share the most genres with the given movie
+ * @param {string} title - Title of the source movie
+ * @param {number} limit - Maximum number of recommendations
+ * @returns {Promise<object[]>}
+ */
+export async function genreRecommendations(title, limit) {
+  const result = await runQuery(
+    `MATCH (m:Movie {title: $title})-[:IN_GENRE]->(g:Genre)<-[:IN_GENRE]-(rec:Movie)
+     WHERE m <> rec
+     WITH rec, COUNT(g) AS commonGenres
+     MATCH (rec)<-[:ACTED_IN]-(a:Person)
+     WITH rec, commonGenres, COLLECT(a.name) AS actors
+     RETURN rec.title AS title, rec.released AS released,
+            rec.tagline AS tagline, rec.poster_image AS posterImage,
+            commonGenres, actors
+     ORDER BY commonGenres DESC, rec.released DESC
+     LIMIT $limit`,
+    { title, limit: neo4j.int(limit) },
+    { name: 'recommendations.genre', mode: 'read' }
+  );
+
+  return result.records.map(record => ({
+    title: record.get('title'),
+    released: safeInt(record.get('released')),
+    tagline: record.get('tagline'),
+    posterImage: record.get('posterImage'),
+    commonGenres: safeInt(record.get('commonGenres')),
+    actors: record.get('actors')
+  }));
+}
+
+/**
+ * Recommend movies rated similarly by the users who rated the given movie.
+ * Similarity is the adjusted cosine of the two movies' score vectors over
+ * their co-raters: each score less the co-rater's mean score, so that it
+ * runs from 1 (liked and disliked together) to -1 (opposite tastes) rather
+ * than coming out near 1 for any two movies both rated well.
+ * @param {string} title - Title of the source movie
+ * @param {number} limit - Maximum number of recommendations
+ * @param {number} minCoRaters - Co-raters required before a pair is considered
+ * @returns {Promise<object[]>}
+ */
+export async function collaborativeRecommendations(title, limit, minCoRaters = config.recommendations.minCoRaters) {
+  const result = await runQuery(
+    `MATCH (m:Movie {title: $title})<-[r1:RATED]-(u:User)
+     WITH m, u, r1, COLLECT { MATCH (u)-[r:RATED]->(:Movie) WHERE r.score IS NOT NULL RETURN r.score } AS scores
+     WITH m, u, r1, reduce(total = 0.0, score IN scores | total + score) / size(scores) AS mean
+     MATCH (u)-[r2:RATED]->(rec:Movie)
+     WHERE m <> rec
+     WITH rec, COUNT(u) AS coRaters,
+          SUM((r1.score - mean) * (r2.score - mean)) AS dot,
+          SQRT(SUM((r1.score - mean) ^ 2)) AS norm1,
+          SQRT(SUM((r2.score - mean) ^ 2)) AS norm2
+     WHERE coRaters >= $minCoRaters AND norm1 > 0 AND norm2 > 0
+     WITH rec, coRaters, dot / (norm1 * norm2) AS similarity
+     OPTIONAL MATCH (rec)<-[:ACTED_IN]-(a:Person)
+     WITH rec, coRaters, similarity, COLLECT(a.name) AS actors
+     RETURN rec.title AS title, rec.released AS released,
+            rec.tagline AS tagline, rec.poster_image AS posterImage,
+            coRaters, similarity, actors
+     ORDER BY similarity DESC, coRaters DESC, rec.released DESC
+     LIMIT $limit`,
+    { title, limit: neo4j.int(limit), minCoRaters: neo4j.int(minCoRaters) },
+    { name: 'recommendations.collaborative', mode: 'read' }
+  );
+
+  return result.records.map(record => ({
+    title: record.get('title'),
+    released: safeInt(record.get('released')),
+    tagline: record.get('tagline'),
+    posterImage: record.get('posterImage'),
+    coRaters: safeInt(record.get('coRaters')),
+    similarity: record.get('similarity'),
+    actors: record.get('actors')
+  }));
+}
+
+/**
+ * Parse per-request hybrid weights such as "genre:0.6,cast:0.4".
+ * Components left out keep their configured default.
+ * @param {string} [value] - Comma-separated component:weight pairs
+ * @param {object} [defaults] - Weights to start from
+ * @returns {object|null} - Weights, or null when the value is malformed
+ */
+export function parseWeights(value, defaults = config.recommendations.weights) {
+  const weights = { ...defaults };
+  if (!value) {
+    return weights;
+  }
+
+  for (const pair of String(value).split(',')) {
+    const [component, raw] = pair.split(':').map(part => part.trim());
+    const weight = Number(raw);
+    if (!WEIGHT_COMPONENTS.includes(component) || raw === undefined || raw === '' || Number.isNaN(weight) || weight < 0) {
+      return null;
+    }
+    weights[component] = weight;
+  }
+  return weights;
+}
+
+/**
+ * Recommend movies by a weighted sum of shared genres, shared cast and
+ * closeness of release year. Each component is normalised to 0-1 before
+ * weighting and is returned alongside the total so callers can show why a
+ * movie ranked where it did.
+ * @param {string} title - Title of the source movie
+ * @param {number} limit - Maximum number of recommendations
+ * @param {object} weights - Weight per component in WEIGHT_COMPONENTS
+ * @returns {Promise<object[]>}
+ */
+export async function hybridRecommendations(title, limit, weights = config.recommendations.weights) {
+  const result = await runQuery(
+    `MATCH (m:Movie {title: $title})
+     WITH m,
+          size([(m)-[:IN_GENRE]->(g:Genre) | g]) AS sourceGenres,
+          size([(m)<-[:ACTED_IN]-(p:Person) | p]) AS sourceCast
+     MATCH (m)-[:IN_GENRE|ACTED_IN*2]-(rec:Movie)
+     WHERE m <> rec
+     WITH DISTINCT m, rec, sourceGenres, sourceCast
+     WITH m, rec, sourceGenres, sourceCast,
+          [(m)-[:IN_GENRE]->(g:Genre)<-[:IN_GENRE]-(rec) | g.name] AS sharedGenres,
+          [(m)<-[:ACTED_IN]-(p:Person)-[:ACTED_IN]->(rec) | p.name] AS sharedCast,
+          [(rec)<-[:ACTED_IN]-(a:Person) | a.name] AS actors,
+          abs(m.released - rec.released) AS yearGap
+     WITH rec, sharedGenres, sharedCast, actors, yearGap,
+          CASE WHEN sourceGenres = 0 THEN 0.0
+               ELSE toFloat(size(sharedGenres)) / sourceGenres END AS genreScore,
+          CASE WHEN sourceCast = 0 THEN 0.0
+               ELSE toFloat(size(sharedCast)) / sourceCast END AS castScore,
+          CASE WHEN yearGap IS NULL OR yearGap >= $yearWindow THEN 0.0
+               ELSE 1.0 - toFloat(yearGap) / $yearWindow END AS yearScore
+     WITH rec, sharedGenres, sharedCast, actors, yearGap, genreScore, castScore, yearScore,
+          $weights.genre * genreScore + $weights.cast * castScore + $weights.year * yearScore AS score
+     RETURN rec.title AS title, rec.released AS released,
+            rec.tagline AS tagline, rec.poster_image AS posterImage,
+            sharedGenres, sharedCast, actors, yearGap,
+            genreScore, castScore, yearScore, score
+     ORDER BY score DESC, rec.released DESC
+     LIMIT $limit`,
+    { title, limit: neo4j.int(limit), weights, yearWindow: config.recommendations.yearWindow },
+    { name: 'recommendations.hybrid', mode: 'read' }
+  );
+
+  return result.records.map(record => ({
+    title: record.get('title'),
+    released: safeInt(record.get('released')),
+    tagline: record.get('tagline'),
+    posterImage: record.get('posterImage'),
+    score: record.get('score'),
+    components: {
+      genre: {
+        shared: record.get('sharedGenres'),
+        score: record.get('genreScore'),
+        weighted: weights.genre * record.get('genreScore')
+      },
+      cast: {
+        shared: record.get('sharedCast'),
+        score: record.get('castScore'),
+        weighted: weights.cast * record.get('castScore')
+      },
+      year: {
+        gap: safeInt(record.get('yearGap')),
+        score: record.get('yearScore'),
+        weighted: weights.year * record.get('yearScore')
+      }
+    },
+    actors: record.get('actors')
+  }));
+}
+
+/**
+ * Describe a two-hop path between two movies in a sentence
+ * @param {object} path - Path as returned by serializePath
+ * @returns {string}
+ */
+export function describePath(path) {
+  const [source, via, target] = path.nodes;
+  const [from, to] = [displayName(source), displayName(target)];
+
+  if (via.labels.includes('Genre')) {
+    return `${from} and ${to} are both ${displayName(via)} movies`;
+  }
+  if (via.labels.includes('Person')) {
+    return `${displayName(via)} acted in both ${from} and ${to}`;
+  }
+  return path.text;
+}
+
+/**
+ * Find the graph paths that connect a movie to each of its recommendations
+ * through a shared actor or genre. Actor paths come first as they are the
+ * most specific. Paths through users are left out, as they would show anyone
+ * who rated what; ratings are only readable behind requireSelfOrRole.
+ * @param {string} title - Title of the source movie
+ * @param {string[]} titles - Titles of the recommended movies
+ * @param {number} maxPaths - Maximum paths per recommended movie
+ * @returns {Promise<Map<string, object[]>>} - Serialized paths keyed by recommended title
+ */
+export async function explainRecommendations(title, titles, maxPaths = config.recommendations.maxExplanationPaths) {
+  const result = await runQuery(
+    `MATCH (m:Movie {title: $title})
+     UNWIND $titles AS recTitle
+     MATCH (rec:Movie {title: recTitle})
+     MATCH path = (m)-[:IN_GENRE|ACTED_IN*2]-(rec)
+     WITH rec, path, nodes(path)[1] AS via
+     ORDER BY CASE WHEN via:Person THEN 0 ELSE 1 END
+     RETURN rec.title AS title, COLLECT(path)[..$maxPaths] AS paths`,
+    { title, titles, maxPaths: neo4j.int(maxPaths) },
+    { name: 'recommendations.explain', mode: 'read' }
+  );
+
+  const explanations = new Map();
+  for (const record of result.records) {
+    explanations.set(record.get('title'), record.get('paths').map(serializePath));
+  }
+  return explanations;
+}
+
+// Where recommendMovies gets its candidates and explanations from
+const cypherStrategies = {
+  genre: genreRecommendations,
+  collaborative: collaborativeRecommendations,
+  hybrid: hybridRecommendations,
+  explain: explainRecommendations
+};
+
+/**
+ * Run the requested strategy, falling back to genre overlap when the
+ * collaborative strategy has too few ratings to produce anything
+ * @param {string} title - Title of the source movie
+ * @param {object} options
+ * @param {string} options.strategy - One of STRATEGIES
+ * @param {number} options.limit - Maximum number of recommendations
+ * @param {object} [options.weights] - Component weights for the hybrid strategy
+ * @param {boolean} [options.explain] - Attach the connecting paths to each recommendation
+ * @param {object} [strategies] - Functions with the signatures of genreRecommendations,
+ *   collaborativeRecommendations, hybridRecommendations and explainRecommendations,
+ *   keyed genre, collaborative, hybrid and explain; the Cypher ones by default
+ * @returns {Promise<{strategy: string, fallback: boolean, recommendations: object[]}>}
+ */
+export async function recommendMovies(title, options = {}, strategies = cypherStrategies) {
+  const result = await runStrategy(title, options, strategies);
+
+  if (options.explain && result.recommendations.length > 0) {
+    const explanations = await strategies.explain(title, result.recommendations.map(rec => rec.title));
+    result.recommendations = result.recommendations.map(rec => {
+      const paths = (explanations.get(rec.title) || []).map(path => ({ ...path, sentence: describePath(path) }));
+      return { ...rec, explanation: { paths, sentences: paths.map(path => path.sentence) } };
+    });
+  }
+
+  return result;
+}
+
+/**
+ * Dispatch to the recommendation strategy named in the options
+ */
+async function runStrategy(title, { strategy = config.recommendations.defaultStrategy, limit = 5, weights = config.recommendations.weights } = {}, strategies) {
+  if (strategy === 'hybrid') {
+    return { strategy, fallback: false, weights, recommendations: await strategies.hybrid(title, limit, weights) };
+  }
+
+  if (strategy === 'collaborative') {
+    const recommendations = await strategies.collaborative(title, limit);
+    if (recommendations.length > 0) {
+      return { strategy, fallback: false, recommendations };
+    }
+    logger.info(`Not enough ratings for collaborative recommendations of ${title}, falling back to genre`);
+    return { strategy: 'genre', fallback: true, recommendations: await strategies.genre(title, limit) };
+  }
+
+  return { strategy: 'genre', fallback: false, recommendations: await strategies.genre(title, limit) };
+}
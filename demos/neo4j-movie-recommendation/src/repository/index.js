@@ -0,0 +1,26 @@
+// Data access for the routes in routes.js and the dashboard. Handlers ask the
+// repository for movies, genres, search results and recommendations rather
+// than running queries, so the API can be served from the Neo4j database or,
+// in tests, from the in-memory sample catalogue.
+import { createNeo4jRepository } from './neo4j.js';
+
+let repository = null;
+
+/**
+ * Get the repository in use, the Neo4j one unless useRepository replaced it
+ * @returns {object}
+ */
+export function getRepository() {
+  if (!repository) {
+    repository = createNeo4jRepository();
+  }
+  return repository;
+}
+
+/**
+ * Serve requests from another repository, e.g. createMemoryRepository()
+ * @param {object|null} replacement - Null goes back to the Neo4j repository
+ */
+export function useRepository(replacement) {
+  repository = replacement;
+}
@@ -0,0 +1,992 @@
+// Repository holding a small graph in process memory, loaded from the sample
+// data, so the API can be exercised without a database. It answers as the
+// Neo4j repository does for the same data, except that search relevance is
+// approximated, a single catalogue is shared by every tenant and exports
+// carry no schema.
+import { config } from '../config.js';
+import { invalidateCache } from '../cache/index.js';
+import { sampleData } from '../utils/seed.js';
+import { highlight, searchTerms } from '../search.js';
+import { recommendMovies } from '../recommendations.js';
+import { serializePath } from '../utils/graph.js';
+import { USER_LISTS, formatAffinity, formatListEntry } from '../users.js';
+import { NODE_KEYS, exportGraph } from '../exporter.js';
+import { importCatalogue } from '../importer.js';
+import { DEFAULT_TENANT, currentTenant } from '../tenants.js';
+
+// API field name to node property name, as in catalogue.js
+const movieProperties = { title: 'title', released: 'released', tagline: 'tagline', posterImage: 'poster_image' };
+const personProperties = { name: 'name', profileImage: 'profile_image' };
+
+/**
+ * Rename validated API fields to node properties
+ * @param {object} body - Validated request body
+ * @param {object} mapping - API field name to property name
+ * @returns {object}
+ */
+function toProperties(body, mapping) {
+  return Object.fromEntries(Object.entries(body)
+    .filter(([field]) => Object.hasOwn(mapping, field))
+    .map(([field, value]) => [mapping[field], value]));
+}
+
+/**
+ * The error Neo4j raises when a write breaks a uniqueness constraint
+ * @param {string} label
+ * @param {string} key
+ * @param {*} value
+ * @returns {Error}
+ */
+function constraintViolation(label, key, value) {
+  return Object.assign(
+    new Error(`Node already exists with label \`${label}\` and property \`${key}\` = '${value}'`),
+    { code: 'Neo.ClientError.Schema.ConstraintValidationFailed' }
+  );
+}
+
+/**
+ * Compare two property values the way Cypher's ORDER BY does, nulls last
+ * @returns {number}
+ */
+function compareValues(a, b) {
+  if (a == null || b == null) {
+    return (a == null) - (b == null);
+  }
+  if (typeof a === 'string') {
+    return a < b ? -1 : a > b ? 1 : 0;
+  }
+  return a - b;
+}
+
+/**
+ * Sort by several keys, each a function of the item and a direction
+ * @param {object[]} items
+ * @param {Array<[Function, string]>} keys - e.g. [[movie => movie.released, 'desc']]
+ * @returns {object[]} - A sorted copy
+ */
+function sortBy(items, keys) {
+  return [...items].sort((a, b) => {
+    for (const [key, direction] of keys) {
+      const order = compareValues(key(a), key(b));
+      if (order !== 0) {
+        return direction === 'desc' ? -order : order;
+      }
+    }
+    return 0;
+  });
+}
+
+/**
+ * Create an in-memory repository
+ * @param {object} [data] - Movies and users shaped like sampleData
+ * @returns {object} - Repository
+ */
+export function createMemoryRepository(data = sampleData) {
+  // Nodes and relationships are shaped like the driver's, so that
+  // serializePath and the recommendation explanations work on them
+  const nodes = [];
+  const relationships = [];
+  let nextId = 0;
+
+  function addNode(label, properties) {
+    const node = { elementId: `memory:${nextId++}`, labels: [label], properties };
+    nodes.push(node);
+    return node;
+  }
+
+  function relate(start, type, end, properties = {}) {
+    const relationship = {
+      elementId: `memory:${nextId++}`,
+      type,
+      start,
+      end,
+      startNodeElementId: start.elementId,
+      endNodeElementId: end.elementId,
+      properties
+    };
+    relationships.push(relationship);
+    return relationship;
+  }
+
+  function nodesWith(label) {
+    return nodes.filter(node => node.labels.includes(label));
+  }
+
+  function findNode(label, key, value) {
+    return nodes.find(node => node.labels.includes(label) && node.properties[key] === value) || null;
+  }
+
+  // Relationships of a type leaving (out) or reaching (in) a node
+  function outgoing(node, type) {
+    return relationships.filter(relationship => relationship.start === node && relationship.type === type);
+  }
+
+  function incoming(node, type) {
+    return relationships.filter(relationship => relationship.end === node && relationship.type === type);
+  }
+
+  function findRelationship(start, type, end) {
+    return relationships.find(relationship =>
+      relationship.start === start && relationship.type === type && relationship.end === end) || null;
+  }
+
+  function deleteRelationship(relationship) {
+    relationships.splice(relationships.indexOf(relationship), 1);
+  }
+
+  function detachDelete(node) {
+    for (const relationship of relationships.filter(r => r.start === node || r.end === node)) {
+      deleteRelationship(relationship);
+    }
+    nodes.splice(nodes.indexOf(node), 1);
+  }
+
+  function mergeNode(label, key, value) {
+    return findNode(label, key, value) || addNode(label, { [key]: value });
+  }
+
+  function mergeRelationship(start, type, end) {
+    return findRelationship(start, type, end) || relate(start, type, end);
+  }
+
+  // Relationships of some types touching a node either way, each with the node at its other end
+  function neighbours(node, types) {
+    return relationships
+      .filter(relationship => (relationship.start === node || relationship.end === node) &&
+        (!types || types.includes(relationship.type)))
+      .map(relationship => ({ relationship, node: relationship.start === node ? relationship.end : relationship.start }));
+  }
+
+  for (const movie of data.movies) {
+    const movieNode = addNode('Movie', {
+      title: movie.title,
+      released: movie.released,
+      tagline: movie.tagline,
+      poster_image: movie.poster_image
+    });
+    for (const genre of movie.genres) {
+      relate(movieNode, 'IN_GENRE', mergeNode('Genre', 'name', genre));
+    }
+    for (const actor of movie.cast) {
+      relate(mergeNode('Person', 'name', actor.name), 'ACTED_IN', movieNode, { roles: actor.roles });
+    }
+  }
+  for (const user of data.users || []) {
+    const userNode = mergeNode('User', 'id', user.id);
+    userNode.properties.name = user.name;
+    for (const [title, score] of Object.entries(user.ratings)) {
+      const movieNode = findNode('Movie', 'title', title);
+      if (movieNode) {
+        relate(userNode, 'RATED', movieNode, { score });
+      }
+    }
+  }
+
+  const movie = title => findNode('Movie', 'title', title);
+  const genresOf = movieNode => outgoing(movieNode, 'IN_GENRE').map(relationship => relationship.end.properties.name);
+  const actorsOf = movieNode => incoming(movieNode, 'ACTED_IN').map(relationship => relationship.start.properties.name);
+
+  function summarize(movieNode) {
+    const { title, released = null, tagline = null, poster_image: posterImage = null } = movieNode.properties;
+    return { title, released, tagline, posterImage };
+  }
+
+  function formatPerson(node) {
+    return { name: node.properties.name, profileImage: node.properties.profile_image };
+  }
+
+  function summarizeUser(user) {
+    return {
+      id: user.properties.id,
+      name: user.properties.name ?? null,
+      counts: Object.fromEntries(Object.entries(USER_LISTS).map(([list, { type }]) => [list, outgoing(user, type).length]))
+    };
+  }
+
+  function listEntry(list, relationship) {
+    const { score = null, timestamp = null } = relationship.properties;
+    return formatListEntry(list, { movie: summarize(relationship.end), score, timestamp });
+  }
+
+  /**
+   * A user's genres or actors ranked by summed weight, as topAffinities in users.js
+   * @param {object} user - User node
+   * @param {Function} namesOf - Movie node => names of its genres or actors
+   */
+  function topAffinities(user, namesOf) {
+    // Each movie the user rated or watched once, weighted by how much they liked it
+    const scores = new Map();
+    for (const relationship of [...outgoing(user, 'RATED'), ...outgoing(user, 'WATCHED')]) {
+      const { score = null } = relationship.properties;
+      const best = scores.get(relationship.end) ?? null;
+      scores.set(relationship.end, score !== null && (best === null || score > best) ? score : best);
+    }
+
+    const totals = new Map();
+    for (const [movieNode, score] of scores) {
+      const weight = score === null ? config.users.watchedWeight : score - config.users.neutralScore;
+      for (const name of namesOf(movieNode)) {
+        const total = totals.get(name) || { name, movies: 0, ratings: [], affinity: 0 };
+        total.movies++;
+        total.affinity += weight;
+        if (score !== null) {
+          total.ratings.push(score);
+        }
+        totals.set(name, total);
+      }
+    }
+
+    const affinities = Array.from(totals.values())
+      .filter(total => total.affinity > 0)
+      .map(({ name, movies, ratings, affinity }) => ({
+        name,
+        movies,
+        averageRating: ratings.length === 0 ? null : ratings.reduce((sum, score) => sum + score, 0) / ratings.length,
+        affinity
+      }));
+    return sortBy(affinities, [[a => a.affinity, 'desc'], [a => a.movies, 'desc'], [a => a.name, 'asc']])
+      .slice(0, config.users.profileSize)
+      .map(formatAffinity);
+  }
+
+  // Upserts for importCatalogue, like IMPORT_QUERIES in importer.js. Each
+  // returns the line numbers it wrote.
+  const importWriters = {
+    movies(rows) {
+      for (const row of rows) {
+        const node = mergeNode('Movie', 'title', row.title);
+        node.properties.movieId = row.movieId;
+        node.properties.released = row.released ?? node.properties.released;
+        node.properties.tagline = row.tagline ?? node.properties.tagline;
+        node.properties.poster_image = row.posterImage ?? node.properties.poster_image;
+        for (const name of row.genres) {
+          mergeRelationship(node, 'IN_GENRE', mergeNode('Genre', 'name', name));
+        }
+      }
+      return rows.map(row => row.line);
+    },
+
+    people(rows) {
+      const written = [];
+      for (const row of rows) {
+        const movieNode = findNode('Movie', 'movieId', row.movieId);
+        if (movieNode) {
+          mergeRelationship(mergeNode('Person', 'name', row.name), 'ACTED_IN', movieNode).properties.roles = row.roles;
+          written.push(row.line);
+        }
+      }
+      return written;
+    },
+
+    ratings(rows) {
+      const written = [];
+      for (const row of rows) {
+        const movieNode = findNode('Movie', 'movieId', row.movieId);
+        if (movieNode) {
+          Object.assign(mergeRelationship(mergeNode('User', 'id', row.userId), 'RATED', movieNode).properties, {
+            score: row.score,
+            timestamp: row.timestamp
+          });
+          written.push(row.line);
+        }
+      }
+      return written;
+    }
+  };
+
+  // Where exportGraph reads the graph from; driver-shaped nodes need no conversion
+  const exportSource = {
+    async propertyKeys() {
+      const keys = new Set([...nodes, ...relationships].flatMap(item => Object.keys(item.properties)));
+      return [...keys].sort();
+    },
+
+    // There are no constraints or indexes in memory to recreate
+    async schemaStatements() {
+      return [];
+    },
+
+    async* nodes(labels) {
+      yield* nodes.filter(node => node.labels.some(label => labels.includes(label)));
+    },
+
+    async* relationships(labels) {
+      const exported = node => node.labels.some(label => labels.includes(label));
+      for (const relationship of relationships.filter(r => exported(r.start) && exported(r.end))) {
+        yield { a: relationship.start, r: relationship, b: relationship.end };
+      }
+    }
+  };
+
+  // Stand-ins for the Cypher recommendation queries, for recommendMovies
+  const strategies = {
+    async genre(title, limit) {
+      const source = movie(title);
+      const sourceGenres = source ? genresOf(source) : [];
+      const candidates = nodesWith('Movie')
+        .filter(rec => rec !== source)
+        .map(rec => ({
+          rec,
+          commonGenres: genresOf(rec).filter(genre => sourceGenres.includes(genre)).length,
+          actors: actorsOf(rec)
+        }))
+        .filter(({ commonGenres, actors }) => commonGenres > 0 && actors.length > 0);
+
+      return sortBy(candidates, [[c => c.commonGenres, 'desc'], [c => c.rec.properties.released, 'desc']])
+        .slice(0, limit)
+        .map(({ rec, commonGenres, actors }) => ({ ...summarize(rec), commonGenres, actors }));
+    },
+
+    async collaborative(title, limit, minCoRaters = config.recommendations.minCoRaters) {
+      const source = movie(title);
+      if (!source) {
+        return [];
+      }
+      // Scores are taken less the rater's mean score, as in the Cypher version
+      const meanScore = user => {
+        const scores = outgoing(user, 'RATED').map(rating => rating.properties.score).filter(score => score != null);
+        return scores.reduce((sum, score) => sum + score, 0) / scores.length;
+      };
+      const means = new Map(incoming(source, 'RATED').map(rating => [rating.start, meanScore(rating.start)]));
+      const sourceScores = new Map(incoming(source, 'RATED').map(rating => [rating.start, rating.properties.score]));
+      const candidates = [];
+      for (const rec of nodesWith('Movie').filter(node => node !== source)) {
+        const pairs = incoming(rec, 'RATED')
+          .filter(rating => sourceScores.has(rating.start))
+          .map(rating => [
+            sourceScores.get(rating.start) - means.get(rating.start),
+            rating.properties.score - means.get(rating.start)
+          ]);
+        const dot = pairs.reduce((sum, [a, b]) => sum + a * b, 0);
+        const norm1 = Math.sqrt(pairs.reduce((sum, [a]) => sum + a ** 2, 0));
+        const norm2 = Math.sqrt(pairs.reduce((sum, [, b]) => sum + b ** 2, 0));
+        if (pairs.length >= minCoRaters && norm1 > 0 && norm2 > 0) {
+          candidates.push({ rec, coRaters: pairs.length, similarity: dot / (norm1 * norm2) });
+        }
+      }
+
+      return sortBy(candidates, [[c => c.similarity, 'desc'], [c => c.coRaters, 'desc'], [c => c.rec.properties.released, 'desc']])
+        .slice(0, limit)
+        .map(({ rec, coRaters, similarity }) => ({ ...summarize(rec), coRaters, similarity, actors: actorsOf(rec) }));
+    },
+
+    async hybrid(title, limit, weights = config.recommendations.weights) {
+      const source = movie(title);
+      if (!source) {
+        return [];
+      }
+      const { yearWindow } = config.recommendations;
+      const sourceGenres = genresOf(source);
+      const sourceCast = actorsOf(source);
+      const candidates = [];
+      for (const rec of nodesWith('Movie').filter(node => node !== source)) {
+        const sharedGenres = genresOf(rec).filter(genre => sourceGenres.includes(genre));
+        const actors = actorsOf(rec);
+        const sharedCast = actors.filter(name => sourceCast.includes(name));
+        if (sharedGenres.length === 0 && sharedCast.length === 0) {
+          continue;
+        }
+        const { released } = rec.properties;
+        const yearGap = released == null || source.properties.released == null
+          ? null
+          : Math.abs(source.properties.released - released);
+        const genreScore = sourceGenres.length === 0 ? 0 : sharedGenres.length / sourceGenres.length;
+        const castScore = sourceCast.length === 0 ? 0 : sharedCast.length / sourceCast.length;
+        const yearScore = yearGap === null || yearGap >= yearWindow ? 0 : 1 - yearGap / yearWindow;
+        candidates.push({
+          rec, actors,
+          score: weights.genre * genreScore + weights.cast * castScore + weights.year * yearScore,
+          components: {
+            genre: { shared: sharedGenres, score: genreScore, weighted: weights.genre * genreScore },
+            cast: { shared: sharedCast, score: castScore, weighted: weights.cast * castScore },
+            year: { gap: yearGap, score: yearScore, weighted: weights.year * yearScore }
+          }
+        });
+      }
+
+      return sortBy(candidates, [[c => c.score, 'desc'], [c => c.rec.properties.released, 'desc']])
+        .slice(0, limit)
+        .map(({ rec, score, components, actors }) => ({ ...summarize(rec), score, components, actors }));
+    },
+
+    async explain(title, titles, maxPaths = config.recommendations.maxExplanationPaths) {
+      const source = movie(title);
+      const explanations = new Map();
+      if (!source) {
+        return explanations;
+      }
+      // Relationships from the movie to a neighbour, and from the neighbour
+      // on to another movie, most specific neighbours first. Like the Cypher
+      // version, this leaves out users, whose ratings are private.
+      const links = node => [...incoming(node, 'ACTED_IN'), ...outgoing(node, 'IN_GENRE')];
+      const other = (relationship, node) => (relationship.start === node ? relationship.end : relationship.start);
+      const rank = via => ['Person', 'Genre'].indexOf(via.labels[0]);
+
+      for (const recTitle of titles) {
+        const rec = movie(recTitle);
+        if (!rec) {
+          continue;
+        }
+        const paths = [];
+        for (const first of links(source)) {
+          const via = other(first, source);
+          for (const second of relationships.filter(r => r.type === first.type && other(r, via) === rec && (r.start === via || r.end === via))) {
+            paths.push({
+              start: source,
+              segments: [
+                { start: source, relationship: first, end: via },
+                { start: via, relationship: second, end: rec }
+              ],
+              length: 2
+            });
+          }
+        }
+        explanations.set(recTitle, sortBy(paths, [[path => rank(path.segments[0].end), 'asc']])
+          .slice(0, maxPaths)
+          .map(serializePath));
+      }
+      return explanations;
+    }
+  };
+
+  return {
+    name: 'memory',
+
+    async ping() {},
+
+    async listGenres({ offset, limit }) {
+      const names = nodesWith('Genre').map(genre => genre.properties.name).sort();
+      return { genres: names.slice(offset, offset + limit), total: names.length };
+    },
+
+    async moviesByGenre(name, { offset, limit }) {
+      const genre = findNode('Genre', 'name', name);
+      if (!genre) {
+        return null;
+      }
+      const movies = sortBy(incoming(genre, 'IN_GENRE').map(relationship => relationship.start), [
+        [node => node.properties.released, 'desc'],
+        [node => node.properties.title, 'asc']
+      ]);
+      return { movies: movies.slice(offset, offset + limit).map(summarize), total: movies.length };
+    },
+
+    async getMovie(title) {
+      const node = movie(title);
+      if (!node) {
+        return null;
+      }
+      return {
+        ...summarize(node),
+        genres: genresOf(node),
+        cast: incoming(node, 'ACTED_IN').map(({ start, properties }) => ({
+          name: start.properties.name,
+          role: properties.roles ?? null,
+          profile_image: start.properties.profile_image ?? null
+        }))
+      };
+    },
+
+    async movieExists(title) {
+      return movie(title) !== null;
+    },
+
+    async browseMovies(filters, { skip, limit }) {
+      const tagline = filters.tagline && filters.tagline.toLowerCase();
+      const matches = nodesWith('Movie').filter(node => {
+        const { released } = node.properties;
+        const genres = genresOf(node);
+        const inGenre = genre => genres.includes(genre);
+        return (filters.yearFrom === null || (released != null && released >= filters.yearFrom)) &&
+          (filters.yearTo === null || (released != null && released <= filters.yearTo)) &&
+          (!tagline || (node.properties.tagline || '').toLowerCase().includes(tagline)) &&
+          (!filters.actor || actorsOf(node).includes(filters.actor)) &&
+          (filters.genres.length === 0 ||
+            (filters.genreMode === 'all' ? filters.genres.every(inGenre) : filters.genres.some(inGenre)));
+      });
+
+      const popularity = node => incoming(node, 'RATED').length;
+      const sortKey = {
+        title: node => node.properties.title,
+        year: node => node.properties.released,
+        popularity
+      }[filters.sort];
+      const page = sortBy(matches, [[sortKey, filters.order], [node => node.properties.title, 'asc']])
+        .slice(skip, skip + limit)
+        .map(node => ({ ...summarize(node), genres: genresOf(node), popularity: popularity(node) }));
+
+      const genreCounts = new Map();
+      const decadeCounts = new Map();
+      for (const node of matches) {
+        for (const genre of genresOf(node)) {
+          genreCounts.set(genre, (genreCounts.get(genre) || 0) + 1);
+        }
+        if (node.properties.released != null) {
+          const decade = Math.floor(node.properties.released / 10) * 10;
+          decadeCounts.set(decade, (decadeCounts.get(decade) || 0) + 1);
+        }
+      }
+
+      return {
+        movies: page,
+        total: matches.length,
+        facets: {
+          genres: sortBy(Array.from(genreCounts, ([name, count]) => ({ name, count })), [[g => g.count, 'desc'], [g => g.name, 'asc']]),
+          decades: sortBy(Array.from(decadeCounts, ([decade, count]) => ({ decade, count })), [[d => d.decade, 'asc']])
+        }
+      };
+    },
+
+    async searchCatalogue(text, { offset = 0, limit }) {
+      const terms = searchTerms(text);
+      if (terms.length === 0) {
+        return { movies: [], people: [], total: 0 };
+      }
+
+      // Like the Lucene query: every term must match some field, exact
+      // matches score above prefix matches and those above misspellings
+      const termScore = (term, fields) => {
+        const words = fields.flatMap(field => searchTerms(field || ''));
+        if (words.includes(term)) return 3;
+        if (words.some(word => word.startsWith(term))) return 2;
+        return fields.some(field => highlight(field, [term])) ? 1 : 0;
+      };
+      const fieldsOf = node => (node.labels.includes('Movie')
+        ? [node.properties.title, node.properties.tagline]
+        : [node.properties.name]);
+
+      const hits = [];
+      for (const node of [...nodesWith('Movie'), ...nodesWith('Person')]) {
+        const scores = terms.map(term => termScore(term, fieldsOf(node)));
+        if (scores.every(score => score > 0)) {
+          hits.push({ node, score: scores.reduce((sum, score) => sum + score, 0) });
+        }
+      }
+
+      const movies = [];
+      const people = [];
+      for (const { node, score } of sortBy(hits, [[hit => hit.score, 'desc']]).slice(offset, offset + limit)) {
+        if (node.labels.includes('Movie')) {
+          movies.push({
+            ...summarize(node),
+            score,
+            highlights: {
+              title: highlight(node.properties.title, terms),
+              tagline: highlight(node.properties.tagline, terms)
+            }
+          });
+        } else {
+          people.push({
+            name: node.properties.name,
+            profileImage: node.properties.profile_image ?? null,
+            score,
+            highlights: { name: highlight(node.properties.name, terms) }
+          });
+        }
+      }
+
+      return { movies, people, total: hits.length };
+    },
+
+    recommendMovies: (title, options) => recommendMovies(title, options, strategies),
+
+    async createGenre({ name }) {
+      if (findNode('Genre', 'name', name)) {
+        throw constraintViolation('Genre', 'name', name);
+      }
+      addNode('Genre', { name });
+      await invalidateCache();
+      return { name };
+    },
+
+    async updateGenre(name, body) {
+      const genre = findNode('Genre', 'name', name);
+      if (!genre) {
+        return null;
+      }
+      if (body.name !== name && findNode('Genre', 'name', body.name)) {
+        throw constraintViolation('Genre', 'name', body.name);
+      }
+      genre.properties.name = body.name;
+      await invalidateCache();
+      return { name: body.name };
+    },
+
+    async deleteGenre(name) {
+      const genre = findNode('Genre', 'name', name);
+      if (genre) {
+        detachDelete(genre);
+        await invalidateCache();
+      }
+      return genre !== null;
+    },
+
+    async createMovie(body) {
+      if (movie(body.title)) {
+        throw constraintViolation('Movie', 'title', body.title);
+      }
+      const node = addNode('Movie', Object.fromEntries(
+        Object.entries(body).map(([field, value]) => [movieProperties[field], value])
+      ));
+      await invalidateCache();
+      return summarize(node);
+    },
+
+    async updateMovie(title, body) {
+      const node = movie(title);
+      if (!node) {
+        return null;
+      }
+      if (body.title !== undefined && body.title !== title && movie(body.title)) {
+        throw constraintViolation('Movie', 'title', body.title);
+      }
+      for (const [field, value] of Object.entries(body)) {
+        node.properties[movieProperties[field]] = value;
+      }
+      await invalidateCache();
+      return summarize(node);
+    },
+
+    async deleteMovie(title) {
+      const node = movie(title);
+      if (node) {
+        detachDelete(node);
+        await invalidateCache();
+      }
+      return node !== null;
+    },
+
+    async setCastMember(title, name, { roles }) {
+      const movieNode = movie(title);
+      const person = findNode('Person', 'name', name);
+      if (!movieNode || !person) {
+        return null;
+      }
+      const relationship = findRelationship(person, 'ACTED_IN', movieNode) || relate(person, 'ACTED_IN', movieNode);
+      relationship.properties.roles = roles;
+      await invalidateCache();
+      return { title, name, roles };
+    },
+
+    async removeCastMember(title, name) {
+      const movieNode = movie(title);
+      const person = findNode('Person', 'name', name);
+      const relationship = movieNode && person ? findRelationship(person, 'ACTED_IN', movieNode) : null;
+      if (relationship) {
+        deleteRelationship(relationship);
+        await invalidateCache();
+      }
+      return relationship !== null;
+    },
+
+    async addMovieGenre(title, name) {
+      const movieNode = movie(title);
+      const genre = findNode('Genre', 'name', name);
+      if (!movieNode || !genre) {
+        return null;
+      }
+      if (!findRelationship(movieNode, 'IN_GENRE', genre)) {
+        relate(movieNode, 'IN_GENRE', genre);
+      }
+      await invalidateCache();
+      return { title, genre: name };
+    },
+
+    async removeMovieGenre(title, name) {
+      const movieNode = movie(title);
+      const genre = findNode('Genre', 'name', name);
+      const relationship = movieNode && genre ? findRelationship(movieNode, 'IN_GENRE', genre) : null;
+      if (relationship) {
+        deleteRelationship(relationship);
+        await invalidateCache();
+      }
+      return relationship !== null;
+    },
+
+    async listPeople({ offset, limit }) {
+      const people = sortBy(nodesWith('Person'), [[node => node.properties.name, 'asc']]);
+      return {
+        people: people.slice(offset, offset + limit).map(node => ({
+          name: node.properties.name,
+          profileImage: node.properties.profile_image ?? null,
+          movieCount: outgoing(node, 'ACTED_IN').length
+        })),
+        total: people.length
+      };
+    },
+
+    async getPerson(name) {
+      const person = findNode('Person', 'name', name);
+      if (!person) {
+        return null;
+      }
+      return {
+        name,
+        profileImage: person.properties.profile_image ?? null,
+        filmography: sortBy(outgoing(person, 'ACTED_IN'), [[relationship => relationship.end.properties.released, 'desc']])
+          .map(({ end, properties }) => ({
+            title: end.properties.title,
+            released: end.properties.released ?? null,
+            posterImage: end.properties.poster_image ?? null,
+            roles: properties.roles ?? null
+          }))
+      };
+    },
+
+    async listCostars(name, { offset, limit }) {
+      const person = findNode('Person', 'name', name);
+      if (!person) {
+        return null;
+      }
+      const shared = new Map();
+      for (const { end: movieNode } of outgoing(person, 'ACTED_IN')) {
+        for (const { start: costar } of incoming(movieNode, 'ACTED_IN').filter(({ start }) => start !== person)) {
+          const movies = shared.get(costar) || [];
+          if (!movies.includes(movieNode.properties.title)) {
+            movies.push(movieNode.properties.title);
+          }
+          shared.set(costar, movies);
+        }
+      }
+      const costars = sortBy(Array.from(shared, ([costar, movies]) => ({
+        name: costar.properties.name,
+        profileImage: costar.properties.profile_image ?? null,
+        sharedMovies: movies.length,
+        movies
+      })), [[costar => costar.sharedMovies, 'desc'], [costar => costar.name, 'asc']]);
+      return { costars: costars.slice(offset, offset + limit), total: costars.length };
+    },
+
+    async createPerson(body) {
+      if (findNode('Person', 'name', body.name)) {
+        throw constraintViolation('Person', 'name', body.name);
+      }
+      const person = addNode('Person', toProperties(body, personProperties));
+      await invalidateCache();
+      return formatPerson(person);
+    },
+
+    async updatePerson(name, body) {
+      const person = findNode('Person', 'name', name);
+      if (!person) {
+        return null;
+      }
+      if (body.name !== undefined && body.name !== name && findNode('Person', 'name', body.name)) {
+        throw constraintViolation('Person', 'name', body.name);
+      }
+      Object.assign(person.properties, toProperties(body, personProperties));
+      await invalidateCache();
+      return formatPerson(person);
+    },
+
+    async deletePerson(name) {
+      const person = findNode('Person', 'name', name);
+      if (person) {
+        detachDelete(person);
+        await invalidateCache();
+      }
+      return person !== null;
+    },
+
+    async getUser(id) {
+      const user = findNode('User', 'id', id);
+      return user ? summarizeUser(user) : null;
+    },
+
+    async saveUser(id, { name }) {
+      const existing = findNode('User', 'id', id);
+      (existing || addNode('User', { id })).properties.name = name;
+      await invalidateCache();
+      return { user: { id, name }, created: !existing };
+    },
+
+    async deleteUser(id) {
+      const user = findNode('User', 'id', id);
+      if (user) {
+        detachDelete(user);
+        await invalidateCache();
+      }
+      return user !== null;
+    },
+
+    async getUserProfile(id) {
+      const user = findNode('User', 'id', id);
+      if (!user) {
+        return null;
+      }
+      return {
+        user: summarizeUser(user),
+        topGenres: topAffinities(user, genresOf),
+        favouriteActors: topAffinities(user, actorsOf)
+      };
+    },
+
+    async listUserMovies(id, list, { offset, limit }) {
+      const user = findNode('User', 'id', id);
+      if (!user) {
+        return null;
+      }
+      const entries = sortBy(outgoing(user, USER_LISTS[list].type), [
+        [relationship => relationship.properties.timestamp, 'desc'],
+        [relationship => relationship.end.properties.title, 'asc']
+      ]);
+      return {
+        entries: entries.slice(offset, offset + limit).map(relationship => listEntry(list, relationship)),
+        total: entries.length
+      };
+    },
+
+    async addUserMovie(id, list, title, properties = {}) {
+      const user = findNode('User', 'id', id);
+      const movieNode = movie(title);
+      if (!user || !movieNode) {
+        return null;
+      }
+      const relationship = mergeRelationship(user, USER_LISTS[list].type, movieNode);
+      Object.assign(relationship.properties, properties, { timestamp: Math.floor(Date.now() / 1000) });
+      const planned = findRelationship(user, 'WANTS_TO_WATCH', movieNode);
+      if (list === 'watched' && planned) {
+        deleteRelationship(planned);
+      }
+      await invalidateCache();
+      return listEntry(list, relationship);
+    },
+
+    async removeUserMovie(id, list, title) {
+      const user = findNode('User', 'id', id);
+      const movieNode = movie(title);
+      const relationship = user && movieNode ? findRelationship(user, USER_LISTS[list].type, movieNode) : null;
+      if (relationship) {
+        deleteRelationship(relationship);
+        await invalidateCache();
+      }
+      return relationship !== null;
+    },
+
+    async findNode(name, labels) {
+      return nodes.find(node => labels.some(label =>
+        node.labels.includes(label) && node.properties[NODE_KEYS[label]] === name)) || null;
+    },
+
+    async neighborhood(start, { depth, labels, limit }) {
+      // Breadth first, through nodes with one of the labels, so each is found at its least distance
+      const distances = new Map([[start, 0]]);
+      let frontier = [start];
+      for (let distance = 1; distance <= depth; distance++) {
+        const next = [];
+        for (const node of frontier) {
+          for (const { node: neighbour } of neighbours(node)) {
+            if (!distances.has(neighbour) && neighbour.labels.some(label => labels.includes(label))) {
+              distances.set(neighbour, distance);
+              next.push(neighbour);
+            }
+          }
+        }
+        frontier = next;
+      }
+
+      const found = sortBy(
+        Array.from(distances, ([node, distance]) => ({ node, distance })).filter(({ node }) => node !== start),
+        [[entry => entry.distance, 'asc'], [entry => entry.node.elementId, 'asc']]
+      ).slice(0, limit);
+      const kept = new Set([start, ...found.map(({ node }) => node)]);
+      return {
+        found,
+        relationships: relationships.filter(relationship => kept.has(relationship.start) && kept.has(relationship.end))
+      };
+    },
+
+    async shortestPaths(start, end, { maxDepth, types, limit }) {
+      // Breadth first from start, keeping every way into each node at its least distance
+      const arrivals = new Map([[start, []]]);
+      let frontier = [start];
+      for (let distance = 1; distance <= maxDepth && frontier.length > 0 && !arrivals.has(end); distance++) {
+        const reached = new Set();
+        for (const node of frontier) {
+          for (const { relationship, node: neighbour } of neighbours(node, types)) {
+            if (!arrivals.has(neighbour)) {
+              arrivals.set(neighbour, []);
+              reached.add(neighbour);
+            }
+            if (reached.has(neighbour)) {
+              arrivals.get(neighbour).push({ start: node, relationship, end: neighbour });
+            }
+          }
+        }
+        frontier = [...reached];
+      }
+
+      // Then back from end, to every shortest path in driver Path shape
+      const paths = [];
+      const walk = (node, segments) => {
+        if (node === start) {
+          paths.push({ start, segments, length: segments.length });
+          return;
+        }
+        for (const segment of arrivals.get(node)) {
+          if (paths.length < limit) {
+            walk(segment.start, [segment, ...segments]);
+          }
+        }
+      };
+      if (arrivals.has(end)) {
+        walk(end, []);
+      }
+      return paths;
+    },
+
+    importCatalogue: (directory, options) => importCatalogue(directory, {
+      ...options,
+      writeBatch: async (name, rows) => importWriters[name](rows)
+    }),
+
+    exportGraph: (format, out, options) => exportGraph(format, out, { ...options, source: exportSource }),
+
+    async checkIsolation() {
+      // One catalogue in memory serves every tenant
+      const tenant = currentTenant();
+      const problems = tenant.id === DEFAULT_TENANT.id
+        ? []
+        : ['The in-memory catalogue is shared by every tenant'];
+      return {
+        tenant: tenant.id,
+        database: tenant.database,
+        namespace: tenant.namespace,
+        nodes: nodes.length,
+        problems,
+        isolated: problems.length === 0
+      };
+    },
+
+    async getDashboard() {
+      const movies = nodesWith('Movie');
+      const counts = { movies: movies.length, people: 0, genres: 0 };
+      if (counts.movies === 0) {
+        return { genres: [], latestMovies: [], topActors: [], counts };
+      }
+      counts.people = nodesWith('Person').length;
+      counts.genres = nodesWith('Genre').length;
+
+      const genres = nodesWith('Genre')
+        .map(genre => ({ name: genre.properties.name, count: incoming(genre, 'IN_GENRE').length }))
+        .filter(genre => genre.count > 0);
+      const topActors = nodesWith('Person')
+        .map(person => ({
+          name: person.properties.name,
+          profileImage: person.properties.profile_image ?? null,
+          movieCount: outgoing(person, 'ACTED_IN').length
+        }))
+        .filter(actor => actor.movieCount > 0);
+
+      return {
+        genres: sortBy(genres, [[genre => genre.count, 'desc']]).slice(0, 6),
+        latestMovies: sortBy(movies, [[node => node.properties.released, 'desc']]).slice(0, 6).map(node => {
+          const { title, released, posterImage, tagline } = summarize(node);
+          return { title, released, posterImage, tagline };
+        }),
+        topActors: sortBy(topActors, [[actor => actor.movieCount, 'desc']]).slice(0, 6),
+        counts
+      };
+    }
+  };
+}
@@ -0,0 +1,384 @@
+// Repository backed by the Neo4j database, through runQuery and the query
+// modules for browsing, search, recommendations, catalogue writes, users,
+// import and export.
+import neo4j from 'neo4j-driver';
+import { getDriver, readTransaction, runQuery, safeInt } from '../neo4j.js';
+import { browseMovies } from '../browse.js';
+import { searchCatalogue } from '../search.js';
+import { recommendMovies } from '../recommendations.js';
+import {
+  addMovieGenre, createGenre, createMovie, createPerson, deleteGenre, deleteMovie, deletePerson,
+  removeCastMember, removeMovieGenre, setCastMember, updateGenre, updateMovie, updatePerson
+} from '../catalogue.js';
+import {
+  addUserMovie, deleteUser, getUser, getUserProfile, listUserMovies, removeUserMovie, saveUser
+} from '../users.js';
+import { NODE_KEYS, exportGraph } from '../exporter.js';
+import { importCatalogue } from '../importer.js';
+import { checkIsolation } from '../migrate.js';
+import { qualifyLabel } from '../tenants.js';
+
+/**
+ * Create the Neo4j repository
+ * @returns {object} - Repository
+ */
+export function createNeo4jRepository() {
+  return {
+    name: 'neo4j',
+
+    async ping() {
+      const session = getDriver().session();
+      try {
+        await session.run('RETURN 1');
+      } finally {
+        await session.close();
+      }
+    },
+
+    async listGenres({ offset, limit }) {
+      // The total and the page come from one transaction, so they agree
+      const [countResult, result] = await readTransaction(async tx => [
+        await tx.run('MATCH (g:Genre) RETURN count(g) AS count'),
+        await tx.run(
+          `MATCH (g:Genre) RETURN g.name AS name ORDER BY g.name
+           SKIP $skip LIMIT $limit`,
+          { skip: neo4j.int(offset), limit: neo4j.int(limit) }
+        )
+      ], { name: 'genres.list' });
+
+      return {
+        genres: result.records.map(record => record.get('name')),
+        total: safeInt(countResult.records[0].get('count'))
+      };
+    },
+
+    async moviesByGenre(genre, { offset, limit }) {
+      const page = await readTransaction(async tx => {
+        // Verify that the genre exists, and count its movies
+        const genreCheck = await tx.run(
+          'MATCH (g:Genre {name: $genre}) RETURN COUNT { (g)<-[:IN_GENRE]-(:Movie) } AS total',
+          { genre }
+        );
+        if (genreCheck.records.length === 0) {
+          return null;
+        }
+
+        const result = await tx.run(
+          `MATCH (m:Movie)-[:IN_GENRE]->(g:Genre)
+           WHERE g.name = $genre
+           RETURN m.title AS title, m.released AS released, m.tagline AS tagline,
+                  m.poster_image AS posterImage
+           ORDER BY m.released DESC, m.title
+           SKIP $skip LIMIT $limit`,
+          { genre, skip: neo4j.int(offset), limit: neo4j.int(limit) }
+        );
+        return { genreCheck, result };
+      }, { name: 'moviesByGenre.list' });
+
+      if (!page) {
+        return null;
+      }
+
+      const movies = page.result.records.map(record => ({
+        title: record.get('title'),
+        released: safeInt(record.get('released')),
+        tagline: record.get('tagline'),
+        posterImage: record.get('posterImage')
+      }));
+
+      return { movies, total: safeInt(page.genreCheck.records[0].get('total')) };
+    },
+
+    async getMovie(title) {
+      const result = await runQuery(
+        `MATCH (m:Movie {title: $title})
+         OPTIONAL MATCH (m)-[:IN_GENRE]->(g:Genre)
+         OPTIONAL MATCH (p:Person)-[r:ACTED_IN]->(m)
+         RETURN m {
+           .title, .released, .tagline, .poster_image,
+           genres: collect(DISTINCT g.name),
+           cast: collect(DISTINCT {
+             name: p.name,
+             role: r.roles,
+             profile_image: p.profile_image
+           })
+         } AS movie`,
+        { title },
+        { name: 'movies.get', mode: 'read' }
+      );
+
+      if (result.records.length === 0) {
+        return null;
+      }
+
+      const movieData = result.records[0].get('movie');
+      return {
+        title: movieData.title,
+        released: safeInt(movieData.released),
+        tagline: movieData.tagline,
+        posterImage: movieData.poster_image,
+        genres: movieData.genres,
+        cast: movieData.cast.filter(actor => actor.name != null)
+      };
+    },
+
+    async movieExists(title) {
+      const result = await runQuery(
+        'MATCH (m:Movie {title: $title}) RETURN m',
+        { title },
+        { name: 'recommendations.checkMovie', mode: 'read' }
+      );
+      return result.records.length > 0;
+    },
+
+    browseMovies,
+    searchCatalogue,
+    recommendMovies: (title, options) => recommendMovies(title, options),
+
+    createGenre,
+    updateGenre,
+    deleteGenre,
+    createMovie,
+    updateMovie,
+    deleteMovie,
+    setCastMember,
+    removeCastMember,
+    addMovieGenre,
+    removeMovieGenre,
+
+    async listPeople({ offset, limit }) {
+      // The total and the page come from one transaction, so they agree
+      const [countResult, result] = await readTransaction(async tx => [
+        await tx.run('MATCH (p:Person) RETURN count(p) AS count'),
+        await tx.run(
+          `MATCH (p:Person)
+           RETURN p.name AS name, p.profile_image AS profileImage,
+                  size([(p)-[:ACTED_IN]->(:Movie) | 1]) AS movieCount
+           ORDER BY p.name
+           SKIP $skip LIMIT $limit`,
+          { skip: neo4j.int(offset), limit: neo4j.int(limit) }
+        )
+      ], { name: 'people.list' });
+
+      const people = result.records.map(record => ({
+        name: record.get('name'),
+        profileImage: record.get('profileImage'),
+        movieCount: safeInt(record.get('movieCount'))
+      }));
+
+      return { people, total: safeInt(countResult.records[0].get('count')) };
+    },
+
+    async getPerson(name) {
+      const result = await runQuery(
+        `MATCH (p:Person {name: $name})
+         OPTIONAL MATCH (p)-[r:ACTED_IN]->(m:Movie)
+         WITH p, r, m
+         ORDER BY m.released DESC
+         RETURN p {
+           .name, .profile_image,
+           filmography: collect(CASE WHEN m IS NULL THEN NULL ELSE {
+             title: m.title,
+             released: m.released,
+             posterImage: m.poster_image,
+             roles: r.roles
+           } END)
+         } AS person`,
+        { name },
+        { name: 'people.get', mode: 'read' }
+      );
+
+      if (result.records.length === 0) {
+        return null;
+      }
+
+      const personData = result.records[0].get('person');
+      return {
+        name: personData.name,
+        profileImage: personData.profile_image,
+        filmography: personData.filmography.map(movie => ({
+          ...movie,
+          released: safeInt(movie.released)
+        }))
+      };
+    },
+
+    async listCostars(name, { offset, limit }) {
+      const page = await readTransaction(async tx => {
+        const personCheck = await tx.run(
+          `MATCH (p:Person {name: $name})
+           OPTIONAL MATCH (p)-[:ACTED_IN]->(:Movie)<-[:ACTED_IN]-(c:Person)
+           RETURN p.name AS name, count(DISTINCT c) AS total`,
+          { name }
+        );
+        if (personCheck.records.length === 0) {
+          return null;
+        }
+
+        const result = await tx.run(
+          `MATCH (p:Person {name: $name})-[:ACTED_IN]->(m:Movie)<-[:ACTED_IN]-(c:Person)
+           WITH c, count(DISTINCT m) AS sharedMovies, collect(DISTINCT m.title) AS movies
+           RETURN c.name AS name, c.profile_image AS profileImage, sharedMovies, movies
+           ORDER BY sharedMovies DESC, name
+           SKIP $skip LIMIT $limit`,
+          { name, skip: neo4j.int(offset), limit: neo4j.int(limit) }
+        );
+        return { personCheck, result };
+      }, { name: 'costars.list' });
+
+      if (!page) {
+        return null;
+      }
+
+      const costars = page.result.records.map(record => ({
+        name: record.get('name'),
+        profileImage: record.get('profileImage'),
+        sharedMovies: safeInt(record.get('sharedMovies')),
+        movies: record.get('movies')
+      }));
+
+      return { costars, total: safeInt(page.personCheck.records[0].get('total')) };
+    },
+
+    createPerson,
+    updatePerson,
+    deletePerson,
+
+    getUser,
+    saveUser,
+    deleteUser,
+    getUserProfile,
+    listUserMovies,
+    addUserMovie,
+    removeUserMovie,
+
+    async findNode(name, labels) {
+      const conditions = labels
+        .map(label => `(n:${label} AND n.${NODE_KEYS[label]} = $name)`)
+        .join(' OR ');
+      const result = await runQuery(
+        `MATCH (n)
+         WHERE ${conditions}
+         RETURN n
+         LIMIT 1`,
+        { name },
+        { name: 'nodes.find', mode: 'read' }
+      );
+      return result.records.length > 0 ? result.records[0].get('n') : null;
+    },
+
+    async neighborhood(start, { depth, labels, limit }) {
+      // Variable-length bounds can't be parameters, so the route validates depth
+      const result = await runQuery(
+        `MATCH (start)
+         WHERE elementId(start) = $id
+         MATCH path = (start)-[*1..${depth}]-(n)
+         WHERE n <> start AND all(x IN nodes(path)[1..] WHERE any(l IN labels(x) WHERE l IN $labels))
+         WITH start, n, min(length(path)) AS distance
+         ORDER BY distance, elementId(n)
+         LIMIT $limit
+         WITH start, collect({node: n, distance: distance}) AS found
+         WITH found, [start] + [entry IN found | entry.node] AS nodes
+         RETURN found, COLLECT {
+           UNWIND nodes AS a
+           MATCH (a)-[r]->(b)
+           WHERE b IN nodes
+           RETURN r
+         } AS relationships`,
+        { id: start.elementId, labels: labels.map(name => qualifyLabel(name)), limit: neo4j.int(limit) },
+        { name: 'graph.neighborhood', mode: 'read' }
+      );
+
+      const record = result.records[0];
+      return {
+        found: record ? record.get('found').map(entry => ({ node: entry.node, distance: safeInt(entry.distance) })) : [],
+        relationships: record ? record.get('relationships') : []
+      };
+    },
+
+    async shortestPaths(start, end, { maxDepth, types, limit }) {
+      // Variable-length bounds can't be parameters, so the route validates maxDepth
+      const result = await runQuery(
+        `MATCH (a), (b)
+         WHERE elementId(a) = $start AND elementId(b) = $end
+         MATCH path = allShortestPaths((a)-[:${types.join('|')}*..${maxDepth}]-(b))
+         RETURN path
+         LIMIT $limit`,
+        { start: start.elementId, end: end.elementId, limit: neo4j.int(limit) },
+        { name: 'paths.shortest', mode: 'read' }
+      );
+      return result.records.map(record => record.get('path'));
+    },
+
+    importCatalogue,
+    exportGraph,
+    checkIsolation,
+
+    async getDashboard() {
+      const dashboard = {
+        genres: [],
+        latestMovies: [],
+        topActors: [],
+        counts: { movies: 0, people: 0, genres: 0 }
+      };
+
+      const movieCountResult = await runQuery('MATCH (m:Movie) RETURN COUNT(m) AS count', {}, { name: 'dashboard.movieCount', mode: 'read' });
+      dashboard.counts.movies = movieCountResult.records[0].get('count').toNumber();
+
+      // Only proceed with other queries if we have movies
+      if (dashboard.counts.movies === 0) {
+        return dashboard;
+      }
+
+      const peopleCountResult = await runQuery('MATCH (p:Person) RETURN COUNT(p) AS count', {}, { name: 'dashboard.peopleCount', mode: 'read' });
+      dashboard.counts.people = peopleCountResult.records[0].get('count').toNumber();
+
+      const genreCountResult = await runQuery('MATCH (g:Genre) RETURN COUNT(g) AS count', {}, { name: 'dashboard.genreCount', mode: 'read' });
+      dashboard.counts.genres = genreCountResult.records[0].get('count').toNumber();
+
+      if (dashboard.counts.genres > 0) {
+        const genreResult = await runQuery(`
+          MATCH (g:Genre)<-[:IN_GENRE]-(m:Movie)
+          RETURN g.name AS genre, COUNT(m) AS movieCount
+          ORDER BY movieCount DESC
+          LIMIT 6
+        `, {}, { name: 'dashboard.genres', mode: 'read' });
+
+        dashboard.genres = genreResult.records.map(record => ({
+          name: record.get('genre'),
+          count: safeInt(record.get('movieCount'))
+        }));
+      }
+
+      const latestMoviesResult = await runQuery(`
+        MATCH (m:Movie)
+        RETURN m.title AS title, m.released AS released, m.poster_image AS posterImage, m.tagline AS tagline
+        ORDER BY m.released DESC
+        LIMIT 6
+      `, {}, { name: 'dashboard.latestMovies', mode: 'read' });
+
+      dashboard.latestMovies = latestMoviesResult.records.map(record => ({
+        title: record.get('title'),
+        released: safeInt(record.get('released')),
+        posterImage: record.get('posterImage'),
+        tagline: record.get('tagline')
+      }));
+
+      const actorResult = await runQuery(`
+        MATCH (p:Person)-[:ACTED_IN]->(m:Movie)
+        WITH p, COUNT(m) AS movieCount
+        RETURN p.name AS name, p.profile_image AS profileImage, movieCount
+        ORDER BY movieCount DESC
+        LIMIT 6
+      `, {}, { name: 'dashboard.topActors', mode: 'read' });
+
+      dashboard.topActors = actorResult.records.map(record => ({
+        name: record.get('name'),
+        profileImage: record.get('profileImage'),
+        movieCount: safeInt(record.get('movieCount'))
+      }));
+
+      return dashboard;
+    }
+  };
+}
@@ -0,0 +1,52 @@
+// Correlation IDs that tie log lines and database queries to the HTTP request
+// behind them. Each request gets an ID, taken from a well-formed incoming
+// X-Request-Id header or generated, which is echoed in the response and kept
+// in async-local storage so runQuery can tag queries with it however deep
+// in the call stack they are made. The request's tenant is kept alongside.
+import { AsyncLocalStorage } from 'async_hooks';
+import { randomUUID } from 'crypto';
+
+const storage = new AsyncLocalStorage();
+
+// IDs from upstream proxies are reused only if they can't garble a log line
+const VALID_ID = /^[\w.:-]{1,128}$/;
+
+/**
+ * Middleware that gives the request its correlation ID, as req.id and the
+ * X-Request-Id response header. Mount it before anything that logs or queries.
+ * @returns {Function}
+ */
+export function assignRequestId() {
+  return (req, res, next) => {
+    const incoming = req.get('X-Request-Id');
+    req.id = incoming && VALID_ID.test(incoming) ? incoming : randomUUID();
+    res.set('X-Request-Id', req.id);
+    storage.run({ requestId: req.id }, next);
+  };
+}
+
+/**
+ * The correlation ID of the request being handled, if any
+ * @returns {string|null} - Null outside a request, e.g. in scripts and at startup
+ */
+export function currentRequestId() {
+  return currentContext().requestId || null;
+}
+
+/**
+ * State kept for the request being handled, or for a withContext call
+ * @returns {object} - Empty outside both
+ */
+export function currentContext() {
+  return storage.getStore() || {};
+}
+
+/**
+ * Run a function with extra state in its context, on top of any already there
+ * @param {object} values
+ * @param {Function} fn
+ * @returns {*} - What fn returns
+ */
+export function withContext(values, fn) {
+  return storage.run({ ...currentContext(), ...values }, fn);
+}
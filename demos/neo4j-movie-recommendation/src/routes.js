@@ -1,110 +1,118 @@
 // Updated version of routes.js with enhanced error handling and debugging
 import { Router } from 'express';
-import { runQuery, safeInt } from './neo4j.js';
+import { isConstraintViolation } from './neo4j.js';
 import { logger } from './utils/logger.js';
-import { seedDatabase } from './utils/seed.js';
+import { config } from './config.js';
+import { cacheResponse } from './cache/index.js';
+import { requireRole } from './auth/index.js';
+import { rateLimit } from './rate-limit.js';
+import peopleRoutes from './routes/people.js';
+import pathRoutes from './routes/paths.js';
+import graphRoutes from './routes/graph.js';
+import userRoutes from './routes/users.js';
+import adminRoutes from './routes/admin.js';
+import docsRoutes from './routes/docs.js';
+import { searchTerms } from './search.js';
+import { parseBrowseFilters } from './browse.js';
+import { paginate, parseLimit, parsePage } from './utils/pagination.js';
+import { validateBody } from './utils/validation.js';
+import { castSchema, genreSchema, movieSchema } from './catalogue.js';
+import { parseWeights, STRATEGIES, WEIGHT_COMPONENTS } from './recommendations.js';
+import { getRepository } from './repository/index.js';
 
 const router = Router();
 
+router.use('/people', peopleRoutes);
+router.use('/paths', pathRoutes);
+router.use('/graph', graphRoutes);
+router.use('/users', userRoutes);
+router.use('/admin', adminRoutes);
+router.use(docsRoutes);
+
 /**
- * Get all movie genres
+ * Get movie genres in alphabetical order, a page at a time
  */
-router.get('/genres', async (req, res, next) => {
+router.get('/genres', cacheResponse('genres'), async (req, res, next) => {
   try {
-    logger.info('Fetching all genres');
-    
-    // First, check if any genres exist
-    const countResult = await runQuery('MATCH (g:Genre) RETURN count(g) as count');
-    const genreCount = safeInt(countResult.records[0].get('count'));
-    
-    if (genreCount === 0) {
-      logger.warn('No genres found in database, checking if database needs seeding');
-      
-      // Check if the entire database is empty
-      const totalResult = await runQuery('MATCH (n) RETURN count(n) as count');
-      const totalCount = safeInt(totalResult.records[0].get('count'));
-      
-      if (totalCount === 0) {
-        logger.info('Database is empty, triggering seeding');
-        try {
-          await seedDatabase();
-          logger.info('Database seeded successfully');
-        } catch (seedError) {
-          logger.error('Error seeding database:', seedError);
-          return res.status(500).json({ error: 'Failed to seed database', details: seedError.message });
-        }
-      } else {
-        logger.warn('Database has nodes but no genres, possible data corruption');
-      }
+    const { page, error } = parsePage(req.query, { defaultLimit: config.pagination.maxLimit });
+    
+    if (error) {
+      return res.status(400).json({ error });
     }
     
-    // Fetch genres (now that database should have data)
-    const result = await runQuery(
-      'MATCH (g:Genre) RETURN g.name AS name ORDER BY g.name'
-    );
+    logger.info(`Fetching genres, limit: ${page.limit}, offset: ${page.offset}`);
     
-    // Debug log
-    logger.debug(`Found ${result.records.length} genres`);
+    const { genres, total } = await getRepository().listGenres(page);
     
-    const genres = result.records.map(record => record.get('name'));
+    // Debug log
+    logger.debug(`Found ${genres.length} genres`);
     
-    // If still empty, return an error
-    if (genres.length === 0) {
-      logger.error('No genres found after attempted seeding');
-      return res.status(500).json({ 
-        error: 'No genres available',
-        message: 'The database seems to have issues with genre data'
-      });
+    // An empty catalogue is reported, never reseeded from a request
+    if (total === 0) {
+      logger.warn('No genres found in database; seed it with `npm run admin -- seed`');
     }
     
-    res.json({ genres });
+    res.json({ genres, pagination: paginate(req, page, genres.length, total) });
   } catch (error) {
     logger.error('Error in /genres endpoint:', error);
     next(error);
   }
 });
 
+/**
+ * Browse movies with combined filters (several genres matched any/all,
+ * release-year range, cast member, tagline text), sorting and facet counts
+ */
+router.get('/movies', cacheResponse('movies'), async (req, res, next) => {
+  try {
+    const { filters, error } = parseBrowseFilters(req.query);
+    const { page, error: pageError } = parsePage(req.query);
+    
+    if (error || pageError) {
+      return res.status(400).json({ error: error || pageError });
+    }
+    
+    logger.info(`Browsing movies with filters: ${JSON.stringify(filters)}, limit: ${page.limit}, offset: ${page.offset}`);
+    
+    const { movies, total, facets } = await getRepository().browseMovies(filters, {
+      skip: page.offset,
+      limit: page.limit
+    });
+    
+    logger.debug(`Found ${total} movies matching filters`);
+    
+    res.json({ movies, facets, pagination: paginate(req, page, movies.length, total) });
+  } catch (error) {
+    logger.error('Error in /movies endpoint:', error);
+    next(error);
+  }
+});
+
 /**
  * Get movies by genre
  */
-router.get('/movies/by-genre/:genre', async (req, res, next) => {
+router.get('/movies/by-genre/:genre', cacheResponse('movies'), async (req, res, next) => {
   try {
     const { genre } = req.params;
-    const { limit = 10, skip = 0 } = req.query;
+    const { page, error } = parsePage(req.query);
+    
+    if (error) {
+      return res.status(400).json({ error });
+    }
     
-    logger.info(`Fetching movies for genre: ${genre}, limit: ${limit}, skip: ${skip}`);
+    logger.info(`Fetching movies for genre: ${genre}, limit: ${page.limit}, offset: ${page.offset}`);
     
-    // Verify that the genre exists
-    const genreCheck = await runQuery(
-      'MATCH (g:Genre {name: $genre}) RETURN g',
-      { genre }
-    );
+    const found = await getRepository().moviesByGenre(genre, page);
     
-    if (genreCheck.records.length === 0) {
+    if (!found) {
       logger.warn(`Genre not found: ${genre}`);
       return res.status(404).json({ error: `Genre '${genre}' not found` });
     }
     
-    const result = await runQuery(
-      `MATCH (m:Movie)-[:IN_GENRE]->(g:Genre)
-       WHERE g.name = $genre
-       RETURN m.title AS title, m.released AS released, m.tagline AS tagline,
-              m.poster_image AS posterImage
-       ORDER BY m.released DESC
-       SKIP $skip LIMIT $limit`,
-      { genre, skip: parseInt(skip), limit: parseInt(limit) }
-    );
-    
-    const movies = result.records.map(record => ({
-      title: record.get('title'),
-      released: safeInt(record.get('released')),
-      tagline: record.get('tagline'),
-      posterImage: record.get('posterImage')
-    }));
-    
+    const { movies, total } = found;
     logger.debug(`Found ${movies.length} movies for genre: ${genre}`);
     
-    res.json({ movies });
+    res.json({ movies, pagination: paginate(req, page, movies.length, total) });
   } catch (error) {
     logger.error(`Error in /movies/by-genre/${req.params.genre} endpoint:`, error);
     next(error);
@@ -114,45 +122,19 @@ router.get('/movies/by-genre/:genre', async (req, res, next) => {
 /**
  * Get movie details including cast
  */
-router.get('/movies/:title', async (req, res, next) => {
+router.get('/movies/:title', cacheResponse('movies'), async (req, res, next) => {
   try {
     const { title } = req.params;
     
     logger.info(`Fetching details for movie: ${title}`);
     
-    const result = await runQuery(
-      `MATCH (m:Movie {title: $title})
-       OPTIONAL MATCH (m)-[:IN_GENRE]->(g:Genre)
-       OPTIONAL MATCH (p:Person)-[r:ACTED_IN]->(m)
-       RETURN m {
-         .title, .released, .tagline, .poster_image,
-         genres: collect(DISTINCT g.name),
-         cast: collect(DISTINCT {
-           name: p.name,
-           role: r.roles,
-           profile_image: p.profile_image
-         })
-       } AS movie`,
-      { title }
-    );
-    
-    if (result.records.length === 0) {
+    const movie = await getRepository().getMovie(title);
+    
+    if (!movie) {
       logger.warn(`Movie not found: ${title}`);
       return res.status(404).json({ error: 'Movie not found' });
     }
     
-    const movieData = result.records[0].get('movie');
-    
-    // Format the movie data
-    const movie = {
-      title: movieData.title,
-      released: safeInt(movieData.released),
-      tagline: movieData.tagline,
-      posterImage: movieData.poster_image,
-      genres: movieData.genres,
-      cast: movieData.cast.filter(actor => actor.name != null)
-    };
-    
     res.json({ movie });
   } catch (error) {
     logger.error(`Error in /movies/${req.params.title} endpoint:`, error);
@@ -161,52 +143,49 @@ router.get('/movies/:title', async (req, res, next) => {
 });
 
 /**
- * Get recommended movies based on a movie
+ * Get recommended movies based on a movie. Pass explain=true to include the
+ * graph paths that connect the movie to each recommendation.
  */
-router.get('/movies/:title/recommendations', async (req, res, next) => {
+router.get('/movies/:title/recommendations', rateLimit('recommendations'), cacheResponse('recommendations'), async (req, res, next) => {
   try {
     const { title } = req.params;
-    const { limit = 5 } = req.query;
+    const { strategy = config.recommendations.defaultStrategy } = req.query;
+    const limit = parseLimit(req.query.limit, { defaultLimit: 5 });
     
-    logger.info(`Fetching recommendations for movie: ${title}, limit: ${limit}`);
+    if (limit === null) {
+      return res.status(400).json({ error: 'limit must be a positive integer' });
+    }
     
-    // First, verify if the movie exists
-    const movieCheck = await runQuery(
-      'MATCH (m:Movie {title: $title}) RETURN m',
-      { title }
-    );
+    if (!STRATEGIES.includes(strategy)) {
+      return res.status(400).json({ error: `Unknown strategy '${strategy}'`, strategies: STRATEGIES });
+    }
+    
+    const weights = parseWeights(req.query.weights);
+    if (!weights) {
+      return res.status(400).json({
+        error: 'Invalid weights, expected e.g. genre:0.5,cast:0.3,year:0.2',
+        components: WEIGHT_COMPONENTS
+      });
+    }
+    
+    logger.info(`Fetching ${strategy} recommendations for movie: ${title}, limit: ${limit}`);
     
-    if (movieCheck.records.length === 0) {
+    // First, verify if the movie exists
+    if (!(await getRepository().movieExists(title))) {
       logger.warn(`Movie not found for recommendations: ${title}`);
       return res.status(404).json({ error: 'Movie not found' });
     }
     
-    const result = await runQuery(
-      `MATCH (m:Movie {title: $title})-[:IN_GENRE]->(g:Genre)<-[:IN_GENRE]-(rec:Movie)
-       WHERE m <> rec
-       WITH rec, COUNT(g) AS commonGenres
-       MATCH (rec)<-[:ACTED_IN]-(a:Person)
-       WITH rec, commonGenres, COLLECT(a.name) AS actors
-       RETURN rec.title AS title, rec.released AS released,
-              rec.tagline AS tagline, rec.poster_image AS posterImage,
-              commonGenres, actors
-       ORDER BY commonGenres DESC, rec.released DESC
-       LIMIT $limit`,
-      { title, limit: parseInt(limit) }
-    );
-    
-    const recommendations = result.records.map(record => ({
-      title: record.get('title'),
-      released: safeInt(record.get('released')),
-      tagline: record.get('tagline'),
-      posterImage: record.get('posterImage'),
-      commonGenres: safeInt(record.get('commonGenres')),
-      actors: record.get('actors')
-    }));
-    
-    logger.debug(`Found ${recommendations.length} recommendations for: ${title}`);
-    
-    res.json({ recommendations });
+    const result = await getRepository().recommendMovies(title, {
+      strategy,
+      limit,
+      weights,
+      explain: req.query.explain === 'true'
+    });
+    
+    logger.debug(`Found ${result.recommendations.length} recommendations for: ${title}`);
+    
+    res.json(result);
   } catch (error) {
     logger.error(`Error in /movies/${req.params.title}/recommendations endpoint:`, error);
     next(error);
@@ -214,43 +193,251 @@ router.get('/movies/:title/recommendations', async (req, res, next) => {
 });
 
 /**
- * Search movies by title
+ * Search movie titles, taglines and person names through the full-text index.
+ * Results are ranked by relevance and tolerate misspellings.
  */
-router.get('/search', async (req, res, next) => {
+router.get('/search', rateLimit('search'), cacheResponse('search'), async (req, res, next) => {
   try {
-    const { q, limit = 10 } = req.query;
+    const { q } = req.query;
+    const { page, error } = parsePage(req.query);
     
-    if (!q) {
+    if (!q || searchTerms(q).length === 0) {
       return res.status(400).json({ error: 'Search query is required' });
     }
     
-    logger.info(`Searching movies with query: ${q}, limit: ${limit}`);
+    if (error) {
+      return res.status(400).json({ error });
+    }
     
-    const result = await runQuery(
-      `MATCH (m:Movie)
-       WHERE m.title =~ $searchPattern
-       RETURN m.title AS title, m.released AS released,
-              m.tagline AS tagline, m.poster_image AS posterImage
-       ORDER BY m.released DESC
-       LIMIT $limit`,
-      { searchPattern: `(?i).*${q}.*`, limit: parseInt(limit) }
-    );
+    logger.info(`Searching catalogue with query: ${q}, limit: ${page.limit}, offset: ${page.offset}`);
     
-    const movies = result.records.map(record => ({
-      title: record.get('title'),
-      released: safeInt(record.get('released')),
-      tagline: record.get('tagline'),
-      posterImage: record.get('posterImage')
-    }));
+    const { movies, people, total } = await getRepository().searchCatalogue(q, page);
     
-    logger.debug(`Found ${movies.length} movies for search query: ${q}`);
+    logger.debug(`Found ${total} matches for search query: ${q}`);
     
-    res.json({ movies });
+    res.json({ movies, people, pagination: paginate(req, page, movies.length + people.length, total) });
   } catch (error) {
     logger.error(`Error in /search endpoint with query ${req.query.q}:`, error);
     next(error);
   }
 });
 
+/**
+ * Create a genre
+ */
+router.post('/genres', requireRole('editor'), async (req, res, next) => {
+  try {
+    const errors = validateBody(req.body, genreSchema);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid genre', details: errors });
+    }
+    
+    logger.info(`Creating genre: ${req.body.name}`);
+    
+    const genre = await getRepository().createGenre(req.body);
+    res.status(201).json({ genre });
+  } catch (error) {
+    logger.error('Error in POST /genres endpoint:', error);
+    next(error);
+  }
+});
+
+/**
+ * Rename a genre
+ */
+router.patch('/genres/:name', requireRole('editor'), async (req, res, next) => {
+  try {
+    const errors = validateBody(req.body, genreSchema, { partial: true });
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid genre', details: errors });
+    }
+    
+    logger.info(`Updating genre: ${req.params.name}`);
+    
+    const genre = await getRepository().updateGenre(req.params.name, req.body);
+    if (!genre) {
+      return res.status(404).json({ error: `Genre '${req.params.name}' not found` });
+    }
+    
+    res.json({ genre });
+  } catch (error) {
+    logger.error(`Error in PATCH /genres/${req.params.name} endpoint:`, error);
+    next(error);
+  }
+});
+
+/**
+ * Delete a genre
+ */
+router.delete('/genres/:name', requireRole('editor'), async (req, res, next) => {
+  try {
+    logger.info(`Deleting genre: ${req.params.name}`);
+    
+    if (!(await getRepository().deleteGenre(req.params.name))) {
+      return res.status(404).json({ error: `Genre '${req.params.name}' not found` });
+    }
+    
+    res.status(204).end();
+  } catch (error) {
+    logger.error(`Error in DELETE /genres/${req.params.name} endpoint:`, error);
+    next(error);
+  }
+});
+
+/**
+ * Create a movie
+ */
+router.post('/movies', requireRole('editor'), async (req, res, next) => {
+  try {
+    const errors = validateBody(req.body, movieSchema);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid movie', details: errors });
+    }
+    
+    logger.info(`Creating movie: ${req.body.title}`);
+    
+    const movie = await getRepository().createMovie(req.body);
+    res.status(201).json({ movie });
+  } catch (error) {
+    logger.error('Error in POST /movies endpoint:', error);
+    next(error);
+  }
+});
+
+/**
+ * Update some properties of a movie
+ */
+router.patch('/movies/:title', requireRole('editor'), async (req, res, next) => {
+  try {
+    const errors = validateBody(req.body, movieSchema, { partial: true });
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid movie', details: errors });
+    }
+    
+    logger.info(`Updating movie: ${req.params.title}`);
+    
+    const movie = await getRepository().updateMovie(req.params.title, req.body);
+    if (!movie) {
+      return res.status(404).json({ error: 'Movie not found' });
+    }
+    
+    res.json({ movie });
+  } catch (error) {
+    logger.error(`Error in PATCH /movies/${req.params.title} endpoint:`, error);
+    next(error);
+  }
+});
+
+/**
+ * Delete a movie
+ */
+router.delete('/movies/:title', requireRole('editor'), async (req, res, next) => {
+  try {
+    logger.info(`Deleting movie: ${req.params.title}`);
+    
+    if (!(await getRepository().deleteMovie(req.params.title))) {
+      return res.status(404).json({ error: 'Movie not found' });
+    }
+    
+    res.status(204).end();
+  } catch (error) {
+    logger.error(`Error in DELETE /movies/${req.params.title} endpoint:`, error);
+    next(error);
+  }
+});
+
+/**
+ * Add a person to a movie's cast, or change their roles
+ */
+router.put('/movies/:title/cast/:name', requireRole('editor'), async (req, res, next) => {
+  try {
+    const errors = validateBody(req.body, castSchema);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid cast member', details: errors });
+    }
+    
+    const { title, name } = req.params;
+    logger.info(`Setting ${name} in the cast of ${title}`);
+    
+    const castMember = await getRepository().setCastMember(title, name, req.body);
+    if (!castMember) {
+      return res.status(404).json({ error: 'Movie or person not found' });
+    }
+    
+    res.json({ castMember });
+  } catch (error) {
+    logger.error(`Error in PUT /movies/${req.params.title}/cast/${req.params.name} endpoint:`, error);
+    next(error);
+  }
+});
+
+/**
+ * Remove a person from a movie's cast
+ */
+router.delete('/movies/:title/cast/:name', requireRole('editor'), async (req, res, next) => {
+  try {
+    const { title, name } = req.params;
+    logger.info(`Removing ${name} from the cast of ${title}`);
+    
+    if (!(await getRepository().removeCastMember(title, name))) {
+      return res.status(404).json({ error: `${name} is not in the cast of ${title}` });
+    }
+    
+    res.status(204).end();
+  } catch (error) {
+    logger.error(`Error in DELETE /movies/${req.params.title}/cast/${req.params.name} endpoint:`, error);
+    next(error);
+  }
+});
+
+/**
+ * Put a movie in a genre
+ */
+router.put('/movies/:title/genres/:genre', requireRole('editor'), async (req, res, next) => {
+  try {
+    const { title, genre } = req.params;
+    logger.info(`Adding ${title} to genre ${genre}`);
+    
+    const link = await getRepository().addMovieGenre(title, genre);
+    if (!link) {
+      return res.status(404).json({ error: 'Movie or genre not found' });
+    }
+    
+    res.json(link);
+  } catch (error) {
+    logger.error(`Error in PUT /movies/${req.params.title}/genres/${req.params.genre} endpoint:`, error);
+    next(error);
+  }
+});
+
+/**
+ * Take a movie out of a genre
+ */
+router.delete('/movies/:title/genres/:genre', requireRole('editor'), async (req, res, next) => {
+  try {
+    const { title, genre } = req.params;
+    logger.info(`Removing ${title} from genre ${genre}`);
+    
+    if (!(await getRepository().removeMovieGenre(title, genre))) {
+      return res.status(404).json({ error: `${title} is not in genre ${genre}` });
+    }
+    
+    res.status(204).end();
+  } catch (error) {
+    logger.error(`Error in DELETE /movies/${req.params.title}/genres/${req.params.genre} endpoint:`, error);
+    next(error);
+  }
+});
+
+/**
+ * Report unique-constraint violations from the write endpoints as conflicts
+ */
+router.use((err, req, res, next) => {
+  if (isConstraintViolation(err)) {
+    return res.status(409).json({ error: 'Conflict', message: err.message });
+  }
+  next(err);
+});
+
 export default router;
 
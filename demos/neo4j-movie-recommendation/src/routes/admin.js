@@ -0,0 +1,107 @@
+import { Router } from 'express';
+import { config } from '../config.js';
+import { resolveImportDirectory } from '../importer.js';
+import { EXPORT_FORMATS, parseLabels } from '../exporter.js';
+import { logger } from '../utils/logger.js';
+import { requireRole } from '../auth/index.js';
+import { rateLimit } from '../rate-limit.js';
+import { getRepository } from '../repository/index.js';
+
+const router = Router();
+
+// Importing and exporting the whole graph and checking tenants is for admins only
+router.use(requireRole('admin'), rateLimit('admin'));
+
+/**
+ * Import a MovieLens-style catalogue from a directory under the configured
+ * import directory and report imported and rejected rows
+ */
+router.post('/import', async (req, res, next) => {
+  try {
+    const { directory = '.', batchSize = config.importer.batchSize } = req.body || {};
+    
+    if (typeof directory !== 'string') {
+      return res.status(400).json({ error: 'directory must be a string' });
+    }
+    
+    if (!Number.isInteger(batchSize) || batchSize < 1) {
+      return res.status(400).json({ error: 'batchSize must be a positive integer' });
+    }
+    
+    const resolved = resolveImportDirectory(directory);
+    if (!resolved) {
+      return res.status(400).json({ error: `directory must be inside ${config.importer.directory}` });
+    }
+    
+    logger.info(`Importing catalogue from ${resolved}`);
+    
+    const report = await getRepository().importCatalogue(resolved, {
+      batchSize,
+      onProgress: ({ name, processed }) => logger.debug(`Import ${name}: ${processed} rows read`)
+    });
+    
+    res.json({ report });
+  } catch (error) {
+    logger.error('Error in /admin/import endpoint:', error);
+    next(error);
+  }
+});
+
+/**
+ * Stream the graph, or the subgraph of some labels, as JSON, GraphML or a
+ * replayable Cypher script
+ */
+router.get('/export', async (req, res, next) => {
+  try {
+    const { format = 'json' } = req.query;
+    const labels = parseLabels(req.query.labels);
+    
+    if (!EXPORT_FORMATS[format]) {
+      return res.status(400).json({ error: `Unknown format '${format}'`, formats: Object.keys(EXPORT_FORMATS) });
+    }
+    
+    if (!labels) {
+      return res.status(400).json({ error: `Invalid labels '${req.query.labels}'` });
+    }
+    
+    logger.info(`Exporting ${labels.join(', ')} as ${format}`);
+    
+    const { contentType, extension } = EXPORT_FORMATS[format];
+    // attachment() sets the type from the extension, so the format's own type goes after it
+    res.attachment(`movie-graph.${extension}`);
+    res.type(contentType);
+    
+    const counts = await getRepository().exportGraph(format, res, { labels });
+    res.end();
+    
+    logger.info(`Exported ${counts.nodes} nodes and ${counts.relationships} relationships`);
+  } catch (error) {
+    logger.error('Error in /admin/export endpoint:', error);
+    // Once streaming has started the status can't change, so cut the response short
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    next(error);
+  }
+});
+
+/**
+ * Check that the request's catalogue is isolated from other tenants' data:
+ * its database exists and none of its nodes carry or reach another tenant's labels
+ */
+router.get('/isolation', async (req, res, next) => {
+  try {
+    const report = await getRepository().checkIsolation();
+    
+    if (!report.isolated) {
+      logger.warn(`Tenant ${report.tenant} is not isolated: ${report.problems.join('; ')}`);
+    }
+    
+    res.json({ report });
+  } catch (error) {
+    logger.error('Error in /admin/isolation endpoint:', error);
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,52 @@
+import { Router } from 'express';
+import helmet from 'helmet';
+import { openApiDocument } from '../openapi.js';
+
+const router = Router();
+
+const SWAGGER_UI = 'https://cdn.jsdelivr.net/npm/swagger-ui-dist@5';
+
+// The docs page loads Swagger UI from the CDN, which the app-wide policy blocks
+const docsPolicy = helmet.contentSecurityPolicy({
+  directives: {
+    scriptSrc: ["'self'", 'https://cdn.jsdelivr.net'],
+    styleSrc: ["'self'", 'https://cdn.jsdelivr.net'],
+    imgSrc: ["'self'", 'data:', 'https://cdn.jsdelivr.net']
+  }
+});
+
+/**
+ * The OpenAPI document describing this API
+ */
+router.get('/openapi.json', (req, res) => {
+  res.json(openApiDocument);
+});
+
+/**
+ * Browsable API documentation
+ */
+router.get('/docs', docsPolicy, (req, res) => {
+  res.send(`<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>${openApiDocument.info.title}</title>
+  <link rel="stylesheet" href="${SWAGGER_UI}/swagger-ui.css">
+</head>
+<body>
+  <div id="swagger-ui"></div>
+  <script src="${SWAGGER_UI}/swagger-ui-bundle.js"></script>
+  <script src="/api/docs/init.js"></script>
+</body>
+</html>`);
+});
+
+/**
+ * Start-up script for the docs page, served separately as inline scripts are not allowed
+ */
+router.get('/docs/init.js', (req, res) => {
+  res.type('application/javascript');
+  res.send("window.ui = SwaggerUIBundle({ url: '/api/openapi.json', dom_id: '#swagger-ui' });\n");
+});
+
+export default router;
@@ -0,0 +1,83 @@
+import { Router } from 'express';
+import { config } from '../config.js';
+import { logger } from '../utils/logger.js';
+import { cacheResponse } from '../cache/index.js';
+import { rateLimit } from '../rate-limit.js';
+import { parseLabels } from '../exporter.js';
+import { serializeNode, serializeRelationship } from '../utils/graph.js';
+import { getRepository } from '../repository/index.js';
+
+const router = Router();
+
+// Only the catalogue is drawn: users' ratings and watch lists are theirs to
+// see, behind requireSelfOrEditor in routes/users.js, so User can't be asked for
+const GRAPH_LABELS = ['Movie', 'Person', 'Genre'];
+
+/**
+ * Get the nodes within depth hops of a movie, person or genre and the
+ * relationships between them, for drawing as a graph. Pass label when a
+ * name is shared, and labels to choose which kinds of node are followed.
+ */
+router.get('/neighborhood', rateLimit('graph'), cacheResponse('graph'), async (req, res, next) => {
+  try {
+    const { node, label } = req.query;
+    const depth = req.query.depth === undefined ? config.graph.defaultDepth : Number(req.query.depth);
+    const labels = req.query.labels === undefined ? GRAPH_LABELS : parseLabels(req.query.labels);
+    
+    if (!node) {
+      return res.status(400).json({ error: 'node is required' });
+    }
+    
+    if (label !== undefined && !GRAPH_LABELS.includes(label)) {
+      return res.status(400).json({ error: `label must be one of ${GRAPH_LABELS.join(', ')}` });
+    }
+    
+    if (!Number.isInteger(depth) || depth < 1 || depth > config.graph.maxDepth) {
+      return res.status(400).json({ error: `depth must be an integer between 1 and ${config.graph.maxDepth}` });
+    }
+    
+    if (!labels || !labels.every(name => GRAPH_LABELS.includes(name))) {
+      return res.status(400).json({ error: `labels must be a comma-separated list of ${GRAPH_LABELS.join(', ')}` });
+    }
+    
+    logger.info(`Fetching neighborhood of ${node}, depth: ${depth}, labels: ${labels.join(',')}`);
+    
+    const repository = getRepository();
+    const start = await repository.findNode(node, label ? [label] : GRAPH_LABELS);
+    if (!start) {
+      logger.warn(`Neighborhood node not found: ${node}`);
+      return res.status(404).json({ error: `No ${label ? label.toLowerCase() : 'movie, person or genre'} named '${node}'` });
+    }
+    
+    // One node more than the limit is fetched to tell whether any were left out
+    const { found, relationships: between } = await repository.neighborhood(start, {
+      depth,
+      labels,
+      limit: config.graph.maxNodes + 1
+    });
+    
+    const kept = found.slice(0, config.graph.maxNodes);
+    const nodes = [
+      { ...serializeNode(start), distance: 0 },
+      ...kept.map(entry => ({ ...serializeNode(entry.node), distance: entry.distance }))
+    ];
+    const ids = new Set(nodes.map(item => item.id));
+    const relationships = between
+      .map(serializeRelationship)
+      .filter(relationship => ids.has(relationship.start) && ids.has(relationship.end));
+    
+    res.json({
+      center: start.elementId,
+      depth,
+      labels,
+      nodes,
+      relationships,
+      truncated: found.length > kept.length
+    });
+  } catch (error) {
+    logger.error('Error in /graph/neighborhood endpoint:', error);
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,43 @@
+import { Router } from 'express';
+import { logger } from '../utils/logger.js';
+import { executeGraphQL } from '../graphql/index.js';
+import { rateLimit } from '../rate-limit.js';
+
+const router = Router();
+
+/**
+ * Run a GraphQL query from either the JSON body or the query string
+ */
+async function handleGraphQL(req, res, next) {
+  try {
+    const source = req.method === 'GET' ? req.query : req.body || {};
+    let { variables } = source;
+
+    if (typeof variables === 'string') {
+      try {
+        variables = JSON.parse(variables);
+      } catch (error) {
+        return res.status(400).json({ errors: [{ message: 'variables must be a JSON object' }] });
+      }
+    }
+
+    const { status, body } = await executeGraphQL({
+      query: source.query,
+      variables: variables || undefined,
+      operationName: source.operationName || undefined
+    });
+
+    res.status(status).json(body);
+  } catch (error) {
+    logger.error('Error in /graphql endpoint:', error);
+    next(error);
+  }
+}
+
+/**
+ * GraphQL queries over movies, people and genres
+ */
+router.get('/', rateLimit('graphql'), handleGraphQL);
+router.post('/', rateLimit('graphql'), handleGraphQL);
+
+export default router;
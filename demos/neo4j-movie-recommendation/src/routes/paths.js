@@ -0,0 +1,73 @@
+import { Router } from 'express';
+import { config } from '../config.js';
+import { logger } from '../utils/logger.js';
+import { cacheResponse } from '../cache/index.js';
+import { rateLimit } from '../rate-limit.js';
+import { serializeNode, serializePath } from '../utils/graph.js';
+import { getRepository } from '../repository/index.js';
+
+const router = Router();
+
+/**
+ * Find the shortest connections between two people or movies ("six degrees").
+ * Paths follow ACTED_IN relationships, plus IN_GENRE when genres=true.
+ */
+router.get('/', rateLimit('paths'), cacheResponse('paths'), async (req, res, next) => {
+  try {
+    const { from, to, genres } = req.query;
+    const maxDepth = req.query.maxDepth === undefined ? config.paths.defaultDepth : Number(req.query.maxDepth);
+    
+    if (!from || !to) {
+      return res.status(400).json({ error: 'Both from and to are required' });
+    }
+    
+    if (!Number.isInteger(maxDepth) || maxDepth < 1 || maxDepth > config.paths.maxDepth) {
+      return res.status(400).json({ error: `maxDepth must be an integer between 1 and ${config.paths.maxDepth}` });
+    }
+    
+    logger.info(`Finding shortest paths from ${from} to ${to}, maxDepth: ${maxDepth}`);
+    
+    // Paths run between people and movies
+    const repository = getRepository();
+    const [start, end] = await Promise.all([
+      repository.findNode(from, ['Person', 'Movie']),
+      repository.findNode(to, ['Person', 'Movie'])
+    ]);
+    
+    if (!start || !end) {
+      const missing = start ? to : from;
+      logger.warn(`Path endpoint not found: ${missing}`);
+      return res.status(404).json({ error: `No person or movie named '${missing}'` });
+    }
+    
+    if (start.elementId === end.elementId) {
+      return res.status(400).json({ error: 'from and to must be different' });
+    }
+    
+    const found = await repository.shortestPaths(start, end, {
+      maxDepth,
+      types: genres === 'true' ? ['ACTED_IN', 'IN_GENRE'] : ['ACTED_IN'],
+      limit: config.paths.maxAlternatives + 1
+    });
+    
+    if (found.length === 0) {
+      logger.debug(`No path within ${maxDepth} hops from ${from} to ${to}`);
+      return res.status(404).json({ error: `No connection within ${maxDepth} hops` });
+    }
+    
+    const [path, ...alternatives] = found.map(serializePath);
+    
+    res.json({
+      from: serializeNode(start),
+      to: serializeNode(end),
+      length: path.length,
+      path,
+      alternatives
+    });
+  } catch (error) {
+    logger.error('Error in /paths endpoint:', error);
+    next(error);
+  }
+});
+
+export default router;
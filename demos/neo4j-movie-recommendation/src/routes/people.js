@@ -0,0 +1,148 @@
+import { Router } from 'express';
+import { logger } from '../utils/logger.js';
+import { cacheResponse } from '../cache/index.js';
+import { requireRole } from '../auth/index.js';
+import { validateBody } from '../utils/validation.js';
+import { paginate, parsePage } from '../utils/pagination.js';
+import { personSchema } from '../catalogue.js';
+import { getRepository } from '../repository/index.js';
+
+const router = Router();
+
+/**
+ * List people alphabetically with the number of movies they acted in
+ */
+router.get('/', cacheResponse('people'), async (req, res, next) => {
+  try {
+    const { page, error } = parsePage(req.query, { defaultLimit: 20 });
+    
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    
+    logger.info(`Fetching people, limit: ${page.limit}, offset: ${page.offset}`);
+    
+    const { people, total } = await getRepository().listPeople(page);
+    
+    res.json({ people, pagination: paginate(req, page, people.length, total) });
+  } catch (error) {
+    logger.error('Error in /people endpoint:', error);
+    next(error);
+  }
+});
+
+/**
+ * Get a person's profile and filmography with the roles they played
+ */
+router.get('/:name', cacheResponse('people'), async (req, res, next) => {
+  try {
+    const { name } = req.params;
+    
+    logger.info(`Fetching person: ${name}`);
+    
+    const person = await getRepository().getPerson(name);
+    if (!person) {
+      logger.warn(`Person not found: ${name}`);
+      return res.status(404).json({ error: 'Person not found' });
+    }
+    
+    res.json({ person });
+  } catch (error) {
+    logger.error(`Error in /people/${req.params.name} endpoint:`, error);
+    next(error);
+  }
+});
+
+/**
+ * Get the people who most often acted alongside a person
+ */
+router.get('/:name/costars', cacheResponse('people'), async (req, res, next) => {
+  try {
+    const { name } = req.params;
+    const { page, error } = parsePage(req.query);
+    
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    
+    logger.info(`Fetching co-stars for: ${name}, limit: ${page.limit}, offset: ${page.offset}`);
+    
+    const result = await getRepository().listCostars(name, page);
+    if (!result) {
+      logger.warn(`Person not found for co-stars: ${name}`);
+      return res.status(404).json({ error: 'Person not found' });
+    }
+    
+    const { costars, total } = result;
+    logger.debug(`Found ${costars.length} co-stars for: ${name}`);
+    
+    res.json({ costars, pagination: paginate(req, page, costars.length, total) });
+  } catch (error) {
+    logger.error(`Error in /people/${req.params.name}/costars endpoint:`, error);
+    next(error);
+  }
+});
+
+/**
+ * Create a person
+ */
+router.post('/', requireRole('editor'), async (req, res, next) => {
+  try {
+    const errors = validateBody(req.body, personSchema);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid person', details: errors });
+    }
+    
+    logger.info(`Creating person: ${req.body.name}`);
+    
+    const person = await getRepository().createPerson(req.body);
+    res.status(201).json({ person });
+  } catch (error) {
+    logger.error('Error in POST /people endpoint:', error);
+    next(error);
+  }
+});
+
+/**
+ * Update some properties of a person
+ */
+router.patch('/:name', requireRole('editor'), async (req, res, next) => {
+  try {
+    const errors = validateBody(req.body, personSchema, { partial: true });
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid person', details: errors });
+    }
+    
+    logger.info(`Updating person: ${req.params.name}`);
+    
+    const person = await getRepository().updatePerson(req.params.name, req.body);
+    if (!person) {
+      return res.status(404).json({ error: 'Person not found' });
+    }
+    
+    res.json({ person });
+  } catch (error) {
+    logger.error(`Error in PATCH /people/${req.params.name} endpoint:`, error);
+    next(error);
+  }
+});
+
+/**
+ * Delete a person
+ */
+router.delete('/:name', requireRole('editor'), async (req, res, next) => {
+  try {
+    logger.info(`Deleting person: ${req.params.name}`);
+    
+    if (!(await getRepository().deletePerson(req.params.name))) {
+      return res.status(404).json({ error: 'Person not found' });
+    }
+    
+    res.status(204).end();
+  } catch (error) {
+    logger.error(`Error in DELETE /people/${req.params.name} endpoint:`, error);
+    next(error);
+  }
+});
+
+export default router;
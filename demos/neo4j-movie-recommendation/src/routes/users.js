@@ -0,0 +1,171 @@
+import { Router } from 'express';
+import { logger } from '../utils/logger.js';
+import { cacheResponse } from '../cache/index.js';
+import { requireSelfOrRole } from '../auth/index.js';
+import { validateBody } from '../utils/validation.js';
+import { paginate, parsePage } from '../utils/pagination.js';
+import { ratingSchema, USER_LISTS, userSchema } from '../users.js';
+import { getRepository } from '../repository/index.js';
+
+const router = Router();
+
+// A user's lists and account can be read and changed by the user themselves
+// or by an editor; only the profile and summary are public
+const requireSelfOrEditor = requireSelfOrRole('editor');
+
+/**
+ * Get a user with the number of movies they rated, want to watch and watched
+ */
+router.get('/:id', cacheResponse('users'), async (req, res, next) => {
+  try {
+    logger.info(`Fetching user: ${req.params.id}`);
+    
+    const user = await getRepository().getUser(req.params.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
+    res.json({ user });
+  } catch (error) {
+    logger.error(`Error in /users/${req.params.id} endpoint:`, error);
+    next(error);
+  }
+});
+
+/**
+ * Create a user, or rename an existing one
+ */
+router.put('/:id', requireSelfOrEditor, async (req, res, next) => {
+  try {
+    const errors = validateBody(req.body, userSchema);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid user', details: errors });
+    }
+    
+    logger.info(`Saving user: ${req.params.id}`);
+    
+    const { user, created } = await getRepository().saveUser(req.params.id, req.body);
+    res.status(created ? 201 : 200).json({ user });
+  } catch (error) {
+    logger.error(`Error in PUT /users/${req.params.id} endpoint:`, error);
+    next(error);
+  }
+});
+
+/**
+ * Delete a user with their ratings, watchlist and watch history
+ */
+router.delete('/:id', requireSelfOrEditor, async (req, res, next) => {
+  try {
+    logger.info(`Deleting user: ${req.params.id}`);
+    
+    if (!(await getRepository().deleteUser(req.params.id))) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
+    res.status(204).end();
+  } catch (error) {
+    logger.error(`Error in DELETE /users/${req.params.id} endpoint:`, error);
+    next(error);
+  }
+});
+
+/**
+ * Get a user's taste profile: the genres and actors of the movies they rated
+ * highly or watched
+ */
+router.get('/:id/profile', cacheResponse('users'), async (req, res, next) => {
+  try {
+    logger.info(`Fetching profile of user: ${req.params.id}`);
+    
+    const profile = await getRepository().getUserProfile(req.params.id);
+    if (!profile) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
+    res.json(profile);
+  } catch (error) {
+    logger.error(`Error in /users/${req.params.id}/profile endpoint:`, error);
+    next(error);
+  }
+});
+
+// The ratings, watchlist and watched lists share their endpoints: list the
+// movies, put one on the list, take one off
+for (const list of Object.keys(USER_LISTS)) {
+  /**
+   * One page of the list, most recently added first
+   */
+  router.get(`/:id/${list}`, requireSelfOrEditor, async (req, res, next) => {
+    try {
+      const { page, error } = parsePage(req.query, { defaultLimit: 20 });
+      
+      if (error) {
+        return res.status(400).json({ error });
+      }
+      
+      logger.info(`Fetching ${list} of user: ${req.params.id}, limit: ${page.limit}, offset: ${page.offset}`);
+      
+      const result = await getRepository().listUserMovies(req.params.id, list, page);
+      if (!result) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+      
+      res.json({ [list]: result.entries, pagination: paginate(req, page, result.entries.length, result.total) });
+    } catch (error) {
+      logger.error(`Error in /users/${req.params.id}/${list} endpoint:`, error);
+      next(error);
+    }
+  });
+
+  /**
+   * Put a movie on the list. Ratings take a {score} body.
+   */
+  router.put(`/:id/${list}/:title`, requireSelfOrEditor, async (req, res, next) => {
+    try {
+      const { id, title } = req.params;
+      let properties = {};
+      
+      if (list === 'ratings') {
+        const errors = validateBody(req.body, ratingSchema);
+        if (errors.length > 0) {
+          return res.status(400).json({ error: 'Invalid rating', details: errors });
+        }
+        properties = { score: req.body.score };
+      }
+      
+      logger.info(`Adding ${title} to ${list} of user: ${id}`);
+      
+      const entry = await getRepository().addUserMovie(id, list, title, properties);
+      if (!entry) {
+        return res.status(404).json({ error: 'User or movie not found' });
+      }
+      
+      res.json({ entry });
+    } catch (error) {
+      logger.error(`Error in PUT /users/${req.params.id}/${list}/${req.params.title} endpoint:`, error);
+      next(error);
+    }
+  });
+
+  /**
+   * Take a movie off the list
+   */
+  router.delete(`/:id/${list}/:title`, requireSelfOrEditor, async (req, res, next) => {
+    try {
+      const { id, title } = req.params;
+      logger.info(`Removing ${title} from ${list} of user: ${id}`);
+      
+      if (!(await getRepository().removeUserMovie(id, list, title))) {
+        return res.status(404).json({ error: `${title} is not in the ${list} of user ${id}` });
+      }
+      
+      res.status(204).end();
+    } catch (error) {
+      logger.error(`Error in DELETE /users/${req.params.id}/${list}/${req.params.title} endpoint:`, error);
+      next(error);
+    }
+  });
+}
+
+export default router;
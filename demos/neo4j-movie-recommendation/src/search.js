@@ -0,0 +1,166 @@
+// Full-text search over movie titles, taglines and person names
+import neo4j from 'neo4j-driver';
+import { readTransaction, safeInt } from './neo4j.js';
+import { qualifyLabel, qualifyName } from './tenants.js';
+
+export const SEARCH_INDEX = 'catalogue_search';
+
+/**
+ * Cypher that creates the full-text index used by searchCatalogue
+ */
+export const CREATE_SEARCH_INDEX = `CREATE FULLTEXT INDEX ${SEARCH_INDEX} IF NOT EXISTS
+  FOR (n:Movie|Person) ON EACH [n.title, n.tagline, n.name]`;
+
+/**
+ * Split user input into lower-case word terms. Anything that is not a letter
+ * or digit is dropped, so Lucene syntax in the input can't alter the query.
+ * @param {string} text - Raw search input
+ * @returns {string[]}
+ */
+export function searchTerms(text) {
+  return (String(text).toLowerCase().match(/[\p{L}\p{N}]+/gu) || []);
+}
+
+/**
+ * Edits tolerated when fuzzy matching a term; short terms must match exactly
+ * @param {string} term
+ * @returns {number}
+ */
+function maxEdits(term) {
+  if (term.length <= 2) return 0;
+  return term.length <= 5 ? 1 : 2;
+}
+
+/**
+ * Build a Lucene query in which every term must match, ranking exact matches
+ * above prefix matches and prefix matches above misspellings
+ * @param {string[]} terms - Terms from searchTerms
+ * @returns {string}
+ */
+export function buildLuceneQuery(terms) {
+  return terms
+    .map(term => {
+      const edits = maxEdits(term);
+      const clauses = [`${term}^3`, `${term}*^2`];
+      if (edits > 0) {
+        clauses.push(`${term}~${edits}`);
+      }
+      return `(${clauses.join(' OR ')})`;
+    })
+    .join(' AND ');
+}
+
+/**
+ * Levenshtein distance between two strings
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+function escapeHtml(text) {
+  return text.replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+/**
+ * Wrap the words of a field that match a search term in <mark> tags
+ * @param {string} text - Field value
+ * @param {string[]} terms - Terms from searchTerms
+ * @returns {string|null} - HTML-escaped text with highlights, or null if nothing matched
+ */
+export function highlight(text, terms) {
+  if (!text) {
+    return null;
+  }
+
+  let matched = false;
+  const marked = escapeHtml(text).replace(/[\p{L}\p{N}]+/gu, word => {
+    const lower = word.toLowerCase();
+    const hit = terms.some(term => lower.startsWith(term) || editDistance(lower, term) <= maxEdits(term));
+    if (!hit) {
+      return word;
+    }
+    matched = true;
+    return `<mark>${word}</mark>`;
+  });
+
+  return matched ? marked : null;
+}
+
+/**
+ * Search movies and people through the full-text index
+ * @param {string} text - Raw search input
+ * @param {object} page - Hits across movies and people to skip and return
+ * @param {number} page.offset
+ * @param {number} page.limit
+ * @returns {Promise<{movies: object[], people: object[], total: number}>}
+ */
+export async function searchCatalogue(text, { offset = 0, limit }) {
+  const terms = searchTerms(text);
+  if (terms.length === 0) {
+    return { movies: [], people: [], total: 0 };
+  }
+
+  const query = buildLuceneQuery(terms);
+  // The total and the page come from one transaction, so they agree
+  const [countResult, result] = await readTransaction(async tx => [
+    await tx.run(
+      `CALL db.index.fulltext.queryNodes($index, $query)
+       YIELD node
+       RETURN count(node) AS total`,
+      { index: qualifyName(SEARCH_INDEX), query }
+    ),
+    await tx.run(
+      `CALL db.index.fulltext.queryNodes($index, $query, {skip: $skip, limit: $limit})
+       YIELD node, score
+       RETURN labels(node) AS labels, node.title AS title, node.released AS released,
+              node.tagline AS tagline, node.poster_image AS posterImage,
+              node.name AS name, node.profile_image AS profileImage, score
+       ORDER BY score DESC`,
+      { index: qualifyName(SEARCH_INDEX), query, skip: neo4j.int(offset), limit: neo4j.int(limit) }
+    )
+  ], { name: 'search.page' });
+
+  const movies = [];
+  const people = [];
+  for (const record of result.records) {
+    if (record.get('labels').includes(qualifyLabel('Movie'))) {
+      movies.push({
+        title: record.get('title'),
+        released: safeInt(record.get('released')),
+        tagline: record.get('tagline'),
+        posterImage: record.get('posterImage'),
+        score: record.get('score'),
+        highlights: {
+          title: highlight(record.get('title'), terms),
+          tagline: highlight(record.get('tagline'), terms)
+        }
+      });
+    } else {
+      people.push({
+        name: record.get('name'),
+        profileImage: record.get('profileImage'),
+        score: record.get('score'),
+        highlights: {
+          name: highlight(record.get('name'), terms)
+        }
+      });
+    }
+  }
+
+  return { movies, people, total: safeInt(countResult.records[0].get('total')) };
+}
@@ -0,0 +1,239 @@
+// Independent catalogues hosted side by side. Besides the default catalogue,
+// each tenant in config.tenants.file lives either in a Neo4j database of its
+// own or in a label namespace of the default database, where its nodes carry
+// labels like Acme_Movie and its constraints and indexes names like
+// acme_movie_title. Requests pick a tenant with the X-Tenant header or a
+// /t/<tenant> path prefix; queries are then routed and rewritten for it.
+import fs from 'fs';
+import { config } from './config.js';
+import { currentContext, withContext } from './request-context.js';
+
+export const DEFAULT_TENANT = Object.freeze({ id: 'default', name: 'Default catalogue', database: null, namespace: null, seed: true });
+
+// Labels a catalogue's nodes carry, which namespaces qualify. Relationship
+// types and properties are shared, since nodes of different tenants never meet.
+export const CATALOGUE_LABELS = ['Movie', 'Person', 'Genre', 'User', 'Migration'];
+
+const VALID_ID = /^[a-z0-9][a-z0-9-]{0,62}$/;
+const VALID_NAMESPACE = /^[A-Z][A-Za-z0-9]{0,30}$/;
+// Neo4j's rules for database names
+const VALID_DATABASE = /^[a-z0-9][a-z0-9.-]{2,62}$/;
+
+let tenants = null;
+
+/**
+ * Check one entry of the tenants file and fill in defaults
+ * @param {string} id
+ * @param {object} definition
+ * @returns {object}
+ */
+function parseTenant(id, definition) {
+  const problem = message => new Error(`Tenant '${id}' in ${config.tenants.file}: ${message}`);
+  if (!VALID_ID.test(id) || id === DEFAULT_TENANT.id) {
+    throw problem(`ids must be lower-case letters, digits and dashes, other than '${DEFAULT_TENANT.id}'`);
+  }
+  const { name = id, database = null, namespace = null, seed = true } = definition;
+  if (Boolean(database) === Boolean(namespace)) {
+    throw problem('set exactly one of database and namespace');
+  }
+  if (database && !VALID_DATABASE.test(database)) {
+    throw problem(`'${database}' is not a valid database name`);
+  }
+  if (namespace && !VALID_NAMESPACE.test(namespace)) {
+    throw problem('namespaces must be a capital letter followed by letters and digits');
+  }
+  return Object.freeze({ id, name: String(name), database, namespace, seed: seed !== false });
+}
+
+/**
+ * Read the tenants file, once. A missing file means only the default
+ * catalogue is hosted.
+ * @returns {Map<string, object>}
+ */
+function loadTenants() {
+  if (!tenants) {
+    const definitions = fs.existsSync(config.tenants.file)
+      ? JSON.parse(fs.readFileSync(config.tenants.file, 'utf8'))
+      : {};
+    const parsed = Object.entries(definitions).map(([id, definition]) => parseTenant(id, definition));
+    const namespaces = parsed.filter(tenant => tenant.namespace).map(tenant => tenant.namespace);
+    if (new Set(namespaces).size !== namespaces.length) {
+      throw new Error(`Tenants in ${config.tenants.file} must not share a namespace`);
+    }
+    tenants = new Map([[DEFAULT_TENANT.id, DEFAULT_TENANT], ...parsed.map(tenant => [tenant.id, tenant])]);
+  }
+  return tenants;
+}
+
+/**
+ * Forget the tenants read so far, so the file is read again on next use
+ */
+export function reloadTenants() {
+  tenants = null;
+  loadTenants();
+}
+
+/**
+ * Every hosted catalogue, the default one first
+ * @returns {object[]}
+ */
+export function listTenants() {
+  return Array.from(loadTenants().values());
+}
+
+/**
+ * Look up a tenant by id
+ * @param {string} id
+ * @returns {object|null}
+ */
+export function getTenant(id) {
+  return loadTenants().get(id) || null;
+}
+
+/**
+ * The tenant of the request being handled, or the one a script chose with
+ * withTenant; the default tenant otherwise
+ * @returns {object}
+ */
+export function currentTenant() {
+  return currentContext().tenant || DEFAULT_TENANT;
+}
+
+/**
+ * Run a function with every query it makes going to a tenant's catalogue
+ * @param {object} tenant
+ * @param {Function} fn
+ * @returns {*} - What fn returns
+ */
+export function withTenant(tenant, fn) {
+  return withContext({ tenant }, fn);
+}
+
+/**
+ * Middleware that selects the request's tenant from a /t/<tenant> path
+ * prefix, which is stripped before routing, or from the tenant header.
+ * Answers 404 for tenants that aren't configured.
+ * @returns {Function}
+ */
+export function selectTenant() {
+  return (req, res, next) => {
+    const prefixed = /^\/t\/([^/?]+)(.*)$/.exec(req.url);
+    let id = req.get(config.tenants.header);
+    if (prefixed) {
+      id = decodeURIComponent(prefixed[1]);
+      req.url = prefixed[2].startsWith('/') ? prefixed[2] : `/${prefixed[2]}`;
+      req.tenantPrefix = `/t/${encodeURIComponent(id)}`;
+    }
+
+    const tenant = id ? getTenant(id) : DEFAULT_TENANT;
+    if (!tenant) {
+      return res.status(404).json({ error: `Unknown tenant '${id}'` });
+    }
+    req.tenant = tenant;
+    withContext({ tenant }, next);
+  };
+}
+
+/**
+ * A catalogue label as stored for a tenant, e.g. Movie becomes Acme_Movie
+ * @param {string} label
+ * @param {object} [tenant]
+ * @returns {string}
+ */
+export function qualifyLabel(label, tenant = currentTenant()) {
+  return tenant.namespace && CATALOGUE_LABELS.includes(label) ? `${tenant.namespace}_${label}` : label;
+}
+
+/**
+ * A stored label as the API shows it, without the tenant's namespace
+ * @param {string} label
+ * @param {object} [tenant]
+ * @returns {string}
+ */
+export function unqualifyLabel(label, tenant = currentTenant()) {
+  const prefix = `${tenant.namespace}_`;
+  return tenant.namespace && label.startsWith(prefix) ? label.slice(prefix.length) : label;
+}
+
+/**
+ * A constraint or index name as stored for a tenant, e.g. movie_title
+ * becomes acme_movie_title
+ * @param {string} name
+ * @param {object} [tenant]
+ * @returns {string}
+ */
+export function qualifyName(name, tenant = currentTenant()) {
+  return tenant.namespace ? `${tenant.namespace.toLowerCase()}_${name}` : name;
+}
+
+const LABEL_NAMES = CATALOGUE_LABELS.join('|');
+// A catalogue label, or a |-separated list of them, right after a variable
+// or an opening parenthesis: (m:Movie), n:Person, FOR (n:Movie|Person)
+const LABEL_EXPRESSION = new RegExp(`(?<=[\\w(]):((?:${LABEL_NAMES})(?:\\|(?:${LABEL_NAMES}))*)\\b`, 'g');
+const SCHEMA_NAME = /\b(CONSTRAINT|INDEX) (\w+) IF NOT EXISTS\b/g;
+
+/**
+ * Rewrite a query for a tenant's label namespace: catalogue labels in node
+ * patterns and the names of created constraints and indexes are qualified.
+ * Labels and index names passed as parameters must be qualified by the caller.
+ * @param {string} query
+ * @param {object} [tenant]
+ * @returns {string}
+ */
+export function scopeQuery(query, tenant = currentTenant()) {
+  if (!tenant.namespace) {
+    return query;
+  }
+  return query
+    .replace(LABEL_EXPRESSION, (match, labels) => `:${labels.split('|').map(label => qualifyLabel(label, tenant)).join('|')}`)
+    .replace(SCHEMA_NAME, (match, kind, name) => `${kind} ${qualifyName(name, tenant)} IF NOT EXISTS`);
+}
+
+/**
+ * The catalogue labels of a tenant's nodes
+ * @param {object} [tenant]
+ * @returns {string[]}
+ */
+export function tenantLabels(tenant = currentTenant()) {
+  return CATALOGUE_LABELS.map(label => qualifyLabel(label, tenant));
+}
+
+/**
+ * The catalogue labels of the other tenants kept in the same database as
+ * this one, which none of its nodes or relationships may reach
+ * @param {object} [tenant]
+ * @returns {string[]}
+ */
+export function foreignLabels(tenant = currentTenant()) {
+  if (tenant.database) {
+    return [];
+  }
+  return listTenants()
+    .filter(other => other.id !== tenant.id && !other.database)
+    .flatMap(other => tenantLabels(other));
+}
+
+/**
+ * A CREATE CONSTRAINT or CREATE INDEX statement from SHOW CONSTRAINTS or
+ * SHOW INDEXES as the tenant would write it, or null if the constraint or
+ * index belongs to another tenant sharing the database
+ * @param {string} statement - e.g. CREATE CONSTRAINT `acme_movie_title` FOR (n:`Acme_Movie`) ...
+ * @param {object} [tenant]
+ * @returns {string|null}
+ */
+export function localizeSchemaStatement(statement, tenant = currentTenant()) {
+  const own = new Set(tenantLabels(tenant));
+  const foreign = new Set(foreignLabels(tenant));
+  const labels = Array.from(statement.matchAll(/[:|]`((?:[^`]|``)+)`/g), match => match[1]);
+  if (labels.some(label => foreign.has(label)) || (tenant.namespace && !labels.some(label => own.has(label)))) {
+    return null;
+  }
+  if (!tenant.namespace) {
+    return statement;
+  }
+  const namePrefix = qualifyName('', tenant);
+  return statement
+    .replace(/[:|]`((?:[^`]|``)+)`/g, (match, label) => `${match[0]}\`${unqualifyLabel(label, tenant)}\``)
+    .replace(/^(CREATE .*?(?:CONSTRAINT|INDEX) `)((?:[^`]|``)+)`/, (match, start, name) =>
+      `${start}${name.startsWith(namePrefix) ? name.slice(namePrefix.length) : name}\``);
+}
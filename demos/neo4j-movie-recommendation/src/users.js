@@ -0,0 +1,284 @@
+// User accounts and what they do with movies: ratings, a watchlist and a
+// watch history, plus the taste profile derived from them
+import neo4j from 'neo4j-driver';
+import { readTransaction, runQuery, safeInt } from './neo4j.js';
+import { runWrite } from './catalogue.js';
+import { config } from './config.js';
+
+export const userSchema = {
+  name: { type: 'string', required: true, maxLength: 200 }
+};
+
+export const ratingSchema = {
+  score: { type: 'number', required: true, min: 0.5, max: 5 }
+};
+
+// Relationship from User to Movie behind each of a user's movie lists, and
+// the response field holding when the movie was put on the list. The time
+// is kept in the relationship's timestamp property, in epoch seconds like
+// imported MovieLens ratings.
+export const USER_LISTS = {
+  ratings: { type: 'RATED', timeField: 'ratedAt' },
+  watchlist: { type: 'WANTS_TO_WATCH', timeField: 'addedAt' },
+  watched: { type: 'WATCHED', timeField: 'watchedAt' }
+};
+
+function formatTimestamp(value) {
+  const seconds = safeInt(value);
+  return seconds === null || seconds === undefined ? null : new Date(seconds * 1000).toISOString();
+}
+
+/**
+ * Format a movie on one of a user's lists for a response
+ * @param {string} list - Key of USER_LISTS
+ * @param {object} fields
+ * @param {object} fields.movie - title, released, tagline and posterImage
+ * @param {number|null} fields.score - The rating, for ratings
+ * @param {number|null} fields.timestamp - When it was put on the list, in epoch seconds
+ * @returns {object}
+ */
+export function formatListEntry(list, { movie, score, timestamp }) {
+  const entry = {
+    movie: {
+      title: movie.title,
+      released: safeInt(movie.released),
+      tagline: movie.tagline,
+      posterImage: movie.posterImage
+    }
+  };
+  if (list === 'ratings') {
+    entry.score = score;
+  }
+  entry[USER_LISTS[list].timeField] = formatTimestamp(timestamp);
+  return entry;
+}
+
+function formatEntry(list, record) {
+  return formatListEntry(list, {
+    movie: record.get('movie'),
+    score: record.get('score'),
+    timestamp: record.get('timestamp')
+  });
+}
+
+const MOVIE_MAP = 'm {.title, .released, .tagline, posterImage: m.poster_image}';
+
+/**
+ * Get a user with the number of movies on each of their lists
+ * @param {string} id
+ * @returns {Promise<object|null>}
+ */
+export async function getUser(id) {
+  const result = await runQuery(
+    `MATCH (u:User {id: $id})
+     RETURN u.id AS id, u.name AS name,
+            COUNT { (u)-[:RATED]->(:Movie) } AS ratings,
+            COUNT { (u)-[:WANTS_TO_WATCH]->(:Movie) } AS watchlist,
+            COUNT { (u)-[:WATCHED]->(:Movie) } AS watched`,
+    { id },
+    { name: 'users.get', mode: 'read' }
+  );
+  if (result.records.length === 0) {
+    return null;
+  }
+  const record = result.records[0];
+  return {
+    id: record.get('id'),
+    name: record.get('name'),
+    counts: {
+      ratings: safeInt(record.get('ratings')),
+      watchlist: safeInt(record.get('watchlist')),
+      watched: safeInt(record.get('watched'))
+    }
+  };
+}
+
+/**
+ * Create a user, or rename an existing one
+ * @param {string} id
+ * @param {object} body - Validated against userSchema
+ * @returns {Promise<{user: object, created: boolean}>}
+ */
+export async function saveUser(id, body) {
+  const result = await runWrite(
+    `OPTIONAL MATCH (existing:User {id: $id})
+     WITH existing IS NULL AS created
+     MERGE (u:User {id: $id})
+     SET u.name = $name
+     RETURN u.id AS id, u.name AS name, created`,
+    { id, name: body.name },
+    { name: 'users.save' }
+  );
+  const record = result.records[0];
+  return { user: { id: record.get('id'), name: record.get('name') }, created: record.get('created') };
+}
+
+/**
+ * Delete a user along with their ratings and lists
+ * @param {string} id
+ * @returns {Promise<boolean>} - Whether the user existed
+ */
+export async function deleteUser(id) {
+  const result = await runWrite(
+    'MATCH (u:User {id: $id}) DETACH DELETE u RETURN count(*) AS deleted',
+    { id },
+    { name: 'users.delete' }
+  );
+  return safeInt(result.records[0].get('deleted')) > 0;
+}
+
+/**
+ * One page of a user's ratings, watchlist or watch history, most recent first
+ * @param {string} id - User id
+ * @param {string} list - Key of USER_LISTS
+ * @param {{offset: number, limit: number}} page
+ * @returns {Promise<{entries: object[], total: number}|null>} - Null if the user doesn't exist
+ */
+export async function listUserMovies(id, list, page) {
+  const { type } = USER_LISTS[list];
+  const fetched = await readTransaction(async tx => {
+    const countResult = await tx.run(
+      `MATCH (u:User {id: $id})
+       RETURN COUNT { (u)-[:${type}]->(:Movie) } AS total`,
+      { id }
+    );
+    if (countResult.records.length === 0) {
+      return null;
+    }
+
+    const result = await tx.run(
+      `MATCH (:User {id: $id})-[r:${type}]->(m:Movie)
+       RETURN ${MOVIE_MAP} AS movie, r.score AS score, r.timestamp AS timestamp
+       ORDER BY r.timestamp DESC, m.title
+       SKIP $skip LIMIT $limit`,
+      { id, skip: neo4j.int(page.offset), limit: neo4j.int(page.limit) }
+    );
+    return { countResult, result };
+  }, { name: 'users.list' });
+
+  if (!fetched) {
+    return null;
+  }
+
+  return {
+    entries: fetched.result.records.map(record => formatEntry(list, record)),
+    total: safeInt(fetched.countResult.records[0].get('total'))
+  };
+}
+
+/**
+ * Put a movie on one of a user's lists, or update it there. Rating a movie
+ * again replaces the score; marking a movie watched takes it off the watchlist.
+ * @param {string} id - User id
+ * @param {string} list - Key of USER_LISTS
+ * @param {string} title - Movie title
+ * @param {object} [properties] - Relationship properties, e.g. {score} for ratings
+ * @returns {Promise<object|null>} - The list entry, or null if the user or movie doesn't exist
+ */
+export async function addUserMovie(id, list, title, properties = {}) {
+  const { type } = USER_LISTS[list];
+  const result = await runWrite(
+    `MATCH (u:User {id: $id}), (m:Movie {title: $title})
+     MERGE (u)-[r:${type}]->(m)
+     SET r += $properties, r.timestamp = datetime().epochSeconds
+     WITH u, m, r
+     CALL {
+       WITH u, m
+       OPTIONAL MATCH (u)-[planned:WANTS_TO_WATCH]->(m)
+       WITH planned WHERE $removesFromWatchlist
+       DELETE planned
+     }
+     RETURN ${MOVIE_MAP} AS movie, r.score AS score, r.timestamp AS timestamp`,
+    { id, title, properties, removesFromWatchlist: list === 'watched' },
+    { name: 'users.addToList' }
+  );
+  return result.records.length > 0 ? formatEntry(list, result.records[0]) : null;
+}
+
+/**
+ * Take a movie off one of a user's lists
+ * @param {string} id - User id
+ * @param {string} list - Key of USER_LISTS
+ * @param {string} title - Movie title
+ * @returns {Promise<boolean>} - Whether the movie was on the list
+ */
+export async function removeUserMovie(id, list, title) {
+  const { type } = USER_LISTS[list];
+  const result = await runWrite(
+    `MATCH (:User {id: $id})-[r:${type}]->(:Movie {title: $title})
+     DELETE r
+     RETURN count(*) AS deleted`,
+    { id, title },
+    { name: 'users.removeFromList' }
+  );
+  return safeInt(result.records[0].get('deleted')) > 0;
+}
+
+// Each movie the user rated or watched once, weighted by how much they liked
+// it: the rating less the neutral score, or a small fixed weight for movies
+// watched without a rating
+const WEIGHTED_MOVIES = `MATCH (:User {id: $id})-[r:RATED|WATCHED]->(m:Movie)
+     WITH m, max(r.score) AS score
+     WITH m, score, coalesce(score - $neutralScore, $watchedWeight) AS weight`;
+
+/**
+ * Round a genre's or actor's average rating and affinity for a taste profile
+ * @param {{name: string, movies: number, averageRating: number|null, affinity: number}} affinity
+ * @returns {object}
+ */
+export function formatAffinity({ name, movies, averageRating, affinity }) {
+  return {
+    name,
+    movies,
+    averageRating: averageRating === null ? null : Math.round(averageRating * 100) / 100,
+    affinity: Math.round(affinity * 100) / 100
+  };
+}
+
+/**
+ * Things the user's movies have in common, ranked by summed weight. Only
+ * things with a positive total are kept, so disliked genres drop out.
+ */
+async function topAffinities(id, match, limit) {
+  const result = await runQuery(
+    `${WEIGHTED_MOVIES}
+     ${match}
+     WITH name, count(m) AS movies, avg(score) AS averageRating, sum(weight) AS affinity
+     WHERE affinity > 0
+     RETURN name, movies, averageRating, affinity
+     ORDER BY affinity DESC, movies DESC, name
+     LIMIT $limit`,
+    {
+      id,
+      limit: neo4j.int(limit),
+      neutralScore: config.users.neutralScore,
+      watchedWeight: config.users.watchedWeight
+    },
+    { name: 'users.affinities', mode: 'read' }
+  );
+  return result.records.map(record => formatAffinity({
+    name: record.get('name'),
+    movies: safeInt(record.get('movies')),
+    averageRating: record.get('averageRating'),
+    affinity: record.get('affinity')
+  }));
+}
+
+/**
+ * A user's taste profile: their top genres and favourite actors, judged from
+ * the movies they rated and watched
+ * @param {string} id
+ * @returns {Promise<object|null>} - Null if the user doesn't exist
+ */
+export async function getUserProfile(id) {
+  const user = await getUser(id);
+  if (!user) {
+    return null;
+  }
+
+  const limit = config.users.profileSize;
+  const topGenres = await topAffinities(id, 'MATCH (m)-[:IN_GENRE]->(g:Genre) WITH m, score, weight, g.name AS name', limit);
+  const favouriteActors = await topAffinities(id, 'MATCH (p:Person)-[:ACTED_IN]->(m) WITH m, score, weight, p.name AS name', limit);
+
+  return { user, topGenres, favouriteActors };
+}
@@ -0,0 +1,76 @@
+import { safeInt } from '../neo4j.js';
+import { unqualifyLabel } from '../tenants.js';
+
+/**
+ * Convert the properties of a node or relationship to plain JavaScript values
+ * @param {object} properties - Properties as returned by the driver
+ * @returns {object}
+ */
+function plainProperties(properties) {
+  return Object.fromEntries(
+    Object.entries(properties).map(([key, value]) => [key, Array.isArray(value) ? value.map(safeInt) : safeInt(value)])
+  );
+}
+
+/**
+ * Human-readable name of a node: a movie's title or a person's, genre's or user's name
+ * @param {object} node - Serialized node
+ * @returns {string}
+ */
+export function displayName(node) {
+  return node.properties.title || node.properties.name || node.properties.id || node.id;
+}
+
+/**
+ * Serialize a driver Node for a JSON response
+ * @param {neo4j.Node} node
+ * @returns {{id: string, labels: string[], properties: object}}
+ */
+export function serializeNode(node) {
+  return {
+    id: node.elementId,
+    labels: node.labels.map(label => unqualifyLabel(label)),
+    properties: plainProperties(node.properties)
+  };
+}
+
+/**
+ * Serialize a driver Relationship for a JSON response
+ * @param {neo4j.Relationship} relationship
+ * @returns {{id: string, type: string, start: string, end: string, properties: object}}
+ */
+export function serializeRelationship(relationship) {
+  return {
+    id: relationship.elementId,
+    type: relationship.type,
+    start: relationship.startNodeElementId,
+    end: relationship.endNodeElementId,
+    properties: plainProperties(relationship.properties)
+  };
+}
+
+/**
+ * Serialize a driver Path as ordered node and relationship lists, plus an
+ * arrow notation such as "Inception → IN_GENRE → Drama ← IN_GENRE ← Interstellar"
+ * @param {neo4j.Path} path
+ * @returns {{nodes: object[], relationships: object[], length: number, text: string}}
+ */
+export function serializePath(path) {
+  const nodes = [serializeNode(path.start)];
+  const relationships = [];
+  let text = displayName(nodes[0]);
+
+  for (const segment of path.segments) {
+    const relationship = serializeRelationship(segment.relationship);
+    const end = serializeNode(segment.end);
+    const forward = relationship.start === segment.start.elementId;
+
+    text += forward
+      ? ` → ${relationship.type} → ${displayName(end)}`
+      : ` ← ${relationship.type} ← ${displayName(end)}`;
+    relationships.push(relationship);
+    nodes.push(end);
+  }
+
+  return { nodes, relationships, length: path.length, text };
+}
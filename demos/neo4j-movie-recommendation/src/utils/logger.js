@@ -31,4 +31,16 @@ if (process.env.NODE_ENV !== 'production') {
       )
     })
   );
+}
+
+/**
+ * Send console logging to stderr so command-line tools can write their
+ * output to stdout without log lines mixed in
+ */
+export function logToStderr() {
+  for (const transport of logger.transports) {
+    if (transport instanceof winston.transports.Console) {
+      transport.stderrLevels = Object.fromEntries(Object.keys(logger.levels).map(level => [level, true]));
+    }
+  }
 }
\ No newline at end of file
@@ -0,0 +1,84 @@
+import { config } from '../config.js';
+
+/**
+ * Encode a position in a result list as an opaque cursor
+ * @param {number} offset
+ * @returns {string}
+ */
+export function encodeCursor(offset) {
+  return Buffer.from(JSON.stringify({ offset })).toString('base64url');
+}
+
+/**
+ * Decode a cursor made by encodeCursor
+ * @param {string} cursor
+ * @returns {number|null} - Offset, or null if the cursor is malformed
+ */
+export function decodeCursor(cursor) {
+  try {
+    const { offset } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    return Number.isInteger(offset) && offset >= 0 ? offset : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Parse a limit query parameter, clamping it to the maximum page size
+ * @param {string} [value] - Raw query parameter
+ * @param {object} [options]
+ * @param {number} [options.defaultLimit] - Used when the parameter is absent
+ * @param {number} [options.maxLimit] - Largest limit allowed
+ * @returns {number|null} - Limit, or null when the value is not a positive integer
+ */
+export function parseLimit(value, { defaultLimit = 10, maxLimit = config.pagination.maxLimit } = {}) {
+  if (value === undefined || value === '') {
+    return Math.min(defaultLimit, maxLimit);
+  }
+  const limit = Number(value);
+  if (!Number.isInteger(limit) || limit < 1) {
+    return null;
+  }
+  return Math.min(limit, maxLimit);
+}
+
+/**
+ * Read the cursor and limit parameters of a list request
+ * @param {object} query - req.query
+ * @param {object} [options] - Passed to parseLimit
+ * @returns {{page?: {offset: number, limit: number}, error?: string}}
+ */
+export function parsePage(query, options = {}) {
+  const limit = parseLimit(query.limit, options);
+  if (limit === null) {
+    return { error: 'limit must be a positive integer' };
+  }
+
+  const offset = query.cursor === undefined ? 0 : decodeCursor(query.cursor);
+  if (offset === null) {
+    return { error: 'Invalid cursor' };
+  }
+
+  return { page: { offset, limit } };
+}
+
+/**
+ * Pagination details for a list response, including a link to the next page
+ * @param {object} req - Express request
+ * @param {{offset: number, limit: number}} page - From parsePage
+ * @param {number} count - Items in this page
+ * @param {number} total - Items across all pages
+ * @returns {{total: number, limit: number, hasMore: boolean, nextCursor: string|null, next: string|null}}
+ */
+export function paginate(req, page, count, total) {
+  const hasMore = page.offset + count < total;
+  const nextCursor = hasMore ? encodeCursor(page.offset + count) : null;
+  let next = null;
+
+  if (hasMore) {
+    const params = new URLSearchParams({ ...req.query, cursor: nextCursor, limit: String(page.limit) });
+    next = `${req.baseUrl}${req.path}?${params}`;
+  }
+
+  return { total, limit: page.limit, hasMore, nextCursor, next };
+}
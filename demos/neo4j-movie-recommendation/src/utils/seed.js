@@ -1,14 +1,16 @@
-import { runQuery } from '../neo4j.js';
+import { runQuery, writeTransaction } from '../neo4j.js';
 import { logger } from './logger.js';
+import { invalidateCache } from '../cache/index.js';
+import { startLoadTimer } from '../metrics.js';
+import { currentTenant, tenantLabels } from '../tenants.js';
 import path from 'path';
 import { fileURLToPath } from 'url';
 
 // Get the directory path of the current module
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
-// Sample movie data for seeding the database
-const sampleData = {
+// Sample movie data for seeding the database, and for the in-memory repository
+export const sampleData = {
   movies: [
     {
       title: "The Matrix",
@@ -70,72 +72,137 @@ const sampleData = {
         { name: "Mark Ruffalo", roles: ["Bruce Banner"] }
       ]
     }
+  ],
+  // Sample viewers and their 1-5 ratings, used by collaborative recommendations
+  users: [
+    {
+      id: "u1",
+      name: "Alice",
+      ratings: { "The Matrix": 5, "Inception": 5, "Interstellar": 4, "The Dark Knight": 2 }
+    },
+    {
+      id: "u2",
+      name: "Bob",
+      ratings: { "The Matrix": 4, "Inception": 5, "The Avengers": 3, "Interstellar": 5 }
+    },
+    {
+      id: "u3",
+      name: "Carol",
+      ratings: { "The Dark Knight": 5, "The Avengers": 4, "The Matrix": 3 }
+    },
+    {
+      id: "u4",
+      name: "Dave",
+      ratings: { "The Dark Knight": 4, "The Avengers": 5, "Inception": 2 }
+    },
+    {
+      id: "u5",
+      name: "Erin",
+      ratings: { "Interstellar": 5, "Inception": 4, "The Matrix": 4, "The Avengers": 2 }
+    }
   ]
 };
 
 /**
- * Seed the database with sample data
+ * Delete every node of the current tenant's catalogue and their
+ * relationships. Only reached through the explicit reseed command, never
+ * from request handlers or startup.
+ */
+export async function clearDatabase() {
+  logger.warn(`Deleting all nodes and relationships of tenant ${currentTenant().id}`);
+  await runQuery(
+    'MATCH (n) WHERE any(label IN labels(n) WHERE label IN $labels) DETACH DELETE n',
+    { labels: tenantLabels() },
+    { name: 'seed.clear' }
+  );
+  await invalidateCache();
+}
+
+/**
+ * Seed the database with sample data. Existing data is kept: nodes are
+ * merged on their unique keys, so running this twice changes nothing.
+ * Run the migrations first so the constraints and search index exist.
  */
 export async function seedDatabase() {
+  const endTimer = startLoadTimer('seed');
   try {
     logger.info('Starting database seeding...');
     
-    // First, make sure the database is empty
-    await runQuery('MATCH (n) DETACH DELETE n');
-    
-    // Create constraints and indexes
-    await runQuery('CREATE CONSTRAINT movie_title IF NOT EXISTS FOR (m:Movie) REQUIRE m.title IS UNIQUE');
-    await runQuery('CREATE CONSTRAINT person_name IF NOT EXISTS FOR (p:Person) REQUIRE p.name IS UNIQUE');
-    await runQuery('CREATE CONSTRAINT genre_name IF NOT EXISTS FOR (g:Genre) REQUIRE g.name IS UNIQUE');
-    
-    // Insert the data
-    for (const movie of sampleData.movies) {
-      // Create movie node
-      await runQuery(
-        `CREATE (m:Movie {
-          title: $title,
-          released: $released,
-          tagline: $tagline,
-          poster_image: $poster_image
-        })`,
-        {
-          title: movie.title,
-          released: movie.released,
-          tagline: movie.tagline,
-          poster_image: movie.poster_image
-        }
-      );
-      
-      // Create genres and relationships
-      for (const genre of movie.genres) {
-        await runQuery(
-          `MERGE (g:Genre {name: $genre})
-           WITH g
-           MATCH (m:Movie {title: $title})
-           MERGE (m)-[:IN_GENRE]->(g)`,
-          { genre, title: movie.title }
+    // Insert the data in one transaction, so a failed run leaves nothing half-seeded
+    await writeTransaction(async tx => {
+      for (const movie of sampleData.movies) {
+        // Create movie node
+        await tx.run(
+          `MERGE (m:Movie {title: $title})
+           SET m.released = $released,
+               m.tagline = $tagline,
+               m.poster_image = $poster_image`,
+          {
+            title: movie.title,
+            released: movie.released,
+            tagline: movie.tagline,
+            poster_image: movie.poster_image
+          }
         );
+        
+        // Create genres and relationships
+        for (const genre of movie.genres) {
+          await tx.run(
+            `MERGE (g:Genre {name: $genre})
+             WITH g
+             MATCH (m:Movie {title: $title})
+             MERGE (m)-[:IN_GENRE]->(g)`,
+            { genre, title: movie.title }
+          );
+        }
+        
+        // Create actors and relationships
+        for (const actor of movie.cast) {
+          await tx.run(
+            `MERGE (p:Person {name: $name})
+             WITH p
+             MATCH (m:Movie {title: $title})
+             MERGE (p)-[:ACTED_IN {roles: $roles}]->(m)`,
+            {
+              name: actor.name,
+              title: movie.title,
+              roles: actor.roles
+            }
+          );
+        }
       }
       
-      // Create actors and relationships
-      for (const actor of movie.cast) {
-        await runQuery(
-          `MERGE (p:Person {name: $name})
-           WITH p
-           MATCH (m:Movie {title: $title})
-           MERGE (p)-[:ACTED_IN {roles: $roles}]->(m)`,
+      // Create users and their ratings
+      for (const user of sampleData.users) {
+        await tx.run(
+          `MERGE (u:User {id: $id})
+           SET u.name = $name
+           WITH u
+           UNWIND $ratings AS rating
+           MATCH (m:Movie {title: rating.title})
+           MERGE (u)-[r:RATED]->(m)
+           SET r.score = rating.score`,
           {
-            name: actor.name,
-            title: movie.title,
-            roles: actor.roles
+            id: user.id,
+            name: user.name,
+            ratings: Object.entries(user.ratings).map(([title, score]) => ({ title, score }))
           }
         );
       }
-    }
+    }, { name: 'seed.sampleData' });
+    
+    // Make sure the full-text index has picked up the new nodes before it is
+    // queried, allowing for the wait beyond the usual transaction timeout
+    await runQuery('CALL db.awaitIndexes(300)', {}, { name: 'seed.awaitIndexes', timeout: 300 * 1000 });
     
+    endTimer({ outcome: 'success' });
     logger.info('Database seeding completed successfully');
   } catch (error) {
+    endTimer({ outcome: 'failure' });
     logger.error('Error seeding database:', error);
     throw error;
+  } finally {
+    // A failed run writes nothing, but the wait for the indexes may fail after it
+    await invalidateCache();
   }
 }
\ No newline at end of file
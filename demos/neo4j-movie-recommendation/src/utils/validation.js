@@ -0,0 +1,78 @@
+/**
+ * Check a value against a single field rule
+ * @param {*} value - Value from the request body
+ * @param {object} rule - { type, min, max, items, maxLength }
+ * @returns {string|null} - Problem description, or null if the value is valid
+ */
+function checkField(value, rule) {
+  switch (rule.type) {
+    case 'string':
+      if (typeof value !== 'string' || value.trim() === '') return 'must be a non-empty string';
+      if (rule.maxLength && value.length > rule.maxLength) return `must be at most ${rule.maxLength} characters`;
+      return null;
+    case 'integer':
+      if (!Number.isInteger(value)) return 'must be an integer';
+      if (rule.min !== undefined && value < rule.min) return `must be at least ${rule.min}`;
+      if (rule.max !== undefined && value > rule.max) return `must be at most ${rule.max}`;
+      return null;
+    case 'number':
+      if (typeof value !== 'number' || Number.isNaN(value)) return 'must be a number';
+      if (rule.min !== undefined && value < rule.min) return `must be at least ${rule.min}`;
+      if (rule.max !== undefined && value > rule.max) return `must be at most ${rule.max}`;
+      return null;
+    case 'array':
+      if (!Array.isArray(value)) return 'must be an array';
+      for (const [index, item] of value.entries()) {
+        const problem = checkField(item, rule.items);
+        if (problem) return `item ${index} ${problem}`;
+      }
+      return null;
+    case 'object':
+      if (value === null || typeof value !== 'object' || Array.isArray(value)) return 'must be an object';
+      return validateBody(value, rule.fields).join('; ') || null;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Validate a request body against a map of field rules. Unknown fields are
+ * rejected so typos don't silently do nothing.
+ * @param {object} body - Parsed JSON body
+ * @param {object} schema - Field name to rule, e.g. { title: { type: 'string', required: true } }
+ * @param {object} [options]
+ * @param {boolean} [options.partial] - Ignore required fields but demand at least one field (for PATCH)
+ * @returns {string[]} - Validation errors, empty when the body is valid
+ */
+export function validateBody(body, schema, { partial = false } = {}) {
+  if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+    return ['Request body must be a JSON object'];
+  }
+
+  const errors = [];
+  for (const field of Object.keys(body)) {
+    // Only the schema's own keys count, or constructor and toString would pass
+    if (!Object.hasOwn(schema, field)) {
+      errors.push(`${field} is not a known field`);
+    }
+  }
+
+  for (const [field, rule] of Object.entries(schema)) {
+    if (body[field] === undefined) {
+      if (rule.required && !partial) {
+        errors.push(`${field} is required`);
+      }
+      continue;
+    }
+    const problem = checkField(body[field], rule);
+    if (problem) {
+      errors.push(`${field} ${problem}`);
+    }
+  }
+
+  if (partial && errors.length === 0 && Object.keys(body).length === 0) {
+    errors.push('At least one field is required');
+  }
+
+  return errors;
+}
@@ -0,0 +1,128 @@
+import { execFile } from 'child_process';
+import path from 'path';
+import { promisify } from 'util';
+import neo4j from 'neo4j-driver';
+import { main } from '../src/admin.js';
+import { fakeDriver } from './helpers/driver.js';
+import { healthyCatalogue, result } from './helpers/catalogue.js';
+
+jest.mock('../src/utils/logger.js', () => ({
+  logger: { debug() {}, info() {}, warn() {}, error: jest.fn() },
+  logToStderr() {}
+}));
+
+const { logger } = jest.requireMock('../src/utils/logger.js');
+
+let answers;
+const run = jest.fn((query, params, { metadata }) => Promise.resolve(answers[metadata.query]()));
+const { driver } = fakeDriver(run);
+jest.spyOn(neo4j, 'driver').mockReturnValue(driver);
+
+// What the command printed to stdout
+let stdout;
+let write;
+
+beforeEach(() => {
+  answers = { ...healthyCatalogue };
+  run.mockClear();
+  logger.error.mockClear();
+  stdout = '';
+  write = jest.spyOn(process.stdout, 'write').mockImplementation(chunk => {
+    stdout += chunk;
+    return true;
+  });
+});
+
+afterEach(() => write.mockRestore());
+
+describe('usage errors exit 2 without touching the database', () => {
+  test.each([
+    ['an unknown command', ['drop']],
+    ['no command', []],
+    ['reset without --confirm', ['reset']],
+    ['import with a bad batch size', ['import', '--batch-size=0']],
+    ['export in an unknown format', ['export', '--format=csv']],
+    ['export of an unknown label', ['export', '--labels=Planet']],
+    ['export --json to stdout', ['export', '--json']],
+    ['an unknown tenant', ['status', '--tenant', 'nobody']]
+  ])('%s', async (name, argv) => {
+    expect(await main(argv)).toBe(2);
+    expect(logger.error).toHaveBeenCalled();
+    expect(run).not.toHaveBeenCalled();
+    expect(stdout).toBe('');
+  });
+});
+
+describe('verify', () => {
+  test('exits 0 when every check passes', async () => {
+    expect(await main(['verify'])).toBe(0);
+    expect(stdout).toContain('Tenant default passed every check');
+  });
+
+  test('exits 1 and prints the failed checks of an empty catalogue', async () => {
+    answers['diagnostics.countNodes'] = () => result({ movies: neo4j.int(0), people: neo4j.int(0), genres: neo4j.int(0), users: neo4j.int(0) });
+
+    expect(await main(['verify'])).toBe(1);
+    expect(stdout).toContain('FAIL  movies: The catalogue is empty; run npm run admin -- seed or import');
+    expect(stdout).toContain('Tenant default failed verification');
+  });
+
+  test('prints the report as JSON with --json', async () => {
+    answers['migrations.applied'] = () => result();
+
+    expect(await main(['verify', '--json'])).toBe(1);
+
+    const report = JSON.parse(stdout);
+    expect(report.ok).toBe(false);
+    expect(report.checks.find(({ name }) => name === 'migrations'))
+      .toEqual({ name: 'migrations', ok: false, detail: 'Pending: 1; run npm run admin -- migrate' });
+  });
+});
+
+describe('status', () => {
+  test('prints the status as JSON with --json', async () => {
+    expect(await main(['status', '--json'])).toBe(0);
+
+    expect(JSON.parse(stdout)).toMatchObject({
+      tenant: 'default',
+      counts: { movies: 5, people: 15, genres: 6, users: 5, relationships: { ACTED_IN: 15, IN_GENRE: 16 } },
+      migrations: { applied: [1], pending: [] }
+    });
+  });
+});
+
+describe('failures', () => {
+  test('exit 1, with the error as JSON when asked for', async () => {
+    answers['diagnostics.countNodes'] = () => Promise.reject(new Error('Could not perform discovery'));
+
+    expect(await main(['status', '--json'])).toBe(1);
+    expect(JSON.parse(stdout)).toEqual({ error: 'Could not perform discovery' });
+  });
+});
+
+describe('admin-cli.js', () => {
+  // Run the entry point the way npm run admin does, outside Jest's test env
+  // and its Babel settings; development keeps the log on the console
+  async function runCli(...argv) {
+    const root = path.join(__dirname, '..');
+    const env = { ...process.env, NODE_ENV: 'development' };
+    delete env.BABEL_ENV;
+    try {
+      const { stderr } = await promisify(execFile)(
+        process.execPath,
+        [path.join(root, 'node_modules', '@babel', 'node', 'bin', 'babel-node.js'), 'src/admin-cli.js', ...argv],
+        { cwd: root, env }
+      );
+      return { code: 0, stderr };
+    } catch (error) {
+      return { code: error.code, stderr: error.stderr };
+    }
+  }
+
+  test('loads every command\'s modules and exits 2 on a usage error', async () => {
+    const { code, stderr } = await runCli('reset');
+
+    expect(stderr).toContain('pass --confirm to proceed');
+    expect(code).toBe(2);
+  }, 60000);
+});
@@ -0,0 +1,775 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import request from 'supertest';
+import app from '../src/app.js';
+import { invalidateCache } from '../src/cache/index.js';
+import { config } from '../src/config.js';
+import { useRepository } from '../src/repository/index.js';
+import { createMemoryRepository } from '../src/repository/memory.js';
+import { validateResponse } from './helpers/openapi.js';
+import { bearer } from './helpers/auth.js';
+
+// Quotas have their own tests; here they would cut the suite short
+jest.mock('../src/config.js', () => {
+  const actual = jest.requireActual('../src/config.js');
+  actual.config.rateLimit.enabled = false;
+  return actual;
+});
+
+jest.mock('../src/utils/logger.js', () => ({
+  logger: { debug() {}, info() {}, warn() {}, error() {} },
+  logToStderr() {}
+}));
+
+// The whole app, served from the sample catalogue held in memory
+let repository;
+
+beforeEach(async () => {
+  repository = createMemoryRepository();
+  useRepository(repository);
+  await invalidateCache();
+});
+
+afterAll(() => useRepository(null));
+
+/**
+ * Send a request, as an editor unless given a role, and check the response
+ * against the document
+ */
+async function call(method, url, body, role = 'editor') {
+  let pending = request(app)[method](url).set('Authorization', bearer(role));
+  if (body !== undefined) {
+    pending = pending.send(body);
+  }
+  const response = await pending;
+  expect(validateResponse(method, url, response)).toEqual([]);
+  return response;
+}
+
+describe('health and dashboard', () => {
+  test('GET /health', async () => {
+    const response = await call('get', '/health');
+    expect(response.body).toEqual({ status: 'UP' });
+  });
+
+  test('GET /ready', async () => {
+    const response = await call('get', '/ready');
+    expect(response.body).toEqual({ status: 'READY', database: 'CONNECTED' });
+  });
+
+  test('GET /ready without a database', async () => {
+    jest.spyOn(repository, 'ping').mockRejectedValue(new Error('connection refused'));
+
+    const response = await call('get', '/ready');
+
+    expect(response.status).toBe(503);
+    expect(response.body.status).toBe('NOT READY');
+  });
+
+  test('GET /metrics', async () => {
+    const response = await call('get', '/metrics');
+    expect(response.text).toContain('http_requests_total');
+  });
+
+  test('GET / shows counts, latest movies, genres and actors', async () => {
+    const response = await request(app).get('/');
+
+    expect(response.status).toBe(200);
+    expect(response.text).toMatch(/<h3>5<\/h3>[\s\S]*<h3>15<\/h3>[\s\S]*<h3>6<\/h3>/);
+    expect(response.text).toContain('Interstellar');
+    expect(response.text).toContain('Science Fiction');
+    expect(response.text).toContain('Keanu Reeves');
+  });
+
+  test('GET / escapes what editors wrote into the catalogue', async () => {
+    await call('post', '/api/movies', { title: '<script>alert(1)</script>', released: 2024, tagline: '" onmouseover="alert(2)' });
+    await call('patch', '/api/genres/Science%20Fiction', { name: 'Sci-Fi & <b>' });
+
+    const response = await request(app).get('/');
+
+    expect(response.text).not.toContain('<script>alert(1)');
+    expect(response.text).toContain('&lt;script&gt;alert(1)&lt;/script&gt;');
+    expect(response.text).toContain('&quot; onmouseover=&quot;alert(2)');
+    expect(response.text).toContain('Sci-Fi &amp; &lt;b&gt;');
+    expect(response.text).toContain('/api/movies/by-genre/Sci-Fi%20%26%20%3Cb%3E');
+  });
+
+  test('GET / asks for credentials when AUTH_PUBLIC_READS is off', async () => {
+    config.auth.publicReads = false;
+    try {
+      expect((await request(app).get('/')).status).toBe(401);
+      expect((await request(app).get('/t/default/')).status).toBe(401);
+      expect((await request(app).get('/').set('Authorization', bearer('viewer'))).status).toBe(200);
+    } finally {
+      config.auth.publicReads = true;
+    }
+  });
+
+  test('GET / when the data can\'t be read', async () => {
+    jest.spyOn(repository, 'getDashboard').mockRejectedValue(new Error('connection refused'));
+
+    const response = await request(app).get('/');
+
+    expect(response.status).toBe(500);
+    expect(response.text).toContain('connection refused');
+  });
+});
+
+describe('genres', () => {
+  test('GET /api/genres pages through the genres alphabetically', async () => {
+    const first = await call('get', '/api/genres?limit=4');
+    expect(first.body.genres).toEqual(['Action', 'Adventure', 'Crime', 'Drama']);
+    expect(first.body.pagination).toMatchObject({ total: 6, hasMore: true });
+
+    const second = await call('get', `/api/genres?limit=4&cursor=${first.body.pagination.nextCursor}`);
+    expect(second.body.genres).toEqual(['Science Fiction', 'Thriller']);
+    expect(second.body.pagination.hasMore).toBe(false);
+  });
+
+  test('GET /api/genres with a bad limit', async () => {
+    const response = await call('get', '/api/genres?limit=0');
+    expect(response.status).toBe(400);
+  });
+
+  test('POST /api/genres', async () => {
+    const response = await call('post', '/api/genres', { name: 'Noir' });
+
+    expect(response.status).toBe(201);
+    expect((await call('get', '/api/genres')).body.genres).toContain('Noir');
+  });
+
+  test('POST /api/genres with an invalid body, or a name that is taken', async () => {
+    expect((await call('post', '/api/genres', { name: 42 })).status).toBe(400);
+
+    const conflict = await call('post', '/api/genres', { name: 'Drama' });
+    expect(conflict.status).toBe(409);
+    expect(conflict.body.error).toBe('Conflict');
+  });
+
+  test('POST /api/genres needs an editor', async () => {
+    const response = await request(app).post('/api/genres').send({ name: 'Noir' });
+    expect(response.status).toBe(401);
+  });
+
+  test('PATCH /api/genres/:name renames the genre and keeps its movies', async () => {
+    const response = await call('patch', '/api/genres/Science%20Fiction', { name: 'Sci-Fi' });
+
+    expect(response.body.genre).toEqual({ name: 'Sci-Fi' });
+    expect((await call('get', '/api/movies/by-genre/Sci-Fi')).body.movies).toHaveLength(4);
+  });
+
+  test('PATCH /api/genres/:name for a missing genre', async () => {
+    expect((await call('patch', '/api/genres/Noir', { name: 'Film Noir' })).status).toBe(404);
+  });
+
+  test('DELETE /api/genres/:name', async () => {
+    expect((await call('delete', '/api/genres/Crime')).status).toBe(204);
+    expect((await call('delete', '/api/genres/Crime')).status).toBe(404);
+    expect((await call('get', '/api/movies/The%20Dark%20Knight')).body.movie.genres).not.toContain('Crime');
+  });
+});
+
+describe('movies', () => {
+  test('GET /api/movies filters, sorts and counts facets', async () => {
+    const response = await call('get', '/api/movies?genres=Drama,Adventure&genreMode=all&sort=year&order=asc');
+
+    expect(response.body.movies.map(movie => movie.title)).toEqual(['Interstellar']);
+    expect(response.body.movies[0].popularity).toBe(3);
+    expect(response.body.facets.decades).toEqual([{ decade: 2010, count: 1 }]);
+  });
+
+  test('GET /api/movies by popularity, across every movie', async () => {
+    const response = await call('get', '/api/movies?sort=popularity');
+
+    // Ties are broken by title
+    expect(response.body.movies.map(movie => movie.title))
+      .toEqual(['Inception', 'The Avengers', 'The Matrix', 'Interstellar', 'The Dark Knight']);
+    expect(response.body.facets.genres[0]).toEqual({ name: 'Action', count: 4 });
+    expect(response.body.pagination.total).toBe(5);
+  });
+
+  test('GET /api/movies with a bad filter', async () => {
+    const response = await call('get', '/api/movies?yearFrom=nineties');
+    expect(response.status).toBe(400);
+    expect(response.body.error).toBe('yearFrom must be a year');
+  });
+
+  test('GET /api/movies/by-genre/:genre, newest first', async () => {
+    const response = await call('get', '/api/movies/by-genre/Drama');
+
+    expect(response.body.movies.map(movie => movie.title)).toEqual(['Interstellar', 'The Dark Knight']);
+    expect(response.body.pagination.total).toBe(2);
+  });
+
+  test('GET /api/movies/by-genre/:genre for a missing genre', async () => {
+    const response = await call('get', '/api/movies/by-genre/Western');
+    expect(response.status).toBe(404);
+    expect(response.body.error).toBe("Genre 'Western' not found");
+  });
+
+  test('GET /api/movies/:title with genres and cast', async () => {
+    const response = await call('get', '/api/movies/The%20Matrix');
+
+    expect(response.body.movie).toMatchObject({ title: 'The Matrix', released: 1999, genres: ['Action', 'Science Fiction'] });
+    expect(response.body.movie.cast).toContainEqual({ name: 'Keanu Reeves', role: ['Neo'], profile_image: null });
+  });
+
+  test('GET /api/movies/:title for a missing movie', async () => {
+    const response = await call('get', '/api/movies/Heat');
+    expect(response.status).toBe(404);
+  });
+
+  test('GET /api/movies/:title when the database fails', async () => {
+    jest.spyOn(repository, 'getMovie').mockRejectedValue(new Error('connection refused'));
+
+    const response = await call('get', '/api/movies/The%20Matrix');
+
+    expect(response.status).toBe(500);
+    expect(response.body).toEqual({ error: 'Internal Server Error', message: 'connection refused' });
+  });
+
+  test('GET /api/movies/:title when the query is cancelled for taking too long', async () => {
+    const timeout = Object.assign(new Error('timed out'), { code: 'Neo.ClientError.Transaction.TransactionTimedOut' });
+    jest.spyOn(repository, 'getMovie').mockRejectedValue(timeout);
+
+    const response = await call('get', '/api/movies/The%20Matrix');
+
+    expect(response.status).toBe(503);
+  });
+
+  test('POST /api/movies', async () => {
+    const response = await call('post', '/api/movies', { title: 'Heat', released: 1995 });
+
+    expect(response.status).toBe(201);
+    expect(response.body.movie).toEqual({ title: 'Heat', released: 1995, tagline: null, posterImage: null });
+  });
+
+  test('POST /api/movies with an invalid body, or a title that is taken', async () => {
+    const invalid = await call('post', '/api/movies', { title: 'Heat', released: 1700 });
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.error).toBe('Invalid movie');
+
+    expect((await call('post', '/api/movies', { title: 'Inception' })).status).toBe(409);
+  });
+
+  test.each(['constructor', 'toString', '__proto__'])('POST /api/movies with an inherited key, %s, as a field', async field => {
+    const response = await request(app)
+      .post('/api/movies')
+      .set('Authorization', bearer('editor'))
+      .set('Content-Type', 'application/json')
+      .send(`{"title": "Heat", "${field}": 1}`);
+
+    expect(response.status).toBe(400);
+    expect(response.body.details).toEqual([`${field} is not a known field`]);
+  });
+
+  test('PATCH /api/movies/:title', async () => {
+    const response = await call('patch', '/api/movies/Inception', { tagline: 'Dreams feel real' });
+
+    expect(response.body.movie).toMatchObject({ title: 'Inception', released: 2010, tagline: 'Dreams feel real' });
+  });
+
+  test('PATCH /api/movies/:title with an invalid body, or for a missing movie', async () => {
+    expect((await call('patch', '/api/movies/Inception', { released: 'soon' })).status).toBe(400);
+    expect((await call('patch', '/api/movies/Heat', { released: 1995 })).status).toBe(404);
+  });
+
+  test('DELETE /api/movies/:title', async () => {
+    expect((await call('delete', '/api/movies/Inception')).status).toBe(204);
+    expect((await call('get', '/api/movies/Inception')).status).toBe(404);
+    expect((await call('delete', '/api/movies/Inception')).status).toBe(404);
+  });
+});
+
+describe('cast and genre links', () => {
+  test('PUT /api/movies/:title/cast/:name adds a cast member or changes their roles', async () => {
+    const response = await call('put', '/api/movies/Interstellar/cast/Anne%20Hathaway', { roles: ['Dr. Brand'] });
+
+    expect(response.body.castMember).toEqual({ title: 'Interstellar', name: 'Anne Hathaway', roles: ['Dr. Brand'] });
+    expect((await call('get', '/api/movies/Interstellar')).body.movie.cast)
+      .toContainEqual({ name: 'Anne Hathaway', role: ['Dr. Brand'], profile_image: null });
+  });
+
+  test('PUT /api/movies/:title/cast/:name with an invalid body, or for a missing person', async () => {
+    expect((await call('put', '/api/movies/Interstellar/cast/Anne%20Hathaway', { roles: 'Brand' })).status).toBe(400);
+    expect((await call('put', '/api/movies/Interstellar/cast/Al%20Pacino', { roles: ['Vincent'] })).status).toBe(404);
+  });
+
+  test('DELETE /api/movies/:title/cast/:name', async () => {
+    expect((await call('delete', '/api/movies/Inception/cast/Ellen%20Page')).status).toBe(204);
+    expect((await call('delete', '/api/movies/Inception/cast/Ellen%20Page')).status).toBe(404);
+  });
+
+  test('PUT /api/movies/:title/genres/:genre', async () => {
+    const response = await call('put', '/api/movies/Inception/genres/Thriller');
+
+    expect(response.body).toEqual({ title: 'Inception', genre: 'Thriller' });
+    expect((await call('get', '/api/movies/by-genre/Thriller')).body.movies.map(movie => movie.title))
+      .toEqual(['Inception', 'The Dark Knight']);
+    expect((await call('put', '/api/movies/Inception/genres/Western')).status).toBe(404);
+  });
+
+  test('DELETE /api/movies/:title/genres/:genre', async () => {
+    expect((await call('delete', '/api/movies/Inception/genres/Adventure')).status).toBe(204);
+    expect((await call('delete', '/api/movies/Inception/genres/Adventure')).status).toBe(404);
+  });
+});
+
+describe('recommendations', () => {
+  test('by shared genres, newest first among equals', async () => {
+    const response = await call('get', '/api/movies/Interstellar/recommendations?strategy=genre&limit=2');
+
+    expect(response.body).toMatchObject({ strategy: 'genre', fallback: false });
+    expect(response.body.recommendations.map(rec => [rec.title, rec.commonGenres]))
+      .toEqual([['The Avengers', 2], ['Inception', 2]]);
+  });
+
+  test('by ratings', async () => {
+    const response = await call('get', '/api/movies/The%20Matrix/recommendations?strategy=collaborative');
+
+    expect(response.body).toMatchObject({ strategy: 'collaborative', fallback: false });
+    expect(response.body.recommendations[0]).toMatchObject({ title: 'Inception', coRaters: 3 });
+  });
+
+  test('by ratings, ranking a movie the co-raters rated against their taste below one rated with it', async () => {
+    // Everyone rates all four well, so only how each score sits against the
+    // rater's own mean tells the movies apart
+    const movie = title => ({ title, released: 2000, genres: ['Drama'], cast: [{ name: `${title} Star`, roles: ['Lead'] }] });
+    useRepository(createMemoryRepository({
+      movies: ['Source', 'Matching', 'Mixed', 'Opposite'].map(movie),
+      users: [
+        { id: 'u1', name: 'Ann', ratings: { Source: 5, Matching: 5, Opposite: 4, Mixed: 3 } },
+        { id: 'u2', name: 'Ben', ratings: { Source: 3, Matching: 3, Opposite: 5, Mixed: 5 } },
+        { id: 'u3', name: 'Cat', ratings: { Source: 5, Matching: 4, Opposite: 3, Mixed: 4 } }
+      ]
+    }));
+
+    const response = await call('get', '/api/movies/Source/recommendations?strategy=collaborative');
+    const similarity = Object.fromEntries(response.body.recommendations.map(rec => [rec.title, rec.similarity]));
+
+    expect(response.body.recommendations.map(rec => rec.title)).toEqual(['Matching', 'Mixed', 'Opposite']);
+    expect(similarity.Matching).toBeCloseTo(0.78, 2);
+    expect(similarity.Opposite).toBeCloseTo(-0.95, 2);
+  });
+
+  test('by ratings, falling back to genres when nobody rated the movie', async () => {
+    useRepository(createMemoryRepository({
+      movies: [
+        { title: 'Heat', released: 1995, genres: ['Crime'], cast: [{ name: 'Al Pacino', roles: ['Vincent'] }] },
+        { title: 'Ronin', released: 1998, genres: ['Crime'], cast: [{ name: 'Robert De Niro', roles: ['Sam'] }] }
+      ]
+    }));
+
+    const response = await call('get', '/api/movies/Heat/recommendations?strategy=collaborative');
+
+    expect(response.body).toMatchObject({ strategy: 'genre', fallback: true });
+    expect(response.body.recommendations.map(rec => rec.title)).toEqual(['Ronin']);
+  });
+
+  test('by weighted hybrid score, with explanations', async () => {
+    const response = await call('get', '/api/movies/Inception/recommendations?strategy=hybrid&weights=genre:1,cast:0,year:0&explain=true');
+    const [top] = response.body.recommendations;
+
+    expect(top.title).toBe('The Avengers');
+    expect(top.components.genre).toEqual({ shared: ['Action', 'Adventure', 'Science Fiction'], score: 1, weighted: 1 });
+    expect(top.explanation.sentences).toContain('Inception and The Avengers are both Action movies');
+    expect(top.explanation.paths[0].text).toBe('Inception → IN_GENRE → Action ← IN_GENRE ← The Avengers');
+  });
+
+  test('explanations never name the users who rated both movies, or their scores', async () => {
+    const response = await call('get', '/api/movies/Inception/recommendations?strategy=collaborative&explain=true&limit=1');
+    const { paths, sentences } = response.body.recommendations[0].explanation;
+
+    expect(sentences).toContain('Inception and The Matrix are both Action movies');
+    expect(paths.flatMap(path => path.nodes).some(node => node.labels.includes('User'))).toBe(false);
+    expect(sentences.join('\n')).not.toMatch(/Alice|rated/);
+  });
+
+  test('with bad parameters', async () => {
+    expect((await call('get', '/api/movies/Inception/recommendations?limit=-1')).status).toBe(400);
+    expect((await call('get', '/api/movies/Inception/recommendations?strategy=random')).status).toBe(400);
+    expect((await call('get', '/api/movies/Inception/recommendations?weights=plot:1')).status).toBe(400);
+  });
+
+  test('for a missing movie', async () => {
+    expect((await call('get', '/api/movies/Heat/recommendations')).status).toBe(404);
+  });
+});
+
+describe('search', () => {
+  test('finds movies and people, tolerating misspellings', async () => {
+    const response = await call('get', '/api/search?q=interstelar');
+
+    expect(response.body.movies.map(movie => movie.title)).toEqual(['Interstellar']);
+    expect(response.body.movies[0].highlights.title).toBe('<mark>Interstellar</mark>');
+
+    const people = await call('get', '/api/search?q=keanu');
+    expect(people.body.people).toEqual([
+      expect.objectContaining({ name: 'Keanu Reeves', highlights: { name: '<mark>Keanu</mark> Reeves' } })
+    ]);
+  });
+
+  test('ranks exact matches first', async () => {
+    const response = await call('get', '/api/search?q=the');
+
+    expect(response.body.pagination.total).toBe(4);
+    expect(response.body.movies.map(movie => movie.title)).toContain('The Matrix');
+  });
+
+  test('without a query', async () => {
+    const response = await call('get', '/api/search?q=%20%21');
+    expect(response.status).toBe(400);
+    expect(response.body.error).toBe('Search query is required');
+  });
+});
+
+describe('people', () => {
+  test('GET /api/people pages through people alphabetically with their movie counts', async () => {
+    const response = await call('get', '/api/people?limit=2');
+
+    expect(response.body.people).toEqual([
+      { name: 'Aaron Eckhart', profileImage: null, movieCount: 1 },
+      { name: 'Anne Hathaway', profileImage: null, movieCount: 1 }
+    ]);
+    expect(response.body.pagination).toMatchObject({ total: 15, hasMore: true });
+  });
+
+  test('GET /api/people with a bad limit', async () => {
+    expect((await call('get', '/api/people?limit=abc')).status).toBe(400);
+  });
+
+  test('GET /api/people/:name with their filmography', async () => {
+    const response = await call('get', '/api/people/Keanu%20Reeves');
+
+    expect(response.body.person).toEqual({
+      name: 'Keanu Reeves',
+      profileImage: null,
+      filmography: [{ title: 'The Matrix', released: 1999, posterImage: expect.any(String), roles: ['Neo'] }]
+    });
+  });
+
+  test('GET /api/people/:name for a missing person', async () => {
+    const response = await call('get', '/api/people/Al%20Pacino');
+    expect(response.status).toBe(404);
+    expect(response.body.error).toBe('Person not found');
+  });
+
+  test('GET /api/people/:name when the database fails', async () => {
+    jest.spyOn(repository, 'getPerson').mockRejectedValue(new Error('connection refused'));
+    expect((await call('get', '/api/people/Keanu%20Reeves')).status).toBe(500);
+  });
+
+  test('GET /api/people/:name/costars', async () => {
+    const response = await call('get', '/api/people/Keanu%20Reeves/costars');
+
+    expect(response.body.costars).toEqual([
+      { name: 'Carrie-Anne Moss', profileImage: null, sharedMovies: 1, movies: ['The Matrix'] },
+      { name: 'Laurence Fishburne', profileImage: null, sharedMovies: 1, movies: ['The Matrix'] }
+    ]);
+    expect(response.body.pagination.total).toBe(2);
+  });
+
+  test('GET /api/people/:name/costars with a bad limit, or for a missing person', async () => {
+    expect((await call('get', '/api/people/Keanu%20Reeves/costars?limit=0')).status).toBe(400);
+    expect((await call('get', '/api/people/Al%20Pacino/costars')).status).toBe(404);
+  });
+
+  test('POST /api/people', async () => {
+    const response = await call('post', '/api/people', { name: 'Al Pacino' });
+
+    expect(response.status).toBe(201);
+    expect(response.body.person.name).toBe('Al Pacino');
+    expect((await call('get', '/api/people/Al%20Pacino')).body.person.filmography).toEqual([]);
+  });
+
+  test('POST /api/people with an invalid body, or a name that is taken', async () => {
+    expect((await call('post', '/api/people', { profileImage: 'me.jpg' })).status).toBe(400);
+    expect((await call('post', '/api/people', { name: 'Keanu Reeves' })).status).toBe(409);
+  });
+
+  test('PATCH /api/people/:name', async () => {
+    const response = await call('patch', '/api/people/Ellen%20Page', { name: 'Elliot Page' });
+
+    expect(response.body.person.name).toBe('Elliot Page');
+    expect((await call('get', '/api/movies/Inception')).body.movie.cast.map(member => member.name)).toContain('Elliot Page');
+  });
+
+  test('PATCH /api/people/:name with an invalid body, or for a missing person', async () => {
+    expect((await call('patch', '/api/people/Ellen%20Page', { name: 7 })).status).toBe(400);
+    expect((await call('patch', '/api/people/Al%20Pacino', { profileImage: 'al.jpg' })).status).toBe(404);
+  });
+
+  test('DELETE /api/people/:name', async () => {
+    expect((await call('delete', '/api/people/Heath%20Ledger')).status).toBe(204);
+    expect((await call('delete', '/api/people/Heath%20Ledger')).status).toBe(404);
+  });
+});
+
+describe('paths', () => {
+  test('GET /api/paths through a shared movie', async () => {
+    const response = await call('get', '/api/paths?from=Keanu%20Reeves&to=Carrie-Anne%20Moss');
+
+    expect(response.body.length).toBe(2);
+    expect(response.body.path.text).toBe('Keanu Reeves → ACTED_IN → The Matrix ← ACTED_IN ← Carrie-Anne Moss');
+    expect(response.body.alternatives).toEqual([]);
+  });
+
+  test('GET /api/paths through genres, with the equally short alternatives', async () => {
+    const response = await call('get', '/api/paths?from=The%20Matrix&to=Interstellar&genres=true');
+
+    expect(response.body.length).toBe(2);
+    expect([response.body.path, ...response.body.alternatives].map(path => path.text).sort()).toEqual([
+      'The Matrix → IN_GENRE → Science Fiction ← IN_GENRE ← Interstellar'
+    ]);
+  });
+
+  test('GET /api/paths without a connection in reach', async () => {
+    const response = await call('get', '/api/paths?from=Keanu%20Reeves&to=Christian%20Bale');
+
+    expect(response.status).toBe(404);
+    expect(response.body.error).toBe('No connection within 6 hops');
+  });
+
+  test('GET /api/paths with bad parameters, or a missing endpoint', async () => {
+    expect((await call('get', '/api/paths?from=Keanu%20Reeves')).status).toBe(400);
+    expect((await call('get', '/api/paths?from=Keanu%20Reeves&to=Inception&maxDepth=99')).status).toBe(400);
+    expect((await call('get', '/api/paths?from=Inception&to=Inception')).status).toBe(400);
+
+    const missing = await call('get', '/api/paths?from=Keanu%20Reeves&to=Al%20Pacino');
+    expect(missing.status).toBe(404);
+    expect(missing.body.error).toBe("No person or movie named 'Al Pacino'");
+  });
+
+  test('GET /api/paths when the database fails', async () => {
+    jest.spyOn(repository, 'shortestPaths').mockRejectedValue(new Error('connection refused'));
+    expect((await call('get', '/api/paths?from=Keanu%20Reeves&to=Inception')).status).toBe(500);
+  });
+});
+
+describe('graph', () => {
+  test('GET /api/graph/neighborhood of a movie', async () => {
+    const response = await call('get', '/api/graph/neighborhood?node=The%20Matrix');
+    const names = response.body.nodes.map(node => node.properties.title || node.properties.name);
+
+    expect(names[0]).toBe('The Matrix');
+    expect(names.slice(1).sort()).toEqual(['Action', 'Carrie-Anne Moss', 'Keanu Reeves', 'Laurence Fishburne', 'Science Fiction']);
+    expect(response.body.relationships).toHaveLength(5);
+    expect(response.body.truncated).toBe(false);
+  });
+
+  test('GET /api/graph/neighborhood two hops out through genres only', async () => {
+    const response = await call('get', '/api/graph/neighborhood?node=The%20Matrix&depth=2&labels=Movie,Genre');
+    const distances = Object.fromEntries(response.body.nodes.map(node => [node.properties.title || node.properties.name, node.distance]));
+
+    expect(distances).toEqual({
+      'The Matrix': 0,
+      Action: 1,
+      'Science Fiction': 1,
+      Inception: 2,
+      'The Dark Knight': 2,
+      'The Avengers': 2,
+      Interstellar: 2
+    });
+  });
+
+  test('GET /api/graph/neighborhood with bad parameters, or for a missing node', async () => {
+    expect((await call('get', '/api/graph/neighborhood?node=The%20Matrix&depth=4')).status).toBe(400);
+    expect((await call('get', '/api/graph/neighborhood?node=u1&label=User')).status).toBe(400);
+    expect((await call('get', '/api/graph/neighborhood?node=Heat')).status).toBe(404);
+  });
+
+  test('GET /api/graph/neighborhood when the database fails', async () => {
+    jest.spyOn(repository, 'neighborhood').mockRejectedValue(new Error('connection refused'));
+    expect((await call('get', '/api/graph/neighborhood?node=The%20Matrix')).status).toBe(500);
+  });
+});
+
+describe('users', () => {
+  test('GET /api/users/:id with the sizes of their lists', async () => {
+    const response = await call('get', '/api/users/u1');
+    expect(response.body.user).toEqual({ id: 'u1', name: 'Alice', counts: { ratings: 4, watchlist: 0, watched: 0 } });
+  });
+
+  test('GET /api/users/:id for a missing user', async () => {
+    expect((await call('get', '/api/users/u9')).status).toBe(404);
+  });
+
+  test('GET /api/users/:id/profile ranks the genres and actors of liked movies', async () => {
+    const response = await call('get', '/api/users/u1/profile');
+
+    expect(response.body.topGenres).toEqual([
+      { name: 'Science Fiction', movies: 3, averageRating: 4.67, affinity: 6.5 },
+      { name: 'Action', movies: 3, averageRating: 4, affinity: 4.5 },
+      { name: 'Adventure', movies: 2, averageRating: 4.5, affinity: 4 },
+      { name: 'Drama', movies: 2, averageRating: 3, affinity: 1 }
+    ]);
+    expect(response.body.favouriteActors[0]).toMatchObject({ movies: 1, averageRating: 5, affinity: 2.5 });
+    expect((await call('get', '/api/users/u9/profile')).status).toBe(404);
+  });
+
+  test('PUT /api/users/:id creates the user, then renames them', async () => {
+    const created = await call('put', '/api/users/u9', { name: 'Zoe' });
+    expect(created.status).toBe(201);
+
+    const renamed = await call('put', '/api/users/u9', { name: 'Zoë' });
+    expect(renamed.status).toBe(200);
+    expect(renamed.body.user).toEqual({ id: 'u9', name: 'Zoë' });
+    expect((await call('put', '/api/users/u9', { name: '' .padEnd(201, 'z') })).status).toBe(400);
+  });
+
+  test('DELETE /api/users/:id', async () => {
+    expect((await call('delete', '/api/users/u2')).status).toBe(204);
+    expect((await call('delete', '/api/users/u2')).status).toBe(404);
+  });
+
+  test('the lists are only for the user themselves and editors', async () => {
+    const response = await call('get', '/api/users/u1/ratings', undefined, 'viewer');
+    expect(response.status).toBe(403);
+  });
+
+  test('GET /api/users/:id/ratings', async () => {
+    const response = await call('get', '/api/users/u3/ratings');
+
+    expect(response.body.ratings.map(entry => [entry.movie.title, entry.score]))
+      .toEqual([['The Avengers', 4], ['The Dark Knight', 5], ['The Matrix', 3]]);
+    expect(response.body.pagination.total).toBe(3);
+  });
+
+  test('GET /api/users/:id/ratings with a bad limit, or for a missing user', async () => {
+    expect((await call('get', '/api/users/u1/ratings?limit=-2')).status).toBe(400);
+    expect((await call('get', '/api/users/u9/watchlist')).status).toBe(404);
+  });
+
+  test('PUT /api/users/:id/watched/:title takes the movie off the watchlist', async () => {
+    await call('put', '/api/users/u1/watchlist/The%20Avengers');
+    expect((await call('get', '/api/users/u1')).body.user.counts.watchlist).toBe(1);
+
+    const response = await call('put', '/api/users/u1/watched/The%20Avengers');
+
+    expect(response.body.entry.movie.title).toBe('The Avengers');
+    expect(response.body.entry.watchedAt).toEqual(expect.any(String));
+    expect((await call('get', '/api/users/u1')).body.user.counts).toEqual({ ratings: 4, watchlist: 0, watched: 1 });
+  });
+
+  test('PUT /api/users/:id/ratings/:title replaces the score', async () => {
+    const response = await call('put', '/api/users/u1/ratings/The%20Dark%20Knight', { score: 4.5 });
+
+    expect(response.body.entry).toMatchObject({ movie: { title: 'The Dark Knight' }, score: 4.5 });
+    const { ratings } = (await call('get', '/api/users/u1/ratings')).body;
+    expect(ratings.find(entry => entry.movie.title === 'The Dark Knight').score).toBe(4.5);
+    expect(ratings).toHaveLength(4);
+  });
+
+  test('PUT /api/users/:id/ratings/:title with a bad score, or for a missing movie', async () => {
+    expect((await call('put', '/api/users/u1/ratings/Inception', { score: 6 })).status).toBe(400);
+    expect((await call('put', '/api/users/u1/ratings/Heat', { score: 4 })).status).toBe(404);
+  });
+
+  test('DELETE /api/users/:id/ratings/:title', async () => {
+    expect((await call('delete', '/api/users/u1/ratings/Inception')).status).toBe(204);
+    expect((await call('delete', '/api/users/u1/ratings/Inception')).status).toBe(404);
+  });
+
+  test('GET /api/users/:id when the database fails', async () => {
+    jest.spyOn(repository, 'getUser').mockRejectedValue(new Error('connection refused'));
+    expect((await call('get', '/api/users/u1')).status).toBe(500);
+  });
+});
+
+describe('admin', () => {
+  let importDirectory;
+  const configured = config.importer.directory;
+
+  beforeAll(() => {
+    importDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'movie-import-'));
+    config.importer.directory = importDirectory;
+    fs.writeFileSync(path.join(importDirectory, 'movies.csv'), 'movieId,title,genres\n1,Heat (1995),Crime|Thriller\n2,,Drama\n');
+    fs.writeFileSync(path.join(importDirectory, 'people.csv'), 'movieId,name,roles\n1,Al Pacino,Vincent Hanna\n9,Nobody,\n');
+    fs.writeFileSync(path.join(importDirectory, 'ratings.csv'), 'userId,movieId,rating,timestamp\nu1,1,4.5,1700000000\n');
+  });
+
+  afterAll(() => {
+    config.importer.directory = configured;
+    fs.rmSync(importDirectory, { recursive: true, force: true });
+  });
+
+  test('POST /api/admin/import reports imported and rejected rows', async () => {
+    const response = await call('post', '/api/admin/import', {}, 'admin');
+
+    expect(response.body.report.files).toEqual({
+      movies: { file: 'movies.csv', processed: 2, imported: 1, rejected: 1 },
+      people: { file: 'people.csv', processed: 2, imported: 1, rejected: 1 },
+      ratings: { file: 'ratings.csv', processed: 1, imported: 1, rejected: 0 }
+    });
+    expect((await call('get', '/api/movies/Heat')).body.movie).toMatchObject({
+      released: 1995,
+      genres: ['Crime', 'Thriller'],
+      cast: [{ name: 'Al Pacino', role: ['Vincent Hanna'], profile_image: null }]
+    });
+    expect((await call('get', '/api/users/u1')).body.user.counts.ratings).toBe(5);
+  });
+
+  test('POST /api/admin/import with bad parameters', async () => {
+    expect((await call('post', '/api/admin/import', { batchSize: 0 }, 'admin')).status).toBe(400);
+    expect((await call('post', '/api/admin/import', { directory: '../..' }, 'admin')).status).toBe(400);
+  });
+
+  test('POST /api/admin/import when the database fails', async () => {
+    jest.spyOn(repository, 'importCatalogue').mockRejectedValue(new Error('connection refused'));
+    expect((await call('post', '/api/admin/import', {}, 'admin')).status).toBe(500);
+  });
+
+  test('admin routes are for admins only', async () => {
+    expect((await call('get', '/api/admin/isolation')).status).toBe(403);
+  });
+
+  // The document describes the export as a file, so these check its type and contents directly
+  function download(url) {
+    return request(app).get(url).set('Authorization', bearer('admin')).buffer(true).parse((response, done) => {
+      let text = '';
+      response.on('data', chunk => { text += chunk; });
+      response.on('end', () => done(null, text));
+    });
+  }
+
+  test('GET /api/admin/export as JSON', async () => {
+    const response = await download('/api/admin/export?labels=Movie,Genre');
+    const graph = JSON.parse(response.body);
+
+    expect(response.type).toBe('application/json');
+
+    expect(graph.nodes).toHaveLength(11);
+    expect(graph.relationships).toHaveLength(15);
+    expect(graph.relationships.every(relationship => relationship.type === 'IN_GENRE')).toBe(true);
+  });
+
+  test('GET /api/admin/export as a Cypher script', async () => {
+    const response = await download('/api/admin/export?format=cypher&labels=Person');
+
+    expect(response.type).toBe('text/plain');
+    expect(response.headers['content-disposition']).toBe('attachment; filename="movie-graph.cypher"');
+    expect(response.body).toContain("MERGE (n:`Person` {`name`: 'Keanu Reeves'}) SET n += {`name`: 'Keanu Reeves'};");
+    expect(response.body).not.toContain('CREATE CONSTRAINT');
+  });
+
+  test('GET /api/admin/export with bad parameters', async () => {
+    expect((await call('get', '/api/admin/export?format=csv', undefined, 'admin')).status).toBe(400);
+    expect((await call('get', '/api/admin/export?labels=Planet', undefined, 'admin')).status).toBe(400);
+  });
+
+  test('GET /api/admin/export when the database fails before streaming', async () => {
+    jest.spyOn(repository, 'exportGraph').mockRejectedValue(new Error('connection refused'));
+    expect((await call('get', '/api/admin/export', undefined, 'admin')).status).toBe(500);
+  });
+
+  test('GET /api/admin/isolation', async () => {
+    const response = await call('get', '/api/admin/isolation', undefined, 'admin');
+    expect(response.body.report).toMatchObject({ tenant: 'default', isolated: true, problems: [] });
+  });
+
+  test('GET /api/admin/isolation when the database fails', async () => {
+    jest.spyOn(repository, 'checkIsolation').mockRejectedValue(new Error('connection refused'));
+    expect((await call('get', '/api/admin/isolation', undefined, 'admin')).status).toBe(500);
+  });
+});
@@ -0,0 +1,131 @@
+import fs from 'fs';
+import express from 'express';
+import request from 'supertest';
+import jwt from 'jsonwebtoken';
+import neo4j from 'neo4j-driver';
+import routes from '../src/routes.js';
+import { runQuery } from '../src/neo4j.js';
+import { config } from '../src/config.js';
+import { authenticate, requireReader } from '../src/auth/index.js';
+import { createApiKey, listApiKeys, revokeApiKey } from '../src/auth/keys.js';
+import { invalidateCache } from '../src/cache/index.js';
+import { bearer } from './helpers/auth.js';
+import { result } from './helpers/catalogue.js';
+
+jest.mock('../src/neo4j.js', () => require('./helpers/driver.js').mockNeo4jModule());
+
+jest.mock('../src/utils/logger.js', () => ({
+  logger: { debug() {}, info() {}, warn() {}, error() {} },
+  logToStderr() {}
+}));
+
+const app = express();
+app.use(express.json());
+app.get('/health', (req, res) => res.json({ status: 'UP' }));
+app.use('/api', authenticate, requireReader, routes);
+
+beforeEach(async () => {
+  runQuery.mockReset();
+  await invalidateCache();
+});
+
+afterAll(() => {
+  fs.rmSync(config.auth.keysFile, { force: true });
+});
+
+describe('authorization', () => {
+  test('leaves /health open', async () => {
+    await request(app).get('/health').expect(200);
+  });
+
+  test('leaves reads open by default', async () => {
+    runQuery
+      .mockResolvedValueOnce(result({ count: neo4j.int(0) }))
+      .mockResolvedValueOnce(result());
+
+    await request(app).get('/api/genres').expect(200);
+  });
+
+  test('asks for credentials on reads when AUTH_PUBLIC_READS is off', async () => {
+    config.auth.publicReads = false;
+    try {
+      await request(app).get('/api/genres').expect(401);
+
+      runQuery
+        .mockResolvedValueOnce(result({ count: neo4j.int(0) }))
+        .mockResolvedValueOnce(result());
+      await request(app).get('/api/genres').set('Authorization', bearer('viewer')).expect(200);
+    } finally {
+      config.auth.publicReads = true;
+    }
+  });
+
+  test('requires credentials for writes', async () => {
+    const response = await request(app).delete('/api/genres/Action');
+    expect(response.status).toBe(401);
+    expect(response.headers['www-authenticate']).toBe('Bearer, ApiKey');
+    expect(runQuery).not.toHaveBeenCalled();
+  });
+
+  test('refuses writes from viewers', async () => {
+    await request(app).delete('/api/genres/Action').set('Authorization', bearer('viewer')).expect(403);
+  });
+
+  test('lets editors write', async () => {
+    runQuery.mockResolvedValueOnce(result({ deleted: neo4j.int(1) }));
+    await request(app).delete('/api/genres/Action').set('Authorization', bearer('editor')).expect(204);
+  });
+
+  test('keeps admin routes for admins', async () => {
+    await request(app).get('/api/admin/export?format=csv').set('Authorization', bearer('editor')).expect(403);
+    await request(app).get('/api/admin/export?format=csv').set('Authorization', bearer('admin')).expect(400);
+  });
+
+  test('rejects expired, forged, role-less and never-expiring tokens', async () => {
+    const expired = jwt.sign({ role: 'admin', exp: Math.floor(Date.now() / 1000) - 60 }, 'test-secret');
+    const forged = jwt.sign({ role: 'admin' }, 'another-secret', { expiresIn: '1h' });
+    const roleless = jwt.sign({ sub: 'someone' }, 'test-secret', { expiresIn: '1h' });
+    const endless = jwt.sign({ role: 'admin' }, 'test-secret');
+
+    for (const token of [expired, forged, roleless, endless]) {
+      await request(app).get('/api/genres').set('Authorization', `Bearer ${token}`).expect(401);
+    }
+  });
+});
+
+describe('API keys', () => {
+  test('authenticate with the role they were created for', async () => {
+    const { key } = await createApiKey('ci', 'editor');
+
+    runQuery.mockResolvedValueOnce(result({ deleted: neo4j.int(1) }));
+    await request(app).delete('/api/genres/Action').set('X-API-Key', key).expect(204);
+    await request(app).get('/api/admin/export').set('X-API-Key', key).expect(403);
+  });
+
+  test('are stored without their secrets', async () => {
+    const { key } = await createApiKey('dashboard', 'viewer');
+    const secret = key.split('.')[1];
+
+    expect(fs.readFileSync(config.auth.keysFile, 'utf8')).not.toContain(secret);
+    expect((await listApiKeys()).map(record => record.name)).toContain('dashboard');
+  });
+
+  test('stop working once revoked', async () => {
+    const { key, record } = await createApiKey('old', 'admin');
+    expect(await revokeApiKey(record.id)).toBe(true);
+
+    await request(app).get('/api/genres').set('X-API-Key', key).expect(401);
+  });
+
+  test('named after a user are not that user', async () => {
+    const { key } = await createApiKey('u1', 'viewer');
+
+    await request(app).get('/api/users/u1/ratings').set('X-API-Key', key).expect(403);
+    expect(runQuery).not.toHaveBeenCalled();
+  });
+
+  test('with the wrong secret are rejected', async () => {
+    const { record } = await createApiKey('guessed', 'admin');
+    await request(app).get('/api/genres').set('X-API-Key', `${record.id}.wrong`).expect(401);
+  });
+});
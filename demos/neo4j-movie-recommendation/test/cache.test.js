@@ -0,0 +1,145 @@
+import express from 'express';
+import request from 'supertest';
+import neo4j from 'neo4j-driver';
+import routes from '../src/routes.js';
+import { authenticate } from '../src/auth/index.js';
+import { runQuery } from '../src/neo4j.js';
+import { invalidateCache, warnIfCacheIsLocal } from '../src/cache/index.js';
+import { createMemoryCache } from '../src/cache/memory.js';
+import { config } from '../src/config.js';
+import { logger } from '../src/utils/logger.js';
+import { bearer } from './helpers/auth.js';
+import { result } from './helpers/catalogue.js';
+
+jest.mock('../src/neo4j.js', () => require('./helpers/driver.js').mockNeo4jModule());
+
+jest.mock('../src/utils/logger.js', () => ({
+  logger: { debug() {}, info() {}, warn: jest.fn(), error() {} },
+  logToStderr() {}
+}));
+
+const app = express();
+app.use(express.json());
+app.use('/api', authenticate, routes);
+
+function mockGenres(...names) {
+  runQuery
+    .mockResolvedValueOnce(result({ count: neo4j.int(names.length) }))
+    .mockResolvedValueOnce(result(...names.map(name => ({ name }))));
+}
+
+beforeEach(async () => {
+  runQuery.mockReset();
+  await invalidateCache();
+});
+
+describe('memory cache', () => {
+  test('expires entries after their TTL', async () => {
+    const cache = createMemoryCache({ maxEntries: 10 });
+    const now = jest.spyOn(Date, 'now').mockReturnValue(1000);
+
+    await cache.set('key', 'value', 5);
+    now.mockReturnValue(5999);
+    expect(await cache.get('key')).toBe('value');
+    now.mockReturnValue(6000);
+    expect(await cache.get('key')).toBeNull();
+
+    now.mockRestore();
+  });
+
+  test('evicts the least recently used entry when full', async () => {
+    const cache = createMemoryCache({ maxEntries: 2 });
+    await cache.set('a', 1, 60);
+    await cache.set('b', 2, 60);
+    await cache.get('a');
+    await cache.set('c', 3, 60);
+
+    expect(await cache.get('a')).toBe(1);
+    expect(await cache.get('b')).toBeNull();
+    expect(await cache.get('c')).toBe(3);
+  });
+});
+
+describe('cached routes', () => {
+  test('serve repeat requests without querying the database', async () => {
+    mockGenres('Action', 'Drama');
+
+    const first = await request(app).get('/api/genres');
+    const second = await request(app).get('/api/genres');
+
+    expect(first.headers['x-cache']).toBe('MISS');
+    expect(second.headers['x-cache']).toBe('HIT');
+    expect(second.body).toEqual(first.body);
+    expect(second.headers.etag).toBe(first.headers.etag);
+    expect(runQuery).toHaveBeenCalledTimes(2);
+  });
+
+  test('answer a matching If-None-Match with 304', async () => {
+    mockGenres('Action');
+
+    const first = await request(app).get('/api/genres');
+    const revalidated = await request(app).get('/api/genres').set('If-None-Match', first.headers.etag);
+
+    expect(revalidated.status).toBe(304);
+    expect(revalidated.text).toBe('');
+  });
+
+  test('cache each query string separately', async () => {
+    mockGenres('Action', 'Drama');
+    mockGenres('Action');
+
+    await request(app).get('/api/genres');
+    const page = await request(app).get('/api/genres?limit=1');
+
+    expect(page.headers['x-cache']).toBe('MISS');
+  });
+
+  test('do not cache errors', async () => {
+    runQuery.mockResolvedValue(result());
+
+    await request(app).get('/api/movies/Nope');
+    const again = await request(app).get('/api/movies/Nope');
+
+    expect(again.status).toBe(404);
+    expect(again.headers['x-cache']).toBe('MISS');
+  });
+
+  test('are invalidated by writes', async () => {
+    mockGenres('Action');
+    await request(app).get('/api/genres');
+
+    runQuery.mockResolvedValueOnce(result({ name: 'Noir' }));
+    await request(app)
+      .post('/api/genres')
+      .set('Authorization', bearer('editor'))
+      .send({ name: 'Noir' })
+      .expect(201);
+
+    mockGenres('Action', 'Noir');
+    const after = await request(app).get('/api/genres');
+    expect(after.headers['x-cache']).toBe('MISS');
+    expect(after.body.genres).toEqual(['Action', 'Noir']);
+  });
+});
+
+describe('writes from the command-line tools', () => {
+  test.each([
+    ['memory', 1],
+    ['redis', 0],
+    ['none', 0]
+  ])('warn that a running server keeps its cache with the %s backend', (backend, warnings) => {
+    const configured = config.cache.backend;
+    config.cache.backend = backend;
+    logger.warn.mockClear();
+    try {
+      warnIfCacheIsLocal('Import');
+
+      expect(logger.warn).toHaveBeenCalledTimes(warnings);
+      if (warnings) {
+        expect(logger.warn.mock.calls[0][0]).toMatch(/^Import only clears this process's memory cache.*CACHE_BACKEND=redis/);
+      }
+    } finally {
+      config.cache.backend = configured;
+    }
+  });
+});
@@ -0,0 +1,94 @@
+import neo4j from 'neo4j-driver';
+import { closeDriver } from '../src/neo4j.js';
+import { catalogueStatus, verifyCatalogue } from '../src/diagnostics.js';
+import { fakeDriver } from './helpers/driver.js';
+import { constraint, healthyCatalogue as healthy, result } from './helpers/catalogue.js';
+
+jest.mock('../src/utils/logger.js', () => ({
+  logger: { debug() {}, info() {}, warn() {}, error() {} },
+  logToStderr() {}
+}));
+
+let answers;
+const run = jest.fn((query, params, { metadata }) => Promise.resolve(answers[metadata.query]()));
+const { driver } = fakeDriver(run);
+jest.spyOn(neo4j, 'driver').mockReturnValue(driver);
+
+beforeEach(() => {
+  answers = { ...healthy };
+  run.mockClear();
+});
+
+afterAll(closeDriver);
+
+describe('catalogueStatus', () => {
+  test('reports the connection, counts, schema and migrations', async () => {
+    const status = await catalogueStatus();
+
+    expect(status.tenant).toBe('default');
+    expect(status.connection).toMatchObject({
+      database: 'default',
+      server: { address: 'localhost:7687', agent: 'Neo4j/5.26.0', protocolVersion: 5.4 }
+    });
+    expect(status.connection.driverVersion).toMatch(/^5\./);
+    expect(status.counts).toEqual({
+      movies: 5, people: 15, genres: 6, users: 5, relationships: { ACTED_IN: 15, IN_GENRE: 16 }
+    });
+    expect(status.constraints).toHaveLength(5);
+    expect(status.indexes.map(index => index.name)).toEqual(['catalogue_search', 'index_343aff4e']);
+    expect(status.migrations).toEqual({ applied: [1], pending: [] });
+  });
+});
+
+describe('verifyCatalogue', () => {
+  test('passes a seeded, fully migrated catalogue', async () => {
+    const report = await verifyCatalogue();
+
+    expect(report.ok).toBe(true);
+    expect(report.checks.map(({ name }) => name)).toEqual([
+      'connection', 'migrations', 'constraints', 'search index', 'movies', 'genres', 'ratings', 'isolation'
+    ]);
+  });
+
+  test('fails an empty catalogue, whose count comes back as a driver Integer', async () => {
+    answers['diagnostics.countNodes'] = () => result({ movies: neo4j.int(0), people: neo4j.int(0), genres: neo4j.int(0), users: neo4j.int(0) });
+
+    const report = await verifyCatalogue();
+
+    expect(report.ok).toBe(false);
+    expect(report.checks.find(({ name }) => name === 'movies')).toMatchObject({ ok: false });
+  });
+
+  test('reports pending migrations, missing constraints, indexes still populating and bad data', async () => {
+    answers['migrations.applied'] = () => result();
+    answers['diagnostics.constraints'] = () => result(constraint('movie_title'));
+    answers['diagnostics.indexes'] = () => result({
+      name: 'catalogue_search', type: 'FULLTEXT', state: 'POPULATING', labelsOrTypes: ['Movie', 'Person'], properties: ['title'], populationPercent: 40
+    });
+    answers['diagnostics.checkData'] = () => result({ moviesWithoutGenre: neo4j.int(2), invalidRatings: neo4j.int(1) });
+
+    const { checks } = await verifyCatalogue();
+    const failed = Object.fromEntries(checks.filter(({ ok }) => !ok).map(({ name, detail }) => [name, detail]));
+
+    expect(failed).toEqual({
+      migrations: 'Pending: 1; run npm run admin -- migrate',
+      constraints: 'Missing: migration_version, person_name, genre_name, user_id',
+      'search index': 'catalogue_search is POPULATING',
+      genres: '2 movie(s) without a genre',
+      ratings: '1 rating(s) without a score from 0.5 to 5'
+    });
+  });
+
+  test('stops at the connection when the database can\'t be reached', async () => {
+    jest.spyOn(driver, 'getServerInfo').mockRejectedValueOnce(new Error('Could not perform discovery'));
+
+    const report = await verifyCatalogue();
+
+    expect(report).toEqual({
+      tenant: 'default',
+      checks: [{ name: 'connection', ok: false, detail: 'Could not perform discovery' }],
+      ok: false
+    });
+    expect(run).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,74 @@
+import http from 'http';
+import express from 'express';
+import neo4j from 'neo4j-driver';
+import { authenticate } from '../src/auth/index.js';
+import routes from '../src/routes.js';
+import { closeDriver } from '../src/neo4j.js';
+import { fakeDriver } from './helpers/driver.js';
+import { bearer } from './helpers/auth.js';
+
+jest.mock('../src/utils/logger.js', () => ({
+  logger: { debug() {}, info() {}, warn() {}, error() {} },
+  logToStderr() {}
+}));
+
+const app = express();
+app.use('/api', authenticate, routes);
+
+// A catalogue too big to buffer: movies keep coming until the export stops reading them
+async function* endlessMovies() {
+  const tagline = 'x'.repeat(64 * 1024);
+  for (let id = 0; ; id++) {
+    const node = { elementId: `m${id}`, labels: ['Movie'], properties: { title: `Movie ${id}`, tagline } };
+    yield { get: () => node };
+  }
+}
+
+const run = jest.fn((query, params, { metadata }) => (metadata.query === 'export.nodes'
+  ? endlessMovies()
+  : Promise.resolve({ records: [], summary: {} })));
+const { driver } = fakeDriver(run);
+jest.spyOn(neo4j, 'driver').mockReturnValue(driver);
+
+// Each session the export opens, and whether it has been closed
+const sessions = [];
+const openSession = driver.session;
+driver.session = config => {
+  const session = openSession(config);
+  const entry = { closed: false };
+  sessions.push(entry);
+  return { ...session, close: async () => { entry.closed = true; } };
+};
+
+afterAll(closeDriver);
+
+describe('GET /api/admin/export', () => {
+  test('stops and closes its session when the client goes away mid-export', async () => {
+    const server = app.listen(0);
+    try {
+      await new Promise((resolve, reject) => {
+        const req = http.get({
+          port: server.address().port,
+          path: '/api/admin/export?format=json&labels=Movie',
+          headers: { Authorization: bearer('admin') }
+        }, response => {
+          response.once('data', () => {
+            req.destroy();
+            resolve();
+          });
+        });
+        req.on('error', error => (error.code === 'ECONNRESET' ? null : reject(error)));
+      });
+
+      // The export notices on its next write, or when the buffered ones fail to drain
+      for (let attempt = 0; attempt < 100 && !(sessions.length > 0 && sessions.every(({ closed }) => closed)); attempt++) {
+        await new Promise(resolve => setTimeout(resolve, 20));
+      }
+
+      expect(sessions.length).toBeGreaterThan(0);
+      expect(sessions.every(({ closed }) => closed)).toBe(true);
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+});
@@ -0,0 +1,136 @@
+import express from 'express';
+import request from 'supertest';
+import neo4j from 'neo4j-driver';
+import routes from '../src/routes.js';
+import { authenticate } from '../src/auth/index.js';
+import { runQuery } from '../src/neo4j.js';
+import { config } from '../src/config.js';
+import { invalidateCache } from '../src/cache/index.js';
+import { validateResponse } from './helpers/openapi.js';
+import { bearer } from './helpers/auth.js';
+import { result } from './helpers/catalogue.js';
+
+jest.mock('../src/neo4j.js', () => require('./helpers/driver.js').mockNeo4jModule());
+
+jest.mock('../src/utils/logger.js', () => ({
+  logger: { debug() {}, info() {}, warn() {}, error() {} },
+  logToStderr() {}
+}));
+
+const app = express();
+app.use('/api', authenticate, routes);
+
+const node = (id, label, properties) => ({ elementId: id, labels: [label], properties });
+const relationship = (id, type, start, end) => ({
+  elementId: id, type, startNodeElementId: start, endNodeElementId: end, properties: {}
+});
+
+const matrix = node('m1', 'Movie', { title: 'The Matrix', released: neo4j.int(1999) });
+const keanu = node('p1', 'Person', { name: 'Keanu Reeves' });
+const scifi = node('g1', 'Genre', { name: 'Science Fiction' });
+
+async function get(url) {
+  const response = await request(app).get(url);
+  expect(validateResponse('GET', url, response)).toEqual([]);
+  return response;
+}
+
+beforeEach(async () => {
+  runQuery.mockReset();
+  await invalidateCache();
+});
+
+describe('GET /api/graph/neighborhood', () => {
+  test('returns the node, its neighbors and the relationships between them', async () => {
+    runQuery
+      .mockResolvedValueOnce(result({ n: matrix }))
+      .mockResolvedValueOnce(result({
+        found: [{ node: keanu, distance: neo4j.int(1) }, { node: scifi, distance: neo4j.int(1) }],
+        relationships: [relationship('r1', 'ACTED_IN', 'p1', 'm1'), relationship('r2', 'IN_GENRE', 'm1', 'g1')]
+      }));
+
+    const response = await get('/api/graph/neighborhood?node=The%20Matrix');
+
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({ center: 'm1', depth: 1, labels: ['Movie', 'Person', 'Genre'], truncated: false });
+    expect(response.body.nodes.map(item => [item.id, item.distance])).toEqual([['m1', 0], ['p1', 1], ['g1', 1]]);
+    expect(response.body.nodes[0].properties).toEqual({ title: 'The Matrix', released: 1999 });
+    expect(response.body.relationships.map(item => item.type)).toEqual(['ACTED_IN', 'IN_GENRE']);
+
+    const [query, params] = runQuery.mock.calls[1];
+    expect(query).toContain('[*1..1]');
+    expect(params).toMatchObject({ id: 'm1', labels: ['Movie', 'Person', 'Genre'] });
+  });
+
+  test('looks the node up by label and follows only the requested labels', async () => {
+    runQuery
+      .mockResolvedValueOnce(result({ n: keanu }))
+      .mockResolvedValueOnce(result());
+
+    const response = await get('/api/graph/neighborhood?node=Keanu%20Reeves&label=Person&depth=2&labels=Movie');
+
+    expect(response.body.nodes).toHaveLength(1);
+    expect(runQuery.mock.calls[0][0]).toContain('(n:Person AND n.name = $name)');
+    expect(runQuery.mock.calls[0][0]).not.toContain('n:Movie');
+    expect(runQuery.mock.calls[1][0]).toContain('[*1..2]');
+    expect(runQuery.mock.calls[1][1].labels).toEqual(['Movie']);
+  });
+
+  test('reports when more nodes were in reach than it returns', async () => {
+    const maxNodes = config.graph.maxNodes;
+    config.graph.maxNodes = 1;
+    try {
+      runQuery
+        .mockResolvedValueOnce(result({ n: matrix }))
+        .mockResolvedValueOnce(result({
+          found: [{ node: keanu, distance: neo4j.int(1) }, { node: scifi, distance: neo4j.int(1) }],
+          relationships: [relationship('r1', 'ACTED_IN', 'p1', 'm1'), relationship('r2', 'IN_GENRE', 'm1', 'g1')]
+        }));
+
+      const response = await get('/api/graph/neighborhood?node=The%20Matrix');
+
+      expect(response.body.truncated).toBe(true);
+      expect(response.body.nodes.map(item => item.id)).toEqual(['m1', 'p1']);
+      expect(response.body.relationships.map(item => item.id)).toEqual(['r1']);
+    } finally {
+      config.graph.maxNodes = maxNodes;
+    }
+  });
+
+  test.each([
+    ['', 'node is required'],
+    ['?node=x&depth=9', 'depth must be an integer between 1 and 3'],
+    ['?node=x&label=Planet', 'label must be one of Movie, Person, Genre'],
+    ['?node=x&labels=Movie,Planet', 'labels must be a comma-separated list of Movie, Person, Genre']
+  ])('rejects %s', async (query, error) => {
+    const response = await get(`/api/graph/neighborhood${query}`);
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toBe(error);
+    expect(runQuery).not.toHaveBeenCalled();
+  });
+
+  // Users' ratings and watch lists are only for themselves and editors, see routes/users.js
+  test.each([
+    ['anonymous', undefined, '?node=u1&label=User'],
+    ['anonymous', undefined, '?node=The%20Matrix&labels=Movie,User'],
+    ['a viewer', 'viewer', '?node=u1&label=User&labels=Movie,User'],
+    ['a viewer', 'viewer', '?node=The%20Matrix&labels=Movie,User']
+  ])('doesn\'t show users to %s caller: %s', async (caller, role, query) => {
+    const call = request(app).get(`/api/graph/neighborhood${query}`);
+    const response = await (role ? call.set('Authorization', bearer(role)) : call);
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toMatch(/^labels? must be (one of|a comma-separated list of) Movie, Person, Genre$/);
+    expect(runQuery).not.toHaveBeenCalled();
+  });
+
+  test('answers 404 when nothing has the name', async () => {
+    runQuery.mockResolvedValueOnce(result());
+
+    const response = await get('/api/graph/neighborhood?node=Nobody');
+
+    expect(response.status).toBe(404);
+    expect(response.body.error).toBe("No movie, person or genre named 'Nobody'");
+  });
+});
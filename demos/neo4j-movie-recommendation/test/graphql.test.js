@@ -0,0 +1,126 @@
+import express from 'express';
+import request from 'supertest';
+import neo4j from 'neo4j-driver';
+import graphqlRoutes from '../src/routes/graphql.js';
+import { runQuery } from '../src/neo4j.js';
+import { config } from '../src/config.js';
+import { validateResponse } from './helpers/openapi.js';
+import { result } from './helpers/catalogue.js';
+
+jest.mock('../src/neo4j.js', () => require('./helpers/driver.js').mockNeo4jModule());
+
+jest.mock('../src/utils/logger.js', () => ({
+  logger: { debug() {}, info() {}, warn() {}, error() {} },
+  logToStderr() {}
+}));
+
+const app = express();
+app.use(express.json());
+app.use('/graphql', graphqlRoutes);
+
+async function graphql(query, variables) {
+  const response = await request(app).post('/graphql').send({ query, variables });
+  expect(validateResponse('post', '/graphql', response)).toEqual([]);
+  return response;
+}
+
+beforeEach(() => {
+  runQuery.mockReset();
+});
+
+describe('/graphql', () => {
+  test('resolves a movie, its cast and their other movies in one query', async () => {
+    runQuery.mockResolvedValueOnce(result({
+      result: {
+        title: 'The Matrix',
+        released: neo4j.int(1999),
+        cast: [{
+          roles: ['Neo'],
+          person: { name: 'Keanu Reeves', filmography: [{ movie: { title: 'The Matrix' } }, { movie: { title: 'John Wick' } }] }
+        }]
+      }
+    }));
+
+    const response = await graphql(`
+      query Movie($title: String!) {
+        movie(title: $title) {
+          title
+          released
+          cast { roles person { ...Actor } }
+        }
+      }
+      fragment Actor on Person { name filmography { movie { title } } }
+    `, { title: 'The Matrix' });
+
+    expect(response.status).toBe(200);
+    expect(runQuery).toHaveBeenCalledTimes(1);
+    expect(response.body.data.movie.released).toBe(1999);
+    expect(response.body.data.movie.cast[0].person.filmography).toHaveLength(2);
+
+    const [cypher, params] = runQuery.mock.calls[0];
+    expect(cypher).toContain('MATCH (m:Movie {title: $title})');
+    expect(cypher).toMatch(/COLLECT \{ MATCH \(p_\d+:Person\)-\[r_\d+:ACTED_IN\]->\(m\)/);
+    expect(params.title).toBe('The Matrix');
+  });
+
+  test('keeps aliased fields with different arguments apart', async () => {
+    runQuery.mockResolvedValueOnce(result({
+      result: { latest: [{ title: 'Inception' }], all: [{ title: 'Inception' }, { title: 'The Dark Knight' }] }
+    }));
+
+    const response = await graphql('{ genre(name: "Action") { latest: movies(limit: 1) { title } all: movies { title } } }');
+
+    expect(response.body.data.genre.latest).toHaveLength(1);
+    expect(response.body.data.genre.all).toHaveLength(2);
+    const [cypher, params] = runQuery.mock.calls[0];
+    expect(cypher).toMatch(/`latest`: COLLECT \{.* LIMIT \$arg_\d+ \}/);
+    expect(Object.values(params)).toContainEqual(neo4j.int(1));
+  });
+
+  test('returns null for an unknown movie', async () => {
+    runQuery.mockResolvedValueOnce(result());
+
+    const response = await graphql('{ movie(title: "Nope") { title } }');
+    expect(response.body.data.movie).toBeNull();
+  });
+
+  test('accepts queries in the query string', async () => {
+    runQuery.mockResolvedValueOnce(result({ result: { name: 'Action' } }));
+
+    const response = await request(app).get('/graphql').query({ query: '{ genres { name } }' });
+    expect(response.status).toBe(200);
+    expect(response.body.data.genres).toEqual([{ name: 'Action' }]);
+  });
+
+  test('rejects invalid queries without touching the database', async () => {
+    const response = await graphql('{ movie(title: "The Matrix") { rating } }');
+    expect(response.status).toBe(400);
+    expect(response.body.errors[0].message).toContain('rating');
+    expect(runQuery).not.toHaveBeenCalled();
+  });
+
+  test('rejects queries deeper than the limit', async () => {
+    let selection = 'title';
+    for (let i = 0; i < config.graphql.maxDepth; i++) {
+      selection = `cast { person { filmography { movie { ${selection} } } } }`;
+    }
+
+    const response = await graphql(`{ movie(title: "The Matrix") { ${selection} } }`);
+    expect(response.status).toBe(400);
+    expect(response.body.errors[0].message).toMatch(/^Query depth \d+ exceeds the limit/);
+    expect(runQuery).not.toHaveBeenCalled();
+  });
+
+  test('rejects queries over the complexity limit', async () => {
+    const response = await graphql(`{
+      movies(limit: 100) { genres { movies(limit: 100) { cast { person { name } } } } }
+    }`);
+    expect(response.status).toBe(400);
+    expect(response.body.errors[0].message).toMatch(/^Query complexity \d+ exceeds the limit/);
+  });
+
+  test('requires a query', async () => {
+    const response = await request(app).post('/graphql').send({});
+    expect(response.status).toBe(400);
+  });
+});
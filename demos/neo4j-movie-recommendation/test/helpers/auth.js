@@ -0,0 +1,10 @@
+import { signToken } from '../../src/auth/index.js';
+
+/**
+ * Authorization header value for a caller with the given role
+ * @param {string} role
+ * @returns {string}
+ */
+export function bearer(role) {
+  return `Bearer ${signToken(`test-${role}`, role)}`;
+}
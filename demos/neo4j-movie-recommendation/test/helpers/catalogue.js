@@ -0,0 +1,38 @@
+import neo4j from 'neo4j-driver';
+
+/**
+ * A driver result holding these rows
+ * @param {...object} rows - Values by key
+ * @returns {{records: object[], summary: object}}
+ */
+export function result(...rows) {
+  return { records: rows.map(row => ({ keys: Object.keys(row), get: key => row[key] })), summary: {} };
+}
+
+/**
+ * A uniqueness constraint as SHOW CONSTRAINTS lists it
+ * @param {string} name
+ * @returns {object}
+ */
+export const constraint = name => ({ name, type: 'UNIQUENESS', labelsOrTypes: ['Movie'], properties: ['title'] });
+
+// Answers for a seeded, fully migrated catalogue, by query name
+export const healthyCatalogue = {
+  'diagnostics.countNodes': () => result({ movies: neo4j.int(5), people: neo4j.int(15), genres: neo4j.int(6), users: neo4j.int(5) }),
+  'diagnostics.countRelationships': () => result(
+    { type: 'ACTED_IN', count: neo4j.int(15) },
+    { type: 'IN_GENRE', count: neo4j.int(16) }
+  ),
+  'diagnostics.constraints': () => result(
+    ...['migration_version', 'movie_title', 'person_name', 'genre_name', 'user_id'].map(constraint)
+  ),
+  'diagnostics.indexes': () => result(
+    { name: 'catalogue_search', type: 'FULLTEXT', state: 'ONLINE', labelsOrTypes: ['Movie', 'Person'], properties: ['title', 'tagline', 'name'], populationPercent: 100 },
+    { name: 'index_343aff4e', type: 'LOOKUP', state: 'ONLINE', labelsOrTypes: null, properties: null, populationPercent: 100 }
+  ),
+  'diagnostics.checkData': () => result({ moviesWithoutGenre: neo4j.int(0), invalidRatings: neo4j.int(0) }),
+  'migrations.applied': () => result({ version: neo4j.int(1), appliedAt: '2026-10-01T09:00:00Z' }),
+  'migrations.checkIsolation': () => result({
+    database: 'neo4j', nodes: neo4j.int(31), mixedNodes: neo4j.int(0), crossingRelationships: neo4j.int(0)
+  })
+};
@@ -0,0 +1,50 @@
+/**
+ * A stand-in for the driver returned by neo4j.driver(), for exercising
+ * runQuery and the transaction helpers without a database. Every statement
+ * is answered by run(query, params, transactionConfig), and each managed
+ * transaction is retried once after a transient error, as the driver does.
+ * @param {Function} run - Usually a jest.fn() resolving to {records, summary}
+ * @returns {{driver: object, sessions: object[]}} - sessions holds the config each session was opened with
+ */
+export function fakeDriver(run) {
+  const sessions = [];
+
+  const execute = async (work, transactionConfig) => {
+    const tx = { run: (query, params) => run(query, params, transactionConfig) };
+    try {
+      return await work(tx);
+    } catch (error) {
+      if (!String(error.code).startsWith('Neo.TransientError')) {
+        throw error;
+      }
+      return work(tx);
+    }
+  };
+
+  const driver = {
+    session(sessionConfig = {}) {
+      sessions.push(sessionConfig);
+      return { executeRead: execute, executeWrite: execute, run, close: async () => {} };
+    },
+    getServerInfo: async () => ({ address: 'localhost:7687', agent: 'Neo4j/5.26.0', protocolVersion: 5.4 }),
+    close: async () => {}
+  };
+
+  return { driver, sessions };
+}
+
+/**
+ * Stand-in for src/neo4j.js whose runQuery is a jest.fn(). Statements run in
+ * a read transaction are answered by the same mock, in order. Jest hoists
+ * mock factories above the imports, so require this from within one:
+ *   jest.mock('../src/neo4j.js', () => require('./helpers/driver.js').mockNeo4jModule());
+ * @returns {object} - The real module's exports, with runQuery and readTransaction replaced
+ */
+export function mockNeo4jModule() {
+  const runQuery = jest.fn();
+  return {
+    ...jest.requireActual('../../src/neo4j.js'),
+    runQuery,
+    readTransaction: work => work({ run: runQuery })
+  };
+}
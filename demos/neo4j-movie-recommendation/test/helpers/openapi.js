@@ -0,0 +1,194 @@
+// Validate requests and responses against the OpenAPI document
+import Ajv2020 from 'ajv/dist/2020';
+import { openApiDocument } from '../../src/openapi.js';
+
+const ajv = new Ajv2020({ strict: false, allErrors: true });
+ajv.addSchema(openApiDocument, 'openapi');
+
+const METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+/**
+ * URI fragment for a JSON pointer into the document
+ * @param {string[]} tokens
+ * @returns {string}
+ */
+function pointer(tokens) {
+  return tokens.map(token => encodeURIComponent(String(token).replace(/~/g, '~0').replace(/\//g, '~1'))).join('/');
+}
+
+/**
+ * Compiled validator for the schema at a location in the document
+ * @param {string[]} tokens - Path to the schema
+ * @returns {Function}
+ */
+function schemaAt(tokens) {
+  const validate = ajv.getSchema(`openapi#/${pointer(tokens)}`);
+  if (!validate) {
+    throw new Error(`No schema at /${tokens.join('/')}`);
+  }
+  return validate;
+}
+
+/**
+ * Follow a $ref to a component, such as a shared response
+ */
+function resolve(object) {
+  if (!object || !object.$ref) {
+    return { object, tokens: null };
+  }
+  const tokens = object.$ref.replace(/^#\//, '').split('/');
+  return { object: tokens.reduce((parent, token) => parent[token], openApiDocument), tokens };
+}
+
+/**
+ * Find the documented path that a request URL matches
+ * @param {string} url - e.g. /api/movies/The%20Matrix?limit=1
+ * @returns {{template: string, params: object}|null}
+ */
+export function matchPath(url) {
+  const pathname = decodeURIComponent(new URL(url, 'http://localhost').pathname);
+  for (const template of Object.keys(openApiDocument.paths)) {
+    const { servers = openApiDocument.servers } = openApiDocument.paths[template];
+    const base = servers[0].url.replace(/\/$/, '');
+    const names = [];
+    const source = template.replace(/\{(\w+)\}/g, (_, name) => {
+      names.push(name);
+      return '([^/]+)';
+    });
+    const match = new RegExp(`^${base}${source}$`).exec(pathname);
+    if (match) {
+      return { template, params: Object.fromEntries(names.map((name, i) => [name, match[i + 1]])) };
+    }
+  }
+  return null;
+}
+
+/**
+ * The documented operation for a method and URL
+ * @returns {{template: string, operation: object}}
+ */
+function findOperation(method, url) {
+  const matched = matchPath(url);
+  const operation = matched && openApiDocument.paths[matched.template][method.toLowerCase()];
+  if (!operation) {
+    throw new Error(`${method.toUpperCase()} ${url} is not in the OpenAPI document`);
+  }
+  return { template: matched.template, operation };
+}
+
+function formatErrors(errors) {
+  return (errors || []).map(error => `${error.instancePath || '(root)'} ${error.message}`);
+}
+
+/**
+ * Check a request's query parameters and JSON body against its operation
+ * @param {string} method
+ * @param {string} url - Including any query string
+ * @param {*} [body]
+ * @returns {string[]} - Problems found, empty when the request is valid
+ */
+export function validateRequest(method, url, body) {
+  const { template, operation } = findOperation(method, url);
+  const pathItem = openApiDocument.paths[template];
+  const parameters = [...(pathItem.parameters || []), ...(operation.parameters || [])];
+  const query = Object.fromEntries(new URL(url, 'http://localhost').searchParams);
+  const problems = [];
+
+  for (const parameter of parameters.filter(param => param.in === 'query')) {
+    const value = query[parameter.name];
+    if (value === undefined) {
+      if (parameter.required) problems.push(`query ${parameter.name} is required`);
+      continue;
+    }
+    const { type } = parameter.schema;
+    const typed = type === 'integer' || type === 'number' ? Number(value) : value;
+    const validate = ajv.compile(parameter.schema);
+    if (!validate(typed)) {
+      problems.push(...formatErrors(validate.errors).map(message => `query ${parameter.name}: ${message}`));
+    }
+  }
+
+  for (const name of Object.keys(query)) {
+    if (!parameters.some(param => param.in === 'query' && param.name === name)) {
+      problems.push(`query ${name} is not documented`);
+    }
+  }
+
+  if (body !== undefined) {
+    if (!operation.requestBody) {
+      problems.push('operation does not take a body');
+    } else {
+      const validate = schemaAt(['paths', template, method.toLowerCase(), 'requestBody', 'content', 'application/json', 'schema']);
+      if (!validate(body)) {
+        problems.push(...formatErrors(validate.errors).map(message => `body ${message}`));
+      }
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Check a supertest response against the responses of its operation
+ * @param {string} method
+ * @param {string} url
+ * @param {object} response - supertest response
+ * @returns {string[]} - Problems found, empty when the response is valid
+ */
+export function validateResponse(method, url, response) {
+  const { template, operation } = findOperation(method, url);
+  const status = String(response.status);
+  if (!operation.responses[status]) {
+    return [`status ${status} is not documented`];
+  }
+
+  const { object: documented, tokens } = resolve(operation.responses[status]);
+  const contentType = (response.headers['content-type'] || '').split(';')[0];
+  if (!documented.content) {
+    return response.text ? [`status ${status} should have no body`] : [];
+  }
+  if (!documented.content[contentType]) {
+    return [`content type ${contentType} is not documented for status ${status}`];
+  }
+  if (contentType !== 'application/json') {
+    return [];
+  }
+
+  const location = tokens || ['paths', template, method.toLowerCase(), 'responses', status];
+  const validate = schemaAt([...location, 'content', contentType, 'schema']);
+  return validate(response.body) ? [] : formatErrors(validate.errors);
+}
+
+/**
+ * Every documented operation as "METHOD /path" with the server prefix
+ * @returns {string[]}
+ */
+export function documentedOperations() {
+  return Object.entries(openApiDocument.paths).flatMap(([template, pathItem]) => {
+    const { servers = openApiDocument.servers } = pathItem;
+    const base = servers[0].url.replace(/\/$/, '');
+    return METHODS.filter(method => pathItem[method]).map(method => `${method.toUpperCase()} ${base}${template}`);
+  });
+}
+
+/**
+ * Compile every schema in the document, throwing on the first invalid one
+ */
+export function compileAllSchemas() {
+  for (const name of Object.keys(openApiDocument.components.schemas)) {
+    schemaAt(['components', 'schemas', name]);
+  }
+  for (const [template, pathItem] of Object.entries(openApiDocument.paths)) {
+    for (const method of METHODS.filter(name => pathItem[name])) {
+      const operation = pathItem[method];
+      if (operation.requestBody) {
+        schemaAt(['paths', template, method, 'requestBody', 'content', 'application/json', 'schema']);
+      }
+      for (const [status, response] of Object.entries(operation.responses)) {
+        for (const type of Object.keys(response.content || {})) {
+          schemaAt(['paths', template, method, 'responses', status, 'content', type, 'schema']);
+        }
+      }
+    }
+  }
+}
@@ -0,0 +1,73 @@
+import express from 'express';
+import request from 'supertest';
+import neo4j from 'neo4j-driver';
+import { runQuery, closeDriver } from '../src/neo4j.js';
+import { recordRequests, serveMetrics, startLoadTimer } from '../src/metrics.js';
+import { validateResponse } from './helpers/openapi.js';
+import { fakeDriver } from './helpers/driver.js';
+
+jest.mock('../src/utils/logger.js', () => ({
+  logger: { debug() {}, info() {}, warn() {}, error() {} },
+  logToStderr() {}
+}));
+
+// A driver whose sessions answer from run, so that runQuery itself is exercised
+const run = jest.fn();
+jest.spyOn(neo4j, 'driver').mockReturnValue(fakeDriver(run).driver);
+
+const movies = express.Router();
+movies.get('/:title', (req, res) => res.json({ title: req.params.title }));
+
+const app = express();
+app.use(recordRequests());
+app.get('/metrics', serveMetrics);
+app.use('/api/movies', movies);
+
+async function scrape() {
+  const response = await request(app).get('/metrics');
+  expect(response.status).toBe(200);
+  expect(validateResponse('GET', '/metrics', response)).toEqual([]);
+  return response.text;
+}
+
+afterAll(closeDriver);
+
+describe('GET /metrics', () => {
+  test('counts requests by route pattern and status', async () => {
+    await request(app).get('/api/movies/The%20Matrix');
+    await request(app).get('/api/movies/Heat');
+    await request(app).get('/nowhere');
+
+    const text = await scrape();
+
+    expect(text).toContain('http_requests_total{method="GET",route="/api/movies/:title",status="200"} 2');
+    expect(text).toContain('http_requests_total{method="GET",route="unmatched",status="404"} 1');
+    expect(text).toMatch(/http_request_duration_seconds_count\{method="GET",route="\/api\/movies\/:title",status="200"\} 2/);
+  });
+
+  test('times queries by name and counts their errors by code', async () => {
+    run.mockResolvedValueOnce({ records: [] });
+    await runQuery('RETURN 1', {}, { name: 'movies.get' });
+
+    const failure = Object.assign(new Error('timed out'), { code: 'Neo.ClientError.Transaction.TransactionTimedOut' });
+    run.mockRejectedValueOnce(failure);
+    await expect(runQuery('RETURN 2', {}, { name: 'movies.get' })).rejects.toBe(failure);
+
+    const text = await scrape();
+
+    expect(text).toContain('neo4j_query_duration_seconds_count{query="movies.get",outcome="success"} 1');
+    expect(text).toContain('neo4j_query_duration_seconds_count{query="movies.get",outcome="error"} 1');
+    expect(text).toContain('neo4j_query_errors_total{query="movies.get",code="Neo.ClientError.Transaction.TransactionTimedOut"} 1');
+    expect(text).toContain('neo4j_pool_connections_in_use 0');
+    expect(text).toContain('neo4j_pool_connections_max 50');
+  });
+
+  test('reports how long seeding and imports took', async () => {
+    startLoadTimer('seed')({ outcome: 'success' });
+
+    const text = await scrape();
+
+    expect(text).toContain('data_load_duration_seconds_count{job="seed",outcome="success"} 1');
+    expect(text).toContain('process_cpu_seconds_total');
+  });
+});
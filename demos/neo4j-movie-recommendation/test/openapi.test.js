@@ -0,0 +1,253 @@
+import express from 'express';
+import request from 'supertest';
+import neo4j from 'neo4j-driver';
+import routes from '../src/routes.js';
+import { authenticate } from '../src/auth/index.js';
+import { runQuery } from '../src/neo4j.js';
+import { invalidateCache } from '../src/cache/index.js';
+import {
+  compileAllSchemas, documentedOperations, validateRequest, validateResponse
+} from './helpers/openapi.js';
+import { bearer } from './helpers/auth.js';
+import { result } from './helpers/catalogue.js';
+
+jest.mock('../src/neo4j.js', () => require('./helpers/driver.js').mockNeo4jModule());
+
+jest.mock('../src/utils/logger.js', () => ({
+  logger: { debug() {}, info() {}, warn() {}, error() {} },
+  logToStderr() {}
+}));
+
+const app = express();
+app.use(express.json());
+app.get('/health', (req, res) => res.json({ status: 'UP' }));
+app.use('/api', authenticate, routes);
+
+/**
+ * A driver result whose records hold the given rows
+ */
+/**
+ * Send a request, checking it against the document first and the response after
+ * @param {string} [role] - Send credentials for this role
+ */
+async function call(method, url, body, role) {
+  expect(validateRequest(method, url, body)).toEqual([]);
+  let pending = request(app)[method](url);
+  if (role) {
+    pending = pending.set('Authorization', bearer(role));
+  }
+  if (body !== undefined) {
+    pending = pending.send(body);
+  }
+  const response = await pending;
+  expect(validateResponse(method, url, response)).toEqual([]);
+  return response;
+}
+
+/**
+ * Routes registered on an Express router, as "METHOD /path" with
+ * :params written as {params}
+ */
+function registeredRoutes(router, prefix = '') {
+  return router.stack.flatMap(layer => {
+    if (layer.route) {
+      const path = (prefix + layer.route.path).replace(/:(\w+)/g, '{$1}').replace(/(.)\/$/, '$1');
+      return Object.keys(layer.route.methods).map(method => `${method.toUpperCase()} ${path}`);
+    }
+    if (layer.name === 'router') {
+      const mount = layer.regexp.source
+        .replace(/^\^/, '')
+        .replace('\\/?(?=\\/|$)', '')
+        .replace(/\\\//g, '/');
+      return registeredRoutes(layer.handle, prefix + mount);
+    }
+    return [];
+  });
+}
+
+beforeEach(async () => {
+  runQuery.mockReset();
+  await invalidateCache();
+});
+
+describe('OpenAPI document', () => {
+  test('is served at /api/openapi.json', async () => {
+    const response = await call('get', '/api/openapi.json');
+    expect(response.status).toBe(200);
+    expect(response.body.openapi).toBe('3.1.0');
+  });
+
+  test('compiles every schema', () => {
+    expect(() => compileAllSchemas()).not.toThrow();
+  });
+
+  test('documents every API route', () => {
+    const documented = documentedOperations();
+    const undocumented = registeredRoutes(routes, '/api')
+      // The docs page itself is HTML for people, not part of the API
+      .filter(route => !route.startsWith('GET /api/docs'))
+      .filter(route => !documented.includes(route));
+    expect(undocumented).toEqual([]);
+  });
+
+  test('has a browsable docs page that loads the document', async () => {
+    const page = await request(app).get('/api/docs');
+    expect(page.status).toBe(200);
+    expect(page.headers['content-security-policy']).toContain('https://cdn.jsdelivr.net');
+
+    const script = await request(app).get('/api/docs/init.js');
+    expect(script.text).toContain('/api/openapi.json');
+  });
+
+  test('rejects requests that break the document', () => {
+    expect(validateRequest('get', '/api/movies?sort=rating')).not.toEqual([]);
+    expect(validateRequest('get', '/api/search')).not.toEqual([]);
+    expect(validateRequest('post', '/api/genres', { name: 1 })).not.toEqual([]);
+  });
+});
+
+describe('responses match the document', () => {
+  test('GET /health', async () => {
+    await call('get', '/health');
+  });
+
+  test('GET /api/genres', async () => {
+    runQuery
+      .mockResolvedValueOnce(result({ count: neo4j.int(3) }))
+      .mockResolvedValueOnce(result({ name: 'Action' }, { name: 'Drama' }));
+
+    const response = await call('get', '/api/genres?limit=2');
+    expect(response.body.pagination.hasMore).toBe(true);
+  });
+
+  test('GET /api/genres with a bad cursor', async () => {
+    const response = await call('get', '/api/genres?cursor=nonsense');
+    expect(response.status).toBe(400);
+  });
+
+  test('GET /api/movies', async () => {
+    runQuery
+      .mockResolvedValueOnce(result({
+        title: 'The Matrix',
+        released: neo4j.int(1999),
+        tagline: 'Welcome to the Real World',
+        posterImage: null,
+        genres: ['Action', 'Sci-Fi'],
+        popularity: neo4j.int(4)
+      }))
+      .mockResolvedValueOnce(result({
+        total: neo4j.int(1),
+        genreFacets: [{ name: 'Action', count: neo4j.int(1) }, { name: 'Sci-Fi', count: neo4j.int(1) }],
+        decadeFacets: [{ decade: neo4j.int(1990), count: neo4j.int(1) }]
+      }));
+
+    const response = await call('get', '/api/movies?genres=Action&sort=popularity');
+    expect(response.body.facets.decades).toEqual([{ decade: 1990, count: 1 }]);
+  });
+
+  test('GET /api/movies/by-genre/{genre} for an unknown genre', async () => {
+    runQuery.mockResolvedValueOnce(result());
+
+    const response = await call('get', '/api/movies/by-genre/Western');
+    expect(response.status).toBe(404);
+  });
+
+  test('GET /api/movies/{title}', async () => {
+    runQuery.mockResolvedValueOnce(result({
+      movie: {
+        title: 'The Matrix',
+        released: neo4j.int(1999),
+        tagline: 'Welcome to the Real World',
+        poster_image: null,
+        genres: ['Action'],
+        cast: [{ name: 'Keanu Reeves', role: ['Neo'], profile_image: null }]
+      }
+    }));
+
+    const response = await call('get', '/api/movies/The%20Matrix');
+    expect(response.body.movie.released).toBe(1999);
+  });
+
+  test('GET /api/movies/{title}/recommendations', async () => {
+    runQuery
+      .mockResolvedValueOnce(result({ m: {} }))
+      .mockResolvedValueOnce(result({
+        title: 'Inception',
+        released: neo4j.int(2010),
+        tagline: null,
+        posterImage: null,
+        commonGenres: neo4j.int(1),
+        actors: ['Leonardo DiCaprio']
+      }));
+
+    const response = await call('get', '/api/movies/The%20Matrix/recommendations?strategy=genre&limit=1');
+    expect(response.body.strategy).toBe('genre');
+  });
+
+  test('GET /api/movies/{title}/recommendations with an unknown strategy', async () => {
+    const url = '/api/movies/The%20Matrix/recommendations?strategy=popular';
+    expect(validateRequest('get', url)).not.toEqual([]);
+
+    const response = await request(app).get(url);
+    expect(response.status).toBe(400);
+    expect(validateResponse('get', url, response)).toEqual([]);
+  });
+
+  test('GET /api/search', async () => {
+    runQuery
+      .mockResolvedValueOnce(result({ total: neo4j.int(1) }))
+      .mockResolvedValueOnce(result({
+        labels: ['Person'],
+        title: null,
+        released: null,
+        tagline: null,
+        posterImage: null,
+        name: 'Keanu Reeves',
+        profileImage: null,
+        score: 2.5
+      }));
+
+    const response = await call('get', '/api/search?q=keanu');
+    expect(response.body.people[0].highlights.name).toBe('<mark>Keanu</mark> Reeves');
+  });
+
+  test('GET /api/people/{name}', async () => {
+    runQuery.mockResolvedValueOnce(result({
+      person: {
+        name: 'Keanu Reeves',
+        profile_image: null,
+        filmography: [{ title: 'The Matrix', released: neo4j.int(1999), posterImage: null, roles: ['Neo'] }]
+      }
+    }));
+
+    await call('get', '/api/people/Keanu%20Reeves');
+  });
+
+  test('POST /api/genres with an invalid body', async () => {
+    const response = await request(app)
+      .post('/api/genres')
+      .set('Authorization', bearer('editor'))
+      .send({ name: 'Noir', colour: 'black' });
+    expect(response.status).toBe(400);
+    expect(validateResponse('post', '/api/genres', response)).toEqual([]);
+  });
+
+  test('DELETE /api/movies/{title}', async () => {
+    runQuery.mockResolvedValueOnce(result({ deleted: neo4j.int(1) }));
+
+    const response = await call('delete', '/api/movies/The%20Matrix', undefined, 'editor');
+    expect(response.status).toBe(204);
+  });
+
+  test('GET /api/paths with a missing endpoint', async () => {
+    const response = await request(app).get('/api/paths?from=Keanu%20Reeves');
+    expect(response.status).toBe(400);
+    expect(validateResponse('get', '/api/paths', response)).toEqual([]);
+  });
+
+  test('GET /api/admin/export with an unknown format', async () => {
+    const response = await request(app).get('/api/admin/export?format=csv').set('Authorization', bearer('admin'));
+    expect(response.status).toBe(400);
+    expect(validateResponse('get', '/api/admin/export', response)).toEqual([]);
+  });
+});
@@ -0,0 +1,78 @@
+import express from 'express';
+import request from 'supertest';
+import { config } from '../src/config.js';
+import { authenticate } from '../src/auth/index.js';
+import { limitRequests, rateLimit } from '../src/rate-limit.js';
+import { isTransactionTimeout } from '../src/neo4j.js';
+import { bearer } from './helpers/auth.js';
+
+jest.mock('../src/utils/logger.js', () => ({
+  logger: { debug() {}, info() {}, warn() {}, error() {} },
+  logToStderr() {}
+}));
+
+// Limiters are created on first use, so small quotas set here apply to them
+config.rateLimit.quotas.expensive = 2;
+config.rateLimit.quotas.reads = 5;
+config.rateLimit.quotas.writes = 1;
+
+const app = express();
+app.use('/api', authenticate, limitRequests());
+app.get('/api/expensive', rateLimit('expensive'), (req, res) => res.json({ ok: true }));
+app.get('/api/cheap', (req, res) => res.json({ ok: true }));
+app.post('/api/cheap', (req, res) => res.status(201).json({ ok: true }));
+
+describe('rate limiting', () => {
+  test('reports the route quota in RateLimit headers and refuses requests over it', async () => {
+    const first = await request(app).get('/api/expensive').expect(200);
+    expect(first.headers['ratelimit-limit']).toBe('2');
+    expect(first.headers['ratelimit-remaining']).toBe('1');
+    expect(Number(first.headers['ratelimit-reset'])).toBeGreaterThan(0);
+
+    await request(app).get('/api/expensive').expect(200);
+
+    const refused = await request(app).get('/api/expensive').expect(429);
+    expect(refused.body.error).toMatch(/^Too many requests/);
+    expect(Number(refused.headers['retry-after'])).toBeGreaterThan(0);
+  });
+
+  test('counts clients with credentials separately from each other and from their IP', async () => {
+    await request(app).get('/api/expensive').set('Authorization', bearer('viewer')).expect(200);
+    await request(app).get('/api/expensive').set('Authorization', bearer('viewer')).expect(200);
+    await request(app).get('/api/expensive').set('Authorization', bearer('viewer')).expect(429);
+
+    await request(app).get('/api/expensive').set('Authorization', bearer('editor')).expect(200);
+  });
+
+  test('keeps separate quotas for reads and writes', async () => {
+    const client = bearer('admin');
+    await request(app).post('/api/cheap').set('Authorization', client).expect(201);
+    await request(app).post('/api/cheap').set('Authorization', client).expect(429);
+
+    const read = await request(app).get('/api/cheap').set('Authorization', client).expect(200);
+    expect(read.headers['ratelimit-limit']).toBe('5');
+  });
+
+  test('lets everything through when disabled', () => {
+    config.rateLimit.enabled = false;
+    try {
+      config.rateLimit.quotas.unlimited = 1;
+      const next = jest.fn();
+      const limiter = rateLimit('unlimited');
+      limiter({}, {}, next);
+      limiter({}, {}, next);
+      expect(next).toHaveBeenCalledTimes(2);
+    } finally {
+      config.rateLimit.enabled = true;
+    }
+  });
+});
+
+describe('isTransactionTimeout', () => {
+  test('recognizes the server aborting a transaction after its timeout', () => {
+    expect(isTransactionTimeout({ code: 'Neo.ClientError.Transaction.TransactionTimedOut' })).toBe(true);
+    expect(isTransactionTimeout({ code: 'Neo.ClientError.Transaction.TransactionTimedOutClientConfiguration' })).toBe(true);
+    expect(isTransactionTimeout({ code: 'Neo.ClientError.Schema.ConstraintValidationFailed' })).toBe(false);
+    expect(isTransactionTimeout(new Error('boom'))).toBe(false);
+  });
+});
@@ -0,0 +1,130 @@
+import express from 'express';
+import request from 'supertest';
+import neo4j from 'neo4j-driver';
+import { runQuery, closeDriver } from '../src/neo4j.js';
+import { assignRequestId } from '../src/request-context.js';
+import { config } from '../src/config.js';
+import { logger } from '../src/utils/logger.js';
+import { fakeDriver } from './helpers/driver.js';
+
+jest.mock('../src/utils/logger.js', () => ({
+  logger: { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() },
+  logToStderr() {}
+}));
+
+// A driver whose sessions answer from run, so that runQuery itself is exercised
+const run = jest.fn();
+jest.spyOn(neo4j, 'driver').mockReturnValue(fakeDriver(run).driver);
+
+function summary({ updates = {}, plan = false } = {}) {
+  return {
+    resultAvailableAfter: neo4j.int(3),
+    resultConsumedAfter: neo4j.int(1),
+    counters: { updates: () => ({ nodesCreated: 0, propertiesSet: 0, ...updates }) },
+    plan,
+    profile: false
+  };
+}
+
+const plan = {
+  operatorType: 'ProduceResults@neo4j',
+  arguments: { EstimatedRows: 10.5 },
+  children: [{ operatorType: 'NodeByLabelScan@neo4j', arguments: { EstimatedRows: 171, Details: 'm:Movie' }, children: [] }]
+};
+
+const app = express();
+app.use(assignRequestId());
+app.get('/movies', async (req, res) => {
+  await runQuery('MATCH (m:Movie) SET m.seen = true', {}, { name: 'movies.touch' });
+  res.json({ id: req.id });
+});
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+beforeEach(() => {
+  run.mockReset();
+  logger.warn.mockReset();
+});
+
+afterAll(closeDriver);
+
+describe('request correlation IDs', () => {
+  test('gives each request an ID and tags its queries with it', async () => {
+    run.mockResolvedValue({ records: [], summary: summary() });
+
+    const first = await request(app).get('/movies');
+    const second = await request(app).get('/movies');
+
+    expect(first.headers['x-request-id']).toMatch(/^[0-9a-f-]{36}$/);
+    expect(first.headers['x-request-id']).not.toBe(second.headers['x-request-id']);
+    expect(first.body.id).toBe(first.headers['x-request-id']);
+    expect(run.mock.calls[0][2]).toMatchObject({
+      metadata: { app: 'neo4j-movie-recommendation', query: 'movies.touch', requestId: first.headers['x-request-id'] }
+    });
+  });
+
+  test('keeps a well-formed ID sent by the client and replaces anything else', async () => {
+    run.mockResolvedValue({ records: [], summary: summary() });
+
+    const kept = await request(app).get('/movies').set('X-Request-Id', 'lb-1234.abc');
+    const replaced = await request(app).get('/movies').set('X-Request-Id', '"><script>alert(1)</script>');
+
+    expect(kept.headers['x-request-id']).toBe('lb-1234.abc');
+    expect(run.mock.calls[0][2].metadata.requestId).toBe('lb-1234.abc');
+    expect(replaced.headers['x-request-id']).toMatch(/^[0-9a-f-]{36}$/);
+  });
+
+  test('leaves the request ID out of queries made outside a request', async () => {
+    run.mockResolvedValue({ records: [], summary: summary() });
+
+    await runQuery('RETURN 1', {}, { name: 'startup.check' });
+
+    expect(run.mock.calls[0][2].metadata).toEqual({ app: 'neo4j-movie-recommendation', query: 'startup.check', tenant: 'default' });
+  });
+});
+
+describe('slow-query log', () => {
+  const threshold = config.neo4j.slowQueryThreshold;
+  afterEach(() => {
+    config.neo4j.slowQueryThreshold = threshold;
+  });
+
+  test('logs queries over the threshold with their counters and plan', async () => {
+    config.neo4j.slowQueryThreshold = 0;
+    run
+      .mockResolvedValueOnce({ records: [{}, {}], summary: summary({ updates: { propertiesSet: 171 } }) })
+      .mockResolvedValueOnce({ records: [], summary: summary({ plan }) });
+
+    const response = await request(app).get('/movies').set('X-Request-Id', 'req-1');
+    await flush();
+
+    expect(response.status).toBe(200);
+    expect(run.mock.calls[1][0]).toBe('EXPLAIN MATCH (m:Movie) SET m.seen = true');
+    expect(logger.warn).toHaveBeenCalledTimes(1);
+    const [message, { slowQuery }] = logger.warn.mock.calls[0];
+    expect(message).toMatch(/^Slow query movies\.touch took \d+ ms$/);
+    expect(slowQuery).toMatchObject({
+      name: 'movies.touch',
+      requestId: 'req-1',
+      resultAvailableAfterMs: 3,
+      resultConsumedAfterMs: 1,
+      records: 2,
+      counters: { propertiesSet: 171 },
+      plan: [
+        { depth: 0, operator: 'ProduceResults', estimatedRows: 11 },
+        { depth: 1, operator: 'NodeByLabelScan', estimatedRows: 171, details: 'm:Movie' }
+      ]
+    });
+  });
+
+  test('logs nothing for queries under the threshold', async () => {
+    config.neo4j.slowQueryThreshold = 60 * 1000;
+    run.mockResolvedValue({ records: [], summary: summary() });
+
+    await request(app).get('/movies');
+    await flush();
+
+    expect(run).toHaveBeenCalledTimes(1);
+    expect(logger.warn).not.toHaveBeenCalled();
+  });
+});
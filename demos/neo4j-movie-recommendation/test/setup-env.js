@@ -0,0 +1,8 @@
+// Environment for every test file, set before any module reads config.js
+const os = require('os');
+const path = require('path');
+
+process.env.JWT_SECRET = 'test-secret';
+process.env.API_KEYS_FILE = path.join(os.tmpdir(), `movie-api-keys-${process.pid}.json`);
+// No tenants besides the default catalogue unless a test writes this file
+process.env.TENANTS_FILE = path.join(os.tmpdir(), `movie-tenants-${process.pid}.json`);
@@ -0,0 +1,165 @@
+import fs from 'fs';
+import express from 'express';
+import request from 'supertest';
+import neo4j from 'neo4j-driver';
+import { runQuery, closeDriver } from '../src/neo4j.js';
+import { assignRequestId } from '../src/request-context.js';
+import { cacheResponse, invalidateCache } from '../src/cache/index.js';
+import { checkIsolation } from '../src/migrate.js';
+import { config } from '../src/config.js';
+import {
+  getTenant, localizeSchemaStatement, reloadTenants, scopeQuery, selectTenant, withTenant
+} from '../src/tenants.js';
+import { fakeDriver } from './helpers/driver.js';
+import { result } from './helpers/catalogue.js';
+
+jest.mock('../src/utils/logger.js', () => ({
+  logger: { debug() {}, info() {}, warn() {}, error() {} },
+  logToStderr() {}
+}));
+
+const run = jest.fn();
+const { driver, sessions } = fakeDriver(run);
+jest.spyOn(neo4j, 'driver').mockReturnValue(driver);
+
+const app = express();
+app.use(assignRequestId());
+app.use(selectTenant());
+app.get('/api/movies/count', cacheResponse('movies'), async (req, res) => {
+  const counted = await runQuery('MATCH (m:Movie) RETURN count(m) AS count', {}, { name: 'movies.count', mode: 'read' });
+  res.json({ tenant: req.tenant.id, count: neo4j.integer.toNumber(counted.records[0].get('count')) });
+});
+
+beforeAll(() => {
+  fs.writeFileSync(config.tenants.file, JSON.stringify({
+    acme: { name: 'Acme Films', database: 'acme' },
+    demo: { namespace: 'Demo', seed: false }
+  }));
+  reloadTenants();
+});
+
+beforeEach(async () => {
+  run.mockReset();
+  sessions.length = 0;
+  await invalidateCache();
+});
+
+afterAll(async () => {
+  fs.rmSync(config.tenants.file, { force: true });
+  await closeDriver();
+});
+
+describe('tenants file', () => {
+  test('fills in names and seeding', () => {
+    expect(getTenant('acme')).toMatchObject({ name: 'Acme Films', database: 'acme', namespace: null, seed: true });
+    expect(getTenant('demo')).toMatchObject({ name: 'demo', namespace: 'Demo', seed: false });
+  });
+
+  test('rejects tenants with both a database and a namespace', () => {
+    fs.writeFileSync(config.tenants.file, JSON.stringify({ bad: { database: 'bad', namespace: 'Bad' } }));
+    try {
+      expect(reloadTenants).toThrow("Tenant 'bad' in");
+    } finally {
+      fs.writeFileSync(config.tenants.file, JSON.stringify({
+        acme: { name: 'Acme Films', database: 'acme' },
+        demo: { namespace: 'Demo', seed: false }
+      }));
+      reloadTenants();
+    }
+  });
+});
+
+describe('label namespaces', () => {
+  test('qualify catalogue labels and schema names, and nothing else', () => {
+    const demo = getTenant('demo');
+
+    expect(scopeQuery('MATCH (u:User {id: $id})-[r:RATED|WATCHED]->(m:Movie) WHERE n:Person RETURN m {.title}', demo))
+      .toBe('MATCH (u:Demo_User {id: $id})-[r:RATED|WATCHED]->(m:Demo_Movie) WHERE n:Demo_Person RETURN m {.title}');
+    expect(scopeQuery('CREATE FULLTEXT INDEX catalogue_search IF NOT EXISTS FOR (n:Movie|Person) ON EACH [n.title]', demo))
+      .toBe('CREATE FULLTEXT INDEX demo_catalogue_search IF NOT EXISTS FOR (n:Demo_Movie|Demo_Person) ON EACH [n.title]');
+    expect(scopeQuery('MATCH (m:Movie) RETURN m', getTenant('acme'))).toBe('MATCH (m:Movie) RETURN m');
+  });
+
+  test('export only the tenant\'s own constraints, as the tenant would write them', () => {
+    const demo = getTenant('demo');
+    const own = 'CREATE CONSTRAINT `demo_movie_title` FOR (n:`Demo_Movie`) REQUIRE (n.`title`) IS UNIQUE';
+    const theirs = 'CREATE CONSTRAINT `movie_title` FOR (n:`Movie`) REQUIRE (n.`title`) IS UNIQUE';
+
+    expect(localizeSchemaStatement(own, demo)).toBe(theirs);
+    expect(localizeSchemaStatement(theirs, demo)).toBeNull();
+    expect(localizeSchemaStatement(own, getTenant('default'))).toBeNull();
+    expect(localizeSchemaStatement(theirs, getTenant('default'))).toBe(theirs);
+  });
+});
+
+describe('selecting a tenant', () => {
+  test('by header sends queries to the tenant\'s database', async () => {
+    run.mockResolvedValue(result({ count: neo4j.int(3) }));
+
+    const response = await request(app).get('/api/movies/count').set('X-Tenant', 'acme');
+
+    expect(response.body).toEqual({ tenant: 'acme', count: 3 });
+    expect(sessions[0].database).toBe('acme');
+    expect(run.mock.calls[0][0]).toBe('MATCH (m:Movie) RETURN count(m) AS count');
+    expect(run.mock.calls[0][2].metadata.tenant).toBe('acme');
+  });
+
+  test('by path prefix rewrites queries for the tenant\'s namespace', async () => {
+    run.mockResolvedValue(result({ count: neo4j.int(2) }));
+
+    const response = await request(app).get('/t/demo/api/movies/count');
+
+    expect(response.body).toEqual({ tenant: 'demo', count: 2 });
+    expect(sessions[0].database).toBeUndefined();
+    expect(run.mock.calls[0][0]).toBe('MATCH (m:Demo_Movie) RETURN count(m) AS count');
+  });
+
+  test('keeps cached responses apart', async () => {
+    run
+      .mockResolvedValueOnce(result({ count: neo4j.int(1) }))
+      .mockResolvedValueOnce(result({ count: neo4j.int(2) }));
+
+    const standard = await request(app).get('/api/movies/count');
+    const acme = await request(app).get('/api/movies/count').set('X-Tenant', 'acme');
+
+    expect([standard.body.count, acme.body.count]).toEqual([1, 2]);
+    expect(acme.headers['x-cache']).toBe('MISS');
+    expect(acme.headers.vary).toContain('X-Tenant');
+  });
+
+  test('answers 404 for tenants that aren\'t configured', async () => {
+    const response = await request(app).get('/t/nobody/api/movies/count');
+
+    expect(response.status).toBe(404);
+    expect(response.body.error).toBe("Unknown tenant 'nobody'");
+    expect(run).not.toHaveBeenCalled();
+  });
+});
+
+describe('isolation check', () => {
+  test('reports nodes and relationships that reach other tenants\' labels', async () => {
+    run.mockResolvedValue(result({
+      database: 'neo4j', nodes: neo4j.int(40), mixedNodes: neo4j.int(1), crossingRelationships: neo4j.int(2)
+    }));
+
+    const report = await withTenant(getTenant('demo'), () => checkIsolation());
+
+    expect(report).toMatchObject({ tenant: 'demo', namespace: 'Demo', nodes: 40, isolated: false });
+    expect(report.problems).toEqual([
+      "1 node(s) also carry another tenant's labels",
+      "2 relationship(s) connect to another tenant's nodes"
+    ]);
+    const params = run.mock.calls[0][1];
+    expect(params.own).toContain('Demo_Movie');
+    expect(params.foreign).toEqual(['Movie', 'Person', 'Genre', 'User', 'Migration']);
+  });
+
+  test('reports a tenant database that doesn\'t exist', async () => {
+    run.mockRejectedValue(Object.assign(new Error('not found'), { code: 'Neo.ClientError.Database.DatabaseNotFound' }));
+
+    const report = await withTenant(getTenant('acme'), () => checkIsolation());
+
+    expect(report.isolated).toBe(false);
+    expect(report.problems).toEqual(["Database 'acme' does not exist"]);
+  });
+});
@@ -0,0 +1,95 @@
+import neo4j from 'neo4j-driver';
+import { runQuery, readTransaction, writeTransaction, closeDriver } from '../src/neo4j.js';
+import { registry } from '../src/metrics.js';
+import { logger } from '../src/utils/logger.js';
+import { createNeo4jRepository } from '../src/repository/neo4j.js';
+import { listUserMovies } from '../src/users.js';
+import { fakeDriver } from './helpers/driver.js';
+
+jest.mock('../src/utils/logger.js', () => ({
+  logger: { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() },
+  logToStderr() {}
+}));
+
+const run = jest.fn();
+const { driver, sessions } = fakeDriver(run);
+jest.spyOn(neo4j, 'driver').mockReturnValue(driver);
+
+const empty = { records: [], summary: {} };
+
+beforeEach(() => {
+  run.mockReset();
+  sessions.length = 0;
+  logger.warn.mockReset();
+});
+
+afterAll(closeDriver);
+
+describe('managed transactions', () => {
+  test('run several statements in one read transaction and resolve to what the work returns', async () => {
+    run.mockResolvedValue(empty);
+
+    const value = await readTransaction(async tx => {
+      await tx.run('MATCH (m:Movie) RETURN count(m) AS count');
+      await tx.run('MATCH (m:Movie) RETURN m LIMIT 10');
+      return 'done';
+    }, { name: 'movies.page' });
+
+    expect(value).toBe('done');
+    expect(sessions).toHaveLength(1);
+    expect(sessions[0].defaultAccessMode).toBe(neo4j.session.READ);
+    expect(run).toHaveBeenCalledTimes(2);
+    expect(run.mock.calls[1][2].metadata.query).toBe('movies.page');
+  });
+
+  test('retry the whole unit of work after a transient error', async () => {
+    const deadlock = Object.assign(new Error('deadlock'), { code: 'Neo.TransientError.Transaction.DeadlockDetected' });
+    run.mockRejectedValueOnce(deadlock).mockResolvedValue(empty);
+
+    await writeTransaction(async tx => {
+      await tx.run('MERGE (g:Genre {name: $name})', { name: 'Noir' });
+      await tx.run('MERGE (g:Genre {name: $name})', { name: 'Western' });
+    }, { name: 'genres.create' });
+
+    expect(sessions[0].defaultAccessMode).toBe(neo4j.session.WRITE);
+    expect(run.mock.calls.map(([, params]) => params.name)).toEqual(['Noir', 'Noir', 'Western']);
+    expect(logger.warn).toHaveBeenCalledWith('Retrying transaction genres.create for request -, attempt 2');
+    expect(await registry.getSingleMetricAsString('neo4j_transaction_retries_total'))
+      .toContain('neo4j_transaction_retries_total{query="genres.create"} 1');
+  });
+
+  test('runQuery writes unless told the query only reads', async () => {
+    run.mockResolvedValue(empty);
+
+    await runQuery('CREATE (:Genre {name: $name})', { name: 'Noir' }, { name: 'catalogue.createGenre' });
+    await runQuery('MATCH (g:Genre) RETURN g', {}, { name: 'genres.list', mode: 'read' });
+
+    expect(sessions.map(session => session.defaultAccessMode)).toEqual([neo4j.session.WRITE, neo4j.session.READ]);
+  });
+
+  test('share bookmarks between sessions so reads see earlier writes', async () => {
+    run.mockResolvedValue(empty);
+
+    await runQuery('CREATE (:Genre {name: $name})', { name: 'Noir' }, { name: 'catalogue.createGenre' });
+    await runQuery('MATCH (g:Genre) RETURN g', {}, { name: 'genres.list', mode: 'read' });
+
+    expect(sessions[0].bookmarkManager).toBeDefined();
+    expect(sessions[1].bookmarkManager).toBe(sessions[0].bookmarkManager);
+  });
+});
+
+describe('paged reads', () => {
+  const counted = total => ({ records: [{ get: () => neo4j.int(total) }], summary: {} });
+
+  test.each([
+    ['genres', () => createNeo4jRepository().listGenres({ offset: 0, limit: 10 })],
+    ['movies in a genre', () => createNeo4jRepository().moviesByGenre('Action', { offset: 0, limit: 10 })],
+    ['a user\'s ratings', () => listUserMovies('u1', 'ratings', { offset: 0, limit: 10 })]
+  ])('read the total and the page of %s in one transaction, so they agree', async (name, read) => {
+    run.mockResolvedValueOnce(counted(0)).mockResolvedValueOnce(empty);
+
+    expect(await read()).toMatchObject({ total: 0 });
+    expect(sessions).toHaveLength(1);
+    expect(run).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,171 @@
+import express from 'express';
+import request from 'supertest';
+import neo4j from 'neo4j-driver';
+import routes from '../src/routes.js';
+import { authenticate, signToken } from '../src/auth/index.js';
+import { runQuery } from '../src/neo4j.js';
+import { invalidateCache } from '../src/cache/index.js';
+import { validateResponse } from './helpers/openapi.js';
+import { bearer } from './helpers/auth.js';
+import { result } from './helpers/catalogue.js';
+
+jest.mock('../src/neo4j.js', () => require('./helpers/driver.js').mockNeo4jModule());
+
+jest.mock('../src/utils/logger.js', () => ({
+  logger: { debug() {}, info() {}, warn() {}, error() {} },
+  logToStderr() {}
+}));
+
+const app = express();
+app.use(express.json());
+app.use('/api', authenticate, routes);
+
+const asUser = id => `Bearer ${signToken(id, 'viewer')}`;
+
+const matrix = { title: 'The Matrix', released: neo4j.int(1999), tagline: 'Welcome to the Real World', posterImage: null };
+
+function mockUser(id = 'u1') {
+  runQuery.mockResolvedValueOnce(result({
+    id, name: 'Alice', ratings: neo4j.int(2), watchlist: neo4j.int(1), watched: neo4j.int(3)
+  }));
+}
+
+async function call(method, url, { auth, body } = {}) {
+  let req = request(app)[method.toLowerCase()](url);
+  if (auth) req = req.set('Authorization', auth);
+  const response = await (body === undefined ? req : req.send(body));
+  expect(validateResponse(method, url, response)).toEqual([]);
+  return response;
+}
+
+beforeEach(async () => {
+  runQuery.mockReset();
+  await invalidateCache();
+});
+
+describe('user accounts', () => {
+  test('shows a user with the size of their lists', async () => {
+    mockUser();
+
+    const response = await call('GET', '/api/users/u1');
+
+    expect(response.status).toBe(200);
+    expect(response.body.user).toEqual({ id: 'u1', name: 'Alice', counts: { ratings: 2, watchlist: 1, watched: 3 } });
+  });
+
+  test('lets users create their own account, and answers 201 only the first time', async () => {
+    runQuery.mockResolvedValueOnce(result({ id: 'u9', name: 'Zoe', created: true }));
+    const created = await call('PUT', '/api/users/u9', { auth: asUser('u9'), body: { name: 'Zoe' } });
+    expect(created.status).toBe(201);
+
+    runQuery.mockResolvedValueOnce(result({ id: 'u9', name: 'Zoë', created: false }));
+    const renamed = await call('PUT', '/api/users/u9', { auth: asUser('u9'), body: { name: 'Zoë' } });
+    expect(renamed.status).toBe(200);
+    expect(renamed.body.user).toEqual({ id: 'u9', name: 'Zoë' });
+  });
+
+  test('keeps other viewers out of a user\'s account and lists, but not editors', async () => {
+    await call('PUT', '/api/users/u9', { body: { name: 'Zoe' } }).then(response => expect(response.status).toBe(401));
+    await call('PUT', '/api/users/u9', { auth: asUser('u1'), body: { name: 'Zoe' } })
+      .then(response => expect(response.status).toBe(403));
+    await call('GET', '/api/users/u9/watchlist', { auth: asUser('u1') }).then(response => expect(response.status).toBe(403));
+    expect(runQuery).not.toHaveBeenCalled();
+
+    runQuery.mockResolvedValueOnce(result({ deleted: neo4j.int(1) }));
+    await call('DELETE', '/api/users/u9', { auth: bearer('editor') }).then(response => expect(response.status).toBe(204));
+  });
+});
+
+describe('user lists', () => {
+  test('rates a movie and reports when', async () => {
+    runQuery.mockResolvedValueOnce(result({ movie: matrix, score: 4.5, timestamp: neo4j.int(1700000000) }));
+
+    const response = await call('PUT', '/api/users/u1/ratings/The%20Matrix', { auth: asUser('u1'), body: { score: 4.5 } });
+
+    expect(response.status).toBe(200);
+    expect(response.body.entry).toEqual({
+      movie: { title: 'The Matrix', released: 1999, tagline: 'Welcome to the Real World', posterImage: null },
+      score: 4.5,
+      ratedAt: '2023-11-14T22:13:20.000Z'
+    });
+    const [query, params] = runQuery.mock.calls[0];
+    expect(query).toContain('MERGE (u)-[r:RATED]->(m)');
+    expect(params).toMatchObject({ id: 'u1', title: 'The Matrix', properties: { score: 4.5 }, removesFromWatchlist: false });
+  });
+
+  test('rejects scores outside 0.5 to 5', async () => {
+    const response = await call('PUT', '/api/users/u1/ratings/The%20Matrix', { auth: asUser('u1'), body: { score: 7 } });
+
+    expect(response.status).toBe(400);
+    expect(response.body.details).toEqual(['score must be at most 5']);
+    expect(runQuery).not.toHaveBeenCalled();
+  });
+
+  test('takes a movie off the watchlist when it is marked watched', async () => {
+    runQuery.mockResolvedValueOnce(result({ movie: matrix, score: null, timestamp: neo4j.int(1700000000) }));
+
+    const response = await call('PUT', '/api/users/u1/watched/The%20Matrix', { auth: asUser('u1') });
+
+    expect(response.body.entry).toEqual(expect.objectContaining({ watchedAt: '2023-11-14T22:13:20.000Z' }));
+    expect(response.body.entry).not.toHaveProperty('score');
+    const [query, params] = runQuery.mock.calls[0];
+    expect(query).toContain('MERGE (u)-[r:WATCHED]->(m)');
+    expect(params.removesFromWatchlist).toBe(true);
+  });
+
+  test('answers 404 when the user or movie does not exist', async () => {
+    runQuery.mockResolvedValueOnce(result());
+    const response = await call('PUT', '/api/users/u1/watchlist/Nope', { auth: asUser('u1') });
+    expect(response.status).toBe(404);
+  });
+
+  test('pages through a list', async () => {
+    runQuery
+      .mockResolvedValueOnce(result({ total: neo4j.int(3) }))
+      .mockResolvedValueOnce(result({ movie: matrix, score: null, timestamp: null }));
+
+    const response = await call('GET', '/api/users/u1/watchlist?limit=1', { auth: asUser('u1') });
+
+    expect(response.status).toBe(200);
+    expect(response.body.watchlist).toEqual([expect.objectContaining({ addedAt: null })]);
+    expect(response.body.pagination).toMatchObject({ total: 3, limit: 1, hasMore: true });
+  });
+
+  test('answers 404 for the lists of a missing user', async () => {
+    runQuery.mockResolvedValueOnce(result());
+    const response = await call('GET', '/api/users/nobody/ratings', { auth: bearer('editor') });
+    expect(response.status).toBe(404);
+  });
+});
+
+describe('taste profile', () => {
+  test('ranks genres and actors by how much the user liked their movies', async () => {
+    mockUser();
+    runQuery
+      .mockResolvedValueOnce(result(
+        { name: 'Sci-Fi', movies: neo4j.int(3), averageRating: 4.6666, affinity: 6.5 },
+        { name: 'Action', movies: neo4j.int(1), averageRating: null, affinity: 0.5 }
+      ))
+      .mockResolvedValueOnce(result({ name: 'Keanu Reeves', movies: neo4j.int(1), averageRating: 5, affinity: 2.5 }));
+
+    const response = await call('GET', '/api/users/u1/profile');
+
+    expect(response.status).toBe(200);
+    expect(response.body.topGenres).toEqual([
+      { name: 'Sci-Fi', movies: 3, averageRating: 4.67, affinity: 6.5 },
+      { name: 'Action', movies: 1, averageRating: null, affinity: 0.5 }
+    ]);
+    expect(response.body.favouriteActors).toEqual([{ name: 'Keanu Reeves', movies: 1, averageRating: 5, affinity: 2.5 }]);
+
+    const [genreQuery, params] = runQuery.mock.calls[1];
+    expect(genreQuery).toContain('[:IN_GENRE]');
+    expect(params).toMatchObject({ id: 'u1', neutralScore: 2.5, watchedWeight: 0.5 });
+    expect(params.limit.toNumber()).toBe(5);
+  });
+
+  test('answers 404 for a missing user', async () => {
+    runQuery.mockResolvedValueOnce(result());
+    const response = await call('GET', '/api/users/nobody/profile');
+    expect(response.status).toBe(404);
+  });
+});